@@ -9,30 +9,23 @@ export default function ConsensusTest() {
   const [error, setError] = useState(null);
   const [blockHash, setBlockHash] = useState(null);
 
-  // Propose Block
+  // Propose Block (from the signed transactions waiting in the mempool)
   const proposeBlock = async () => {
     setLoading(true);
     setError(null);
     setResult(null);
     
     try {
-      const transactions = [
-        {
-          from: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
-          to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
-          amount: 100,
-          data: 'Test transaction 1'
-        },
-        {
-          from: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
-          to: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
-          amount: 50,
-          data: 'Test transaction 2'
-        }
-      ];
+      const mempool = await axios.get(`${API_BASE}/blockchain/mempool`);
+      const transactions = mempool.data.transactions;
+
+      if (transactions.length === 0) {
+        setError('No pending transactions to propose - grant a consent first');
+        return;
+      }
       
       const response = await axios.post(`${API_BASE}/consensus/propose`, { transactions });
-      setBlockHash(response.data.blockHash);
+      setBlockHash(response.data.proposalId);
       setResult({
         type: 'propose',
         data: response.data
@@ -72,6 +65,31 @@ export default function ConsensusTest() {
     }
   };
 
+  // Proposal Status
+  const checkProposal = async () => {
+    if (!blockHash) {
+      setError('Please propose a block first');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const response = await axios.get(`${API_BASE}/consensus/proposals/${blockHash}`);
+
+      setResult({
+        type: 'status',
+        data: response.data
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Sync Chain
   const syncChain = async () => {
     setLoading(true);
@@ -79,10 +97,7 @@ export default function ConsensusTest() {
     setResult(null);
     
     try {
-      const response = await axios.post(`${API_BASE}/consensus/sync`, {
-        peerNodeId: 'node-001',
-        chainLength: 5
-      });
+      const response = await axios.post(`${API_BASE}/consensus/sync`, {});
       
       setResult({
         type: 'sync',
@@ -116,6 +131,14 @@ export default function ConsensusTest() {
         >
           Vote on Block
         </button>
+
+        <button
+          onClick={checkProposal}
+          disabled={loading || !blockHash}
+          style={{ padding: '10px 20px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '5px', cursor: loading ? 'not-allowed' : 'pointer' }}
+        >
+          Proposal Status
+        </button>
         
         <button
           onClick={syncChain}
@@ -144,9 +167,10 @@ export default function ConsensusTest() {
       <div style={{ marginTop: '20px', padding: '15px', background: '#f8f9fa', borderRadius: '5px', fontSize: '14px' }}>
         <strong>💡 How it works:</strong>
         <ul>
-          <li><strong>Propose Block:</strong> Proposes a new block with transactions for network validation</li>
-          <li><strong>Vote on Block:</strong> Votes on whether a proposed block is valid</li>
-          <li><strong>Sync Chain:</strong> Synchronizes blockchain state with peer nodes</li>
+          <li><strong>Propose Block:</strong> Proposes a block with the pending mempool transactions for network validation</li>
+          <li><strong>Vote on Block:</strong> Votes on whether a proposed block is valid; once enough nodes agree the block is committed to the chain</li>
+          <li><strong>Proposal Status:</strong> Shows whether the proposal is still proposed, committed or rejected</li>
+          <li><strong>Sync Chain:</strong> Adopts the valid chain with the most work among peer nodes</li>
         </ul>
         <p><strong>Note:</strong> Make sure the backend server is running on port 3000</p>
       </div>
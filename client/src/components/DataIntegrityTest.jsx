@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import axios from 'axios';
+import { hashCanonical } from '../utils/canonicalJson.js';
 
 const API_BASE = '/api';
 
@@ -91,9 +92,15 @@ export default function DataIntegrityTest() {
         root: treeRoot
       });
       
+      // Recompute the leaf locally with the same canonical encoding as the server
+      const localLeaf = await hashCanonical(record);
+
       setResult({
         type: 'verify',
-        data: verifyRes.data
+        data: {
+          ...verifyRes.data,
+          localLeafMatches: localLeaf === proofRes.data.proof.leaf
+        }
       });
     } catch (err) {
       setError(err.response?.data?.error || err.message);
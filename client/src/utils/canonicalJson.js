@@ -0,0 +1,64 @@
+// Canonical JSON encoding (RFC 8785 style)
+// Must stay in sync with server/src/utils/canonicalJson.js - the server hashes
+// blocks, transactions, Merkle leaves and ZK commitments with the same rules:
+// keys sorted at every depth, no whitespace, JSON.stringify strings/numbers,
+// undefined/function properties omitted, non-finite numbers rejected.
+
+function encode(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (value !== undefined && typeof value.toJSON === 'function') {
+    return encode(value.toJSON());
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+    case 'string':
+      return JSON.stringify(value);
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+      }
+      return JSON.stringify(value);
+    case 'bigint':
+      throw new Error('Cannot canonicalize BigInt values');
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+    default:
+      break;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => encode(item) ?? 'null').join(',')}]`;
+  }
+
+  const members = [];
+  for (const key of Object.keys(value).sort()) {
+    const encoded = encode(value[key]);
+    if (encoded !== undefined) {
+      members.push(`${JSON.stringify(key)}:${encoded}`);
+    }
+  }
+
+  return `{${members.join(',')}}`;
+}
+
+// Serialize a value to canonical JSON
+export function canonicalize(value) {
+  const encoded = encode(value);
+  return encoded === undefined ? 'null' : encoded;
+}
+
+// SHA-256 hex digest of a value's canonical JSON (strings are hashed as-is),
+// identical to a Merkle leaf hash on the server
+export async function hashCanonical(value) {
+  const data = typeof value === 'string' ? value : canonicalize(value);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
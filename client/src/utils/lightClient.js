@@ -0,0 +1,324 @@
+// Light client for the custom blockchain
+// Verifies block headers and transaction inclusion without downloading full
+// blocks or trusting the node that serves them. Must stay in sync with the
+// server's hashing and sealing rules (server/src/core/Blockchain.js and
+// server/src/core/sealing):
+// - the block hash is the SHA-256 of the canonical JSON of the hashed header
+//   fields (hash format 2; legacy format 1 hashes the transactions too, so
+//   those headers cannot be checked on their own)
+// - a node accepts only blocks sealed with its own type, plus proof-of-work
+//   blocks up to a legacy height on a chain that moved away from it
+// - proof-of-work hashes start with `difficulty` zeros; poa, raft and pbft
+//   blocks carry the sealer's Ed25519 signature over the hash, and pbft
+//   blocks a commit certificate signed by a quorum of validators
+// - a Merkle leaf is the hash of the transaction's canonical JSON and each
+//   level hashes the concatenated hex of the left and right child
+//
+// Trust comes from the caller: the network's seal type, validator public keys
+// (PEM, as registered on-chain) and the genesis hash or a header verified
+// earlier. Proof-of-work headers carry no identity, so they are only checked
+// against a pinned genesis hash or trusted header and the network's difficulty.
+//
+// Needs Web Crypto with Ed25519 (current browsers, Node 20+).
+
+import axios from 'axios';
+import { canonicalize, hashCanonical } from './canonicalJson.js';
+
+// Header fields covered by the block hash (Blockchain.getBlockHeader)
+const HASHED_FIELDS = ['hashVersion', 'index', 'timestamp', 'previousHash', 'merkleRoot', 'nonce', 'sealType', 'sealer', 'term'];
+const SIGNED_SEALS = ['poa', 'raft', 'pbft'];
+const SEAL_TYPES = ['pow', ...SIGNED_SEALS];
+const HEADERS_PER_REQUEST = 1000;
+
+const keyCache = new Map();
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function importPublicKey(pem) {
+  if (!keyCache.has(pem)) {
+    const der = base64ToBytes(pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''));
+    keyCache.set(pem, crypto.subtle.importKey('spki', der, { name: 'Ed25519' }, false, ['verify']));
+  }
+  return keyCache.get(pem);
+}
+
+// Verify a base64 Ed25519 signature over a string payload
+export async function verifySignature(payload, signature, publicKeyPem) {
+  if (typeof signature !== 'string' || !publicKeyPem) {
+    return false;
+  }
+
+  try {
+    const key = await importPublicKey(publicKeyPem);
+    return await crypto.subtle.verify({ name: 'Ed25519' }, key, base64ToBytes(signature), new TextEncoder().encode(payload));
+  } catch {
+    return false;
+  }
+}
+
+// Recompute a compact header's block hash (null for legacy headers)
+export async function computeHeaderHash(header) {
+  if (!(header.hashVersion >= 2)) {
+    return null;
+  }
+
+  const hashed = {};
+  for (const field of HASHED_FIELDS) {
+    hashed[field] = header[field];
+  }
+  return hashCanonical(hashed);
+}
+
+// Number of commits a PBFT certificate needs (PbftSealer.getQuorum)
+export function getPbftQuorum(validatorCount) {
+  const f = Math.max(Math.floor((validatorCount - 1) / 3), 0);
+  return Math.ceil((validatorCount + f + 1) / 2);
+}
+
+// Blocks on top of a block before it is final, as the server defaults FINALITY_DEPTH
+export function getDefaultFinalityDepth(sealType) {
+  return ['pbft', 'raft'].includes(sealType) ? 0 : 2;
+}
+
+// Check the options a header chain is verified against; returns why they are unusable, or null
+function checkOptions(options) {
+  if (!SEAL_TYPES.includes(options.sealType)) {
+    return `Expected seal type must be one of: ${SEAL_TYPES.join(', ')}`;
+  }
+
+  if (options.sealType === 'pow' || options.legacyPowHeight > 0) {
+    if (!(Number.isInteger(options.powDifficulty) && options.powDifficulty >= 1)) {
+      return 'Proof-of-work headers need the network\'s powDifficulty (a positive integer)';
+    }
+    if (!options.genesisHash && !options.trustedHeader) {
+      return 'Proof-of-work headers need a trusted genesisHash or trustedHeader';
+    }
+  }
+
+  return null;
+}
+
+// Check a header's seal; returns why it is invalid, or null
+async function checkSeal(header, options) {
+  const sealType = header.sealType || 'pow';
+  const validators = options.validators || {};
+
+  if (sealType !== options.sealType) {
+    if (sealType !== 'pow') {
+      return `seal type ${sealType} is not the expected ${options.sealType}`;
+    }
+    if (!(header.index <= (options.legacyPowHeight || 0))) {
+      return `proof-of-work blocks are only accepted up to height ${options.legacyPowHeight || 0}`;
+    }
+  }
+
+  if (sealType === 'pow') {
+    return header.hash.startsWith('0'.repeat(options.powDifficulty))
+      ? null
+      : `hash does not meet proof-of-work difficulty ${options.powDifficulty}`;
+  }
+
+  if (!validators[header.sealer]) {
+    return `sealer ${header.sealer} is not a trusted validator`;
+  }
+
+  if (!(await verifySignature(header.hash, header.signature, validators[header.sealer]))) {
+    return 'sealer signature is invalid';
+  }
+
+  if (sealType === 'raft' && !(Number.isInteger(header.term) && header.term >= 1)) {
+    return 'missing Raft term';
+  }
+
+  if (sealType === 'pbft') {
+    const certificate = header.commitCertificate;
+    if (!certificate || !Number.isInteger(certificate.view) || !Array.isArray(certificate.commits)) {
+      return 'missing commit certificate';
+    }
+
+    const signers = new Set();
+    for (const commit of certificate.commits) {
+      if (!commit || !validators[commit.nodeId] || signers.has(commit.nodeId)) {
+        continue;
+      }
+
+      const payload = canonicalize({
+        type: 'commit',
+        view: certificate.view,
+        height: header.index,
+        blockHash: header.hash,
+        nodeId: commit.nodeId
+      });
+      if (await verifySignature(payload, commit.signature, validators[commit.nodeId])) {
+        signers.add(commit.nodeId);
+      }
+    }
+
+    const quorum = getPbftQuorum(Object.keys(validators).length);
+    if (signers.size < quorum) {
+      return `commit certificate has ${signers.size} valid validator signatures, ${quorum} required`;
+    }
+  }
+
+  return null;
+}
+
+// Verify a run of compact headers (oldest first)
+// options: {sealType: the network's SEAL_TYPE, trustedHeader: header verified earlier that the
+//   run continues or starts with, genesisHash: expected hash of header 0,
+//   validators: {nodeId: publicKeyPem}, powDifficulty, legacyPowHeight}
+// Returns {valid, error, index: first failing header index, tip: last header}
+export async function verifyHeaderChain(headers, options = {}) {
+  const fail = (index, error) => ({ valid: false, error, index, tip: null });
+
+  const optionsError = checkOptions(options);
+  if (optionsError) {
+    return fail(null, optionsError);
+  }
+
+  if (!Array.isArray(headers) || headers.length === 0) {
+    return fail(null, 'No headers to verify');
+  }
+
+  let previous = options.trustedHeader || null;
+
+  for (const header of headers) {
+    if (previous && header.index === previous.index && header.hash === previous.hash) {
+      continue;
+    }
+
+    if (previous) {
+      if (header.index !== previous.index + 1 || header.previousHash !== previous.hash) {
+        return fail(header.index, `Header ${header.index} does not link to header ${previous.index}`);
+      }
+    } else if (header.index !== 0) {
+      return fail(header.index, 'The first header must be the genesis block, or a trusted header must be given');
+    }
+
+    const hash = await computeHeaderHash(header);
+    if (hash === null) {
+      return fail(header.index, `Header ${header.index} uses legacy hash format ${header.hashVersion ?? 1}`);
+    }
+    if (hash !== header.hash) {
+      return fail(header.index, `Header ${header.index} does not hash to ${header.hash}`);
+    }
+
+    if (header.index === 0) {
+      if (options.genesisHash && header.hash !== options.genesisHash) {
+        return fail(0, `Genesis hash ${header.hash} is not the trusted ${options.genesisHash}`);
+      }
+    } else {
+      const sealError = await checkSeal(header, options);
+      if (sealError) {
+        return fail(header.index, `Header ${header.index}: ${sealError}`);
+      }
+    }
+
+    previous = header;
+  }
+
+  return { valid: true, error: null, index: null, tip: previous };
+}
+
+// Check that a transaction is included under a header's merkleRoot
+// proof: {leaf, path: [{hash, position: 'left'|'right'}]} as returned by GET /api/blockchain/tx/:id
+export async function verifyInclusion(transaction, proof, header) {
+  if (!proof || !Array.isArray(proof.path) || !(header?.hashVersion >= 2)) {
+    return false;
+  }
+
+  let current = await hashCanonical(transaction);
+  if (current !== proof.leaf) {
+    return false;
+  }
+
+  for (const sibling of proof.path) {
+    current = await hashCanonical(sibling.position === 'left' ? sibling.hash + current : current + sibling.hash);
+  }
+
+  return current === header.merkleRoot;
+}
+
+// Follows a node's chain by headers only and verifies transactions against them
+export class LightClient {
+  // options: {baseUrl (default '/api'), sealType, validators, genesisHash, trustedHeader,
+  //   powDifficulty, legacyPowHeight, finalityDepth (default as the server's FINALITY_DEPTH)}
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || '/api';
+    this.options = options;
+    this.finalityDepth = options.finalityDepth ?? getDefaultFinalityDepth(options.sealType);
+    this.headers = new Map(); // index -> verified compact header
+    this.tip = options.trustedHeader || null;
+    if (this.tip) {
+      this.headers.set(this.tip.index, this.tip);
+    }
+  }
+
+  getHeight() {
+    return this.tip ? this.tip.index : -1;
+  }
+
+  getHeader(index) {
+    return this.headers.get(index) || null;
+  }
+
+  // Download and verify the headers after the verified tip
+  async sync() {
+    const start = this.getHeight() + 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const from = this.getHeight() + 1;
+      const response = await axios.get(`${this.baseUrl}/blockchain/headers`, {
+        params: { from, to: from + HEADERS_PER_REQUEST - 1 }
+      });
+      const { headers } = response.data;
+
+      if (headers.length === 0) {
+        break;
+      }
+
+      const result = await verifyHeaderChain(headers, { ...this.options, trustedHeader: this.tip });
+      if (!result.valid) {
+        throw new Error(`Header verification failed: ${result.error}`);
+      }
+
+      headers.forEach(header => this.headers.set(header.index, header));
+      this.tip = result.tip;
+      hasMore = response.data.hasMore;
+    }
+
+    return { height: this.getHeight(), tipHash: this.tip?.hash || null, added: this.getHeight() + 1 - start };
+  }
+
+  // Fetch a transaction with its Merkle proof and check it against the verified headers
+  // Returns {verified, reason, transaction, blockIndex, confirmations, finalized}; finalized once
+  // finalityDepth verified headers are on top of its block
+  async verifyTransaction(id) {
+    const { data } = await axios.get(`${this.baseUrl}/blockchain/tx/${encodeURIComponent(id)}`);
+    const result = { verified: false, reason: null, transaction: data.transaction, blockIndex: null, confirmations: 0, finalized: false };
+
+    if (data.status !== 'included') {
+      return { ...result, reason: 'Transaction is not in a block yet' };
+    }
+
+    const { blockIndex, blockHash, proof } = data.inclusion;
+    if (blockIndex > this.getHeight()) {
+      await this.sync();
+    }
+
+    const header = this.getHeader(blockIndex);
+    if (!header || header.hash !== blockHash) {
+      return { ...result, blockIndex, reason: `Block ${blockIndex} is not on the verified header chain` };
+    }
+
+    if (!(await verifyInclusion(data.transaction, proof, header))) {
+      return { ...result, blockIndex, reason: `Merkle proof does not match block ${blockIndex}` };
+    }
+
+    const confirmations = this.getHeight() - blockIndex;
+    return { ...result, verified: true, blockIndex, confirmations, finalized: confirmations >= this.finalityDepth };
+  }
+}
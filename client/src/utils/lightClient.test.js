@@ -0,0 +1,263 @@
+import { generateKeyPairSync, sign } from 'node:crypto';
+import axios from 'axios';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { canonicalize, hashCanonical } from './canonicalJson.js';
+import { LightClient, computeHeaderHash, verifyHeaderChain, verifyInclusion } from './lightClient.js';
+
+vi.mock('axios');
+
+function createValidator(nodeId) {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { nodeId, publicKey, sign: payload => sign(null, Buffer.from(payload), privateKey).toString('base64') };
+}
+
+const validators = [createValidator('node-1'), createValidator('node-2'), createValidator('node-3'), createValidator('node-4')];
+const trusted = Object.fromEntries(validators.map(validator => [validator.nodeId, validator.publicKey]));
+const [validator] = validators;
+
+async function createGenesis() {
+  const genesis = { hashVersion: 2, index: 0, timestamp: 0, previousHash: '0', merkleRoot: 'empty', nonce: 0 };
+  genesis.hash = await computeHeaderHash(genesis);
+  return genesis;
+}
+
+function nextFields(previous, fields) {
+  return {
+    hashVersion: 2,
+    index: previous.index + 1,
+    timestamp: previous.timestamp + 1000,
+    previousHash: previous.hash,
+    merkleRoot: `root-${previous.index + 1}`,
+    nonce: 0,
+    ...fields
+  };
+}
+
+/**
+ * Seal a header on top of another with a validator's signature
+ */
+async function sealHeader(previous, signer, fields = {}) {
+  const header = nextFields(previous, { sealType: 'poa', sealer: signer.nodeId, ...fields });
+  header.hash = await computeHeaderHash(header);
+  header.signature = signer.sign(header.hash);
+  return header;
+}
+
+/**
+ * Mine a header on top of another whose hash has exactly `difficulty` leading zeros
+ */
+async function mineHeader(previous, difficulty, fields = {}) {
+  const header = nextFields(previous, { sealType: 'pow', ...fields });
+  const meets = hash => hash.startsWith('0'.repeat(difficulty)) && hash[difficulty] !== '0';
+
+  header.hash = await computeHeaderHash(header);
+  while (!meets(header.hash)) {
+    header.nonce++;
+    header.hash = await computeHeaderHash(header);
+  }
+  return header;
+}
+
+/**
+ * Build a proof-of-authority chain of `length` headers after genesis
+ */
+async function createChain(length, merkleRoots = {}) {
+  const headers = [await createGenesis()];
+  for (let i = 1; i <= length; i++) {
+    const fields = merkleRoots[i] ? { merkleRoot: merkleRoots[i] } : {};
+    headers.push(await sealHeader(headers[i - 1], validators[i % 2], fields));
+  }
+  return headers;
+}
+
+/**
+ * Two transactions in one block, with the Merkle proof of the second
+ */
+async function createInclusion() {
+  const transactions = [
+    { id: 'tx-1', timestamp: 1, from: 'system', to: 'audit-log', data: { action: 'access' } },
+    { id: 'tx-2', timestamp: 2, from: 'patient-1', to: 'consent', data: { action: 'grant' } }
+  ];
+  const leaves = await Promise.all(transactions.map(tx => hashCanonical(tx)));
+  const merkleRoot = await hashCanonical(leaves[0] + leaves[1]);
+
+  return {
+    transaction: transactions[1],
+    proof: { leaf: leaves[1], path: [{ hash: leaves[0], position: 'left' }], root: merkleRoot },
+    merkleRoot
+  };
+}
+
+describe('verifyHeaderChain', () => {
+  it('accepts a linked chain sealed by trusted validators from a pinned genesis block', async () => {
+    const headers = await createChain(3);
+
+    const result = await verifyHeaderChain(headers, { sealType: 'poa', validators: trusted, genesisHash: headers[0].hash });
+
+    expect(result).toEqual({ valid: true, error: null, index: null, tip: headers[3] });
+    expect(await verifyHeaderChain(headers.slice(2), { sealType: 'poa', validators: trusted, trustedHeader: headers[1] }))
+      .toMatchObject({ valid: true, tip: headers[3] });
+  });
+
+  it('rejects tampered, unlinked and wrongly signed headers', async () => {
+    const headers = await createChain(2);
+    const options = { sealType: 'poa', validators: trusted, genesisHash: headers[0].hash };
+    const outsider = createValidator('node-9');
+
+    const tampered = [headers[0], { ...headers[1], merkleRoot: 'forged' }];
+    const unlinked = [headers[0], headers[2]];
+    const foreign = [headers[0], await sealHeader(headers[0], outsider)];
+    const stolenSeal = [headers[0], { ...headers[1], signature: validator.sign(headers[1].hash) }];
+    const otherGenesis = [{ ...headers[0], timestamp: 1, hash: await computeHeaderHash({ ...headers[0], timestamp: 1 }) }];
+
+    expect(await verifyHeaderChain(tampered, options)).toMatchObject({ valid: false, index: 1, error: `Header 1 does not hash to ${headers[1].hash}` });
+    expect(await verifyHeaderChain(unlinked, options)).toMatchObject({ valid: false, index: 2, error: 'Header 2 does not link to header 0' });
+    expect(await verifyHeaderChain(foreign, options)).toMatchObject({ valid: false, error: 'Header 1: sealer node-9 is not a trusted validator' });
+    expect(await verifyHeaderChain(stolenSeal, options)).toMatchObject({ valid: false, error: 'Header 1: sealer signature is invalid' });
+    expect((await verifyHeaderChain(otherGenesis, options)).error).toMatch(/^Genesis hash \w+ is not the trusted \w+$/);
+    expect(await verifyHeaderChain(headers.slice(1), options))
+      .toMatchObject({ valid: false, error: 'The first header must be the genesis block, or a trusted header must be given' });
+  });
+
+  it('accepts only the expected seal type, and proof-of-work up to the legacy height', async () => {
+    const genesis = await createGenesis();
+    const legacy = await mineHeader(genesis, 1);
+    const sealed = await sealHeader(legacy, validator);
+    const late = await mineHeader(sealed, 1);
+    const raft = await sealHeader(genesis, validator, { sealType: 'raft', term: 1 });
+    const options = { sealType: 'poa', validators: trusted, genesisHash: genesis.hash, powDifficulty: 1, legacyPowHeight: 1 };
+
+    expect(await verifyHeaderChain([genesis, legacy, sealed], options)).toMatchObject({ valid: true, tip: sealed });
+    expect(await verifyHeaderChain([genesis, legacy, sealed, late], options))
+      .toMatchObject({ valid: false, index: 3, error: 'Header 3: proof-of-work blocks are only accepted up to height 1' });
+    expect(await verifyHeaderChain([genesis, legacy], { ...options, legacyPowHeight: 0 }))
+      .toMatchObject({ valid: false, error: 'Header 1: proof-of-work blocks are only accepted up to height 0' });
+    expect(await verifyHeaderChain([genesis, raft], options))
+      .toMatchObject({ valid: false, error: 'Header 1: seal type raft is not the expected poa' });
+    expect(await verifyHeaderChain([genesis, legacy], { validators: trusted, genesisHash: genesis.hash }))
+      .toMatchObject({ valid: false, index: null, error: 'Expected seal type must be one of: pow, poa, raft, pbft' });
+  });
+
+  it('checks proof-of-work headers against the network difficulty and a trust anchor', async () => {
+    const genesis = await createGenesis();
+    const first = await mineHeader(genesis, 2);
+    const second = await mineHeader(first, 2);
+    const weak = await mineHeader(first, 1);
+    const options = { sealType: 'pow', powDifficulty: 2, genesisHash: genesis.hash };
+
+    expect(await verifyHeaderChain([genesis, first, second], options)).toMatchObject({ valid: true, tip: second });
+    expect(await verifyHeaderChain([genesis, first, weak], options))
+      .toMatchObject({ valid: false, index: 2, error: 'Header 2: hash does not meet proof-of-work difficulty 2' });
+    expect(await verifyHeaderChain([genesis, first], { ...options, powDifficulty: 3 }))
+      .toMatchObject({ valid: false, error: 'Header 1: hash does not meet proof-of-work difficulty 3' });
+    expect(await verifyHeaderChain([genesis, first], { sealType: 'pow', powDifficulty: 2 }))
+      .toMatchObject({ valid: false, error: 'Proof-of-work headers need a trusted genesisHash or trustedHeader' });
+    expect(await verifyHeaderChain([genesis, first], { sealType: 'pow', genesisHash: genesis.hash }))
+      .toMatchObject({ valid: false, error: 'Proof-of-work headers need the network\'s powDifficulty (a positive integer)' });
+  });
+
+  it('requires a quorum of validator commits on PBFT headers', async () => {
+    const genesis = await createGenesis();
+    const header = await sealHeader(genesis, validator, { sealType: 'pbft' });
+    const commit = signer => ({
+      nodeId: signer.nodeId,
+      signature: signer.sign(canonicalize({ type: 'commit', view: 0, height: 1, blockHash: header.hash, nodeId: signer.nodeId }))
+    });
+    const withCommits = commits => [genesis, { ...header, commitCertificate: { view: 0, commits } }];
+    const options = { sealType: 'pbft', validators: trusted, genesisHash: genesis.hash };
+    const forged = { nodeId: 'node-3', signature: validator.sign('anything') };
+
+    expect(await verifyHeaderChain(withCommits(validators.slice(0, 3).map(commit)), options)).toMatchObject({ valid: true });
+    expect(await verifyHeaderChain(withCommits([commit(validators[0]), commit(validators[0]), commit(validators[1]), forged]), options))
+      .toMatchObject({ valid: false, error: 'Header 1: commit certificate has 2 valid validator signatures, 3 required' });
+    expect(await verifyHeaderChain([genesis, header], options))
+      .toMatchObject({ valid: false, error: 'Header 1: missing commit certificate' });
+  });
+});
+
+describe('verifyInclusion', () => {
+  it('follows a Merkle proof from the transaction to the header\'s root', async () => {
+    const { transaction, proof, merkleRoot } = await createInclusion();
+
+    expect(await verifyInclusion(transaction, proof, { hashVersion: 2, merkleRoot })).toBe(true);
+  });
+
+  it('rejects tampered transactions, proofs and roots', async () => {
+    const { transaction, proof, merkleRoot } = await createInclusion();
+    const header = { hashVersion: 2, merkleRoot };
+    const [sibling] = proof.path;
+
+    expect(await verifyInclusion({ ...transaction, data: { action: 'revoke' } }, proof, header)).toBe(false);
+    expect(await verifyInclusion(transaction, { ...proof, path: [{ ...sibling, hash: 'f'.repeat(64) }] }, header)).toBe(false);
+    expect(await verifyInclusion(transaction, { ...proof, path: [{ ...sibling, position: 'right' }] }, header)).toBe(false);
+    expect(await verifyInclusion(transaction, { ...proof, path: [] }, header)).toBe(false);
+    expect(await verifyInclusion(transaction, proof, { hashVersion: 2, merkleRoot: 'f'.repeat(64) })).toBe(false);
+    expect(await verifyInclusion(transaction, proof, { hashVersion: 1, merkleRoot })).toBe(false);
+    expect(await verifyInclusion(transaction, null, header)).toBe(false);
+  });
+});
+
+describe('LightClient', () => {
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  /**
+   * Serve headers and a transaction the way GET /api/blockchain/headers and /tx/:id do
+   */
+  function serve(node) {
+    axios.get.mockImplementation(async (url, config) => {
+      if (url === '/api/blockchain/headers') {
+        const { from, to } = config.params;
+        return { data: { headers: node.headers.filter(header => header.index >= from && header.index <= to), hasMore: false } };
+      }
+      return { data: node.transaction };
+    });
+  }
+
+  async function createNode() {
+    const { transaction, proof, merkleRoot } = await createInclusion();
+    const headers = await createChain(3, { 1: merkleRoot });
+    return {
+      headers: headers.slice(0, 3),
+      allHeaders: headers,
+      transaction: { status: 'included', transaction, inclusion: { blockIndex: 1, blockHash: headers[1].hash, proof } }
+    };
+  }
+
+  it('verifies a transaction and reports it finalized once enough verified headers are on top', async () => {
+    const node = await createNode();
+    serve(node);
+    const client = new LightClient({ sealType: 'poa', validators: trusted, genesisHash: node.allHeaders[0].hash });
+
+    expect(await client.sync()).toEqual({ height: 2, tipHash: node.allHeaders[2].hash, added: 3 });
+    expect(await client.verifyTransaction('tx-2')).toMatchObject({ verified: true, blockIndex: 1, confirmations: 1, finalized: false });
+
+    node.headers = node.allHeaders;
+    await client.sync();
+
+    expect(await client.verifyTransaction('tx-2')).toMatchObject({ verified: true, confirmations: 2, finalized: true });
+    expect(new LightClient({ sealType: 'pbft' }).finalityDepth).toBe(0);
+  });
+
+  it('refuses tampered proofs, blocks off the verified chain and headers that do not verify', async () => {
+    const node = await createNode();
+    serve(node);
+    const client = new LightClient({ sealType: 'poa', validators: trusted, genesisHash: node.allHeaders[0].hash });
+    await client.sync();
+    const { inclusion } = node.transaction;
+
+    node.transaction = { ...node.transaction, inclusion: { ...inclusion, proof: { ...inclusion.proof, leaf: 'f'.repeat(64) } } };
+    expect(await client.verifyTransaction('tx-2')).toMatchObject({ verified: false, reason: 'Merkle proof does not match block 1' });
+
+    node.transaction = { ...node.transaction, inclusion: { ...inclusion, blockHash: 'f'.repeat(64) } };
+    expect(await client.verifyTransaction('tx-2')).toMatchObject({ verified: false, reason: 'Block 1 is not on the verified header chain' });
+
+    node.headers = [...node.allHeaders.slice(0, 3), { ...node.allHeaders[3], merkleRoot: 'forged' }];
+    await expect(client.sync()).rejects.toThrow(`Header verification failed: Header 3 does not hash to ${node.allHeaders[3].hash}`);
+    expect(client.getHeight()).toBe(2);
+  });
+});
@@ -0,0 +1,658 @@
+/**
+ * Devnet - local multi-node network with a network simulator
+ *
+ * Usage:
+ *   node scripts/devnet.js [options]
+ *
+ * Boots N server instances, each with its own port, data directory and node
+ * identity, wired as a full mesh of peers with the network simulator enabled
+ * (see src/core/NetworkSimulator.js). The data directory is wiped on start,
+ * so every run begins from the same genesis block. The node keys are shared
+ * through a NODE_KEYS_FILE in the data directory. PBFT needs at least 4
+ * nodes, so --consensus pbft defaults to 4.
+ *
+ * Faults are injected through a control API (default http://localhost:4000)
+ * or a scenario file. Crashes go through ConsensusEngine.handleNodeFailure
+ * on the survivors (POST /api/consensus/failures), and healing a partition or
+ * restarting a node ends with ConsensusEngine.syncChain (POST /api/consensus/sync).
+ *
+ * With --scenario the steps run in order, the network shuts down and the
+ * exit code tells whether every step passed, so a consensus bug can be
+ * reproduced in CI. Drops and jitter are seeded (--seed), so the same
+ * scenario injects the same faults for the same requests.
+ *
+ * Control API (nodes are numbered from 1):
+ *   GET    /nodes                  - Nodes with their status and chain tip
+ *   GET    /status                 - Chain tips and whether the live nodes converged
+ *   POST   /nodes/:n/crash         - Kill a node and report it failed to the others
+ *   POST   /nodes/:n/restart       - Restart a crashed node, reconnect and sync it
+ *   PUT    /network                - Latency, jitter and drop rate on every node: {latencyMs, jitterMs, dropRate, seed}
+ *   DELETE /network                - Restore a perfect network (also heals partitions)
+ *   POST   /partitions             - Split the network: {groups: [[1, 2], [3]]}; unlisted nodes form one more group
+ *   DELETE /partitions             - Heal partitions and sync every node
+ *   POST   /shutdown               - Stop every node and exit
+ *
+ * Scenario file: {"steps": [...]}, each step one of
+ *   {"action": "wait", "ms": 1000}
+ *   {"action": "crash" | "restart", "node": 2}
+ *   {"action": "network", "latencyMs": 50, "jitterMs": 20, "dropRate": 0.1}
+ *   {"action": "reset-network"}
+ *   {"action": "partition", "groups": [[1, 2], [3]]}
+ *   {"action": "heal"}
+ *   {"action": "request", "node": 1, "method": "POST", "path": "/api/...", "body": {}, "expectStatus": 201}
+ *   {"action": "expect-converged", "timeoutMs": 10000, "minLength": 3}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const express = require('express');
+
+const NodeManager = require('../src/core/NodeManager.js');
+const { createStorage } = require('../src/core/storage/index.js');
+const { signRequest } = require('../src/utils/signedRequest.js');
+const { CONSENSUS_MODES } = require('../src/core/consensus/index.js');
+
+const SERVER_ROOT = path.join(__dirname, '..');
+const HEALTH_TIMEOUT_MS = 15000;
+const POLL_INTERVAL_MS = 200;
+
+const USAGE = `Usage:
+  node scripts/devnet.js [--nodes 3 (4 with pbft)] [--base-port 4001] [--control-port 4000] [--data-dir ./devnet-data]
+                         [--consensus none|pbft|raft] [--block-interval 1000] [--producers first|all]
+                         [--seed 1] [--scenario <file>] [--env KEY=VALUE ...]`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    nodes: null,
+    basePort: 4001,
+    controlPort: 4000,
+    dataDir: path.join(SERVER_ROOT, 'devnet-data'),
+    consensus: 'none',
+    blockIntervalMs: 1000,
+    producers: 'first',
+    seed: 1,
+    scenario: null,
+    env: {}
+  };
+
+  const numeric = {
+    '--nodes': 'nodes',
+    '--base-port': 'basePort',
+    '--control-port': 'controlPort',
+    '--block-interval': 'blockIntervalMs',
+    '--seed': 'seed'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const option = argv[i];
+    const value = argv[i + 1];
+
+    if (numeric[option]) {
+      args[numeric[option]] = parseInt(value, 10);
+      if (!Number.isInteger(args[numeric[option]])) {
+        throw new Error(`${option} must be an integer`);
+      }
+      i++;
+    } else if (option === '--data-dir') {
+      args.dataDir = path.resolve(value);
+      i++;
+    } else if (option === '--consensus') {
+      args.consensus = value;
+      i++;
+    } else if (option === '--producers') {
+      args.producers = value;
+      i++;
+    } else if (option === '--scenario') {
+      args.scenario = path.resolve(value);
+      i++;
+    } else if (option === '--env') {
+      const [key, ...rest] = String(value).split('=');
+      args.env[key] = rest.join('=');
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${option}\n${USAGE}`);
+    }
+  }
+
+  args.nodes = args.nodes ?? (args.consensus === 'pbft' ? 4 : 3);
+  if (args.nodes < 1) {
+    throw new Error('--nodes must be at least 1');
+  }
+  if (!CONSENSUS_MODES.includes(args.consensus)) {
+    throw new Error(`--consensus must be one of: ${CONSENSUS_MODES.join(', ')}`);
+  }
+  if (args.consensus === 'pbft' && args.nodes < 4) {
+    throw new Error('--consensus pbft needs at least 4 nodes (PBFT tolerates no faulty validator with fewer)');
+  }
+  if (!['first', 'all'].includes(args.producers)) {
+    throw new Error('--producers must be first or all');
+  }
+
+  return args;
+}
+
+/**
+ * Send a request to a node and parse the JSON response
+ *
+ * /p2p endpoints only answer known nodes, so requests to them are signed with
+ * the target node's own identity.
+ *
+ * @returns {Promise<Object>} {status, body}
+ */
+async function request(url, method = 'GET', body = undefined, identity = null) {
+  const { pathname, search } = new URL(url);
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...(identity ? signRequest(identity.nodeId, identity.privateKey, method, pathname + search, body) : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  return {
+    status: response.status,
+    body: await response.json().catch(() => ({}))
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class Devnet {
+  /**
+   * @param {Object} options - Parsed command line arguments
+   */
+  constructor(options) {
+    this.options = options;
+    this.nodes = []; // {n, nodeId, publicKey, identity, port, url, dataDir, process, status: 'running' | 'crashed'}
+    this.partitions = null; // Array<Array<number>> while the network is split
+    this.conditions = {}; // latency, jitter, drop rate and seed set through configureNetwork
+  }
+
+  /**
+   * Create fresh data directories and identities, then boot every node
+   */
+  async start() {
+    const { nodes, basePort, dataDir } = this.options;
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    for (let n = 1; n <= nodes; n++) {
+      const nodeDir = path.join(dataDir, `node${n}`);
+      const identity = NodeManager.generateIdentity();
+      createStorage('file', { dataDir: nodeDir }).saveNodeIdentity(identity);
+
+      const port = basePort + n - 1;
+      this.nodes.push({
+        n,
+        nodeId: identity.nodeId,
+        publicKey: identity.publicKey,
+        identity,
+        port,
+        url: `http://localhost:${port}`,
+        dataDir: nodeDir,
+        process: null,
+        status: 'crashed'
+      });
+    }
+
+    const nodeKeys = Object.fromEntries(this.nodes.map(node => [node.nodeId, node.publicKey]));
+    fs.writeFileSync(this._getNodeKeysFile(), JSON.stringify(nodeKeys, null, 2));
+
+    // Each node peers with the ones started before it and announces itself to them
+    for (const node of this.nodes) {
+      await this._spawn(node, this.nodes.filter(other => other.n < node.n));
+    }
+  }
+
+  /**
+   * Stop every node
+   */
+  async stop() {
+    await Promise.all(this.nodes
+      .filter(node => node.status === 'running')
+      .map(node => this._kill(node, 'SIGTERM')));
+  }
+
+  /**
+   * Get every node with its status and chain tip
+   */
+  async getNodes() {
+    return Promise.all(this.nodes.map(async (node) => {
+      const summary = {
+        n: node.n,
+        nodeId: node.nodeId,
+        url: node.url,
+        status: node.status,
+        pid: node.process?.pid || null,
+        chainLength: null,
+        latestBlockHash: null
+      };
+
+      if (node.status === 'running') {
+        try {
+          const { body } = await request(`${node.url}/p2p/info`);
+          summary.chainLength = body.chainLength;
+          summary.latestBlockHash = body.latestBlockHash;
+        } catch (error) {
+          summary.error = error.message;
+        }
+      }
+
+      return summary;
+    }));
+  }
+
+  /**
+   * Get chain tips and whether every running node has the same one
+   */
+  async getStatus() {
+    const nodes = await this.getNodes();
+    const running = nodes.filter(node => node.status === 'running');
+    const tips = new Set(running.map(node => node.latestBlockHash));
+
+    return {
+      converged: running.length > 0 && tips.size === 1 && !tips.has(null),
+      chainLength: Math.min(...running.map(node => node.chainLength ?? 0)),
+      partitions: this.partitions,
+      nodes
+    };
+  }
+
+  /**
+   * Kill a node and report it failed to the running nodes
+   */
+  async crash(n) {
+    const node = this._getNode(n);
+    if (node.status !== 'running') {
+      throw new Error(`node${n} is not running`);
+    }
+
+    await this._kill(node, 'SIGKILL');
+
+    const reports = await this._forEachRunning(other =>
+      request(`${other.url}/api/consensus/failures`, 'POST', { nodeId: node.nodeId }));
+
+    return { node: n, nodeId: node.nodeId, status: node.status, reports };
+  }
+
+  /**
+   * Restart a crashed node on its data directory, reconnect it and sync its chain
+   */
+  async restart(n) {
+    const node = this._getNode(n);
+    if (node.status === 'running') {
+      throw new Error(`node${n} is already running`);
+    }
+
+    await this._spawn(node, this.nodes.filter(other => other !== node && other.status === 'running'));
+    await this._applyConditions(node);
+
+    const sync = await request(`${node.url}/api/consensus/sync`, 'POST', {});
+
+    return { node: n, nodeId: node.nodeId, status: node.status, sync: sync.body };
+  }
+
+  /**
+   * Set latency, jitter and drop rate on every running node
+   *
+   * Each node draws from its own sequence, seeded with seed + n.
+   */
+  async configureNetwork(conditions) {
+    const previous = this.conditions;
+    this.conditions = { ...previous, ...conditions };
+
+    try {
+      return await this._forEachRunning(node => this._applyConditions(node));
+    } catch (error) {
+      this.conditions = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a perfect network on every running node
+   */
+  async resetNetwork() {
+    this.conditions = {};
+    this.partitions = null;
+    return this._forEachRunning(node => request(`${node.url}/p2p/simulator`, 'DELETE', undefined, node.identity));
+  }
+
+  /**
+   * Split the network into groups that cannot reach each other
+   *
+   * @param {Array<Array<number>>} groups - Node numbers per group; unlisted nodes form one more group
+   */
+  async partition(groups) {
+    if (!Array.isArray(groups) || !groups.every(Array.isArray)) {
+      throw new Error('groups must be an array of arrays of node numbers');
+    }
+
+    groups.flat().forEach(n => this._getNode(n));
+    const listed = new Set(groups.flat());
+    const rest = this.nodes.map(node => node.n).filter(n => !listed.has(n));
+
+    this.partitions = rest.length > 0 ? [...groups, rest] : groups;
+    return this._forEachRunning(node => this._applyConditions(node));
+  }
+
+  /**
+   * Heal partitions and have every node adopt the longest valid chain
+   */
+  async heal() {
+    this.partitions = null;
+    await this._forEachRunning(node => this._applyConditions(node));
+
+    return this._forEachRunning(node => request(`${node.url}/api/consensus/sync`, 'POST', {}));
+  }
+
+  /**
+   * Wait until every running node has the same chain tip
+   *
+   * @param {number} timeoutMs - How long to wait
+   * @param {number} minLength - Minimum chain length the nodes must agree on
+   */
+  async waitForConvergence(timeoutMs = 10000, minLength = 0) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const status = await this.getStatus();
+      if (status.converged && status.chainLength >= minLength) {
+        return status;
+      }
+      if (Date.now() >= deadline) {
+        const tips = status.nodes.map(node => `node${node.n}: ${node.status} ${node.chainLength ?? '-'} ${node.latestBlockHash?.slice(0, 12) ?? '-'}`);
+        throw new Error(`Nodes did not converge within ${timeoutMs}ms (${tips.join('; ')})`);
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Run one scenario step
+   *
+   * @param {Object} step - Scenario step (see the file header)
+   * @returns {Promise<Object>} Step result
+   * @throws {Error} If the step fails
+   */
+  async runStep(step) {
+    switch (step.action) {
+      case 'wait':
+        await sleep(step.ms || 0);
+        return { waitedMs: step.ms || 0 };
+      case 'crash':
+        return this.crash(step.node);
+      case 'restart':
+        return this.restart(step.node);
+      case 'network': {
+        const { action, ...conditions } = step;
+        return this.configureNetwork(conditions);
+      }
+      case 'reset-network':
+        return this.resetNetwork();
+      case 'partition':
+        return this.partition(step.groups);
+      case 'heal':
+        return this.heal();
+      case 'request': {
+        const node = this._getNode(step.node);
+        const result = await request(`${node.url}${step.path}`, step.method || 'GET', step.body, node.identity);
+        if (step.expectStatus !== undefined && result.status !== step.expectStatus) {
+          throw new Error(`${step.method || 'GET'} ${step.path} on node${step.node} returned ${result.status}, expected ${step.expectStatus}: ${JSON.stringify(result.body)}`);
+        }
+        return result;
+      }
+      case 'expect-converged': {
+        const status = await this.waitForConvergence(step.timeoutMs, step.minLength);
+        return { converged: true, chainLength: status.chainLength };
+      }
+      default:
+        throw new Error(`Unknown scenario action: ${step.action}`);
+    }
+  }
+
+  /**
+   * Internal method to start a node and wait until it answers
+   *
+   * @private
+   */
+  async _spawn(node, peers) {
+    const { consensus, blockIntervalMs, producers, seed, env } = this.options;
+    const producing = consensus === 'none' && (producers === 'all' || node.n === 1);
+    const log = fs.openSync(path.join(this.options.dataDir, `node${node.n}.log`), 'a');
+
+    node.process = spawn(process.execPath, ['src/index.js'], {
+      cwd: SERVER_ROOT,
+      stdio: ['ignore', log, log],
+      env: {
+        ...process.env,
+        PORT: String(node.port),
+        NODE_URL: node.url,
+        CHAIN_STORAGE: 'file',
+        CHAIN_DATA_DIR: node.dataDir,
+        CONSENSUS_MODE: consensus,
+        VALIDATORS: this.nodes.map(other => other.nodeId).join(','),
+        NODE_KEYS_FILE: this._getNodeKeysFile(),
+        BLOCK_INTERVAL_MS: String(blockIntervalMs),
+        PRODUCE_BLOCKS: String(producing),
+        PEERS: peers.map(peer => peer.url).join(','),
+        PEER_HEARTBEAT_MS: '1000',
+        NETWORK_SIMULATOR: 'true',
+        SIMULATOR_SEED: String(seed + node.n),
+        ...env
+      }
+    });
+    fs.closeSync(log);
+
+    node.status = 'running';
+    node.process.once('exit', () => {
+      node.status = 'crashed';
+      node.process = null;
+    });
+
+    const deadline = Date.now() + HEALTH_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const { status } = await request(`${node.url}/health`);
+        if (status === 200) {
+          return;
+        }
+      } catch (error) {
+        // Not listening yet
+      }
+
+      if (node.status !== 'running' || Date.now() >= deadline) {
+        throw new Error(`node${node.n} did not start; see ${path.join(this.options.dataDir, `node${node.n}.log`)}`);
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Internal method to stop a node process and wait for it to exit
+   *
+   * @private
+   */
+  async _kill(node, signal) {
+    const child = node.process;
+    if (!child) {
+      return;
+    }
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill(signal);
+    await exited;
+  }
+
+  /**
+   * Internal method to push the current network conditions and partitions to a node
+   *
+   * @private
+   */
+  async _applyConditions(node) {
+    const group = this.partitions?.find(members => members.includes(node.n));
+    const blockedNodes = this.partitions
+      ? this.nodes.filter(other => other !== node && !group?.includes(other.n)).map(other => other.nodeId)
+      : [];
+    const { seed = this.options.seed, ...conditions } = this.conditions;
+
+    const result = await request(`${node.url}/p2p/simulator`, 'PUT', {
+      ...conditions,
+      seed: seed + node.n,
+      blockedNodes
+    }, node.identity);
+    if (result.status !== 200) {
+      throw new Error(`node${node.n} rejected the network conditions: ${JSON.stringify(result.body)}`);
+    }
+
+    return result.body;
+  }
+
+  /**
+   * Internal helper to get the path of the node keys file shared by every node
+   *
+   * @private
+   */
+  _getNodeKeysFile() {
+    return path.join(this.options.dataDir, 'node-keys.json');
+  }
+
+  /**
+   * Internal helper to run a request against every running node
+   *
+   * @private
+   */
+  async _forEachRunning(fn) {
+    const running = this.nodes.filter(node => node.status === 'running');
+    const results = await Promise.all(running.map(async (node) => {
+      const result = await fn(node);
+      return [`node${node.n}`, result?.body ?? result];
+    }));
+
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Internal helper to look up a node by number
+   *
+   * @private
+   */
+  _getNode(n) {
+    const node = this.nodes[Number(n) - 1];
+    if (!node) {
+      throw new Error(`Unknown node: ${n} (nodes are numbered 1 to ${this.nodes.length})`);
+    }
+    return node;
+  }
+}
+
+/**
+ * Serve the control API
+ */
+function startControlServer(devnet, port) {
+  const app = express();
+  app.use(express.json());
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      res.status(200).json({ success: true, ...(await fn(req)) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  };
+
+  app.get('/nodes', handle(async () => ({ nodes: await devnet.getNodes() })));
+  app.get('/status', handle(() => devnet.getStatus()));
+  app.post('/nodes/:n/crash', handle(req => devnet.crash(req.params.n)));
+  app.post('/nodes/:n/restart', handle(req => devnet.restart(req.params.n)));
+  app.put('/network', handle(async req => ({ nodes: await devnet.configureNetwork(req.body) })));
+  app.delete('/network', handle(async () => ({ nodes: await devnet.resetNetwork() })));
+  app.post('/partitions', handle(async req => ({ nodes: await devnet.partition(req.body.groups) })));
+  app.delete('/partitions', handle(async () => ({ sync: await devnet.heal() })));
+  app.post('/shutdown', (req, res) => {
+    res.status(200).json({ success: true });
+    shutdown(devnet, 0);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(port, () => resolve(server));
+  });
+}
+
+/**
+ * Run a scenario file step by step
+ *
+ * @returns {Promise<boolean>} True if every step passed
+ */
+async function runScenario(devnet, file) {
+  const { steps } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(steps)) {
+    throw new Error(`${file} must contain {"steps": [...]}`);
+  }
+
+  for (const [i, step] of steps.entries()) {
+    const label = `[${i + 1}/${steps.length}] ${step.action}${step.node ? ` node${step.node}` : ''}`;
+    try {
+      await devnet.runStep(step);
+      console.log(`✓ ${label}`);
+    } catch (error) {
+      console.error(`✗ ${label}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+let stopping = false;
+
+async function shutdown(devnet, code) {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+
+  await devnet.stop();
+  process.exit(code);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const devnet = new Devnet(args);
+
+  process.on('SIGINT', () => shutdown(devnet, 130));
+  process.on('SIGTERM', () => shutdown(devnet, 143));
+
+  try {
+    await devnet.start();
+  } catch (error) {
+    await devnet.stop();
+    throw error;
+  }
+
+  for (const node of devnet.nodes) {
+    console.log(`✓ node${node.n} ${node.nodeId} at ${node.url}`);
+  }
+
+  if (args.scenario) {
+    const passed = await runScenario(devnet, args.scenario);
+    console.log(passed ? '✓ Scenario passed' : '✗ Scenario failed');
+    return shutdown(devnet, passed ? 0 : 1);
+  }
+
+  await startControlServer(devnet, args.controlPort);
+  console.log(`✓ Devnet control API at http://localhost:${args.controlPort} (logs in ${args.dataDir})`);
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
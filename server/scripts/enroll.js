@@ -0,0 +1,35 @@
+/**
+ * Enrollment code CLI - print the code an actor needs for a first key registration
+ *
+ * Usage:
+ *   node scripts/enroll.js <actorId>
+ *
+ * Uses ENROLLMENT_SECRET (from the environment or .env), which must match the
+ * node's. Hand the code to the actor out of band; it is sent once as
+ * enrollmentCode to POST /api/keys.
+ */
+
+require('dotenv').config();
+
+const blockchainConfig = require('../src/config/blockchain.js');
+const { createEnrollmentCode } = require('../src/utils/enrollment.js');
+
+function main() {
+  const actorId = process.argv[2];
+  if (!actorId) {
+    throw new Error('Usage:\n  node scripts/enroll.js <actorId>');
+  }
+
+  if (!blockchainConfig.ENROLLMENT_SECRET) {
+    throw new Error('ENROLLMENT_SECRET is not set');
+  }
+
+  console.log(createEnrollmentCode(blockchainConfig.ENROLLMENT_SECRET, actorId));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,220 @@
+/**
+ * Chain snapshot CLI - export, verify and import chain snapshots
+ *
+ * Usage:
+ *   node scripts/snapshot.js export <file> [--url <node-url>]
+ *   node scripts/snapshot.js verify <file>
+ *   node scripts/snapshot.js import <file> [--url <node-url>] [--overwrite]
+ *
+ * With --url the snapshot is exported from / imported into a running node
+ * through its HTTP API (GET /api/blockchain/export, POST /api/blockchain/import).
+ *
+ * Without --url the command works directly on the file storage in
+ * CHAIN_DATA_DIR; stop the node first. Offline snapshots carry no Merkle
+ * trees, since the tree registry only lives in a running node's memory.
+ */
+
+const fs = require('fs');
+
+require('dotenv').config();
+
+const Blockchain = require('../src/core/Blockchain.js');
+const KeyRegistry = require('../src/core/KeyRegistry.js');
+const { createStorage } = require('../src/core/storage/index.js');
+const blockchainConfig = require('../src/config/blockchain.js');
+const ChainSnapshot = require('../src/features/blockchain/ChainSnapshot.js');
+
+const USAGE = `Usage:
+  node scripts/snapshot.js export <file> [--url <node-url>]
+  node scripts/snapshot.js verify <file>
+  node scripts/snapshot.js import <file> [--url <node-url>] [--overwrite]`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { command: argv[0], file: argv[1], url: null, overwrite: false };
+
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      args.url = argv[++i];
+    } else if (argv[i] === '--overwrite') {
+      args.overwrite = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!['export', 'verify', 'import'].includes(args.command) || !args.file) {
+    throw new Error(USAGE);
+  }
+
+  if (args.url) {
+    args.url = args.url.replace(/\/+$/, '');
+  }
+
+  return args;
+}
+
+/**
+ * Read the trusted node keys: NODE_KEYS_FILE, or else the local node's own key, as the node does
+ */
+function readNodeKeys() {
+  if (blockchainConfig.NODE_KEYS_FILE) {
+    return KeyRegistry.readNodeKeys(blockchainConfig.NODE_KEYS_FILE);
+  }
+
+  const identity = blockchainConfig.STORAGE === 'file' && fs.existsSync(blockchainConfig.DATA_DIR)
+    ? createStorage('file', { dataDir: blockchainConfig.DATA_DIR }).loadNodeIdentity()
+    : null;
+
+  return identity ? { [identity.nodeId]: identity.publicKey } : {};
+}
+
+/**
+ * Create a blockchain that validates with the configured sealing rules and node keys
+ */
+function createBlockchain(options = {}) {
+  return new Blockchain({
+    nodeKeys: readNodeKeys(),
+    ...options,
+    sealing: {
+      type: blockchainConfig.SEAL_TYPE,
+      difficulty: blockchainConfig.POW_DIFFICULTY,
+      validators: blockchainConfig.VALIDATORS,
+      legacyPowHeight: blockchainConfig.LEGACY_POW_HEIGHT
+    }
+  });
+}
+
+/**
+ * Open the local chain store (with a key registry, so the mempool can be re-verified)
+ */
+function openLocalChain() {
+  if (blockchainConfig.STORAGE !== 'file') {
+    throw new Error(`Offline snapshots need the file storage backend (CHAIN_STORAGE is '${blockchainConfig.STORAGE}')`);
+  }
+
+  const storage = createStorage('file', { dataDir: blockchainConfig.DATA_DIR });
+  const keyRegistry = new KeyRegistry({ nodeKeys: readNodeKeys() });
+  const blockchain = createBlockchain({ storage, keyRegistry });
+
+  blockchain.load();
+  keyRegistry.attach(blockchain);
+
+  return { blockchain, storage };
+}
+
+/**
+ * Send a request to a running node and parse the JSON response
+ */
+async function request(url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.json();
+
+  if (!response.ok) {
+    const reason = body.reason || body.error?.message || body.error || response.statusText;
+    throw new Error(`${response.status} ${reason}`);
+  }
+
+  return body;
+}
+
+async function exportSnapshot(args) {
+  let snapshot;
+
+  if (args.url) {
+    snapshot = await request(`${args.url}/api/blockchain/export`);
+  } else {
+    const { blockchain, storage } = openLocalChain();
+    snapshot = ChainSnapshot.create(blockchain, {
+      nodeId: storage.loadNodeIdentity()?.nodeId
+    });
+  }
+
+  fs.writeFileSync(args.file, JSON.stringify(snapshot));
+
+  const { manifest } = snapshot;
+  console.log(`✓ Exported ${manifest.chainLength} blocks, ${manifest.pendingTransactionCount} pending transactions and ${manifest.merkleTreeCount} Merkle trees to ${args.file}`);
+  console.log(`  Manifest hash: ${snapshot.manifestHash}`);
+}
+
+async function verifySnapshot(args) {
+  const snapshot = readSnapshot(args.file);
+  const result = ChainSnapshot.verify(snapshot, createBlockchain());
+
+  if (!result.valid) {
+    throw new Error(`Snapshot is invalid: ${result.error}`);
+  }
+
+  console.log(`✓ Snapshot is valid: ${result.manifest.chainLength} blocks, latest ${result.manifest.latestBlockHash}`);
+  console.log(`  Manifest hash: ${snapshot.manifestHash}`);
+}
+
+async function importSnapshot(args) {
+  const snapshot = readSnapshot(args.file);
+
+  if (args.url) {
+    const result = await request(
+      `${args.url}/api/blockchain/import${args.overwrite ? '?overwrite=true' : ''}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(snapshot)
+      }
+    );
+    printImportResult(result);
+    return;
+  }
+
+  const { blockchain } = openLocalChain();
+  const verification = ChainSnapshot.verify(snapshot, blockchain);
+
+  if (!verification.valid) {
+    throw new Error(`Snapshot is invalid: ${verification.error}`);
+  }
+
+  if (!args.overwrite && !ChainSnapshot.extendsChain(snapshot, blockchain.getAllBlocks())) {
+    throw new Error('Snapshot does not extend the local chain; pass --overwrite to replace it');
+  }
+
+  const restored = blockchain.restore(snapshot.blocks, snapshot.pendingTransactions);
+  printImportResult({ ...restored, merkleTrees: 0 });
+
+  if (snapshot.merkleTrees.length > 0) {
+    console.warn(`⚠️  ${snapshot.merkleTrees.length} Merkle trees were not restored; use --url to import into a running node`);
+  }
+}
+
+function readSnapshot(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read snapshot ${file}: ${error.message}`);
+  }
+}
+
+function printImportResult(result) {
+  console.log(`✓ Restored ${result.chainLength} blocks, ${result.pendingTransactions} pending transactions and ${result.merkleTrees} Merkle trees`);
+  if (result.droppedTransactions > 0) {
+    console.warn(`⚠️  Dropped ${result.droppedTransactions} pending transactions that no longer verify`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  switch (args.command) {
+    case 'export':
+      return exportSnapshot(args);
+    case 'verify':
+      return verifySnapshot(args);
+    case 'import':
+      return importSnapshot(args);
+  }
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+// Custom blockchain node configuration
+// Override via environment variables (see server/README.md)
+
+const path = require('path');
+
+const CONSENSUS_MODE = process.env.CONSENSUS_MODE || 'none';
+
+module.exports = {
+  // Storage backend: 'file' (append-only log on disk) or 'memory' (lost on restart)
+  STORAGE: process.env.CHAIN_STORAGE || 'file',
+
+  // Directory holding the block log and mempool for the 'file' backend
+  DATA_DIR: process.env.CHAIN_DATA_DIR || path.join(__dirname, '../../chain-data'),
+
+  // Block producer: seal pending transactions every interval (0 disables) or when a block fills up
+  BLOCK_INTERVAL_MS: parseInt(process.env.BLOCK_INTERVAL_MS || '5000', 10),
+  MAX_BLOCK_SIZE: parseInt(process.env.MAX_BLOCK_SIZE || '100', 10),
+
+  // Consensus protocol: 'none' (this node seals blocks on its own), 'pbft' (validators agree on each
+  // block, tolerates malicious validators) or 'raft' (an elected leader orders blocks, tolerates crashes)
+  CONSENSUS_MODE,
+
+  // Block sealing strategy: 'pow' (proof-of-work), 'poa' (validator signature), 'pbft' (validator
+  // signature plus commit certificate, default with CONSENSUS_MODE=pbft), 'raft' (leader signature
+  // and term, default with CONSENSUS_MODE=raft) or 'none' (dev mode, no seal)
+  SEAL_TYPE: process.env.SEAL_TYPE || (['pbft', 'raft'].includes(CONSENSUS_MODE) ? CONSENSUS_MODE : 'pow'),
+  POW_DIFFICULTY: parseInt(process.env.POW_DIFFICULTY || '2', 10),
+  // Only blocks sealed with SEAL_TYPE are accepted, except proof-of-work blocks up to this height on a
+  // chain that switched from 'pow' to another strategy (0: none)
+  LEGACY_POW_HEIGHT: parseInt(process.env.LEGACY_POW_HEIGHT || '0', 10),
+  // Validator node IDs (comma-separated, same order on every node). Proof-of-authority: nodes allowed
+  // to seal (required). PBFT and Raft: the validator set / cluster members (required).
+  // Without a consensus protocol also the genesis set for on-chain validator governance (see
+  // core/ValidatorRegistry.js). POA_VALIDATORS is accepted as the older name.
+  VALIDATORS: (process.env.VALIDATORS || process.env.POA_VALIDATORS || '').split(',').map(id => id.trim()).filter(Boolean),
+  // JSON file mapping the network's node IDs to their PEM public keys, shared by every node and listing
+  // this one. The keys are trusted before the nodes' registrations are on-chain (PBFT needs them to verify
+  // the first view) and no other node can register a key. Without it a node trusts only its own key, so
+  // every multi-node network needs one. scripts/devnet.js writes one for its nodes
+  NODE_KEYS_FILE: process.env.NODE_KEYS_FILE || null,
+  // PBFT: wait this long for a block before asking for a view change (doubles with each further change)
+  PBFT_VIEW_TIMEOUT_MS: parseInt(process.env.PBFT_VIEW_TIMEOUT_MS || '5000', 10),
+  // Raft: wait between this long and twice as long without a leader before starting an election
+  RAFT_ELECTION_TIMEOUT_MS: parseInt(process.env.RAFT_ELECTION_TIMEOUT_MS || '1500', 10),
+  // Raft: interval between heartbeats from the leader (must be shorter than the election timeout)
+  RAFT_HEARTBEAT_MS: parseInt(process.env.RAFT_HEARTBEAT_MS || '300', 10),
+  // Without a consensus protocol: reject block proposals still undecided after this long
+  PROPOSAL_TTL_MS: parseInt(process.env.PROPOSAL_TTL_MS || '30000', 10),
+  // Without a consensus protocol: proposals voted on at a time; POST /api/consensus/propose answers 503 beyond it
+  MAX_PENDING_PROPOSALS: parseInt(process.env.MAX_PENDING_PROPOSALS || '100', 10),
+
+  // Blocks on top of a block before its transactions count as finalized (receipts, ?wait=finalized);
+  // no competing chain may replace a finalized block. PBFT and Raft only append committed blocks;
+  // without them a chain with more work can still replace the blocks above the finalized ones
+  FINALITY_DEPTH: parseInt(process.env.FINALITY_DEPTH || (['pbft', 'raft'].includes(CONSENSUS_MODE) ? '0' : '2'), 10),
+
+  // Maximum request body accepted by POST /api/blockchain/import
+  SNAPSHOT_MAX_SIZE: process.env.SNAPSHOT_MAX_SIZE || '50mb',
+
+  // Fixed genesis timestamp, so independently started nodes share the same genesis block
+  GENESIS_TIMESTAMP: parseInt(process.env.GENESIS_TIMESTAMP || '0', 10),
+
+  // Seal blocks on this node; followers in a local network can leave sealing to one producer
+  PRODUCE_BLOCKS: process.env.PRODUCE_BLOCKS !== 'false',
+
+  // Secret behind the enrollment codes a first key registration needs (see scripts/enroll.js);
+  // without it this node endorses no new actor keys (nodes register their own)
+  ENROLLMENT_SECRET: process.env.ENROLLMENT_SECRET || null,
+
+  // Consent expiry sweeper: write expiry records for expired consents every interval (0 disables),
+  // announce consents expiring within the notice window (0 disables), optionally to a webhook
+  CONSENT_SWEEP_INTERVAL_MS: parseInt(process.env.CONSENT_SWEEP_INTERVAL_MS || '60000', 10),
+  CONSENT_EXPIRY_NOTICE_MS: parseInt(process.env.CONSENT_EXPIRY_NOTICE_MS || '86400000', 10),
+  CONSENT_EXPIRY_WEBHOOK_URL: process.env.CONSENT_EXPIRY_WEBHOOK_URL || null,
+
+  // Actor IDs of the privacy officers who review break-glass accesses (comma-separated); they
+  // register keys like other actors and sign their reviews
+  PRIVACY_OFFICERS: (process.env.PRIVACY_OFFICERS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+  // Peer-to-peer networking
+  // URL peers reach this node at (default http://localhost:PORT)
+  NODE_URL: process.env.NODE_URL || null,
+  // Peers to connect to on startup (comma-separated URLs)
+  PEERS: (process.env.PEERS || '').split(',').map(url => url.trim()).filter(Boolean),
+  PEER_TIMEOUT_MS: parseInt(process.env.PEER_TIMEOUT_MS || '3000', 10),
+  PEER_HEARTBEAT_MS: parseInt(process.env.PEER_HEARTBEAT_MS || '10000', 10),
+  PEER_MAX_FAILURES: parseInt(process.env.PEER_MAX_FAILURES || '3', 10),
+  P2P_MAX_MESSAGE_SIZE: process.env.P2P_MAX_MESSAGE_SIZE || '10mb',
+
+  // Fault injection for requests to peers (latency, drops, partitions), controlled through
+  // /p2p/simulator; for development networks only (see scripts/devnet.js), refused with NODE_ENV=production
+  NETWORK_SIMULATOR: process.env.NETWORK_SIMULATOR === 'true',
+  // Seed for simulated drops and jitter, so runs are reproducible
+  SIMULATOR_SEED: parseInt(process.env.SIMULATOR_SEED || '1', 10)
+};
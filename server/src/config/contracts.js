@@ -11,6 +11,10 @@ module.exports = {
   
   // Use first Hardhat account (or set your own via env)
   // This is the default Hardhat account #0 private key
-  PRIVATE_KEY: process.env.CONTRACT_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+  PRIVATE_KEY: process.env.CONTRACT_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+
+  // Consent checked before record access (GET /api/records/:recordId): 'chain' (ConsentContract on
+  // the custom blockchain) or 'contract' (the ConsentManagement contract above)
+  CONSENT_SOURCE: process.env.CONSENT_SOURCE || 'chain'
 };
 
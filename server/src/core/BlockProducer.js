@@ -0,0 +1,144 @@
+/**
+ * Block Producer
+ *
+ * Seals pending transactions into blocks so they become visible to chain
+ * queries (consent history, audit logs, transaction search).
+ *
+ * A block is sealed when either:
+ * - the sealing interval elapses and the mempool is not empty, or
+ * - the sealing interval elapses while callers wait for a transaction to be
+ *   finalized (see TransactionTracker.hasFinalityWaiters); the block may be
+ *   empty, since finality needs blocks on top even on an idle chain, or
+ * - the mempool reaches the maximum block size
+ *
+ * Sealing can also be triggered on demand with seal().
+ */
+
+class BlockProducer {
+  /**
+   * @param {Blockchain} blockchain - Blockchain to seal blocks on
+   * @param {Object} options - Producer options
+   * @param {number} options.intervalMs - Sealing interval in ms (0 disables interval sealing)
+   * @param {number} options.maxBlockSize - Max transactions per block; reaching it triggers a seal
+   * @param {TransactionTracker} options.tracker - Tracker whose finality waiters warrant empty blocks (optional)
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.intervalMs = options.intervalMs ?? 5000;
+    this.maxBlockSize = options.maxBlockSize ?? 100;
+    this.tracker = options.tracker || null;
+    this.timer = null;
+    this.running = false;
+    this.sealScheduled = false;
+    this.lastSealedAt = null;
+    this.blocksSealed = 0;
+
+    this._onTransaction = this._onTransaction.bind(this);
+  }
+
+  /**
+   * Start interval and size-based sealing
+   */
+  start() {
+    if (this.isRunning()) {
+      return;
+    }
+
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this._sealSafely(), this.intervalMs);
+      this.timer.unref();
+    }
+
+    this.blockchain.on('transaction', this._onTransaction);
+    this.running = true;
+  }
+
+  /**
+   * Stop automatic sealing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.blockchain.off('transaction', this._onTransaction);
+    this.running = false;
+  }
+
+  /**
+   * Check if automatic sealing is active
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Seal pending transactions into a new block
+   *
+   * @returns {Object|null} Sealed block, or null if the mempool is empty and
+   *   nobody waits for finality
+   */
+  seal() {
+    const awaitingFinality = this.tracker?.hasFinalityWaiters() ?? false;
+    if (this.blockchain.getPendingTransactions().length === 0 && !awaitingFinality) {
+      return null;
+    }
+
+    const block = this.blockchain.minePendingTransactions(null, this.maxBlockSize, { allowEmpty: awaitingFinality });
+    this.lastSealedAt = Date.now();
+    this.blocksSealed++;
+
+    return block;
+  }
+
+  /**
+   * Get producer status
+   */
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      intervalMs: this.intervalMs,
+      maxBlockSize: this.maxBlockSize,
+      sealType: this.blockchain.sealer.type,
+      pendingTransactions: this.blockchain.getPendingTransactions().length,
+      blocksSealed: this.blocksSealed,
+      lastSealedAt: this.lastSealedAt
+    };
+  }
+
+  /**
+   * Internal handler: seal as soon as the mempool fills a block
+   *
+   * Sealing is deferred so the caller that added the transaction finishes first.
+   *
+   * @private
+   */
+  _onTransaction() {
+    if (this.sealScheduled ||
+        this.blockchain.getPendingTransactions().length < this.maxBlockSize) {
+      return;
+    }
+
+    this.sealScheduled = true;
+    setImmediate(() => {
+      this.sealScheduled = false;
+      this._sealSafely();
+    });
+  }
+
+  /**
+   * Internal method to seal from timers without crashing the process
+   *
+   * @private
+   */
+  _sealSafely() {
+    try {
+      this.seal();
+    } catch (error) {
+      console.error('[BlockProducer] Failed to seal block:', error.message);
+    }
+  }
+}
+
+module.exports = BlockProducer;
@@ -0,0 +1,122 @@
+const Blockchain = require('./Blockchain.js');
+const BlockProducer = require('./BlockProducer.js');
+const TransactionTracker = require('./TransactionTracker.js');
+const { stampTransaction } = require('../utils/signing.js');
+
+function createChain(sealType = 'none') {
+  const blockchain = new Blockchain({ sealing: { type: sealType, validators: ['node-1'] } });
+  blockchain.createGenesisBlock(0);
+  return blockchain;
+}
+
+function addTransactions(blockchain, count) {
+  for (let i = 0; i < count; i++) {
+    blockchain.addTransaction(stampTransaction({ from: 'system', to: 'audit-log', data: { i } }));
+  }
+}
+
+describe('BlockProducer', () => {
+  let blockchain;
+  let producer;
+
+  beforeEach(() => {
+    blockchain = createChain();
+  });
+
+  afterEach(() => {
+    producer?.stop();
+    jest.useRealTimers();
+  });
+
+  it('seals pending transactions on demand', () => {
+    producer = new BlockProducer(blockchain, { intervalMs: 0 });
+    addTransactions(blockchain, 3);
+
+    const block = producer.seal();
+
+    expect(block.index).toBe(1);
+    expect(block.transactions).toHaveLength(3);
+    expect(blockchain.getPendingTransactions()).toHaveLength(0);
+    expect(producer.getStatus()).toMatchObject({ blocksSealed: 1, pendingTransactions: 0, sealType: 'none' });
+  });
+
+  it('does not seal an empty mempool', () => {
+    producer = new BlockProducer(blockchain, { intervalMs: 0 });
+
+    expect(producer.seal()).toBeNull();
+    expect(blockchain.getChainLength()).toBe(1);
+  });
+
+  it('caps blocks at the maximum block size, oldest transactions first', () => {
+    producer = new BlockProducer(blockchain, { intervalMs: 0, maxBlockSize: 2 });
+    addTransactions(blockchain, 3);
+
+    const block = producer.seal();
+
+    expect(block.transactions.map(tx => tx.data.i)).toEqual([0, 1]);
+    expect(blockchain.getPendingTransactions().map(tx => tx.data.i)).toEqual([2]);
+  });
+
+  it('seals on the interval while running', () => {
+    jest.useFakeTimers();
+    producer = new BlockProducer(blockchain, { intervalMs: 1000 });
+    producer.start();
+    addTransactions(blockchain, 1);
+
+    jest.advanceTimersByTime(999);
+    expect(blockchain.getChainLength()).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(blockchain.getChainLength()).toBe(2);
+
+    producer.stop();
+    addTransactions(blockchain, 1);
+    jest.advanceTimersByTime(5000);
+    expect(blockchain.getChainLength()).toBe(2);
+    expect(producer.isRunning()).toBe(false);
+  });
+
+  it('seals as soon as the mempool fills a block', async () => {
+    producer = new BlockProducer(blockchain, { intervalMs: 0, maxBlockSize: 2 });
+    producer.start();
+
+    addTransactions(blockchain, 1);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(blockchain.getChainLength()).toBe(1);
+
+    addTransactions(blockchain, 1);
+    expect(blockchain.getChainLength()).toBe(1);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(blockchain.getChainLength()).toBe(2);
+  });
+
+  it('seals empty blocks on the interval only while a caller waits for finality', async () => {
+    jest.useFakeTimers();
+    const tracker = new TransactionTracker(blockchain, { finalityDepth: 2 });
+    producer = new BlockProducer(blockchain, { intervalMs: 1000, tracker });
+    producer.start();
+    addTransactions(blockchain, 1);
+    const [tx] = blockchain.getPendingTransactions();
+
+    const finalized = tracker.waitFor(tx.id, 'finalized', 60000);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(tracker.hasFinalityWaiters()).toBe(true);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(await finalized).toMatchObject({ reached: true, receipt: { status: 'finalized', confirmations: 2 } });
+    expect(blockchain.getBlock(3).transactions).toEqual([]);
+    expect(tracker.hasFinalityWaiters()).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(blockchain.getChainLength()).toBe(4);
+    expect(producer.seal()).toBeNull();
+  });
+
+  it('leaves blocks sealed through consensus to the consensus protocol', () => {
+    blockchain = createChain('pbft');
+    producer = new BlockProducer(blockchain, { intervalMs: 0 });
+    addTransactions(blockchain, 1);
+
+    expect(() => producer.seal()).toThrow('committed through consensus');
+  });
+});
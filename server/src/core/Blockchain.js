@@ -6,30 +6,148 @@
  */
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const { hashCanonical } = require('../utils/canonicalJson.js');
+const TransactionIndex = require('./TransactionIndex.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const { createSealer, createAcceptedSealers } = require('./sealing/index.js');
 
-class Blockchain {
-  constructor() {
+/**
+ * Block hash formats, recorded in block.hashVersion:
+ * - 1 (legacy, blocks without hashVersion): SHA-256 over concatenated fields with
+ *   JSON.stringify'd transactions; Merkle leaves are JSON.stringify'd transactions
+ * - 2: SHA-256 over the canonical JSON of the block header (see getBlockHeader);
+ *   transactions are committed through merkleRoot, whose leaves are canonical JSON
+ */
+const LEGACY_HASH_VERSION = 1;
+const HASH_VERSION = 2;
+
+/**
+ * Events:
+ * - 'transaction' (transaction): a transaction entered the mempool
+ * - 'block' (block): a block was appended to the chain
+ * - 'reset': the whole chain was replaced (see restore, replaceChain)
+ * - 'fork' ({commonAncestor, blocksRemoved, blocksAdded}): replaceChain switched
+ *   to a competing branch, dropping local blocks (emitted after 'reset')
+ * - 'dropped' (transactions, reason): pending or orphaned transactions left out of
+ *   a restored chain and mempool because they no longer verify (see restore)
+ */
+class Blockchain extends EventEmitter {
+  /**
+   * @param {Object} options - Blockchain options
+   * @param {Object} options.storage - Storage backend (see core/storage); in-memory only if omitted
+   * @param {KeyRegistry} options.keyRegistry - Key registry used to verify transaction signatures
+   * @param {Object} options.nodeKeys - Node keys known before any registration (see KeyRegistry);
+   *   defaults to the key registry's
+   * @param {Object} options.sealing - Sealing strategy {type: 'pow'|'poa'|'pbft'|'raft'|'none', difficulty, validators} (default pow)
+   * @param {number} options.finalityDepth - Blocks on top of a block before it is final and no
+   *   competing chain may replace it; if omitted, no block is final
+   */
+  constructor(options = {}) {
+    super();
     this.chain = [];
     this.pendingTransactions = [];
-    this.difficulty = 2; // For proof-of-work (simplified)
     this.miningReward = 0; // No mining rewards in permissioned blockchain
+    this.sealing = { type: 'pow', ...options.sealing };
+    this.sealer = createSealer(this.sealing.type, this.sealing);
+    this.sealers = createAcceptedSealers(this.sealing.type, this.sealing);
+    this.finalityDepth = options.finalityDepth ?? null;
+    this.storage = options.storage || null;
+    this.keyRegistry = options.keyRegistry || null;
+    this.nodeKeys = options.nodeKeys || options.keyRegistry?.nodeKeys || {};
+    this.systemSigner = null;
+    this.transactionIndex = new TransactionIndex();
+
+    if (this.finalityDepth !== null && (!Number.isInteger(this.finalityDepth) || this.finalityDepth < 0)) {
+      throw new Error('finalityDepth must be a non-negative integer');
+    }
+
+    this.chainKeys = new KeyRegistry({ nodeKeys: this.nodeKeys }); // keys registered on-chain only (no mempool), for validating blocks
+  }
+
+  /**
+   * Set the signer for transactions the node submits as 'system'
+   * 
+   * @param {Object} signer - Object with signTransaction(transaction) (e.g. NodeManager)
+   */
+  setSystemSigner(signer) {
+    this.systemSigner = signer;
+  }
+
+  /**
+   * Load chain and mempool from the storage backend
+   * 
+   * The stored chain is fully re-validated before it is adopted. A store that
+   * fails validation is never silently repaired - the caller must refuse to start.
+   * 
+   * Stored pending transactions are re-verified in order against the on-chain
+   * key registry (plus registrations earlier in the mempool); those that are
+   * unsigned, mis-signed, duplicated or already on the chain are dropped with
+   * a 'dropped' event rather than mined.
+   * 
+   * @returns {number} Number of blocks loaded
+   */
+  load() {
+    if (!this.storage) {
+      return 0;
+    }
+
+    const blocks = this.storage.loadBlocks();
+
+    if (blocks.length > 0) {
+      const validation = this.validateChain(blocks);
+      if (!validation.valid) {
+        throw new Error(`Corrupted chain store: ${validation.error}`);
+      }
+    }
+
+    this.chain = blocks;
+    this._rebuildChainState();
+
+    const keys = this.chainKeys.clone();
+    const seen = new Set();
+    const dropped = [];
+    this.pendingTransactions = [];
+
+    for (const tx of this.storage.loadPendingTransactions()) {
+      if (!tx?.id || !tx.timestamp || seen.has(tx.id) || this.findTransaction(tx.id) ||
+          !tx.from || !tx.to || !tx.data || !keys.verifyTransaction(tx)) {
+        dropped.push(tx);
+        continue;
+      }
+
+      seen.add(tx.id);
+      keys.apply(tx);
+      this.pendingTransactions.push(tx);
+    }
+
+    if (dropped.length > 0) {
+      this._persistPendingTransactions();
+      this.emit('dropped', dropped, 'Stored pending transaction does not verify');
+    }
+
+    return this.chain.length;
   }
 
   /**
    * Create the genesis block
+   * 
+   * @param {number} timestamp - Genesis timestamp; nodes of one network must use the same
+   *   value so they share a genesis block (default: now)
    */
-  createGenesisBlock() {
+  createGenesisBlock(timestamp = Date.now()) {
     const genesisBlock = {
       index: 0,
-      timestamp: Date.now(),
+      hashVersion: HASH_VERSION,
+      timestamp,
       transactions: [],
       previousHash: '0',
-      hash: this.calculateHash(0, Date.now(), [], '0'),
       nonce: 0,
       merkleRoot: this.calculateMerkleRoot([])
     };
+    genesisBlock.hash = this.calculateBlockHash(genesisBlock);
     
-    this.chain.push(genesisBlock);
+    this._appendBlock(genesisBlock);
     return genesisBlock;
   }
 
@@ -47,6 +165,34 @@ class Blockchain {
     return this.chain.length;
   }
 
+  /**
+   * Get the cumulative work of a chain: the sum of the work its block seals
+   * stand for (see the sealers' getWork). The genesis block is not sealed and
+   * blocks sealed with a type this node does not accept count for nothing.
+   *
+   * @param {Array} blocks - Blocks in chain order, starting at genesis (default: the local chain)
+   * @returns {number} Work
+   */
+  getChainWork(blocks = this.chain) {
+    return blocks.slice(1).reduce((work, block) => {
+      const sealer = this.sealers.get(this.getSealType(block));
+      return work + (sealer ? sealer.getWork(block) : 0);
+    }, 0);
+  }
+
+  /**
+   * Get the index of the highest final block, which a competing chain may not
+   * replace (see replaceChain)
+   *
+   * @returns {number} Block index, or -1 if no block is final
+   */
+  getFinalizedHeight() {
+    if (this.finalityDepth === null) {
+      return -1;
+    }
+    return Math.max(this.chain.length - 1 - this.finalityDepth, -1);
+  }
+
   /**
    * Get total number of transactions
    */
@@ -56,85 +202,226 @@ class Blockchain {
 
   /**
    * Add a new transaction to the pending pool
+   * 
+   * The transaction keeps the id and timestamp its signature covers (see
+   * utils/signing.js); an id already in the chain or the mempool is rejected,
+   * so a signed transaction cannot be replayed.
    */
   addTransaction(transaction) {
     if (!transaction.from || !transaction.to || !transaction.data) {
       throw new Error('Transaction must include from, to, and data fields');
     }
 
+    if (typeof transaction.id !== 'string' || !transaction.id || !Number.isFinite(transaction.timestamp)) {
+      throw new Error('Transaction must include the signed id and timestamp fields');
+    }
+
+    if (this.findTransaction(transaction.id)) {
+      throw new Error(`Transaction ${transaction.id} was already submitted`);
+    }
+
+    const permissionError = this.keyRegistry?.getPermissionError(transaction);
+    if (permissionError) {
+      throw new Error(`Invalid transaction: ${permissionError}`);
+    }
+
     // Validate transaction
     if (!this.isValidTransaction(transaction)) {
-      throw new Error('Invalid transaction');
+      throw new Error(transaction.signature
+        ? 'Invalid transaction: signature does not match a registered key for the sender'
+        : 'Invalid transaction: transaction must be signed');
     }
 
-    this.pendingTransactions.push({
-      ...transaction,
-      timestamp: Date.now(),
-      id: crypto.randomUUID()
-    });
+    const added = { ...transaction };
+    this.pendingTransactions.push(added);
+    this._persistPendingTransactions();
+    this.emit('transaction', added);
 
-    return this.pendingTransactions[this.pendingTransactions.length - 1];
+    return added;
+  }
+
+  /**
+   * Sign a transaction with the node key and add it as 'system'
+   * 
+   * Used by contracts for records the node itself attests to (consent grants,
+   * audit entries, Merkle roots).
+   * 
+   * @param {Object} transaction - Transaction {to, data}
+   * @returns {Object} Pending transaction
+   */
+  addSystemTransaction(transaction) {
+    if (!this.systemSigner) {
+      throw new Error('No system signer configured for this node');
+    }
+
+    return this.addTransaction(this.systemSigner.signTransaction({
+      ...transaction,
+      from: 'system'
+    }));
   }
 
   /**
    * Mine pending transactions into a new block
+   * 
+   * @param {string} miningRewardAddress - Unused (no mining rewards in permissioned blockchain)
+   * @param {number} maxTransactions - Maximum transactions to include (oldest first); all if omitted
+   * @param {Object} options - Mining options
+   * @param {boolean} options.allowEmpty - Mine a block even if the mempool is empty
    */
-  minePendingTransactions(miningRewardAddress = null) {
-    if (this.pendingTransactions.length === 0) {
+  minePendingTransactions(miningRewardAddress = null, maxTransactions = null, options = {}) {
+    if (this.sealer.requiresConsensus) {
+      throw new Error(`Blocks sealed with '${this.sealer.type}' are committed through consensus, not mined locally`);
+    }
+
+    const block = this.createBlock(maxTransactions, { allowEmpty: options.allowEmpty });
+
+    // Add block to chain
+    this._appendBlock(block);
+
+    // Remove mined transactions from the pool
+    this.pendingTransactions = this.pendingTransactions.slice(block.transactions.length);
+    this._persistPendingTransactions();
+
+    return block;
+  }
+
+  /**
+   * Build and seal the next block from the mempool without appending it
+   * 
+   * Consensus protocols propose such a block to the other validators and
+   * append it once it is committed. A protocol that replicates several
+   * uncommitted blocks (Raft) builds on the last of them; their transactions
+   * are left out of the new block.
+   * 
+   * @param {number} maxTransactions - Maximum transactions to include (oldest first); all if omitted
+   * @param {Object} options - Block options
+   * @param {Array} options.transactions - Transactions to include instead of the mempool's
+   * @param {Array} options.previousBlocks - Uncommitted blocks the new block follows, in chain order
+   * @param {boolean} options.allowEmpty - Build a block even if there is nothing to include
+   * @param {number} options.term - Consensus term to record in the header (Raft)
+   * @returns {Object} Sealed block
+   */
+  createBlock(maxTransactions = null, options = {}) {
+    const previousBlocks = options.previousBlocks || [];
+    const uncommitted = new Set(previousBlocks.flatMap(block => block.transactions.map(tx => tx.id)));
+    const candidates = (options.transactions || this.pendingTransactions).filter(tx => !uncommitted.has(tx.id));
+
+    if (candidates.length === 0 && !options.allowEmpty) {
       throw new Error('No pending transactions to mine');
     }
 
+    const includedCount = maxTransactions
+      ? Math.min(maxTransactions, candidates.length)
+      : candidates.length;
+    const previousBlock = previousBlocks[previousBlocks.length - 1] || this.getLatestBlock();
+
     const block = {
-      index: this.chain.length,
+      index: previousBlock.index + 1,
+      hashVersion: HASH_VERSION,
       timestamp: Date.now(),
-      transactions: [...this.pendingTransactions],
-      previousHash: this.getLatestBlock().hash,
+      transactions: candidates.slice(0, includedCount),
+      previousHash: previousBlock.hash,
       nonce: 0,
-      merkleRoot: null
+      merkleRoot: null,
+      sealType: this.sealer.type
     };
 
+    if (options.term !== undefined) {
+      block.term = options.term;
+    }
+
     // Calculate merkle root
     block.merkleRoot = this.calculateMerkleRoot(block.transactions);
 
-    // Proof of work (simplified)
-    block.hash = this.proofOfWork(block);
+    // Seal with the configured strategy (proof-of-work, proof-of-authority, pbft, raft or none)
+    block.hash = this.sealer.seal(block, this, { previousBlocks });
 
-    // Add block to chain
-    this.chain.push(block);
+    return block;
+  }
 
-    // Clear pending transactions
-    this.pendingTransactions = [];
+  /**
+   * Calculate hash for a block, using the hash format the block records
+   */
+  calculateBlockHash(block) {
+    if (this.getHashVersion(block) === LEGACY_HASH_VERSION) {
+      return this.calculateHash(
+        block.index,
+        block.timestamp,
+        block.transactions,
+        block.previousHash,
+        block.nonce,
+        block.merkleRoot
+      );
+    }
 
-    return block;
+    return hashCanonical(this.getBlockHeader(block));
   }
 
   /**
-   * Simple proof-of-work algorithm
+   * Get the header fields covered by the block hash (hash format 2+)
+   * 
+   * sealType and sealer are only present on blocks sealed since sealing became
+   * pluggable, and term only on blocks ordered by Raft; canonical JSON omits
+   * them otherwise, so older hashes are unchanged.
    */
-  proofOfWork(block) {
-    let hash = this.calculateBlockHash(block);
-    const target = '0'.repeat(this.difficulty);
+  getBlockHeader(block) {
+    return {
+      hashVersion: block.hashVersion,
+      index: block.index,
+      timestamp: block.timestamp,
+      previousHash: block.previousHash,
+      merkleRoot: block.merkleRoot,
+      nonce: block.nonce,
+      sealType: block.sealType,
+      sealer: block.sealer,
+      term: block.term
+    };
+  }
 
-    while (hash.substring(0, this.difficulty) !== target) {
-      block.nonce++;
-      hash = this.calculateBlockHash(block);
-    }
+  /**
+   * Get a block's compact header for light clients
+   * 
+   * The hashed header fields plus the hash and the seal that are not hashed
+   * (sealer signature, PBFT commit certificate): enough to check that headers
+   * link up and are sealed, and to check Merkle proofs against merkleRoot,
+   * without the transactions. Legacy blocks (hash format 1) hash their
+   * transactions, so their headers cannot be checked on their own.
+   * 
+   * @param {Object} block - Block
+   * @returns {Object} Compact header
+   */
+  getCompactHeader(block) {
+    return {
+      ...this.getBlockHeader(block),
+      hashVersion: this.getHashVersion(block),
+      hash: block.hash,
+      signature: block.signature,
+      commitCertificate: block.commitCertificate,
+      transactionCount: block.transactions.length
+    };
+  }
 
-    return hash;
+  /**
+   * Get the sealing strategy of a block (untagged blocks were mined with proof-of-work)
+   */
+  getSealType(block) {
+    return block.sealType || 'pow';
   }
 
   /**
-   * Calculate hash for a block
+   * Get the hash format of a block (blocks without a tag are legacy)
    */
-  calculateBlockHash(block) {
-    return this.calculateHash(
-      block.index,
-      block.timestamp,
-      block.transactions,
-      block.previousHash,
-      block.nonce,
-      block.merkleRoot
-    );
+  getHashVersion(block) {
+    return block.hashVersion || LEGACY_HASH_VERSION;
+  }
+
+  /**
+   * Calculate the Merkle leaf hash of a transaction for a hash format
+   */
+  calculateTransactionHash(transaction, hashVersion = HASH_VERSION) {
+    return hashVersion === LEGACY_HASH_VERSION
+      ? this.calculateHash(transaction)
+      : hashCanonical(transaction);
   }
 
   /**
@@ -150,69 +437,373 @@ class Blockchain {
 
   /**
    * Calculate Merkle root from transactions
+   * 
+   * @param {Array} transactions - Block transactions
+   * @param {number} hashVersion - Hash format of the block (defaults to current)
    */
-  calculateMerkleRoot(transactions) {
+  calculateMerkleRoot(transactions, hashVersion = HASH_VERSION) {
     if (transactions.length === 0) {
       return crypto.createHash('sha256').update('').digest('hex');
     }
 
     if (transactions.length === 1) {
-      return this.calculateHash(transactions[0]);
+      return this.calculateTransactionHash(transactions[0], hashVersion);
     }
 
     // Simple binary Merkle tree
-    let tree = transactions.map(tx => this.calculateHash(tx));
+    let tree = transactions.map(tx => this.calculateTransactionHash(tx, hashVersion));
 
     while (tree.length > 1) {
-      const newTree = [];
-      for (let i = 0; i < tree.length; i += 2) {
-        if (i + 1 < tree.length) {
-          newTree.push(this.calculateHash(tree[i] + tree[i + 1]));
-        } else {
-          newTree.push(tree[i]);
-        }
-      }
-      tree = newTree;
+      tree = this._nextMerkleLevel(tree);
     }
 
     return tree[0];
   }
 
+  /**
+   * Build a Merkle inclusion proof for the transaction at a given position
+   * 
+   * The proof matches calculateMerkleRoot: pairs are hashed left-to-right and
+   * an odd node at the end of a level is promoted without a sibling.
+   * 
+   * @param {Array} transactions - Block transactions
+   * @param {number} position - Index of the transaction within the block
+   * @param {number} hashVersion - Hash format of the block (defaults to current)
+   * @returns {Object} Proof {leaf, path: Array<{hash, position: 'left'|'right'}>, root}
+   */
+  getMerkleProof(transactions, position, hashVersion = HASH_VERSION) {
+    if (position < 0 || position >= transactions.length) {
+      throw new Error('Transaction position out of range');
+    }
+
+    let level = transactions.map(tx => this.calculateTransactionHash(tx, hashVersion));
+    let index = position;
+    const leaf = level[index];
+    const path = [];
+
+    while (level.length > 1) {
+      const isRight = index % 2 === 1;
+      const siblingIndex = isRight ? index - 1 : index + 1;
+
+      if (siblingIndex < level.length) {
+        path.push({
+          hash: level[siblingIndex],
+          position: isRight ? 'left' : 'right'
+        });
+      }
+
+      level = this._nextMerkleLevel(level);
+      index = Math.floor(index / 2);
+    }
+
+    return {
+      leaf,
+      path,
+      root: level[0]
+    };
+  }
+
+  /**
+   * Verify a Merkle inclusion proof produced by getMerkleProof
+   * 
+   * @param {Object} proof - Proof {leaf, path}
+   * @param {string} root - Expected Merkle root (e.g. block.merkleRoot)
+   * @returns {boolean} True if the leaf is included under root
+   */
+  verifyMerkleProof(proof, root) {
+    if (!proof || !proof.leaf || !Array.isArray(proof.path)) {
+      return false;
+    }
+
+    let currentHash = proof.leaf;
+    for (const sibling of proof.path) {
+      currentHash = sibling.position === 'left'
+        ? this.calculateHash(sibling.hash + currentHash)
+        : this.calculateHash(currentHash + sibling.hash);
+    }
+
+    return currentHash === root;
+  }
+
   /**
    * Validate a transaction
    */
   isValidTransaction(transaction) {
-    // Basic validation - in production, this would check signatures, permissions, etc.
-    return transaction.from && transaction.to && transaction.data;
+    if (!transaction || !transaction.from || !transaction.to || !transaction.data) {
+      return false;
+    }
+
+    // Signatures and sender permissions are verified against the key registry when one is configured
+    if (this.keyRegistry && (!this.keyRegistry.verifyTransaction(transaction) || this.keyRegistry.getPermissionError(transaction))) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
    * Validate the entire chain
    */
   isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+    return this.validateChain(this.chain).valid;
+  }
 
-      // Check if current block hash is valid
-      const currentHash = this.calculateBlockHash(currentBlock);
-      if (currentBlock.hash !== currentHash) {
-        return false;
-      }
+  /**
+   * Validate a sequence of blocks from genesis
+   * 
+   * Checks block numbering and linkage, block hashes, Merkle roots, the seal
+   * of every block (dispatched on block.sealType) and every transaction: each
+   * must be signed by a registered key whose actor may send it (see
+   * KeyRegistry.getPermissionError) and appear only once in the chain. Used
+   * for the local chain as well as chains received from elsewhere (stores,
+   * snapshots, peers through replaceChain), which are thus held to the same
+   * rules as blocks added one by one (see validateBlock).
+   * 
+   * Transaction signatures and seals are checked against the key registry as
+   * of each block, replayed from the chain being validated.
+   * 
+   * @param {Array} chain - Blocks in chain order, starting at genesis
+   * @returns {Object} {valid, error, blockIndex} - error and blockIndex describe the first failure
+   */
+  validateChain(chain) {
+    if (!Array.isArray(chain) || chain.length === 0) {
+      return { valid: false, error: 'chain is empty', blockIndex: null };
+    }
 
-      // Check if previous hash matches
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        return false;
+    const keys = new KeyRegistry({ nodeKeys: this.nodeKeys });
+    const knownIds = new Set();
+
+    for (let i = 0; i < chain.length; i++) {
+      const error = this._getBlockError(chain[i], i === 0 ? null : chain[i - 1], keys, { knownIds });
+      if (error) {
+        return { valid: false, error: `block ${i}: ${error}`, blockIndex: i };
       }
+    }
 
-      // Validate Merkle root
-      const calculatedMerkleRoot = this.calculateMerkleRoot(currentBlock.transactions);
-      if (currentBlock.merkleRoot !== calculatedMerkleRoot) {
-        return false;
+    return { valid: true, error: null, blockIndex: null };
+  }
+
+  /**
+   * Validate a block received from a peer as the next block of the local chain
+   * 
+   * Runs the checks of validateChain for this one block: every transaction
+   * must be new to the local chain and correctly signed, with signers resolved
+   * against the on-chain key registry (including registrations earlier in the
+   * same block).
+   * 
+   * @param {Object} block - Candidate block
+   * @param {Object} options - Validation options
+   * @param {boolean} options.proposal - The block is a consensus proposal, not yet committed
+   *   (seals that need a commit certificate are checked without it)
+   * @returns {Object} {valid, error}
+   */
+  validateBlock(block, options = {}) {
+    const error = this._getBlockError(block, this.getLatestBlock(), this.chainKeys.clone(), {
+      proposal: !!options.proposal
+    });
+
+    return { valid: !error, error };
+  }
+
+  /**
+   * Add a transaction received from a peer to the mempool
+   * 
+   * Unlike addTransaction, the transaction keeps the id and timestamp it was
+   * created with, so every node refers to it the same way.
+   * 
+   * @param {Object} transaction - Signed transaction with id and timestamp
+   * @returns {Object|null} The pending transaction, or null if it is already known
+   */
+  receiveTransaction(transaction) {
+    if (!transaction || !transaction.id || !transaction.timestamp) {
+      throw new Error('Transaction must include id and timestamp fields');
+    }
+
+    if (this.findTransaction(transaction.id)) {
+      return null;
+    }
+
+    if (!this.isValidTransaction(transaction)) {
+      throw new Error('Invalid transaction: signature does not match a registered key for the sender');
+    }
+
+    this.pendingTransactions.push(transaction);
+    this._persistPendingTransactions();
+    this.emit('transaction', transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Append a block received from a peer
+   * 
+   * Returns a status instead of throwing for blocks that do not fit the local
+   * chain, so the caller can decide to sync:
+   * - 'appended': the block extended the chain
+   * - 'duplicate': the block is already on the chain
+   * - 'ahead': the block is beyond the next height (blocks are missing)
+   * - 'fork': the block conflicts with the local chain
+   * 
+   * @param {Object} block - Block
+   * @returns {string} Status
+   */
+  receiveBlock(block) {
+    if (!block || !Number.isInteger(block.index) || block.index < 0) {
+      throw new Error('Invalid block: missing index');
+    }
+
+    if (block.index < this.chain.length) {
+      return this.chain[block.index].hash === block.hash ? 'duplicate' : 'fork';
+    }
+
+    if (block.index > this.chain.length) {
+      return 'ahead';
+    }
+
+    if (block.previousHash !== this.getLatestBlock()?.hash) {
+      return 'fork';
+    }
+
+    const validation = this.validateBlock(block);
+    if (!validation.valid) {
+      throw new Error(`Invalid block: ${validation.error}`);
+    }
+
+    this._appendBlock(block);
+
+    const included = new Set(block.transactions.map(tx => tx.id));
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !included.has(tx.id));
+    this._persistPendingTransactions();
+
+    return 'appended';
+  }
+
+  /**
+   * Replace the chain and mempool with a validated copy (e.g. a restored snapshot)
+   * 
+   * The blocks are fully re-validated before anything is changed. Pending
+   * transactions are re-verified against the key registry as rebuilt from the
+   * new chain; those that no longer verify are dropped.
+   * 
+   * Emits 'reset' once the new chain is in place so derived state (key
+   * registry, indexes) can rebuild, and 'dropped' for the transactions that
+   * are in neither the new chain nor the mempool.
+   * 
+   * @param {Array} blocks - Blocks in chain order, starting at genesis
+   * @param {Array} pendingTransactions - Mempool to restore
+   * @returns {Object} {chainLength, pendingTransactions, droppedTransactions}
+   */
+  restore(blocks, pendingTransactions = []) {
+    const validation = this.validateChain(blocks);
+    if (!validation.valid) {
+      throw new Error(`Invalid chain: ${validation.error}`);
+    }
+
+    if (this.storage) {
+      this.storage.replaceBlocks(blocks);
+    }
+
+    this.chain = blocks;
+    this.pendingTransactions = [];
+    this._rebuildChainState();
+    this.emit('reset');
+
+    const dropped = [];
+    for (const tx of pendingTransactions) {
+      if (!tx.id || this.findTransaction(tx.id) || !this.isValidTransaction(tx)) {
+        dropped.push(tx);
+        continue;
       }
+
+      this.pendingTransactions.push(tx);
+      this.emit('transaction', tx);
     }
+    this._persistPendingTransactions();
 
-    return true;
+    const lost = dropped.filter(tx => !tx.id || !this.findTransaction(tx.id));
+    if (lost.length > 0) {
+      this.emit('dropped', lost, 'No longer verifies against the replaced chain');
+    }
+
+    return {
+      chainLength: this.chain.length,
+      pendingTransactions: this.pendingTransactions.length,
+      droppedTransactions: dropped.length
+    };
+  }
+
+  /**
+   * Adopt a valid chain with more cumulative work (see getChainWork): more
+   * proof-of-work, or more validator-signed blocks under the authority seals
+   *
+   * Local blocks after the common ancestor are replaced; final blocks (see
+   * getFinalizedHeight) never are, however much work the candidate carries. Their transactions
+   * that are not in the new chain go back to the mempool, in chain order and
+   * ahead of the existing mempool, if they still verify; transactions the new
+   * chain already includes leave the mempool. Derived state is rebuilt through
+   * restore.
+   *
+   * @param {Array} blocks - Candidate chain, starting at genesis
+   * @returns {Object} {commonAncestor, blocksRemoved, blocksAdded, chainLength,
+   *   orphanedTransactions, pendingTransactions, droppedTransactions}
+   */
+  replaceChain(blocks) {
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+      throw new Error('Candidate chain is empty');
+    }
+
+    const commonAncestor = this.findCommonAncestor(blocks);
+    if (commonAncestor < 0 && this.chain.length > 0) {
+      throw new Error('Candidate chain has a different genesis block');
+    }
+
+    const finalizedHeight = this.getFinalizedHeight();
+    if (commonAncestor < finalizedHeight) {
+      throw new Error(`Candidate chain would replace finalized block ${commonAncestor + 1}`);
+    }
+
+    if (this.getChainWork(blocks) <= this.getChainWork()) {
+      throw new Error('Candidate chain carries no more work than the local chain');
+    }
+
+    const orphaned = this.chain
+      .slice(commonAncestor + 1)
+      .flatMap(block => block.transactions);
+    const blocksRemoved = this.chain.length - commonAncestor - 1;
+
+    const restored = this.restore(blocks, [...orphaned, ...this.pendingTransactions]);
+
+    const pendingIds = new Set(this.pendingTransactions.map(tx => tx.id));
+    const requeued = orphaned.filter(tx => pendingIds.has(tx.id));
+    const blocksAdded = blocks.length - commonAncestor - 1;
+
+    if (blocksRemoved > 0) {
+      this.emit('fork', { commonAncestor, blocksRemoved, blocksAdded });
+    }
+
+    return {
+      commonAncestor,
+      blocksRemoved,
+      blocksAdded,
+      chainLength: restored.chainLength,
+      orphanedTransactions: requeued.length,
+      pendingTransactions: restored.pendingTransactions,
+      droppedTransactions: orphaned.filter(tx => !pendingIds.has(tx.id) && !this.findTransaction(tx.id)).length
+    };
+  }
+
+  /**
+   * Find the last block shared by the local chain and another chain
+   *
+   * @param {Array} blocks - Blocks (or headers with index and hash) in chain order, starting at genesis
+   * @returns {number} Index of the common ancestor, or -1 if even the genesis blocks differ
+   */
+  findCommonAncestor(blocks) {
+    let index = Math.min(blocks.length, this.chain.length) - 1;
+    while (index >= 0 && blocks[index].hash !== this.chain[index].hash) {
+      index--;
+    }
+    return index;
   }
 
   /**
@@ -222,6 +813,41 @@ class Blockchain {
     return this.chain[index] || null;
   }
 
+  /**
+   * Get a block by hash
+   */
+  getBlockByHash(hash) {
+    return this.chain.find(block => block.hash === hash) || null;
+  }
+
+  /**
+   * Find a transaction by ID in the chain or the mempool
+   * 
+   * @param {string} id - Transaction ID
+   * @returns {Object|null} {transaction, block, position} - block is null while pending
+   */
+  findTransaction(id) {
+    const [location] = this.transactionIndex.lookup({ id });
+    if (location) {
+      const block = this.chain[location.blockIndex];
+      return { transaction: block.transactions[location.position], block, position: location.position };
+    }
+
+    const pending = this.pendingTransactions.find(tx => tx.id === id);
+    if (pending) {
+      return { transaction: pending, block: null, position: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get pending (not yet mined) transactions
+   */
+  getPendingTransactions() {
+    return this.pendingTransactions;
+  }
+
   /**
    * Get all blocks
    */
@@ -231,35 +857,233 @@ class Blockchain {
 
   /**
    * Search for transactions by criteria
+   * 
+   * Matches top-level transaction fields exactly. Uses the transaction index
+   * when the criteria include an indexed field (id, to, from).
    */
   searchTransactions(criteria) {
-    const results = [];
-    
-    for (const block of this.chain) {
-      for (const tx of block.transactions) {
-        let matches = true;
-        
-        for (const [key, value] of Object.entries(criteria)) {
-          if (tx[key] !== value) {
-            matches = false;
-            break;
-          }
-        }
-        
-        if (matches) {
-          results.push({
-            ...tx,
-            blockIndex: block.index,
-            blockHash: block.hash,
-            blockTimestamp: block.timestamp
-          });
+    const indexedCriteria = {};
+    for (const key of ['id', 'to', 'from']) {
+      if (criteria[key] !== undefined) {
+        indexedCriteria[key] = criteria[key];
+      }
+    }
+
+    return this._collectTransactions(indexedCriteria, tx =>
+      Object.entries(criteria).every(([key, value]) => tx[key] === value)
+    );
+  }
+
+  /**
+   * Query transactions through the secondary indexes
+   * 
+   * @param {Object} criteria - Filter criteria (all optional, combined with AND)
+   * @param {string} criteria.id - Transaction ID
+   * @param {string} criteria.to - Recipient address
+   * @param {string} criteria.from - Sender
+   * @param {string} criteria.patientId - Patient the transaction concerns
+   * @param {string} criteria.consentId - Consent the transaction concerns
+   * @param {string} criteria.resourceId - Resource an audit entry concerns
+   * @param {number} criteria.startTime - Minimum transaction timestamp (inclusive)
+   * @param {number} criteria.endTime - Maximum transaction timestamp (inclusive)
+   * @returns {Array} Matching transactions with block info, in chain order
+   */
+  queryTransactions(criteria = {}) {
+    return this._collectTransactions(criteria, tx => {
+      const keys = this.transactionIndex.getIndexKeys(tx);
+
+      for (const field of TransactionIndex.KEYED_FIELDS) {
+        if (criteria[field] !== undefined && keys[field] !== criteria[field]) {
+          return false;
         }
       }
+
+      if (criteria.startTime !== undefined && tx.timestamp < criteria.startTime) {
+        return false;
+      }
+
+      if (criteria.endTime !== undefined && tx.timestamp > criteria.endTime) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Internal method to collect matching mined transactions with block info
+   * 
+   * Candidates come from the transaction index when possible, otherwise
+   * from a full chain scan.
+   * 
+   * @private
+   */
+  _collectTransactions(indexCriteria, predicate) {
+    const locations = this.transactionIndex.lookup(indexCriteria);
+    const results = [];
+
+    const collect = (block, tx) => {
+      if (predicate(tx)) {
+        results.push({
+          ...tx,
+          blockIndex: block.index,
+          blockHash: block.hash,
+          blockTimestamp: block.timestamp
+        });
+      }
+    };
+
+    if (locations === null) {
+      for (const block of this.chain) {
+        block.transactions.forEach(tx => collect(block, tx));
+      }
+    } else {
+      for (const { blockIndex, position } of locations) {
+        const block = this.chain[blockIndex];
+        collect(block, block.transactions[position]);
+      }
     }
-    
+
     return results;
   }
+
+  /**
+   * Internal method to compute the next level of a Merkle tree
+   * 
+   * @private
+   */
+  _nextMerkleLevel(level) {
+    const nextLevel = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 < level.length) {
+        nextLevel.push(this.calculateHash(level[i] + level[i + 1]));
+      } else {
+        nextLevel.push(level[i]);
+      }
+    }
+    return nextLevel;
+  }
+
+  /**
+   * Internal method to append a block to the chain and the storage backend
+   * 
+   * @private
+   */
+  _appendBlock(block) {
+    if (this.storage) {
+      this.storage.appendBlock(block);
+    }
+    this.chain.push(block);
+    this.transactionIndex.addBlock(block);
+    block.transactions.forEach(tx => this.chainKeys.apply(tx));
+    this.emit('block', block);
+  }
+
+  /**
+   * Internal method to find why a block cannot follow previousBlock
+   * 
+   * Applies the block's key registrations to keys, so validating blocks in
+   * order replays the key registry for transaction signatures and seals.
+   * 
+   * @param {Object} block - Block
+   * @param {Object|null} previousBlock - Preceding block (null for genesis)
+   * @param {KeyRegistry} keys - Key registry as of previousBlock
+   * @param {Object} options - Validation options
+   * @param {Set} options.knownIds - Transaction IDs earlier in the chain being validated; ids of
+   *   this block are added (default: check against the local chain)
+   * @param {boolean} options.proposal - Check the seal of an uncommitted consensus proposal
+   * @returns {string|null} Reason the block is invalid, or null if valid
+   * @private
+   */
+  _getBlockError(block, previousBlock, keys, options = {}) {
+    const { knownIds = null, proposal = false } = options;
+
+    if (!block || !Array.isArray(block.transactions)) {
+      return 'malformed block';
+    }
+
+    const expectedIndex = previousBlock ? previousBlock.index + 1 : 0;
+    if (block.index !== expectedIndex) {
+      return `expected index ${expectedIndex}, found ${block.index}`;
+    }
+
+    if (block.previousHash !== (previousBlock ? previousBlock.hash : '0')) {
+      return 'previous hash does not match';
+    }
+
+    if (block.hash !== this.calculateBlockHash(block)) {
+      return 'hash does not match block contents';
+    }
+
+    const calculatedMerkleRoot = this.calculateMerkleRoot(
+      block.transactions,
+      this.getHashVersion(block)
+    );
+    if (block.merkleRoot !== calculatedMerkleRoot) {
+      return 'Merkle root does not match transactions';
+    }
+
+    const seen = new Set();
+    const isKnown = (id) => seen.has(id) || (knownIds
+      ? knownIds.has(id)
+      : this.transactionIndex.lookup({ id }).length > 0);
+
+    for (const tx of block.transactions) {
+      if (!tx.id || !tx.timestamp || isKnown(tx.id)) {
+        return `transaction ${tx.id} is missing an id or timestamp, or already on the chain`;
+      }
+      if (!tx.from || !tx.to || !tx.data || !keys.verifyTransaction(tx)) {
+        return `transaction ${tx.id} is not signed by a registered key for the sender`;
+      }
+      const permissionError = keys.getPermissionError(tx);
+      if (permissionError) {
+        return `transaction ${tx.id} is not permitted: ${permissionError}`;
+      }
+      seen.add(tx.id);
+      keys.apply(tx);
+    }
+    seen.forEach(id => knownIds?.add(id));
+
+    // The genesis block is created, not sealed
+    if (!previousBlock) {
+      return null;
+    }
+
+    const sealType = this.getSealType(block);
+    const sealer = this.sealers.get(sealType);
+    if (!sealer) {
+      return `seal type '${sealType}' is not accepted by this node`;
+    }
+
+    const seal = sealer.verify(block, { blockchain: this, keys, proposal });
+    return seal.valid ? null : seal.error;
+  }
+
+  /**
+   * Internal method to rebuild state derived from the chain (transaction index, on-chain keys)
+   * 
+   * @private
+   */
+  _rebuildChainState() {
+    this.transactionIndex.rebuild(this.chain);
+    this.chainKeys = new KeyRegistry({ nodeKeys: this.nodeKeys });
+    this.chain.forEach(block => block.transactions.forEach(tx => this.chainKeys.apply(tx)));
+  }
+
+  /**
+   * Internal method to write the mempool to the storage backend
+   * 
+   * @private
+   */
+  _persistPendingTransactions() {
+    if (this.storage) {
+      this.storage.savePendingTransactions(this.pendingTransactions);
+    }
+  }
 }
 
+Blockchain.HASH_VERSION = HASH_VERSION;
+Blockchain.LEGACY_HASH_VERSION = LEGACY_HASH_VERSION;
+
 module.exports = Blockchain;
 
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('./Blockchain.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const { FileStorage } = require('./storage/index.js');
+const { generateKeyPair, sign, signTransaction } = require('../utils/signing.js');
+
+const NODE_ID = 'node-1';
+const nodeKeys = generateKeyPair();
+const NODE_KEYS = { [NODE_ID]: nodeKeys.publicKey };
+
+/**
+ * Open a blockchain with a key registry the way the server does, and register the node key
+ */
+function openChain(storage = null, options = {}) {
+  const keyRegistry = new KeyRegistry({ nodeKeys: NODE_KEYS });
+  const blockchain = new Blockchain({ storage, keyRegistry, sealing: { type: 'none' }, ...options });
+
+  blockchain.load();
+  if (blockchain.getChainLength() === 0) {
+    blockchain.createGenesisBlock(0);
+  }
+  keyRegistry.attach(blockchain);
+  blockchain.setSystemSigner({
+    signTransaction: tx => signTransaction(tx, nodeKeys.privateKey, NODE_ID)
+  });
+
+  if (!keyRegistry.getKey(NODE_ID).transactionId) {
+    blockchain.addTransaction(signTransaction(
+      keyRegistry.buildRegistrationTransaction(NODE_ID, 'node', nodeKeys.publicKey),
+      nodeKeys.privateKey
+    ));
+  }
+
+  return { blockchain, keyRegistry };
+}
+
+/**
+ * Copy a chain's blocks the way they arrive from a peer
+ */
+function copyBlocks(blockchain) {
+  return JSON.parse(JSON.stringify(blockchain.getAllBlocks()));
+}
+
+/**
+ * Register an actor's key, endorsed by the node
+ */
+function enroll(blockchain, keyRegistry, actorId, actorType) {
+  const keys = generateKeyPair();
+  const enrollment = {
+    nodeId: NODE_ID,
+    signature: sign(keyRegistry.getEnrollmentPayload(actorId, actorType, keys.publicKey), nodeKeys.privateKey)
+  };
+
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(actorId, actorType, keys.publicKey, enrollment),
+    keys.privateKey
+  ));
+
+  return keys;
+}
+
+function addAuditEntry(blockchain, resourceId) {
+  return blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access', resourceId } });
+}
+
+describe('Blockchain', () => {
+  describe('hashing', () => {
+    it('hashes blocks and transactions independently of key order', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'none' } });
+      const genesis = blockchain.createGenesisBlock(0);
+      const reordered = Object.fromEntries(Object.entries(genesis).reverse());
+      const tx = { id: 'tx-1', timestamp: 1, from: 'a', to: 'b', data: { y: 1, x: 2 } };
+      const reorderedTx = { data: { x: 2, y: 1 }, to: 'b', from: 'a', timestamp: 1, id: 'tx-1' };
+
+      expect(blockchain.calculateBlockHash(reordered)).toBe(genesis.hash);
+      expect(blockchain.calculateTransactionHash(reorderedTx)).toBe(blockchain.calculateTransactionHash(tx));
+      expect(blockchain.calculateMerkleRoot([reorderedTx])).toBe(blockchain.calculateMerkleRoot([tx]));
+    });
+
+    it('covers every header field', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'none' } });
+      const genesis = blockchain.createGenesisBlock(0);
+
+      for (const change of [{ index: 1 }, { timestamp: 1 }, { previousHash: 'x' }, { merkleRoot: 'x' }, { nonce: 1 }, { sealer: 'node-2' }, { term: 1 }]) {
+        expect(blockchain.calculateBlockHash({ ...genesis, ...change })).not.toBe(genesis.hash);
+      }
+    });
+
+    it('still verifies legacy blocks hashed with JSON.stringify', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'none' } });
+      const legacy = { index: 0, timestamp: 0, transactions: [], previousHash: '0', nonce: 0, merkleRoot: 'root' };
+      legacy.hash = blockchain.calculateHash(0, 0, [], '0', 0, 'root');
+
+      expect(blockchain.getHashVersion(legacy)).toBe(1);
+      expect(blockchain.calculateBlockHash(legacy)).toBe(legacy.hash);
+    });
+  });
+
+  describe('signed transactions', () => {
+    it('accepts a transaction signed by a registered key', () => {
+      const { blockchain } = openChain();
+      const tx = addAuditEntry(blockchain, 'record-1');
+
+      expect(blockchain.findTransaction(tx.id).transaction.signedBy).toBe(NODE_ID);
+    });
+
+    it('rejects unsigned and mis-signed transactions', () => {
+      const { blockchain } = openChain();
+      const unsigned = { id: 'tx-1', timestamp: 1, from: 'system', to: 'audit-log', data: {} };
+      const other = generateKeyPair();
+
+      expect(() => blockchain.addTransaction(unsigned)).toThrow('transaction must be signed');
+      expect(() => blockchain.addTransaction(signTransaction(unsigned, other.privateKey, NODE_ID)))
+        .toThrow('signature does not match a registered key');
+    });
+
+    it('rejects a transaction altered after signing', () => {
+      const { blockchain } = openChain();
+      const tx = signTransaction({ from: 'system', to: 'audit-log', data: { resourceId: 'record-1' } }, nodeKeys.privateKey, NODE_ID);
+
+      expect(() => blockchain.addTransaction({ ...tx, data: { resourceId: 'record-2' } })).toThrow('signature does not match');
+      expect(() => blockchain.addTransaction({ ...tx, id: 'new-id' })).toThrow('signature does not match');
+    });
+
+    it('requires the signed id and timestamp', () => {
+      const { blockchain } = openChain();
+      const tx = signTransaction({ from: 'system', to: 'audit-log', data: {} }, nodeKeys.privateKey, NODE_ID);
+
+      expect(() => blockchain.addTransaction({ ...tx, id: undefined })).toThrow('must include the signed id and timestamp');
+      expect(() => blockchain.addTransaction({ ...tx, timestamp: 'now' })).toThrow('must include the signed id and timestamp');
+    });
+
+    it('rejects a replayed transaction, pending or mined', () => {
+      const { blockchain } = openChain();
+      const tx = addAuditEntry(blockchain, 'record-1');
+
+      expect(() => blockchain.addTransaction(tx)).toThrow(`Transaction ${tx.id} was already submitted`);
+      blockchain.minePendingTransactions();
+      expect(() => blockchain.addTransaction(tx)).toThrow(`Transaction ${tx.id} was already submitted`);
+    });
+
+    it('rejects a block carrying a replayed transaction', () => {
+      const { blockchain } = openChain();
+      const tx = addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+
+      const replay = blockchain.createBlock(null, { transactions: [tx] });
+
+      expect(blockchain.validateBlock(replay).error).toMatch(tx.id);
+    });
+
+    it('takes break-glass reviews only from privacy officers naming themselves, pending or in blocks', () => {
+      const { blockchain, keyRegistry } = openChain();
+      const officer = enroll(blockchain, keyRegistry, 'officer-1', 'privacy-officer');
+      const clinician = enroll(blockchain, keyRegistry, 'clinician-1', 'clinician');
+      blockchain.minePendingTransactions();
+      const review = (from, reviewedBy, keys) => signTransaction({
+        from,
+        to: 'consent-contract-v1',
+        data: { action: 'break-glass-review', consentId: 'consent-1', decision: 'approved', reviewedBy, notes: '', reviewedAt: 1 }
+      }, keys.privateKey);
+      const byClinician = review('clinician-1', 'clinician-1', clinician);
+
+      expect(() => blockchain.addTransaction(byClinician))
+        .toThrow('Invalid transaction: clinician-1 is not a privacy-officer and cannot send break-glass-review');
+      expect(() => blockchain.addTransaction(review('officer-1', 'officer-2', officer)))
+        .toThrow('Invalid transaction: break-glass-review must name its sender as reviewedBy');
+      expect(blockchain.validateBlock(blockchain.createBlock(null, { transactions: [byClinician] })).error)
+        .toBe(`transaction ${byClinician.id} is not permitted: clinician-1 is not a privacy-officer and cannot send break-glass-review`);
+      expect(blockchain.addTransaction(review('officer-1', 'officer-1', officer)).from).toBe('officer-1');
+    });
+  });
+
+  describe('transaction queries', () => {
+    it('finds mined transactions through the indexes', () => {
+      const { blockchain } = openChain();
+      const first = addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+      const second = addAuditEntry(blockchain, 'record-2');
+      blockchain.minePendingTransactions();
+
+      expect(blockchain.queryTransactions({ resourceId: 'record-2' }).map(tx => tx.id)).toEqual([second.id]);
+      expect(blockchain.queryTransactions({ to: 'audit-log', endTime: first.timestamp }).map(tx => tx.id)).toEqual([first.id]);
+      expect(blockchain.searchTransactions({ to: 'audit-log' })).toHaveLength(2);
+      expect(blockchain.findTransaction(second.id)).toMatchObject({ block: { index: 2 }, position: 0 });
+    });
+
+    it('leaves pending transactions out of queries', () => {
+      const { blockchain } = openChain();
+      const pending = addAuditEntry(blockchain, 'record-1');
+
+      expect(blockchain.queryTransactions({ id: pending.id })).toEqual([]);
+      expect(blockchain.findTransaction(pending.id).block).toBeNull();
+    });
+
+    it('rebuilds the indexes when the chain is replaced', () => {
+      const { blockchain } = openChain();
+      const tx = addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+
+      blockchain.restore(blockchain.getAllBlocks().slice(0, 1));
+
+      expect(blockchain.queryTransactions({ id: tx.id })).toEqual([]);
+    });
+  });
+
+  describe('fork resolution', () => {
+    let local;
+    let other;
+
+    // Two chains sharing genesis and the node key block
+    beforeEach(() => {
+      ({ blockchain: local } = openChain());
+      local.minePendingTransactions();
+      ({ blockchain: other } = openChain());
+      other.restore(copyBlocks(local));
+    });
+
+    it('adopts a longer valid chain and requeues transactions only in the replaced blocks', () => {
+      const shared = addAuditEntry(local, 'record-1');
+      other.receiveTransaction(shared);
+      const orphan = addAuditEntry(local, 'record-2');
+      local.minePendingTransactions();
+      addAuditEntry(other, 'record-3');
+      other.minePendingTransactions();
+      addAuditEntry(other, 'record-4');
+      other.minePendingTransactions();
+      const pending = addAuditEntry(local, 'record-5');
+      const fork = jest.fn();
+      local.on('fork', fork);
+
+      const result = local.replaceChain(copyBlocks(other));
+
+      expect(result).toMatchObject({ commonAncestor: 1, blocksRemoved: 1, blocksAdded: 2, chainLength: 4, orphanedTransactions: 1 });
+      expect(local.getLatestBlock().hash).toBe(other.getLatestBlock().hash);
+      expect(local.getPendingTransactions().map(tx => tx.id)).toEqual([orphan.id, pending.id]);
+      expect(local.findTransaction(shared.id).block.index).toBe(2);
+      expect(fork).toHaveBeenCalledWith({ commonAncestor: 1, blocksRemoved: 1, blocksAdded: 2 });
+    });
+
+    it('rejects a chain that carries no more work or starts from another genesis block', () => {
+      const stranger = new Blockchain({ sealing: { type: 'none' } });
+      stranger.createGenesisBlock(1);
+      const strangerBlocks = [stranger.getBlock(0), { index: 1, hash: 'a' }, { index: 2, hash: 'b' }];
+
+      expect(() => local.replaceChain(copyBlocks(other))).toThrow('Candidate chain carries no more work than the local chain');
+      expect(() => local.replaceChain(strangerBlocks)).toThrow('Candidate chain has a different genesis block');
+    });
+
+    it('weighs chains by work rather than length', () => {
+      const miner = new Blockchain({ sealing: { type: 'pow', difficulty: 1 } });
+      miner.createGenesisBlock(0);
+      const heavy = [miner.getBlock(0), miner.createBlock(null, { allowEmpty: true })];
+      const blockchain = new Blockchain({ sealing: { type: 'none', difficulty: 1, legacyPowHeight: 1 } });
+      blockchain.createGenesisBlock(0);
+      const first = blockchain.createBlock(null, { allowEmpty: true });
+      const light = [blockchain.getBlock(0), first, blockchain.createBlock(null, { allowEmpty: true, previousBlocks: [first] })];
+      blockchain.restore(light);
+
+      expect(blockchain.getChainWork()).toBe(2);
+      expect(blockchain.getChainWork(heavy)).toBe(16);
+      expect(blockchain.replaceChain(heavy)).toMatchObject({ commonAncestor: 0, blocksRemoved: 2, blocksAdded: 1, chainLength: 2 });
+      expect(() => blockchain.replaceChain(light)).toThrow('Candidate chain carries no more work than the local chain');
+    });
+
+    it('never replaces finalized blocks', () => {
+      ({ blockchain: local } = openChain(null, { finalityDepth: 1 }));
+      local.minePendingTransactions();
+      other.restore(copyBlocks(local));
+      const base = copyBlocks(local);
+      const mine = (blockchain, resourceIds) => resourceIds.forEach(resourceId => {
+        addAuditEntry(blockchain, resourceId);
+        blockchain.minePendingTransactions();
+      });
+
+      mine(local, ['record-1']);
+      mine(other, ['record-2', 'record-3']);
+      expect(local.replaceChain(copyBlocks(other))).toMatchObject({ commonAncestor: 1, blocksRemoved: 1 });
+
+      other.restore(base);
+      mine(other, ['record-4', 'record-5', 'record-6', 'record-7']);
+
+      expect(local.getFinalizedHeight()).toBe(2);
+      expect(() => local.replaceChain(copyBlocks(other))).toThrow('Candidate chain would replace finalized block 2');
+      expect(() => new Blockchain({ finalityDepth: -1 })).toThrow('finalityDepth must be a non-negative integer');
+    });
+
+    it('rejects a longer chain with a forged transaction and keeps the local chain', () => {
+      const latest = local.getLatestBlock().hash;
+      const forged = signTransaction({ from: 'system', to: 'audit-log', data: {} }, generateKeyPair().privateKey, NODE_ID);
+      const blocks = [...copyBlocks(other), other.createBlock(null, { transactions: [forged] })];
+
+      expect(() => local.replaceChain(blocks)).toThrow(`Invalid chain: block 2: transaction ${forged.id} is not signed by a registered key for the sender`);
+      expect(local.getLatestBlock().hash).toBe(latest);
+    });
+
+    it('rejects a longer chain that repeats a transaction', () => {
+      const tx = addAuditEntry(other, 'record-1');
+      other.minePendingTransactions();
+      const blocks = copyBlocks(other);
+      blocks.push(other.createBlock(null, { transactions: [tx] }));
+
+      expect(() => local.replaceChain(blocks)).toThrow(`Invalid chain: block 3: transaction ${tx.id} is missing an id or timestamp, or already on the chain`);
+    });
+  });
+
+  describe('persistence', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('reloads mined blocks and pending transactions after a restart', () => {
+      const { blockchain } = openChain(new FileStorage(dataDir));
+      addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+      const pending = addAuditEntry(blockchain, 'record-2');
+
+      const reopened = openChain(new FileStorage(dataDir)).blockchain;
+
+      expect(reopened.getChainLength()).toBe(2);
+      expect(reopened.getLatestBlock().hash).toBe(blockchain.getLatestBlock().hash);
+      expect(reopened.getPendingTransactions().map(tx => tx.id)).toEqual([pending.id]);
+      expect(reopened.findTransaction(pending.id).block).toBeNull();
+    });
+
+    it('refuses to load a tampered block log', () => {
+      const { blockchain } = openChain(new FileStorage(dataDir));
+      addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+
+      const blocksFile = path.join(dataDir, 'blocks.jsonl');
+      fs.writeFileSync(blocksFile, fs.readFileSync(blocksFile, 'utf8').replace('record-1', 'record-9'));
+
+      const tampered = new Blockchain({ storage: new FileStorage(dataDir), sealing: { type: 'none' } });
+      expect(() => tampered.load()).toThrow('Corrupted chain store: block 1');
+    });
+
+    it('drops stored pending transactions that no longer verify', () => {
+      const { blockchain } = openChain(new FileStorage(dataDir));
+      blockchain.minePendingTransactions();
+      const valid = addAuditEntry(blockchain, 'record-1');
+
+      const mempoolFile = path.join(dataDir, 'mempool.json');
+      const forged = { ...valid, id: 'forged', data: { action: 'access', resourceId: 'record-2' } };
+      const unsigned = { id: 'unsigned', timestamp: 1, from: 'system', to: 'audit-log', data: {} };
+      fs.writeFileSync(mempoolFile, JSON.stringify([valid, forged, unsigned, valid]));
+
+      const reopened = new Blockchain({
+        storage: new FileStorage(dataDir),
+        keyRegistry: new KeyRegistry({ nodeKeys: NODE_KEYS }),
+        sealing: { type: 'none' }
+      });
+      const dropped = jest.fn();
+      reopened.on('dropped', dropped);
+      reopened.load();
+
+      expect(reopened.getPendingTransactions().map(tx => tx.id)).toEqual([valid.id]);
+      expect(dropped).toHaveBeenCalledTimes(1);
+      expect(dropped.mock.calls[0][0].map(tx => tx.id)).toEqual(['forged', 'unsigned', valid.id]);
+      expect(JSON.parse(fs.readFileSync(mempoolFile, 'utf8')).map(tx => tx.id)).toEqual([valid.id]);
+    });
+  });
+
+  describe('sealing strategies', () => {
+    it('defaults to proof-of-work and rejects unknown strategies', () => {
+      expect(new Blockchain().sealer.type).toBe('pow');
+      expect(() => new Blockchain({ sealing: { type: 'pos' } }))
+        .toThrow('Unknown sealing strategy: pos. Must be one of: pow, poa, pbft, raft, none');
+    });
+
+    it('accepts only its own seal type, and proof-of-work up to the legacy height', () => {
+      const poa = { type: 'poa', validators: ['node-1'] };
+
+      expect([...new Blockchain({ sealing: { type: 'none' } }).sealers.keys()]).toEqual(['none']);
+      expect([...new Blockchain({ sealing: poa }).sealers.keys()]).toEqual(['poa']);
+      expect([...new Blockchain({ sealing: { ...poa, legacyPowHeight: 10 } }).sealers.keys()]).toEqual(['poa', 'pow']);
+      expect(new Blockchain({ sealing: { ...poa, legacyPowHeight: 10 } }).sealers.get('pow').maxHeight).toBe(10);
+    });
+
+    it('leaves consensus-sealed blocks to the consensus protocol', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'pbft', validators: ['a', 'b', 'c', 'd'] } });
+      blockchain.createGenesisBlock(0);
+
+      expect(() => blockchain.minePendingTransactions())
+        .toThrow('Blocks sealed with \'pbft\' are committed through consensus, not mined locally');
+    });
+  });
+
+  describe('compact headers', () => {
+    it('carries what a light client needs to check the block hash without the transactions', () => {
+      const { blockchain } = openChain();
+      addAuditEntry(blockchain, 'record-1');
+      const block = blockchain.minePendingTransactions();
+
+      const header = blockchain.getCompactHeader(block);
+
+      expect(header).not.toHaveProperty('transactions');
+      expect(header).toMatchObject({ index: 1, hashVersion: 2, hash: block.hash, merkleRoot: block.merkleRoot, transactionCount: 2 });
+      expect(blockchain.calculateBlockHash(header)).toBe(block.hash);
+      expect(blockchain.calculateBlockHash({ ...header, merkleRoot: blockchain.calculateMerkleRoot([]) })).not.toBe(block.hash);
+    });
+
+    it('links headers and proves a transaction against the header\'s Merkle root', () => {
+      const { blockchain } = openChain();
+      const tx = addAuditEntry(blockchain, 'record-1');
+      blockchain.minePendingTransactions();
+      const [genesis, header] = blockchain.getAllBlocks().map(block => blockchain.getCompactHeader(block));
+      const { transactions } = blockchain.getBlock(1);
+
+      const proof = blockchain.getMerkleProof(transactions, transactions.findIndex(t => t.id === tx.id), header.hashVersion);
+
+      expect(header.previousHash).toBe(genesis.hash);
+      expect(blockchain.verifyMerkleProof(proof, header.merkleRoot)).toBe(true);
+      expect(blockchain.verifyMerkleProof(proof, genesis.merkleRoot)).toBe(false);
+    });
+
+    it('marks legacy headers, whose hash covers the transactions', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'none' } });
+      const genesis = blockchain.createGenesisBlock(0);
+
+      expect(blockchain.getCompactHeader({ ...genesis, hashVersion: undefined }).hashVersion).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Key Registry - Maps actor IDs to signing public keys
+ *
+ * Keys are registered through transactions sent to the registry address, so
+ * the registry is derived entirely from chain history and survives restarts.
+ *
+ * Signing rules enforced by verifyTransaction():
+ * - Every transaction must be signed by transaction.signedBy (defaults to from)
+ * - signedBy must equal from, except 'system' transactions which are signed by a node key
+ * - A first key registration must be signed by the key being registered (proof of possession);
+ *   for actors other than nodes it must also carry an enrollment: a registered node's
+ *   signature over getEnrollmentPayload(), given only to callers holding the actor's
+ *   enrollment code (see utils/enrollment.js)
+ * - A key rotation must be signed by the actor's current key
+ * - No key can be registered for 'system'
+ * - Actions reserved to some actor types (RESTRICTED_ACTIONS, e.g. break-glass reviews by
+ *   privacy officers) must be sent by such an actor, naming itself in the data; see
+ *   getPermissionError(), which block validation applies with the keys as of each block
+ * - Node keys come only from the configured set (NODE_KEYS_FILE, or the node's own key): they
+ *   are known from the start, before the nodes' own registrations are on-chain, and no other
+ *   node can register a key, so an unknown node can neither sign 'system' transactions nor
+ *   endorse enrollments
+ *
+ * Data Structure:
+ * - Key Entry: {
+ *     actorId: string
+ *     actorType: string ('patient' | 'clinician' | 'ai-model' | 'delegate' | 'privacy-officer' | 'node')
+ *     publicKey: string (PEM, Ed25519)
+ *     registeredAt: number
+ *     transactionId: string
+ *   }
+ */
+
+const fs = require('fs');
+const { verify, verifyTransactionSignature } = require('../utils/signing.js');
+const { canonicalize } = require('../utils/canonicalJson.js');
+
+const SYSTEM_ACTOR = 'system';
+
+// Contract actions only actors of some types may send, naming themselves in actorField
+const RESTRICTED_ACTIONS = [
+  { to: 'consent-contract-v1', action: 'break-glass-review', actorTypes: ['privacy-officer'], actorField: 'reviewedBy' }
+];
+
+class KeyRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Object} options.nodeKeys - Node keys known before any registration: {nodeId: PEM public key}
+   */
+  constructor(options = {}) {
+    this.contractAddress = 'key-registry-v1';
+    this.nodeKeys = options.nodeKeys || {};
+    this.keys = new Map(); // actorId -> Key Entry
+    this.appliedTransactions = new Set();
+    this._seedNodeKeys();
+
+    this._onTransaction = (tx) => this.apply(tx);
+    this._onBlock = (block) => block.transactions.forEach(tx => this.apply(tx));
+  }
+
+  /**
+   * Attach to a blockchain: rebuild from its history and follow new transactions
+   *
+   * @param {Blockchain} blockchain - Blockchain to follow
+   */
+  attach(blockchain) {
+    this.rebuild(blockchain);
+    blockchain.on('transaction', this._onTransaction);
+    blockchain.on('block', this._onBlock);
+    blockchain.on('reset', () => this.rebuild(blockchain));
+  }
+
+  /**
+   * Rebuild the registry from chain history and the mempool
+   *
+   * @param {Blockchain} blockchain - Source blockchain
+   */
+  rebuild(blockchain) {
+    this.keys.clear();
+    this.appliedTransactions.clear();
+    this._seedNodeKeys();
+
+    for (const block of blockchain.getAllBlocks()) {
+      block.transactions.forEach(tx => this.apply(tx));
+    }
+    blockchain.getPendingTransactions().forEach(tx => this.apply(tx));
+  }
+
+  /**
+   * Copy the registry state (e.g. to verify a block without changing the original)
+   *
+   * @returns {KeyRegistry} Independent copy
+   */
+  clone() {
+    const copy = new KeyRegistry({ nodeKeys: this.nodeKeys });
+    copy.keys = new Map(this.keys);
+    copy.appliedTransactions = new Set(this.appliedTransactions);
+    return copy;
+  }
+
+  /**
+   * Apply a (previously verified) registration transaction
+   *
+   * @param {Object} transaction - Transaction
+   */
+  apply(transaction) {
+    if (transaction.to !== this.contractAddress ||
+        transaction.data?.action !== 'register' ||
+        this.appliedTransactions.has(transaction.id)) {
+      return;
+    }
+
+    const { actorId, actorType, publicKey } = transaction.data;
+    this.keys.set(actorId, {
+      actorId,
+      actorType,
+      publicKey,
+      registeredAt: transaction.timestamp,
+      transactionId: transaction.id
+    });
+    this.appliedTransactions.add(transaction.id);
+  }
+
+  /**
+   * Build an unsigned key registration transaction
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} actorType - Actor type
+   * @param {string} publicKey - PEM public key
+   * @param {Object} enrollment - Node endorsement {nodeId, signature} (first registration of a non-node actor)
+   * @returns {Object} Unsigned transaction
+   */
+  buildRegistrationTransaction(actorId, actorType, publicKey, enrollment = null) {
+    return {
+      from: actorId,
+      to: this.contractAddress,
+      data: {
+        action: 'register',
+        actorId,
+        actorType,
+        publicKey,
+        ...(enrollment && { enrollment })
+      }
+    };
+  }
+
+  /**
+   * Get the payload a node signs to endorse an actor's first key
+   *
+   * @param {string} actorId - Actor ID
+   * @param {string} actorType - Actor type
+   * @param {string} publicKey - PEM public key
+   * @returns {string} Enrollment payload
+   */
+  getEnrollmentPayload(actorId, actorType, publicKey) {
+    return canonicalize({ action: 'enroll', actorId, actorType, publicKey });
+  }
+
+  /**
+   * Verify a transaction's signature against the registry
+   *
+   * @param {Object} transaction - Signed transaction
+   * @returns {boolean} True if signed by an authorized, registered key
+   */
+  verifyTransaction(transaction) {
+    if (!transaction.signature) {
+      return false;
+    }
+
+    const signedBy = transaction.signedBy || transaction.from;
+
+    if (transaction.to === this.contractAddress && transaction.data?.action === 'register') {
+      return this._verifyRegistration(transaction, signedBy);
+    }
+
+    const signer = this.keys.get(signedBy);
+    if (!signer) {
+      return false;
+    }
+
+    if (signedBy !== transaction.from &&
+        !(transaction.from === SYSTEM_ACTOR && signer.actorType === 'node')) {
+      return false;
+    }
+
+    return verifyTransactionSignature(transaction, signer.publicKey);
+  }
+
+  /**
+   * Check that a transaction's sender may send it (see RESTRICTED_ACTIONS)
+   *
+   * @param {Object} transaction - Transaction, its signature checked by verifyTransaction()
+   * @returns {string|null} Why the sender may not send it, or null
+   */
+  getPermissionError(transaction) {
+    const rule = RESTRICTED_ACTIONS.find(restricted =>
+      restricted.to === transaction.to && restricted.action === transaction.data?.action);
+    if (!rule) {
+      return null;
+    }
+
+    const sender = this.keys.get(transaction.from);
+    if (!sender || !rule.actorTypes.includes(sender.actorType)) {
+      return `${transaction.from} is not a ${rule.actorTypes.join(' or ')} and cannot send ${rule.action}`;
+    }
+
+    if (transaction.data[rule.actorField] !== transaction.from) {
+      return `${rule.action} must name its sender as ${rule.actorField}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the key entry for an actor
+   */
+  getKey(actorId) {
+    return this.keys.get(actorId) || null;
+  }
+
+  /**
+   * Get the public key for an actor
+   */
+  getPublicKey(actorId) {
+    return this.keys.get(actorId)?.publicKey || null;
+  }
+
+  /**
+   * Get all key entries
+   */
+  getAllKeys() {
+    return Array.from(this.keys.values());
+  }
+
+  /**
+   * Read a node keys file (NODE_KEYS_FILE): a JSON object mapping node IDs to PEM public keys
+   *
+   * @param {string} file - Path to the file
+   * @returns {Object} {nodeId: publicKey}
+   * @throws {Error} If the file cannot be read or is not such a map
+   */
+  static readNodeKeys(file) {
+    const nodeKeys = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const valid = nodeKeys && typeof nodeKeys === 'object' && !Array.isArray(nodeKeys) &&
+      Object.entries(nodeKeys).every(([nodeId, publicKey]) =>
+        nodeId !== SYSTEM_ACTOR && typeof publicKey === 'string' && publicKey.includes('PUBLIC KEY'));
+    if (!valid) {
+      throw new Error(`${file} must map node IDs to PEM public keys`);
+    }
+
+    return nodeKeys;
+  }
+
+  /**
+   * Internal method to verify a key registration or rotation
+   *
+   * @private
+   */
+  _verifyRegistration(transaction, signedBy) {
+    const { actorId, actorType, publicKey } = transaction.data;
+
+    if (!actorId || !actorType || !publicKey || actorId === SYSTEM_ACTOR ||
+        actorId !== transaction.from || signedBy !== actorId) {
+      return false;
+    }
+
+    const current = this.keys.get(actorId);
+    if (current && current.actorType !== actorType) {
+      return false;
+    }
+
+    if (!current && actorType !== 'node' && !this._verifyEnrollment(transaction.data)) {
+      return false;
+    }
+
+    // A node key not in the configured set is never trusted, whoever signs it
+    if (!current && actorType === 'node') {
+      return false;
+    }
+
+    // Rotation is authorized by the current key, first registration by the new key
+    return verifyTransactionSignature(transaction, current ? current.publicKey : publicKey);
+  }
+
+  /**
+   * Internal method to add the configured node keys, as if registered before genesis
+   *
+   * @private
+   */
+  _seedNodeKeys() {
+    for (const [actorId, publicKey] of Object.entries(this.nodeKeys)) {
+      this.keys.set(actorId, {
+        actorId,
+        actorType: 'node',
+        publicKey,
+        registeredAt: null,
+        transactionId: null
+      });
+    }
+  }
+
+  /**
+   * Internal method to verify a first registration's node endorsement
+   *
+   * @private
+   */
+  _verifyEnrollment({ actorId, actorType, publicKey, enrollment }) {
+    const node = this.keys.get(enrollment?.nodeId);
+    if (!node || node.actorType !== 'node') {
+      return false;
+    }
+
+    return verify(this.getEnrollmentPayload(actorId, actorType, publicKey), enrollment.signature, node.publicKey);
+  }
+}
+
+KeyRegistry.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = KeyRegistry;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('./Blockchain.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const { generateKeyPair, sign, signTransaction } = require('../utils/signing.js');
+
+const node = { id: 'node-1', ...generateKeyPair() };
+const patient = { id: 'patient-1', ...generateKeyPair() };
+const nodeKeys = { [node.id]: node.publicKey };
+
+function registerNode(registry, actor = node) {
+  const tx = signTransaction(registry.buildRegistrationTransaction(actor.id, 'node', actor.publicKey), actor.privateKey);
+  expect(registry.verifyTransaction(tx)).toBe(true);
+  registry.apply(tx);
+  return tx;
+}
+
+function enroll(registry, actor, actorType = 'patient', endorser = node) {
+  return {
+    nodeId: endorser.id,
+    signature: sign(registry.getEnrollmentPayload(actor.id, actorType, actor.publicKey), endorser.privateKey)
+  };
+}
+
+function buildRegistration(registry, actor, enrollment, actorType = 'patient') {
+  return signTransaction(
+    registry.buildRegistrationTransaction(actor.id, actorType, actor.publicKey, enrollment),
+    actor.privateKey
+  );
+}
+
+describe('KeyRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new KeyRegistry({ nodeKeys });
+  });
+
+  describe('registration', () => {
+    it('registers a configured node key signed by that key', () => {
+      const tx = registerNode(registry);
+
+      expect(registry.getKey(node.id)).toMatchObject({ actorType: 'node', publicKey: node.publicKey, transactionId: tx.id });
+    });
+
+    it('rejects a first registration not signed by the registered key', () => {
+      const tx = signTransaction(registry.buildRegistrationTransaction(node.id, 'node', node.publicKey), patient.privateKey);
+
+      expect(registry.verifyTransaction(tx)).toBe(false);
+    });
+
+    it('registers an actor enrolled by a registered node', () => {
+      registerNode(registry);
+
+      expect(registry.verifyTransaction(buildRegistration(registry, patient, enroll(registry, patient)))).toBe(true);
+    });
+
+    it('rejects an actor without an enrollment', () => {
+      registerNode(registry);
+
+      expect(registry.verifyTransaction(buildRegistration(registry, patient, null))).toBe(false);
+    });
+
+    it('rejects an enrollment by an unregistered node or a non-node actor', () => {
+      registerNode(registry);
+      const clinician = { id: 'clinician-1', ...generateKeyPair() };
+      registry.apply(buildRegistration(registry, clinician, enroll(registry, clinician, 'clinician'), 'clinician'));
+
+      const stranger = { id: 'node-2', ...generateKeyPair() };
+      expect(registry.verifyTransaction(buildRegistration(registry, patient, enroll(registry, patient, 'patient', stranger)))).toBe(false);
+      expect(registry.verifyTransaction(buildRegistration(registry, patient, enroll(registry, patient, 'patient', clinician)))).toBe(false);
+    });
+
+    it('rejects an enrollment given for another key or actor type', () => {
+      registerNode(registry);
+      const attacker = generateKeyPair();
+      const enrollment = enroll(registry, patient);
+
+      expect(registry.verifyTransaction(buildRegistration(registry, { ...patient, ...attacker }, enrollment))).toBe(false);
+      expect(registry.verifyTransaction(buildRegistration(registry, patient, enrollment, 'clinician'))).toBe(false);
+    });
+
+    it('rotates a key only with the current key', () => {
+      registerNode(registry);
+      registry.apply(buildRegistration(registry, patient, enroll(registry, patient)));
+      const rotated = generateKeyPair();
+      const rotation = registry.buildRegistrationTransaction(patient.id, 'patient', rotated.publicKey);
+
+      expect(registry.verifyTransaction(signTransaction(rotation, rotated.privateKey))).toBe(false);
+      expect(registry.verifyTransaction(signTransaction(rotation, patient.privateKey))).toBe(true);
+    });
+
+    it('rejects changing an actor\'s type', () => {
+      registerNode(registry);
+      registry.apply(buildRegistration(registry, patient, enroll(registry, patient)));
+
+      const tx = signTransaction(registry.buildRegistrationTransaction(patient.id, 'node', patient.publicKey), patient.privateKey);
+      expect(registry.verifyTransaction(tx)).toBe(false);
+    });
+
+    it('never registers a key for system', () => {
+      const system = { id: KeyRegistry.SYSTEM_ACTOR, ...generateKeyPair() };
+      const tx = signTransaction(registry.buildRegistrationTransaction(system.id, 'node', system.publicKey), system.privateKey);
+
+      expect(registry.verifyTransaction(tx)).toBe(false);
+    });
+  });
+
+  describe('transaction verification', () => {
+    beforeEach(() => {
+      registerNode(registry);
+      registry.apply(buildRegistration(registry, patient, enroll(registry, patient)));
+    });
+
+    it('accepts transactions signed by the sender\'s key', () => {
+      const tx = signTransaction({ from: patient.id, to: 'consent-contract-v1', data: {} }, patient.privateKey);
+
+      expect(registry.verifyTransaction(tx)).toBe(true);
+      expect(registry.verifyTransaction({ ...tx, signature: undefined })).toBe(false);
+    });
+
+    it('rejects transactions signed for someone else', () => {
+      const tx = signTransaction({ from: node.id, to: 'consent-contract-v1', data: {} }, patient.privateKey, patient.id);
+
+      expect(registry.verifyTransaction(tx)).toBe(false);
+    });
+
+    it('accepts system transactions signed by a node only', () => {
+      const byNode = signTransaction({ from: 'system', to: 'audit-log', data: {} }, node.privateKey, node.id);
+      const byPatient = signTransaction({ from: 'system', to: 'audit-log', data: {} }, patient.privateKey, patient.id);
+
+      expect(registry.verifyTransaction(byNode)).toBe(true);
+      expect(registry.verifyTransaction(byPatient)).toBe(false);
+    });
+
+    it('rejects unknown signers', () => {
+      const stranger = generateKeyPair();
+      const tx = signTransaction({ from: 'stranger', to: 'audit-log', data: {} }, stranger.privateKey);
+
+      expect(registry.verifyTransaction(tx)).toBe(false);
+    });
+  });
+
+  describe('chain history', () => {
+    it('is rebuilt from blocks and the mempool and follows new transactions', () => {
+      const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry: registry });
+      blockchain.createGenesisBlock(0);
+      blockchain.addTransaction(signTransaction(registry.buildRegistrationTransaction(node.id, 'node', node.publicKey), node.privateKey));
+      blockchain.minePendingTransactions();
+
+      registry.attach(blockchain);
+      expect(registry.getKey(node.id)).not.toBeNull();
+
+      blockchain.addTransaction(buildRegistration(registry, patient, enroll(registry, patient)));
+      expect(registry.getPublicKey(patient.id)).toBe(patient.publicKey);
+
+      const copy = new KeyRegistry({ nodeKeys });
+      copy.rebuild(blockchain);
+      expect(copy.getAllKeys().map(key => key.actorId).sort()).toEqual([node.id, patient.id]);
+    });
+
+    it('clones independently', () => {
+      registerNode(registry);
+      const copy = registry.clone();
+      copy.apply(buildRegistration(copy, patient, enroll(copy, patient)));
+
+      expect(copy.getKey(patient.id)).not.toBeNull();
+      expect(registry.getKey(patient.id)).toBeNull();
+    });
+  });
+
+  describe('configured node keys', () => {
+    it('knows the configured node keys before any registration', () => {
+      const seeded = new KeyRegistry({ nodeKeys });
+
+      expect(seeded.getKey(node.id)).toMatchObject({ actorType: 'node', publicKey: node.publicKey, transactionId: null });
+      expect(seeded.verifyTransaction(signTransaction({ from: 'system', to: 'audit-log', data: {} }, node.privateKey, node.id))).toBe(true);
+      expect(seeded.clone().getKey(node.id)).not.toBeNull();
+    });
+
+    it('lets a configured node register its key on-chain but no other node, even with none configured', () => {
+      const stranger = { id: 'node-2', ...generateKeyPair() };
+
+      for (const keys of [registry, new KeyRegistry()]) {
+        const ownRegistration = signTransaction(keys.buildRegistrationTransaction(node.id, 'node', node.publicKey), node.privateKey);
+        const strangerRegistration = signTransaction(keys.buildRegistrationTransaction(stranger.id, 'node', stranger.publicKey), stranger.privateKey);
+
+        expect(keys.verifyTransaction(ownRegistration)).toBe(keys === registry);
+        expect(keys.verifyTransaction(strangerRegistration)).toBe(false);
+      }
+    });
+
+    it('rejects blocks in which an unknown node registers, signs system transactions or enrolls actors', () => {
+      const stranger = { id: 'node-2', ...generateKeyPair() };
+      const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry: registry });
+      blockchain.createGenesisBlock(0);
+      registry.attach(blockchain);
+      const registration = signTransaction(registry.buildRegistrationTransaction(stranger.id, 'node', stranger.publicKey), stranger.privateKey);
+
+      expect(() => blockchain.addTransaction(registration))
+        .toThrow('Invalid transaction: signature does not match a registered key for the sender');
+
+      const transactions = [
+        registration,
+        signTransaction({ from: 'system', to: 'audit-log', data: {} }, stranger.privateKey, stranger.id),
+        buildRegistration(registry, patient, enroll(registry, patient, 'patient', stranger))
+      ];
+      const block = blockchain.createBlock(null, { transactions });
+
+      expect(blockchain.validateChain([...blockchain.getAllBlocks(), block]))
+        .toMatchObject({ valid: false, error: `block 1: transaction ${registration.id} is not signed by a registered key for the sender` });
+    });
+
+    it('reads node keys from a JSON file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-keys-'));
+      const file = path.join(dir, 'node-keys.json');
+
+      try {
+        fs.writeFileSync(file, JSON.stringify({ [node.id]: node.publicKey }));
+        expect(KeyRegistry.readNodeKeys(file)).toEqual({ [node.id]: node.publicKey });
+
+        for (const invalid of [[node.publicKey], { [node.id]: 'not a key' }, { [KeyRegistry.SYSTEM_ACTOR]: node.publicKey }]) {
+          fs.writeFileSync(file, JSON.stringify(invalid));
+          expect(() => KeyRegistry.readNodeKeys(file)).toThrow(`${file} must map node IDs to PEM public keys`);
+        }
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
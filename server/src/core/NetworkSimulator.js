@@ -0,0 +1,155 @@
+/**
+ * Network Simulator - Fault injection for node-to-node requests
+ *
+ * Development networks (see scripts/devnet.js) enable it on every node to
+ * reproduce consensus bugs under bad network conditions. The NodeManager
+ * passes each outgoing request to a peer through beforeSend(), which may:
+ * - fail it because the peer is on the other side of a partition
+ * - drop it (fail it) with probability dropRate
+ * - delay it by latencyMs plus up to jitterMs
+ *
+ * A failed request looks like an unreachable peer to the NodeManager. Drops
+ * and jitter come from a pseudo-random generator seeded with seed, so the
+ * same seed and the same sequence of requests give the same faults.
+ *
+ * Data Structure:
+ * - Conditions: {
+ *     latencyMs: number
+ *     jitterMs: number
+ *     dropRate: number (0 to 1)
+ *     blockedNodes: Array<string> (peers this node cannot reach)
+ *     seed: number
+ *   }
+ *
+ * - Stats: {sent, dropped, blocked, delayedMs}
+ */
+
+const DEFAULT_CONDITIONS = {
+  latencyMs: 0,
+  jitterMs: 0,
+  dropRate: 0,
+  blockedNodes: [],
+  seed: 1
+};
+
+class NetworkSimulator {
+  /**
+   * @param {Object} conditions - Initial conditions (see Conditions; defaults to a perfect network)
+   */
+  constructor(conditions = {}) {
+    this.reset();
+    this.configure(conditions);
+  }
+
+  /**
+   * Change network conditions
+   *
+   * Fields left out keep their current value; a new seed restarts the
+   * pseudo-random sequence.
+   *
+   * @param {Object} conditions - Conditions to change
+   * @returns {Object} Conditions now in effect
+   */
+  configure(conditions = {}) {
+    const next = { ...this.conditions, ...conditions };
+
+    for (const field of ['latencyMs', 'jitterMs']) {
+      if (!Number.isFinite(next[field]) || next[field] < 0) {
+        throw new Error(`${field} must be a non-negative number`);
+      }
+    }
+
+    if (!Number.isFinite(next.dropRate) || next.dropRate < 0 || next.dropRate > 1) {
+      throw new Error('dropRate must be between 0 and 1');
+    }
+
+    if (!Array.isArray(next.blockedNodes) || !next.blockedNodes.every(id => typeof id === 'string')) {
+      throw new Error('blockedNodes must be an array of node IDs');
+    }
+
+    if (!Number.isInteger(next.seed)) {
+      throw new Error('seed must be an integer');
+    }
+
+    if (next.seed !== this.conditions.seed) {
+      this.random = createRandom(next.seed);
+    }
+
+    this.conditions = { ...next, blockedNodes: [...new Set(next.blockedNodes)] };
+    return this.getConditions();
+  }
+
+  /**
+   * Restore a perfect network and clear the stats
+   */
+  reset() {
+    this.conditions = { ...DEFAULT_CONDITIONS };
+    this.random = createRandom(DEFAULT_CONDITIONS.seed);
+    this.stats = { sent: 0, dropped: 0, blocked: 0, delayedMs: 0 };
+  }
+
+  /**
+   * Get the conditions in effect
+   */
+  getConditions() {
+    return { ...this.conditions, blockedNodes: [...this.conditions.blockedNodes] };
+  }
+
+  /**
+   * Get how many requests were sent, dropped and blocked so far
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Apply the network conditions to a request about to be sent to a peer
+   *
+   * @param {string} nodeId - Recipient node ID
+   * @returns {Promise<void>} Resolves when the request may go out
+   * @throws {Error} If the request is blocked by a partition or dropped
+   */
+  async beforeSend(nodeId) {
+    const { latencyMs, jitterMs, dropRate, blockedNodes } = this.conditions;
+
+    if (blockedNodes.includes(nodeId)) {
+      this.stats.blocked++;
+      throw new Error(`Simulated partition: ${nodeId} is unreachable`);
+    }
+
+    // Draw both numbers for every request, so the sequence does not depend on the outcome
+    const drop = this.random() < dropRate;
+    const delay = latencyMs + Math.round(this.random() * jitterMs);
+
+    if (drop) {
+      this.stats.dropped++;
+      throw new Error(`Simulated message drop to ${nodeId}`);
+    }
+
+    this.stats.sent++;
+    if (delay > 0) {
+      this.stats.delayedMs += delay;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = NetworkSimulator;
@@ -0,0 +1,93 @@
+const NetworkSimulator = require('./NetworkSimulator.js');
+
+/**
+ * Send requests through a simulator and report which were dropped
+ */
+async function outcomes(simulator, count) {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await simulator.beforeSend('node-2').then(() => 'sent', () => 'dropped'));
+  }
+  return results;
+}
+
+describe('NetworkSimulator', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('starts as a perfect network', async () => {
+    const simulator = new NetworkSimulator();
+
+    await simulator.beforeSend('node-2');
+
+    expect(simulator.getConditions()).toEqual({ latencyMs: 0, jitterMs: 0, dropRate: 0, blockedNodes: [], seed: 1 });
+    expect(simulator.getStats()).toEqual({ sent: 1, dropped: 0, blocked: 0, delayedMs: 0 });
+  });
+
+  it('rejects invalid conditions and keeps the ones in effect', () => {
+    const simulator = new NetworkSimulator({ latencyMs: 10 });
+
+    expect(() => simulator.configure({ latencyMs: -1 })).toThrow('latencyMs must be a non-negative number');
+    expect(() => simulator.configure({ jitterMs: 'x' })).toThrow('jitterMs must be a non-negative number');
+    expect(() => simulator.configure({ dropRate: 2 })).toThrow('dropRate must be between 0 and 1');
+    expect(() => simulator.configure({ blockedNodes: 'node-2' })).toThrow('blockedNodes must be an array of node IDs');
+    expect(() => simulator.configure({ seed: 1.5 })).toThrow('seed must be an integer');
+    expect(simulator.getConditions().latencyMs).toBe(10);
+  });
+
+  it('fails requests to peers across a partition', async () => {
+    const simulator = new NetworkSimulator({ blockedNodes: ['node-2', 'node-2'] });
+
+    await expect(simulator.beforeSend('node-2')).rejects.toThrow('Simulated partition: node-2 is unreachable');
+    await simulator.beforeSend('node-3');
+
+    expect(simulator.getConditions().blockedNodes).toEqual(['node-2']);
+    expect(simulator.getStats()).toMatchObject({ sent: 1, blocked: 1 });
+  });
+
+  it('drops the same requests for the same seed', async () => {
+    const first = await outcomes(new NetworkSimulator({ dropRate: 0.5, seed: 7 }), 20);
+    const second = await outcomes(new NetworkSimulator({ dropRate: 0.5, seed: 7 }), 20);
+    const other = await outcomes(new NetworkSimulator({ dropRate: 0.5, seed: 8 }), 20);
+
+    expect(second).toEqual(first);
+    expect(other).not.toEqual(first);
+    expect(first).toContain('sent');
+    expect(first).toContain('dropped');
+  });
+
+  it('restarts the drop sequence when given a new seed', async () => {
+    const simulator = new NetworkSimulator({ dropRate: 0.5, seed: 7 });
+    const first = await outcomes(simulator, 10);
+
+    simulator.configure({ seed: 8 });
+    simulator.configure({ seed: 7 });
+
+    expect(await outcomes(simulator, 10)).toEqual(first);
+  });
+
+  it('delays requests by the latency', async () => {
+    jest.useFakeTimers();
+    const simulator = new NetworkSimulator({ latencyMs: 500 });
+    const sent = jest.fn();
+
+    simulator.beforeSend('node-2').then(sent);
+    await jest.advanceTimersByTimeAsync(499);
+    expect(sent).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sent).toHaveBeenCalled();
+    expect(simulator.getStats().delayedMs).toBe(500);
+  });
+
+  it('restores a perfect network and clears the stats on reset', async () => {
+    const simulator = new NetworkSimulator({ dropRate: 1, blockedNodes: ['node-3'] });
+    await expect(simulator.beforeSend('node-2')).rejects.toThrow('Simulated message drop to node-2');
+
+    simulator.reset();
+
+    expect(simulator.getConditions()).toMatchObject({ dropRate: 0, blockedNodes: [] });
+    expect(simulator.getStats().dropped).toBe(0);
+  });
+});
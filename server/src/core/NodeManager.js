@@ -2,17 +2,80 @@
  * Node Manager
  * 
  * Manages blockchain network nodes in a permissioned network.
- * In production, this would handle peer discovery, network topology, etc.
+ * 
+ * Peers are registered by URL and talk over HTTP (see features/p2p):
+ * - New mempool transactions and appended blocks are gossiped to every live
+ *   peer; message IDs already seen are not processed or relayed again
+ * - Peers are pinged on a heartbeat; a peer that fails maxFailures requests
+ *   in a row is marked unreachable and skipped by gossip until it answers again
+ * - A node that falls behind a peer pulls the missing blocks from it
+ * - Consensus messages are gossiped the same way and handed to the consensus
+ *   protocol registered with setConsensusHandler; a message addressed to one
+ *   node (message.to) goes straight to it when it is a direct peer, and is
+ *   only relayed, not handled, by the nodes it passes through otherwise
+ * - Every request to a peer is signed with the node key (see utils/signedRequest.js),
+ *   and only peers with a known node key are added
+ * - With a NetworkSimulator, every request to a peer first goes through its
+ *   latency, drop and partition rules (development networks only)
+ * 
+ * Data Structure:
+ * - Peer: {
+ *     nodeId: string
+ *     url: string|null (null for peers registered by ID only)
+ *     status: 'alive' | 'unreachable'
+ *     failures: number (consecutive failed requests)
+ *     lastSeen: number|null
+ *     chainLength: number|null (as last reported by the peer)
+ *     addedAt: number
+ *   }
  */
 
 const crypto = require('crypto');
+const { generateKeyPair, sign, signTransaction } = require('../utils/signing.js');
+const { signRequest } = require('../utils/signedRequest.js');
+
+const SEEN_MESSAGES_LIMIT = 10000;
 
 class NodeManager {
-  constructor(blockchain) {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {Object} options - Node options
+   * @param {Object} options.identity - Persisted identity {nodeId, publicKey, privateKey}; generated if omitted
+   * @param {string} options.url - URL peers reach this node at
+   * @param {number} options.requestTimeoutMs - Timeout for requests to peers (default 3000)
+   * @param {number} options.heartbeatMs - Peer liveness check interval (default 10000, 0 disables)
+   * @param {number} options.maxFailures - Consecutive failures before a peer is unreachable (default 3)
+   * @param {NetworkSimulator} options.simulator - Fault injection for requests to peers (default none)
+   */
+  constructor(blockchain, options = {}) {
     this.blockchain = blockchain;
-    this.nodeId = crypto.randomUUID();
-    this.networkNodes = new Set();
+    this.identity = options.identity || NodeManager.generateIdentity();
+    this.nodeId = this.identity.nodeId;
+    this.url = options.url || null;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 3000;
+    this.heartbeatMs = options.heartbeatMs ?? 10000;
+    this.maxFailures = options.maxFailures ?? 3;
+    this.simulator = options.simulator || null;
+    this.networkNodes = new Map(); // nodeId -> Peer
+    this.seenMessages = new Map(); // message key -> origin node ID (null if local)
+    this.syncing = new Set(); // node IDs a sync is running against
+    this.heartbeat = null;
+    this.running = false;
     this.isConsensusNode = false;
+    this.consensusHandler = null;
+
+    this._onTransaction = (transaction) => this.broadcastTransaction(transaction);
+    this._onBlock = (block) => this.broadcastBlock(block);
+  }
+
+  /**
+   * Generate a new node identity (ID and Ed25519 key pair)
+   */
+  static generateIdentity() {
+    return {
+      nodeId: crypto.randomUUID(),
+      ...generateKeyPair()
+    };
   }
 
   /**
@@ -23,16 +86,160 @@ class NodeManager {
   }
 
   /**
-   * Add a network node
+   * Get the node's public signing key (PEM)
+   */
+  getPublicKey() {
+    return this.identity.publicKey;
+  }
+
+  /**
+   * Sign an arbitrary payload with the node key
+   */
+  sign(payload) {
+    return sign(payload, this.identity.privateKey);
+  }
+
+  /**
+   * Sign a transaction with the node key
+   */
+  signTransaction(transaction) {
+    return signTransaction(transaction, this.identity.privateKey, this.nodeId);
+  }
+
+  /**
+   * Register the node key on-chain if the key registry does not know it yet
+   * 
+   * Peers need the key to verify the node's 'system' transactions. A key
+   * seeded from NODE_KEYS_FILE is registered too, so that tools and light
+   * clients without the file learn it from the chain.
+   * 
+   * @returns {Object|null} Pending registration transaction, or null if already registered
+   */
+  ensureKeyRegistered() {
+    const keyRegistry = this.blockchain.keyRegistry;
+    if (!keyRegistry || keyRegistry.getKey(this.nodeId)?.transactionId) {
+      return null;
+    }
+
+    return this.blockchain.addTransaction(this.signTransaction(
+      keyRegistry.buildRegistrationTransaction(this.nodeId, 'node', this.getPublicKey())
+    ));
+  }
+
+  /**
+   * Start gossiping local transactions/blocks and checking peer liveness
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.blockchain.on('transaction', this._onTransaction);
+    this.blockchain.on('block', this._onBlock);
+
+    if (this.heartbeatMs > 0) {
+      this.heartbeat = setInterval(() => this.checkPeers(), this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+  }
+
+  /**
+   * Stop gossiping and liveness checks
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.blockchain.off('transaction', this._onTransaction);
+    this.blockchain.off('block', this._onBlock);
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Get the info this node reports to peers
+   */
+  getInfo() {
+    return {
+      nodeId: this.nodeId,
+      url: this.url,
+      publicKey: this.getPublicKey(),
+      chainLength: this.blockchain.getChainLength(),
+      chainWork: this.blockchain.getChainWork(),
+      genesisHash: this.blockchain.getBlock(0)?.hash || null,
+      latestBlockHash: this.blockchain.getLatestBlock()?.hash || null
+    };
+  }
+
+  /**
+   * Add a network node by ID (no URL, so it is not contacted)
    */
   addNode(nodeId) {
-    if (nodeId && nodeId !== this.nodeId) {
-      this.networkNodes.add(nodeId);
+    if (nodeId && nodeId !== this.nodeId && !this.networkNodes.has(nodeId)) {
+      this.networkNodes.set(nodeId, this._createPeer(nodeId, null));
       return true;
     }
     return false;
   }
 
+  /**
+   * Register a peer by URL
+   * 
+   * Fetches the peer's info to learn its node ID, which must have a known node
+   * key (configured, see KeyRegistry), announces this node to it
+   * (unless the peer is the one announcing itself) and catches up with its
+   * chain and mempool.
+   * 
+   * @param {string} url - Peer base URL (e.g. http://localhost:3001)
+   * @param {Object} options - Options
+   * @param {boolean} options.announce - Announce this node to the peer (default true)
+   * @returns {Promise<Object>} Peer
+   */
+  async addPeer(url, options = {}) {
+    const { announce = true } = options;
+    const peerUrl = String(url || '').replace(/\/+$/, '');
+    if (!/^https?:\/\/.+/.test(peerUrl)) {
+      throw new Error(`Invalid peer URL: ${url}`);
+    }
+
+    const info = await this._fetch(peerUrl, 'GET', '/p2p/info');
+    if (!info.nodeId) {
+      throw new Error(`${peerUrl} did not report a node ID`);
+    }
+    if (info.nodeId === this.nodeId) {
+      throw new Error('Cannot add this node as its own peer');
+    }
+    const keyRegistry = this.blockchain.keyRegistry;
+    if (keyRegistry && keyRegistry.getKey(info.nodeId)?.actorType !== 'node') {
+      throw new Error(`${peerUrl} reported node ID ${info.nodeId}, which has no known node key`);
+    }
+
+    const known = this.networkNodes.get(info.nodeId);
+    const peer = known || this._createPeer(info.nodeId, peerUrl);
+    peer.url = peerUrl;
+    this.networkNodes.set(peer.nodeId, peer);
+    this._markAlive(peer, info);
+
+    if (announce && this.url) {
+      await this._request(peer, 'POST', '/p2p/peers', { url: this.url });
+    }
+
+    if (!known) {
+      console.log(`[NodeManager] Peer ${peer.nodeId} added at ${peerUrl}`);
+    }
+
+    this.syncWithPeer(peer).catch(error => {
+      console.error(`[NodeManager] Initial sync with ${peer.nodeId} failed: ${error.message}`);
+    });
+
+    return peer;
+  }
+
   /**
    * Remove a network node
    */
@@ -41,10 +248,17 @@ class NodeManager {
   }
 
   /**
-   * Get all network nodes
+   * Get all network node IDs
    */
   getNetworkNodes() {
-    return Array.from(this.networkNodes);
+    return Array.from(this.networkNodes.keys());
+  }
+
+  /**
+   * Get all peers with their liveness
+   */
+  getPeers() {
+    return Array.from(this.networkNodes.values()).map(peer => ({ ...peer }));
   }
 
   /**
@@ -69,24 +283,485 @@ class NodeManager {
   }
 
   /**
-   * Broadcast a transaction to network (simplified - in production would use network protocol)
+   * Broadcast a transaction to live peers (except the one it came from)
    */
   async broadcastTransaction(transaction) {
-    // In production, this would send to all network nodes
-    // For this assessment, we'll just log it
-    console.log(`[NodeManager] Broadcasting transaction to ${this.networkNodes.size} nodes`);
-    return { success: true, nodesReached: this.networkNodes.size };
+    return this._gossip(`tx:${transaction.id}`, '/p2p/tx', { transaction });
+  }
+
+  /**
+   * Broadcast a block to live peers (except the one it came from)
+   */
+  async broadcastBlock(block) {
+    return this._gossip(`block:${block.hash}`, '/p2p/block', { block });
+  }
+
+  /**
+   * Broadcast a signed consensus message to live peers (except the one it came from)
+   */
+  async broadcastConsensusMessage(message) {
+    return this._gossip(`consensus:${message.signature}`, '/p2p/consensus', { message });
+  }
+
+  /**
+   * Send a signed consensus message to one node
+   * 
+   * Direct peers are contacted even while marked unreachable, so a protocol
+   * notices quickly when they come back; other nodes are reached by gossip.
+   * 
+   * @param {Object} message - Signed consensus message with to set to the recipient's node ID
+   */
+  async sendConsensusMessage(message) {
+    const peer = this.networkNodes.get(message.to);
+    if (!peer?.url) {
+      return this.broadcastConsensusMessage(message);
+    }
+
+    this._markSeen(`consensus:${message.signature}`, null);
+    return this._request(peer, 'POST', '/p2p/consensus', { message })
+      .then(() => ({ success: true, nodesReached: 1 }), () => ({ success: true, nodesReached: 0 }));
+  }
+
+  /**
+   * Register the consensus protocol that handles consensus messages from peers
+   * 
+   * @param {Function} handler - (message) => status; throws if the message is invalid
+   */
+  setConsensusHandler(handler) {
+    this.consensusHandler = handler;
+  }
+
+  /**
+   * Handle a consensus message gossiped by a peer, relaying it if it is valid
+   * 
+   * @param {Object} message - Signed consensus message
+   * @param {string} origin - Node ID of the sender
+   * @returns {string} Status from the consensus handler, 'duplicate' if already seen,
+   *   or 'relayed' if addressed to another node
+   */
+  receiveConsensusMessage(message, origin = null) {
+    if (!this.consensusHandler) {
+      throw new Error('Consensus is not enabled on this node');
+    }
+
+    const key = `consensus:${message?.signature}`;
+    if (this.seenMessages.has(key)) {
+      return 'duplicate';
+    }
+
+    this._markSeen(key, origin);
+    this._touch(origin);
+
+    if (message.to && message.to !== this.nodeId) {
+      this.broadcastConsensusMessage(message);
+      return 'relayed';
+    }
+
+    let status;
+    try {
+      status = this.consensusHandler(message);
+    } catch (error) {
+      this.seenMessages.delete(key);
+      throw error;
+    }
+
+    if (!message.to) {
+      this.broadcastConsensusMessage(message);
+    }
+    return status;
+  }
+
+  /**
+   * Handle a transaction gossiped by a peer
+   * 
+   * @param {Object} transaction - Transaction with id and timestamp
+   * @param {string} origin - Node ID of the sender
+   * @returns {string} 'accepted' or 'duplicate'
+   */
+  receiveTransaction(transaction, origin = null) {
+    const key = `tx:${transaction?.id}`;
+    if (this.seenMessages.has(key)) {
+      return 'duplicate';
+    }
+
+    this._markSeen(key, origin);
+    this._touch(origin);
+
+    try {
+      // Relayed to other peers through the 'transaction' event
+      return this.blockchain.receiveTransaction(transaction) ? 'accepted' : 'duplicate';
+    } catch (error) {
+      // May become valid later (e.g. once the signer's key registration arrives)
+      this.seenMessages.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a block gossiped by a peer
+   * 
+   * When the block is ahead of the local chain, the missing blocks are pulled
+   * from the sender.
+   * 
+   * @param {Object} block - Block
+   * @param {string} origin - Node ID of the sender
+   * @returns {string} Status from Blockchain.receiveBlock, or 'duplicate' if already seen
+   */
+  receiveBlock(block, origin = null) {
+    const key = `block:${block?.hash}`;
+    if (this.seenMessages.has(key)) {
+      return 'duplicate';
+    }
+
+    this._markSeen(key, origin);
+    this._touch(origin);
+
+    let status;
+    try {
+      // Relayed to other peers through the 'block' event
+      status = this.blockchain.receiveBlock(block);
+    } catch (error) {
+      this.seenMessages.delete(key);
+      throw error;
+    }
+
+    if (status === 'ahead' || status === 'fork') {
+      // Not adopted, so let it be offered again once we have caught up
+      this.seenMessages.delete(key);
+    }
+
+    const peer = this.networkNodes.get(origin);
+    if (status === 'ahead' && peer?.url) {
+      this.syncWithPeer(peer).catch(error => {
+        console.error(`[NodeManager] Sync with ${origin} failed: ${error.message}`);
+      });
+    } else if (status === 'fork' && peer?.url && block.index >= this.blockchain.getChainLength()) {
+      // The sender's chain is longer than ours: resolve the fork
+      this.syncWithPeer(peer).catch(error => {
+        console.error(`[NodeManager] Sync with ${origin} failed: ${error.message}`);
+      });
+    } else if (status === 'fork') {
+      console.warn(`[NodeManager] Block ${block.index} from ${origin} conflicts with the local chain`);
+    }
+
+    return status;
   }
 
   /**
-   * Synchronize chain with network (simplified)
+   * Check liveness of every peer with a URL, syncing with peers that are ahead
+   * 
+   * @returns {Promise<Array>} Peers
+   */
+  async checkPeers() {
+    const peers = Array.from(this.networkNodes.values()).filter(peer => peer.url);
+
+    await Promise.all(peers.map(async (peer) => {
+      try {
+        const info = await this._request(peer, 'GET', '/p2p/info');
+        if (info.chainLength > this.blockchain.getChainLength() || info.chainWork > this.blockchain.getChainWork()) {
+          await this.syncWithPeer(peer);
+        }
+      } catch (error) {
+        // Failure is recorded on the peer
+      }
+    }));
+
+    return this.getPeers();
+  }
+
+  /**
+   * Catch up with a peer: pull blocks beyond the local chain and offer it
+   * our pending transactions
+   * 
+   * If the peer's chain diverges from the local chain and carries more work,
+   * the local chain is reorganized onto it (status 'reorganized'); any other
+   * diverging chain is reported as a fork and left alone.
+   * 
+   * @param {Object} peer - Peer with a URL
+   * @returns {Promise<Object>} {nodeId, status, blocksAdded, blocksRemoved, transactionsSent}
+   */
+  async syncWithPeer(peer) {
+    if (this.syncing.has(peer.nodeId)) {
+      return { nodeId: peer.nodeId, status: 'in-progress', blocksAdded: 0, transactionsSent: 0 };
+    }
+
+    this.syncing.add(peer.nodeId);
+    try {
+      let status = 'up-to-date';
+      let blocksAdded = 0;
+      let blocksRemoved = 0;
+
+      const { blocks, chainWork } = await this._request(
+        peer,
+        'GET',
+        `/p2p/chain?from=${this.blockchain.getChainLength()}`
+      );
+
+      for (const block of blocks) {
+        this._markSeen(`block:${block.hash}`, peer.nodeId);
+        let result;
+        try {
+          result = this.blockchain.receiveBlock(block);
+        } catch (error) {
+          this.seenMessages.delete(`block:${block.hash}`);
+          throw error;
+        }
+        if (result === 'appended') {
+          blocksAdded++;
+          status = 'synced';
+        } else if (result !== 'duplicate') {
+          this.seenMessages.delete(`block:${block.hash}`);
+          status = result;
+          break;
+        }
+      }
+
+      if (status === 'fork' && chainWork > this.blockchain.getChainWork()) {
+        const reorg = await this.resolveFork(peer);
+        if (reorg) {
+          status = 'reorganized';
+          blocksAdded += reorg.blocksAdded;
+          blocksRemoved = reorg.blocksRemoved;
+        }
+      } else if (status === 'fork') {
+        console.warn(`[NodeManager] Chain of ${peer.nodeId} diverges from the local chain`);
+      }
+
+      // In order, so key registrations arrive before the transactions they sign
+      const pending = this.blockchain.getPendingTransactions();
+      for (const transaction of pending) {
+        await this._request(peer, 'POST', '/p2p/tx', { transaction }).catch(() => null);
+      }
+
+      return { nodeId: peer.nodeId, status, blocksAdded, blocksRemoved, transactionsSent: pending.length };
+    } finally {
+      this.syncing.delete(peer.nodeId);
+    }
+  }
+
+  /**
+   * Fetch a peer's chain, downloading only the blocks after the common ancestor
+   * 
+   * The ancestor is found by comparing the peer's block headers with the
+   * local chain; the shared prefix is taken from the local chain.
+   * 
+   * @param {Object} peer - Peer with a URL
+   * @returns {Promise<Object>} {nodeId, chain, commonAncestor}
+   */
+  async fetchPeerChain(peer) {
+    const { headers } = await this._request(peer, 'GET', '/p2p/headers');
+    const commonAncestor = this.blockchain.findCommonAncestor(headers);
+
+    const { blocks } = await this._request(peer, 'GET', `/p2p/chain?from=${commonAncestor + 1}`);
+
+    return {
+      nodeId: peer.nodeId,
+      chain: [...this.blockchain.getAllBlocks().slice(0, commonAncestor + 1), ...blocks],
+      commonAncestor
+    };
+  }
+
+  /**
+   * Fetch the chains of all live peers that carry more work than the local chain
+   * 
+   * @returns {Promise<Array>} [{nodeId, chain, commonAncestor}]
+   */
+  async fetchHeavierChains() {
+    const peers = Array.from(this.networkNodes.values())
+      .filter(peer => peer.url && peer.status === 'alive');
+
+    const chains = await Promise.all(peers.map(async (peer) => {
+      try {
+        const info = await this._request(peer, 'GET', '/p2p/info');
+        if (!(info.chainWork > this.blockchain.getChainWork())) {
+          return null;
+        }
+        return await this.fetchPeerChain(peer);
+      } catch (error) {
+        console.error(`[NodeManager] Cannot fetch chain of ${peer.nodeId}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    return chains.filter(Boolean);
+  }
+
+  /**
+   * Adopt a peer's chain if it carries more work than the local chain
+   * 
+   * @param {Object} peer - Peer with a URL
+   * @returns {Promise<Object|null>} Result of Blockchain.replaceChain, or null if the peer's chain carries no more work
+   */
+  async resolveFork(peer) {
+    const { chain } = await this.fetchPeerChain(peer);
+    if (this.blockchain.getChainWork(chain) <= this.blockchain.getChainWork()) {
+      return null;
+    }
+
+    const result = this.blockchain.replaceChain(chain);
+    console.log(`[NodeManager] Reorganized onto chain of ${peer.nodeId}: ${result.blocksRemoved} blocks replaced by ${result.blocksAdded}, ${result.orphanedTransactions} transactions returned to the mempool`);
+
+    return result;
+  }
+
+  /**
+   * Synchronize chain with all live peers
    */
   async syncChain() {
-    // In production, this would fetch chain from other nodes and validate
-    console.log(`[NodeManager] Syncing chain with network`);
-    return { success: true, chainLength: this.blockchain.getChainLength() };
+    const peers = Array.from(this.networkNodes.values())
+      .filter(peer => peer.url && peer.status === 'alive');
+
+    const results = await Promise.all(peers.map(peer =>
+      this.syncWithPeer(peer).catch(error => ({
+        nodeId: peer.nodeId,
+        status: 'error',
+        error: error.message
+      }))
+    ));
+
+    return {
+      success: results.every(result => result.status !== 'error'),
+      chainLength: this.blockchain.getChainLength(),
+      peers: results
+    };
+  }
+
+  /**
+   * Internal method to send a message to every live peer except its origin
+   * 
+   * @private
+   */
+  async _gossip(key, path, body) {
+    const origin = this.seenMessages.get(key) ?? null;
+    this._markSeen(key, origin);
+
+    const targets = Array.from(this.networkNodes.values()).filter(peer =>
+      peer.url && peer.status === 'alive' && peer.nodeId !== origin
+    );
+
+    const results = await Promise.all(targets.map(peer =>
+      this._request(peer, 'POST', path, body)
+        .then(() => true, () => false)
+    ));
+
+    return { success: true, nodesReached: results.filter(Boolean).length };
+  }
+
+  /**
+   * Internal method to send a request to a peer, tracking its liveness
+   * 
+   * @private
+   */
+  async _request(peer, method, path, body = undefined) {
+    try {
+      if (this.simulator) {
+        await this.simulator.beforeSend(peer.nodeId);
+      }
+
+      const result = await this._fetch(peer.url, method, path, body);
+      this._markAlive(peer, path === '/p2p/info' ? result : null);
+      return result;
+    } catch (error) {
+      // The peer answered, it just rejected the request
+      if (error.status && error.status < 500) {
+        this._markAlive(peer);
+        throw error;
+      }
+
+      peer.failures++;
+      if (peer.failures >= this.maxFailures && peer.status !== 'unreachable') {
+        peer.status = 'unreachable';
+        console.warn(`[NodeManager] Peer ${peer.nodeId} is unreachable: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Internal method to make an HTTP request to a node, signed with the node key, and parse its JSON response
+   * 
+   * @private
+   */
+  async _fetch(baseUrl, method, path, body = undefined) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...signRequest(this.nodeId, this.identity.privateKey, method, path, body)
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(this.requestTimeoutMs)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`${method} ${path} failed with ${response.status}: ${result.error?.message || result.error || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Internal helper to create a peer entry
+   * 
+   * @private
+   */
+  _createPeer(nodeId, url) {
+    return {
+      nodeId,
+      url,
+      status: 'alive',
+      failures: 0,
+      lastSeen: null,
+      chainLength: null,
+      addedAt: Date.now()
+    };
+  }
+
+  /**
+   * Internal helper to record a successful exchange with a peer
+   * 
+   * @private
+   */
+  _markAlive(peer, info = null) {
+    if (peer.status !== 'alive') {
+      console.log(`[NodeManager] Peer ${peer.nodeId} is reachable again`);
+    }
+    peer.status = 'alive';
+    peer.failures = 0;
+    peer.lastSeen = Date.now();
+    if (info) {
+      peer.chainLength = info.chainLength;
+    }
+  }
+
+  /**
+   * Internal helper to record that a known peer contacted us
+   * 
+   * @private
+   */
+  _touch(nodeId) {
+    const peer = nodeId && this.networkNodes.get(nodeId);
+    if (peer) {
+      this._markAlive(peer);
+    }
+  }
+
+  /**
+   * Internal helper to remember a message ID (bounded, oldest forgotten first)
+   * 
+   * @private
+   */
+  _markSeen(key, origin) {
+    this.seenMessages.delete(key);
+    this.seenMessages.set(key, origin);
+
+    if (this.seenMessages.size > SEEN_MESSAGES_LIMIT) {
+      this.seenMessages.delete(this.seenMessages.keys().next().value);
+    }
   }
 }
 
 module.exports = NodeManager;
-
@@ -0,0 +1,311 @@
+const express = require('express');
+const Blockchain = require('./Blockchain.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const NetworkSimulator = require('./NetworkSimulator.js');
+const NodeManager = require('./NodeManager.js');
+const { signRequest } = require('../utils/signedRequest.js');
+
+const nodes = [];
+
+// The nodes of a test trust each other's keys, as if listed in a shared NODE_KEYS_FILE
+const identities = Array.from({ length: 3 }, () => NodeManager.generateIdentity());
+const nodeKeys = Object.fromEntries(identities.map(identity => [identity.nodeId, identity.publicKey]));
+
+/**
+ * Start a node with its own P2P endpoints on a free local port, trusting the given node keys
+ */
+async function startNode(options = {}, trustedKeys = nodeKeys) {
+  const keyRegistry = new KeyRegistry({ nodeKeys: trustedKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, {
+    identity: identities[nodes.length],
+    heartbeatMs: 0,
+    requestTimeoutMs: 1000,
+    maxFailures: 2,
+    ...options
+  });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+
+  // Every node needs its own controller instance, as it caches its service
+  let p2pRoutes;
+  jest.isolateModules(() => {
+    p2pRoutes = require('../features/p2p/p2pController.js');
+  });
+
+  const app = express();
+  app.locals.blockchain = blockchain;
+  app.locals.nodeManager = nodeManager;
+  app.use('/p2p', express.json(), p2pRoutes);
+  app.use((err, req, res, next) => {
+    res.status(500).json({ error: { message: err.message } });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  nodeManager.url = `http://127.0.0.1:${server.address().port}`;
+  nodeManager.start();
+
+  const node = { blockchain, nodeManager, server, url: nodeManager.url };
+  nodes.push(node);
+  return node;
+}
+
+async function stopNode(node) {
+  node.nodeManager.stop();
+  node.server.closeAllConnections();
+  await new Promise(resolve => node.server.close(resolve));
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function hasTransaction(node, id) {
+  return !!node.blockchain.findTransaction(id);
+}
+
+/**
+ * Peer two nodes and wait until their initial syncs have exchanged both node keys and finished
+ */
+async function connect(a, b) {
+  const keys = [a, b].map(node => node.blockchain.getPendingTransactions()[0].id);
+  await a.nodeManager.addPeer(b.url);
+  await waitFor(() => keys.every(id => hasTransaction(a, id) && hasTransaction(b, id)) &&
+    a.nodeManager.syncing.size === 0 && b.nodeManager.syncing.size === 0);
+}
+
+describe('NodeManager', () => {
+  afterEach(async () => {
+    await Promise.all(nodes.splice(0).map(stopNode));
+  });
+
+  describe('peers', () => {
+    it('adds a peer by URL and is announced to it', async () => {
+      const a = await startNode();
+      const b = await startNode();
+
+      const peer = await a.nodeManager.addPeer(`${b.url}/`);
+
+      expect(peer).toMatchObject({ nodeId: b.nodeManager.getNodeId(), url: b.url, status: 'alive' });
+      expect(b.nodeManager.getNetworkNodes()).toEqual([a.nodeManager.getNodeId()]);
+      expect(b.nodeManager.getPeers()[0].url).toBe(a.url);
+    });
+
+    it('rejects invalid URLs, itself and nodes without a known key', async () => {
+      const a = await startNode();
+      const identity = NodeManager.generateIdentity();
+      const stranger = await startNode({ identity }, { [identity.nodeId]: identity.publicKey });
+
+      await expect(a.nodeManager.addPeer('localhost:3001')).rejects.toThrow('Invalid peer URL: localhost:3001');
+      await expect(a.nodeManager.addPeer(a.url)).rejects.toThrow('Cannot add this node as its own peer');
+      await expect(a.nodeManager.addPeer(stranger.url))
+        .rejects.toThrow(`${stranger.url} reported node ID ${stranger.nodeManager.getNodeId()}, which has no known node key`);
+    });
+
+    it('answers only requests signed by a known node, apart from its info', async () => {
+      const a = await startNode();
+      const stranger = NodeManager.generateIdentity();
+      const body = { transaction: { id: 'tx-1' } };
+      const post = (signer, signedBody = body) => fetch(`${a.url}/p2p/tx`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(signer ? signRequest(signer.nodeId, signer.privateKey, 'POST', '/p2p/tx', signedBody) : {})
+        },
+        body: JSON.stringify(body)
+      });
+
+      expect((await fetch(`${a.url}/p2p/info`)).status).toBe(200);
+      expect((await fetch(`${a.url}/p2p/peers`)).status).toBe(401);
+      expect((await post(null)).status).toBe(401);
+      expect((await post(stranger)).status).toBe(401);
+      expect((await post(identities[1], { transaction: { id: 'tx-2' } })).status).toBe(401);
+
+      const accepted = await post(identities[1]);
+      expect(accepted.status).toBe(400);
+      expect(await accepted.json()).toMatchObject({ success: false, status: 'rejected' });
+    });
+
+    it('marks a peer unreachable after repeated failures and skips it in gossip', async () => {
+      const a = await startNode();
+      const b = await startNode();
+      await connect(a, b);
+      await stopNode(nodes.pop());
+
+      await a.nodeManager.checkPeers();
+      expect(a.nodeManager.getPeers()[0]).toMatchObject({ status: 'alive', failures: 1 });
+
+      await a.nodeManager.checkPeers();
+      expect(a.nodeManager.getPeers()[0].status).toBe('unreachable');
+      expect(await a.nodeManager.broadcastTransaction({ id: 'tx-1' })).toEqual({ success: true, nodesReached: 0 });
+    });
+  });
+
+  describe('gossip', () => {
+    let a;
+    let b;
+
+    beforeEach(async () => {
+      a = await startNode();
+      b = await startNode();
+      await connect(a, b);
+    });
+
+    it('relays new transactions to peers', async () => {
+      const tx = a.blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+
+      await waitFor(() => hasTransaction(b, tx.id));
+      expect(b.blockchain.findTransaction(tx.id).transaction.signature).toBe(tx.signature);
+    });
+
+    it('relays new blocks to peers, who drop the included transactions from their mempool', async () => {
+      const block = a.blockchain.minePendingTransactions();
+
+      await waitFor(() => b.blockchain.getChainLength() === 2);
+      expect(b.blockchain.getLatestBlock().hash).toBe(block.hash);
+      expect(b.blockchain.getPendingTransactions()).toEqual([]);
+    });
+
+    it('reports messages it has already seen as duplicates', () => {
+      const tx = b.blockchain.getPendingTransactions()[0];
+
+      expect(b.nodeManager.receiveTransaction(tx, a.nodeManager.getNodeId())).toBe('duplicate');
+    });
+
+    it('rejects invalid transactions but lets them be offered again', () => {
+      const forged = { ...b.blockchain.getPendingTransactions()[0], id: 'tx-forged' };
+
+      expect(() => b.nodeManager.receiveTransaction(forged, a.nodeManager.getNodeId()))
+        .toThrow('Invalid transaction: signature does not match a registered key for the sender');
+      expect(b.nodeManager.seenMessages.has('tx:tx-forged')).toBe(false);
+    });
+  });
+
+  describe('catching up', () => {
+    it('pulls the blocks a new peer is missing and pushes its own mempool', async () => {
+      const a = await startNode();
+      a.blockchain.minePendingTransactions();
+      a.blockchain.addSystemTransaction({ to: 'audit-log', data: {} });
+      a.blockchain.minePendingTransactions();
+      const b = await startNode();
+      const bKey = b.blockchain.getPendingTransactions()[0];
+
+      await b.nodeManager.addPeer(a.url);
+
+      await waitFor(() => hasTransaction(a, bKey.id) && b.blockchain.getChainLength() === 3);
+      expect(b.blockchain.getLatestBlock().hash).toBe(a.blockchain.getLatestBlock().hash);
+      expect(b.blockchain.isChainValid()).toBe(true);
+    });
+
+    it('syncs when a gossiped block is ahead of the local chain', async () => {
+      const a = await startNode();
+      const b = await startNode();
+      await connect(b, a);
+
+      a.nodeManager.stop();
+      a.blockchain.minePendingTransactions();
+      a.blockchain.addSystemTransaction({ to: 'audit-log', data: {} });
+      const ahead = a.blockchain.minePendingTransactions();
+
+      expect(b.nodeManager.receiveBlock(ahead, a.nodeManager.getNodeId())).toBe('ahead');
+      await waitFor(() => b.blockchain.getChainLength() === 3);
+      expect(b.blockchain.getLatestBlock().hash).toBe(ahead.hash);
+    });
+
+    it('reorganizes onto a diverging chain only if it carries more work', async () => {
+      const a = await startNode();
+      const b = await startNode();
+      await connect(a, b);
+      a.nodeManager.stop();
+      b.nodeManager.stop();
+
+      a.blockchain.minePendingTransactions();
+      b.blockchain.minePendingTransactions();
+      b.blockchain.addSystemTransaction({ to: 'audit-log', data: {} });
+      b.blockchain.minePendingTransactions();
+      const peerOf = (node, other) => node.nodeManager.networkNodes.get(other.nodeManager.getNodeId());
+      const tip = b.blockchain.getLatestBlock().hash;
+
+      expect(await b.nodeManager.syncWithPeer(peerOf(b, a))).toMatchObject({ status: 'up-to-date', blocksRemoved: 0 });
+      expect(b.blockchain.getLatestBlock().hash).toBe(tip);
+      expect(await a.nodeManager.syncWithPeer(peerOf(a, b))).toMatchObject({ status: 'reorganized', blocksAdded: 2, blocksRemoved: 1 });
+      expect(a.blockchain.getLatestBlock().hash).toBe(b.blockchain.getLatestBlock().hash);
+      expect(a.nodeManager.getInfo().chainWork).toBe(2);
+    });
+  });
+
+  describe('consensus messages', () => {
+    it('requires a consensus protocol to handle them', async () => {
+      const a = await startNode();
+
+      expect(() => a.nodeManager.receiveConsensusMessage({ type: 'vote', signature: 's' }))
+        .toThrow('Consensus is not enabled on this node');
+    });
+
+    it('relays messages addressed to another node without handling them', async () => {
+      const a = await startNode();
+      const handler = jest.fn(() => 'accepted');
+      a.nodeManager.setConsensusHandler(handler);
+
+      expect(a.nodeManager.receiveConsensusMessage({ type: 'vote', signature: 's', to: 'node-2' })).toBe('relayed');
+      expect(a.nodeManager.receiveConsensusMessage({ type: 'vote', signature: 't' })).toBe('accepted');
+      expect(a.nodeManager.receiveConsensusMessage({ type: 'vote', signature: 't' })).toBe('duplicate');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('network simulator', () => {
+    it('fails requests to a partitioned peer until the partition heals', async () => {
+      const simulator = new NetworkSimulator();
+      const a = await startNode({ simulator });
+      const b = await startNode();
+      await connect(a, b);
+
+      simulator.configure({ blockedNodes: [b.nodeManager.getNodeId()] });
+      const tx = a.blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+      await a.nodeManager.checkPeers();
+      expect(a.nodeManager.getPeers()[0].status).toBe('unreachable');
+      expect(hasTransaction(b, tx.id)).toBe(false);
+      expect(simulator.getStats().blocked).toBe(2);
+
+      simulator.reset();
+      await a.nodeManager.checkPeers();
+      expect(a.nodeManager.getPeers()[0].status).toBe('alive');
+    });
+
+    it('changes conditions over HTTP only where it is enabled', async () => {
+      const a = await startNode({ simulator: new NetworkSimulator() });
+      const b = await startNode();
+      // Signed with the node's own key, as scripts/devnet.js does
+      const put = (node, body) => fetch(`${node.url}/p2p/simulator`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...signRequest(node.nodeManager.getNodeId(), node.nodeManager.identity.privateKey, 'PUT', '/p2p/simulator', body)
+        },
+        body: JSON.stringify(body)
+      });
+
+      const configured = await put(a, { dropRate: 0.5 });
+      expect(configured.status).toBe(200);
+      expect((await configured.json()).conditions.dropRate).toBe(0.5);
+      expect((await put(a, { lossRate: 0.5 })).status).toBe(400);
+      expect((await put(a, { dropRate: 2 })).status).toBe(500);
+      expect((await fetch(`${b.url}/p2p/simulator`, {
+        headers: signRequest(b.nodeManager.getNodeId(), b.nodeManager.identity.privateKey, 'GET', '/p2p/simulator')
+      })).status).toBe(404);
+      expect((await fetch(`${a.url}/p2p/simulator`)).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Transaction Index - Secondary indexes over mined transactions
+ *
+ * Maintained as blocks are appended and rebuilt when the chain is loaded,
+ * so lookups no longer scan every block.
+ *
+ * Indexed keys:
+ * - id, to, from: top-level transaction fields
+ * - patientId, consentId, resourceId: derived from the transaction payload
+ *   (consent records, delegations, revocations, audit entries); revocations that only
+ *   reference a consent inherit the patient of the original grant
+ * - timestamp: transaction timestamp, kept sorted for range queries
+ *
+ * Data Structure:
+ * - Location: { blockIndex: number, position: number } (position within block.transactions)
+ */
+
+const KEYED_FIELDS = ['id', 'to', 'from', 'patientId', 'consentId', 'resourceId'];
+
+class TransactionIndex {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.indexes = new Map(KEYED_FIELDS.map(field => [field, new Map()])); // field -> value -> Location[]
+    this.byTimestamp = []; // Array<{timestamp, location}>, sorted by timestamp
+    this.consentPatients = new Map(); // consentId -> patientId
+  }
+
+  /**
+   * Rebuild all indexes from a chain
+   *
+   * @param {Array} chain - Blocks in chain order
+   */
+  rebuild(chain) {
+    this.clear();
+    chain.forEach(block => this.addBlock(block));
+  }
+
+  /**
+   * Index every transaction of an appended block
+   *
+   * @param {Object} block - Block
+   */
+  addBlock(block) {
+    block.transactions.forEach((tx, position) => {
+      const location = { blockIndex: block.index, position };
+      const keys = this.getIndexKeys(tx);
+
+      if (keys.consentId && keys.patientId && !this.consentPatients.has(keys.consentId)) {
+        this.consentPatients.set(keys.consentId, keys.patientId);
+      }
+
+      for (const [field, value] of Object.entries(keys)) {
+        if (value === undefined || value === null) {
+          continue;
+        }
+
+        const entries = this.indexes.get(field);
+        if (!entries.has(value)) {
+          entries.set(value, []);
+        }
+        entries.get(value).push(location);
+      }
+
+      this._insertByTimestamp(tx.timestamp, location);
+    });
+  }
+
+  /**
+   * Get the indexed key values of a transaction
+   *
+   * @param {Object} tx - Transaction
+   * @returns {Object} {id, to, from, patientId, consentId, resourceId}
+   */
+  getIndexKeys(tx) {
+    const data = tx.data || {};
+    const record = data.consentRecord || data.revocationRecord || data.delegationRecord;
+    const auditEntry = data.auditEntry;
+
+    const consentId = record?.consentId ||
+      data.consentId ||
+      (auditEntry?.resourceType === 'consent' ? auditEntry.resourceId : undefined);
+
+    const patientId = record?.patientId ||
+      auditEntry?.patientId ||
+      data.patientId ||
+      (consentId ? this.consentPatients.get(consentId) : undefined);
+
+    return {
+      id: tx.id,
+      to: tx.to,
+      from: tx.from,
+      patientId,
+      consentId,
+      resourceId: auditEntry?.resourceId || data.resourceId
+    };
+  }
+
+  /**
+   * Look up transaction locations matching indexed criteria
+   *
+   * Uses the most selective indexed criterion; callers must still apply
+   * all criteria to the returned candidates.
+   *
+   * @param {Object} criteria - Any of the keyed fields, plus startTime/endTime
+   * @returns {Array|null} Candidate locations in chain order, or null if no criterion is indexed
+   */
+  lookup(criteria) {
+    let candidates = null;
+
+    for (const field of KEYED_FIELDS) {
+      if (criteria[field] === undefined) {
+        continue;
+      }
+
+      const locations = this.indexes.get(field).get(criteria[field]) || [];
+      if (candidates === null || locations.length < candidates.length) {
+        candidates = locations;
+      }
+    }
+
+    if (criteria.startTime !== undefined || criteria.endTime !== undefined) {
+      const inRange = this._rangeByTimestamp(criteria.startTime, criteria.endTime);
+      if (candidates === null || inRange.length < candidates.length) {
+        candidates = inRange.sort((a, b) => a.blockIndex - b.blockIndex || a.position - b.position);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Internal helper to insert into the sorted timestamp index
+   *
+   * @private
+   */
+  _insertByTimestamp(timestamp, location) {
+    const at = this._upperBound(timestamp);
+    this.byTimestamp.splice(at, 0, { timestamp, location });
+  }
+
+  /**
+   * Internal helper to get locations with startTime <= timestamp <= endTime
+   *
+   * @private
+   */
+  _rangeByTimestamp(startTime = -Infinity, endTime = Infinity) {
+    const from = this._lowerBound(startTime);
+    const to = this._upperBound(endTime);
+    return this.byTimestamp.slice(from, to).map(entry => entry.location);
+  }
+
+  /**
+   * Internal helper: first position with timestamp >= value
+   *
+   * @private
+   */
+  _lowerBound(value) {
+    let low = 0;
+    let high = this.byTimestamp.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.byTimestamp[mid].timestamp < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Internal helper: first position with timestamp > value
+   *
+   * @private
+   */
+  _upperBound(value) {
+    let low = 0;
+    let high = this.byTimestamp.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.byTimestamp[mid].timestamp <= value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
+
+TransactionIndex.KEYED_FIELDS = KEYED_FIELDS;
+
+module.exports = TransactionIndex;
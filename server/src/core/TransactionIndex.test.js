@@ -0,0 +1,73 @@
+const TransactionIndex = require('./TransactionIndex.js');
+
+function block(index, transactions) {
+  return { index, transactions };
+}
+
+const grant = {
+  id: 'tx-grant',
+  timestamp: 100,
+  from: 'system',
+  to: 'consent-contract-v1',
+  data: { consentRecord: { consentId: 'consent-1', patientId: 'patient-1' } }
+};
+const revoke = {
+  id: 'tx-revoke',
+  timestamp: 300,
+  from: 'patient-1',
+  to: 'consent-contract-v1',
+  data: { consentId: 'consent-1' }
+};
+const access = {
+  id: 'tx-access',
+  timestamp: 200,
+  from: 'system',
+  to: 'audit-log',
+  data: { auditEntry: { patientId: 'patient-2', resourceId: 'record-9', resourceType: 'medicalRecord' } }
+};
+
+describe('TransactionIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new TransactionIndex();
+    index.rebuild([block(0, []), block(1, [grant, access]), block(2, [revoke])]);
+  });
+
+  it('locates transactions by id, sender and recipient', () => {
+    expect(index.lookup({ id: 'tx-revoke' })).toEqual([{ blockIndex: 2, position: 0 }]);
+    expect(index.lookup({ from: 'system' })).toEqual([{ blockIndex: 1, position: 0 }, { blockIndex: 1, position: 1 }]);
+    expect(index.lookup({ to: 'nobody' })).toEqual([]);
+  });
+
+  it('derives patient, consent and resource keys from the payload', () => {
+    expect(index.getIndexKeys(access)).toMatchObject({ patientId: 'patient-2', resourceId: 'record-9', consentId: undefined });
+    expect(index.lookup({ patientId: 'patient-2' })).toEqual([{ blockIndex: 1, position: 1 }]);
+  });
+
+  it('gives a revocation the patient of the consent it references', () => {
+    expect(index.lookup({ patientId: 'patient-1' })).toEqual([{ blockIndex: 1, position: 0 }, { blockIndex: 2, position: 0 }]);
+    expect(index.lookup({ consentId: 'consent-1' })).toHaveLength(2);
+  });
+
+  it('looks up timestamp ranges inclusively, in chain order', () => {
+    expect(index.lookup({ startTime: 200 })).toEqual([{ blockIndex: 1, position: 1 }, { blockIndex: 2, position: 0 }]);
+    expect(index.lookup({ startTime: 100, endTime: 200 })).toEqual([{ blockIndex: 1, position: 0 }, { blockIndex: 1, position: 1 }]);
+    expect(index.lookup({ endTime: 99 })).toEqual([]);
+  });
+
+  it('uses the most selective criterion', () => {
+    expect(index.lookup({ from: 'system', id: 'tx-access' })).toEqual([{ blockIndex: 1, position: 1 }]);
+  });
+
+  it('returns null without an indexed criterion', () => {
+    expect(index.lookup({})).toBeNull();
+  });
+
+  it('forgets everything when rebuilt', () => {
+    index.rebuild([block(0, [])]);
+
+    expect(index.lookup({ id: 'tx-grant' })).toEqual([]);
+    expect(index.lookup({ patientId: 'patient-1' })).toEqual([]);
+  });
+});
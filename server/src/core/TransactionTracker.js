@@ -0,0 +1,256 @@
+/**
+ * Transaction Tracker - Status and receipts of submitted transactions
+ *
+ * A transaction moves through:
+ * - pending: in the mempool
+ * - included: in a block on the local chain
+ * - finalized: in a block with at least finalityDepth blocks on top of it.
+ *   PBFT and Raft only append committed blocks, so the depth is 0 there;
+ *   without a consensus protocol a block can still be replaced by a chain
+ *   with more work until it is that deep (see Blockchain.replaceChain), so
+ *   callers should wait for a few blocks on top
+ * - dropped: left out of the chain and mempool after a chain replacement
+ *   (see Blockchain 'dropped' events)
+ *
+ * Status is derived from the chain and mempool when asked for, so nothing is
+ * stored per transaction except recent drops. waitFor() lets callers (e.g.
+ * write endpoints with ?wait=finalized) block until a status is reached.
+ *
+ * Data Structure:
+ * - Receipt: {
+ *     transactionId: string
+ *     status: 'pending' | 'included' | 'finalized' | 'dropped'
+ *     submittedAt: number (mempool entry time)
+ *     blockIndex, blockHash, position: number|string|null (once included)
+ *     confirmations: number (blocks on top of the including block)
+ *     finalityDepth: number
+ *     merkleRoot: string|null
+ *     proof: {leaf, path, root}|null (Merkle inclusion proof, see Blockchain.getMerkleProof)
+ *     droppedAt: number|null
+ *     reason: string|null (why it was dropped)
+ *   }
+ */
+
+const STATUSES = ['pending', 'included', 'finalized', 'dropped'];
+const DROP_HISTORY_LIMIT = 1000;
+
+class TransactionTracker {
+  /**
+   * @param {Blockchain} blockchain - Blockchain to follow
+   * @param {Object} options - Tracker options
+   * @param {number} options.finalityDepth - Blocks on top of a block before its transactions are final (default 0)
+   */
+  constructor(blockchain, options = {}) {
+    this.blockchain = blockchain;
+    this.finalityDepth = options.finalityDepth ?? 0;
+    this.dropped = new Map(); // transactionId -> {droppedAt, reason}, oldest first
+    this.waiters = new Map(); // transactionId -> Array<{status, resolve, timer}>
+
+    if (!Number.isInteger(this.finalityDepth) || this.finalityDepth < 0) {
+      throw new Error('finalityDepth must be a non-negative integer');
+    }
+
+    this._onChange = () => this._notify();
+    this._onDropped = (transactions, reason) => {
+      for (const tx of transactions) {
+        if (tx.id) {
+          this._recordDrop(tx.id, reason);
+        }
+      }
+      this._notify();
+    };
+    this.blockchain.on('block', this._onChange);
+    this.blockchain.on('reset', this._onChange);
+    this.blockchain.on('transaction', this._onChange);
+    this.blockchain.on('dropped', this._onDropped);
+  }
+
+  /**
+   * Get the receipt of a transaction
+   *
+   * @param {string} id - Transaction ID
+   * @returns {Object|null} Receipt, or null if the transaction is unknown
+   */
+  getReceipt(id) {
+    const found = this.blockchain.findTransaction(id);
+
+    if (!found) {
+      const drop = this.dropped.get(id);
+      return drop ? this._buildReceipt(id, 'dropped', { ...drop }) : null;
+    }
+
+    const { transaction, block, position } = found;
+    if (!block) {
+      return this._buildReceipt(id, 'pending', { submittedAt: transaction.timestamp });
+    }
+
+    const confirmations = this.blockchain.getChainLength() - 1 - block.index;
+
+    return this._buildReceipt(id, confirmations >= this.finalityDepth ? 'finalized' : 'included', {
+      submittedAt: transaction.timestamp,
+      blockIndex: block.index,
+      blockHash: block.hash,
+      position,
+      confirmations,
+      merkleRoot: block.merkleRoot,
+      proof: this.blockchain.getMerkleProof(block.transactions, position, this.blockchain.getHashVersion(block))
+    });
+  }
+
+  /**
+   * Wait until a transaction reaches a status
+   *
+   * Resolves early if the transaction is dropped, since it can no longer get
+   * there, and after timeoutMs with whatever status it has (dropped if it
+   * vanished without a 'dropped' event, e.g. replaced by a snapshot mempool).
+   *
+   * @param {string} id - Transaction ID
+   * @param {string} status - 'included' (finalized also satisfies it) or 'finalized'
+   * @param {number} timeoutMs - Longest wait
+   * @returns {Promise<Object|null>} {reached: boolean, timedOut: boolean, receipt}, or null if unknown
+   */
+  waitFor(id, status, timeoutMs) {
+    if (!['included', 'finalized'].includes(status)) {
+      return Promise.reject(new Error(`Cannot wait for status ${status}. Must be one of: included, finalized`));
+    }
+
+    const receipt = this.getReceipt(id);
+    if (!receipt) {
+      return Promise.resolve(null);
+    }
+
+    if (this._isSettled(receipt, status)) {
+      return Promise.resolve(this._result(receipt, status, false));
+    }
+
+    return new Promise(resolve => {
+      const waiter = { status, resolve };
+      waiter.timer = setTimeout(() => {
+        this._removeWaiter(id, waiter);
+        resolve(this._result(this.getReceipt(id) || this._buildReceipt(id, 'dropped', {
+          submittedAt: receipt.submittedAt,
+          reason: 'No longer in the chain or the mempool'
+        }), status, true));
+      }, timeoutMs);
+
+      const waiters = this.waiters.get(id) || [];
+      waiters.push(waiter);
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  /**
+   * Check whether a caller waits for a transaction to be finalized
+   *
+   * Finality needs blocks on top, so the block producer keeps sealing (empty
+   * blocks if need be) while this is true.
+   *
+   * @returns {boolean} True if any wait for 'finalized' is unresolved
+   */
+  hasFinalityWaiters() {
+    return Array.from(this.waiters.values()).some(waiters => waiters.some(waiter => waiter.status === 'finalized'));
+  }
+
+  /**
+   * Internal handler for chain and mempool changes: resolve waiters that are settled
+   *
+   * A transaction missing from both is skipped rather than reported dropped:
+   * while a chain is replaced, 'reset' fires before the mempool is refilled.
+   *
+   * @private
+   */
+  _notify() {
+    for (const [id, waiters] of Array.from(this.waiters)) {
+      const receipt = this.getReceipt(id);
+      if (!receipt) {
+        continue;
+      }
+
+      for (const waiter of [...waiters]) {
+        if (this._isSettled(receipt, waiter.status)) {
+          clearTimeout(waiter.timer);
+          this._removeWaiter(id, waiter);
+          waiter.resolve(this._result(receipt, waiter.status, false));
+        }
+      }
+    }
+  }
+
+  /**
+   * Internal helper to check whether a wait for a status is over
+   *
+   * @private
+   */
+  _isSettled(receipt, status) {
+    return receipt.status === 'dropped' ||
+      STATUSES.indexOf(receipt.status) >= STATUSES.indexOf(status);
+  }
+
+  /**
+   * Internal helper to build a waitFor result
+   *
+   * @private
+   */
+  _result(receipt, status, timedOut) {
+    return {
+      reached: receipt.status !== 'dropped' && STATUSES.indexOf(receipt.status) >= STATUSES.indexOf(status),
+      timedOut,
+      receipt
+    };
+  }
+
+  /**
+   * Internal helper to remove a settled or timed out waiter
+   *
+   * @private
+   */
+  _removeWaiter(id, waiter) {
+    const waiters = (this.waiters.get(id) || []).filter(w => w !== waiter);
+    if (waiters.length > 0) {
+      this.waiters.set(id, waiters);
+    } else {
+      this.waiters.delete(id);
+    }
+  }
+
+  /**
+   * Internal method to remember a dropped transaction, forgetting the oldest beyond DROP_HISTORY_LIMIT
+   *
+   * @private
+   */
+  _recordDrop(id, reason) {
+    this.dropped.delete(id);
+    this.dropped.set(id, { droppedAt: Date.now(), reason });
+
+    if (this.dropped.size > DROP_HISTORY_LIMIT) {
+      this.dropped.delete(this.dropped.keys().next().value);
+    }
+  }
+
+  /**
+   * Internal helper to build a receipt with defaults for the fields that do not apply
+   *
+   * @private
+   */
+  _buildReceipt(id, status, fields) {
+    return {
+      transactionId: id,
+      status,
+      submittedAt: null,
+      blockIndex: null,
+      blockHash: null,
+      position: null,
+      confirmations: 0,
+      finalityDepth: this.finalityDepth,
+      merkleRoot: null,
+      proof: null,
+      droppedAt: null,
+      reason: null,
+      ...fields
+    };
+  }
+}
+
+TransactionTracker.STATUSES = STATUSES;
+
+module.exports = TransactionTracker;
@@ -0,0 +1,150 @@
+const Blockchain = require('./Blockchain.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const NodeManager = require('./NodeManager.js');
+const TransactionTracker = require('./TransactionTracker.js');
+const { signTransaction } = require('../utils/signing.js');
+
+/**
+ * Open a chain whose block 1 rotates this node's configured key, and a tracker following it
+ */
+function createTracker(options = { finalityDepth: 1 }) {
+  const configured = NodeManager.generateIdentity();
+  const identity = { ...NodeManager.generateIdentity(), nodeId: configured.nodeId };
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [configured.nodeId]: configured.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(identity.nodeId, 'node', identity.publicKey),
+    configured.privateKey
+  ));
+  blockchain.minePendingTransactions();
+
+  return { blockchain, tracker: new TransactionTracker(blockchain, options) };
+}
+
+function addAuditEntry(blockchain) {
+  return blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+}
+
+/**
+ * Put the chain back to genesis, before the key rotation, so that the pending transactions no longer verify
+ */
+function dropPending(blockchain) {
+  blockchain.restore(blockchain.getAllBlocks().slice(0, 1), blockchain.getPendingTransactions());
+}
+
+describe('TransactionTracker', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('requires a non-negative finality depth', () => {
+    const { blockchain } = createTracker();
+
+    expect(() => new TransactionTracker(blockchain, { finalityDepth: -1 })).toThrow('finalityDepth must be a non-negative integer');
+  });
+
+  describe('receipts', () => {
+    it('follows a transaction from the mempool to a finalized block', () => {
+      const { blockchain, tracker } = createTracker();
+      const tx = addAuditEntry(blockchain);
+
+      expect(tracker.getReceipt(tx.id)).toMatchObject({ status: 'pending', submittedAt: tx.timestamp, blockIndex: null, proof: null });
+
+      const block = blockchain.minePendingTransactions();
+      const receipt = tracker.getReceipt(tx.id);
+      expect(receipt).toMatchObject({
+        status: 'included', blockIndex: 2, blockHash: block.hash, position: 0, confirmations: 0, finalityDepth: 1, merkleRoot: block.merkleRoot
+      });
+      expect(blockchain.verifyMerkleProof(receipt.proof, block.merkleRoot)).toBe(true);
+
+      addAuditEntry(blockchain);
+      blockchain.minePendingTransactions();
+      expect(tracker.getReceipt(tx.id)).toMatchObject({ status: 'finalized', confirmations: 1 });
+    });
+
+    it('finalizes included transactions right away with a depth of 0', () => {
+      const { blockchain, tracker } = createTracker({ finalityDepth: 0 });
+      const tx = addAuditEntry(blockchain);
+      blockchain.minePendingTransactions();
+
+      expect(tracker.getReceipt(tx.id).status).toBe('finalized');
+    });
+
+    it('reports transactions dropped when the chain is replaced', () => {
+      const { blockchain, tracker } = createTracker();
+      const tx = addAuditEntry(blockchain);
+
+      dropPending(blockchain);
+
+      expect(tracker.getReceipt(tx.id)).toMatchObject({
+        status: 'dropped',
+        droppedAt: expect.any(Number),
+        reason: 'No longer verifies against the replaced chain'
+      });
+    });
+
+    it('knows nothing of unknown transactions', () => {
+      expect(createTracker().tracker.getReceipt('missing')).toBeNull();
+    });
+  });
+
+  describe('waiting', () => {
+    it('resolves once the transaction reaches the status', async () => {
+      const { blockchain, tracker } = createTracker();
+      const tx = addAuditEntry(blockchain);
+
+      const included = tracker.waitFor(tx.id, 'included', 5000);
+      const finalized = tracker.waitFor(tx.id, 'finalized', 5000);
+      blockchain.minePendingTransactions();
+
+      expect(await included).toMatchObject({ reached: true, timedOut: false, receipt: { status: 'included' } });
+
+      addAuditEntry(blockchain);
+      blockchain.minePendingTransactions();
+      expect(await finalized).toMatchObject({ reached: true, receipt: { status: 'finalized' } });
+      expect(tracker.waiters.size).toBe(0);
+    });
+
+    it('resolves right away when the status is already reached', async () => {
+      const { blockchain, tracker } = createTracker({ finalityDepth: 0 });
+      const tx = addAuditEntry(blockchain);
+      blockchain.minePendingTransactions();
+
+      expect(await tracker.waitFor(tx.id, 'included', 0)).toMatchObject({ reached: true, timedOut: false });
+    });
+
+    it('gives up early when the transaction is dropped', async () => {
+      const { blockchain, tracker } = createTracker();
+      const tx = addAuditEntry(blockchain);
+
+      const waiting = tracker.waitFor(tx.id, 'finalized', 5000);
+      dropPending(blockchain);
+
+      expect(await waiting).toMatchObject({ reached: false, timedOut: false, receipt: { status: 'dropped' } });
+    });
+
+    it('answers with the current receipt when the wait times out', async () => {
+      jest.useFakeTimers();
+      const { blockchain, tracker } = createTracker();
+      const tx = addAuditEntry(blockchain);
+
+      const waiting = tracker.waitFor(tx.id, 'included', 1000);
+      jest.advanceTimersByTime(1000);
+
+      expect(await waiting).toMatchObject({ reached: false, timedOut: true, receipt: { status: 'pending' } });
+      expect(tracker.waiters.size).toBe(0);
+    });
+
+    it('rejects statuses that cannot be waited for and unknown transactions', async () => {
+      const { tracker } = createTracker();
+
+      await expect(tracker.waitFor('tx-1', 'pending', 1000)).rejects.toThrow('Cannot wait for status pending. Must be one of: included, finalized');
+      expect(await tracker.waitFor('missing', 'included', 1000)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Validator Registry - Validator set governed by chain transactions
+ *
+ * The consortium changes its validator set by vote. Validators submit
+ * 'system' transactions (signed by their node key) to the governance address:
+ * - propose-add / propose-remove: open a proposal to add or remove a node;
+ *   the proposer's own approval is implied
+ * - vote: approve or reject an open proposal, once per validator
+ *
+ * A proposal is approved once a majority of the active validators approve it
+ * (floor(n / 2) + 1), and rejected once enough of them reject it that a
+ * majority is out of reach. Only committed transactions count, in chain
+ * order, and only from validators active at that point; an approved change
+ * takes effect from the next block. The set at any height is therefore
+ * derivable from chain history, starting from the configured genesis set.
+ *
+ * Governance transactions that break these rules (e.g. sent by a
+ * non-validator, or voting twice) are ignored when replaying the chain;
+ * validateAction() rejects them before they are submitted.
+ *
+ * Data Structure:
+ * - Governance Transaction data: {
+ *     action: 'propose-add' | 'propose-remove' | 'vote'
+ *     nodeId: string (propose-*: node to add or remove)
+ *     reason: string (propose-*, optional)
+ *     proposalId: string (vote: ID of the proposing transaction)
+ *     approve: boolean (vote)
+ *   }
+ *
+ * - Proposal: {
+ *     proposalId: string (ID of the proposing transaction)
+ *     action: 'add' | 'remove'
+ *     nodeId: string
+ *     reason: string|null
+ *     proposerId: string
+ *     proposedAt: number (transaction timestamp)
+ *     proposedHeight: number
+ *     approvals: Array<string> (validator node IDs)
+ *     rejections: Array<string>
+ *     status: 'open' | 'approved' | 'rejected'
+ *     decidedHeight: number|null
+ *     effectiveHeight: number|null (first block under the new set)
+ *   }
+ *
+ * - Set Change: {height: number (first block it applies to), validators: Array<string>, proposalId}
+ */
+
+const CONTRACT_ADDRESS = 'validator-governance-v1';
+const ACTIONS = ['propose-add', 'propose-remove', 'vote'];
+
+class ValidatorRegistry {
+  /**
+   * @param {Array<string>} genesisValidators - Validator set at height 0, identical on every node;
+   *   governance is inactive while the set is empty
+   */
+  constructor(genesisValidators = []) {
+    this.contractAddress = CONTRACT_ADDRESS;
+    this.genesisValidators = [...genesisValidators];
+
+    this._onBlock = (block) => this.applyBlock(block);
+    this._reset();
+  }
+
+  /**
+   * Attach to a blockchain: rebuild from its history and follow new blocks
+   *
+   * @param {Blockchain} blockchain - Blockchain to follow
+   */
+  attach(blockchain) {
+    this.rebuild(blockchain);
+    blockchain.on('block', this._onBlock);
+    blockchain.on('reset', () => this.rebuild(blockchain));
+  }
+
+  /**
+   * Rebuild the validator set history from the chain
+   *
+   * @param {Blockchain} blockchain - Source blockchain
+   */
+  rebuild(blockchain) {
+    this._reset();
+    blockchain.getAllBlocks().forEach(block => this.applyBlock(block));
+  }
+
+  /**
+   * Apply the governance transactions of a committed block
+   *
+   * @param {Object} block - Block, applied in chain order
+   */
+  applyBlock(block) {
+    if (block.index <= this.appliedHeight) {
+      return;
+    }
+
+    for (const tx of block.transactions) {
+      if (tx.to === this.contractAddress && tx.from === 'system') {
+        this._apply(tx, block.index);
+      }
+    }
+    this.appliedHeight = block.index;
+  }
+
+  /**
+   * Check whether governance is active (the genesis set is not empty)
+   */
+  isActive() {
+    return this.genesisValidators.length > 0;
+  }
+
+  /**
+   * Get the validator set for a block height
+   *
+   * @param {number} height - Block height (default: the next block)
+   * @returns {Array<string>} Validator node IDs
+   */
+  getValidators(height = this.appliedHeight + 1) {
+    let validators = this.genesisValidators;
+    for (const change of this.changes) {
+      if (change.height > height) {
+        break;
+      }
+      validators = change.validators;
+    }
+    return [...validators];
+  }
+
+  /**
+   * Check whether a node is a validator at a block height (default: the next block)
+   */
+  isValidator(nodeId, height = this.appliedHeight + 1) {
+    return this.getValidators(height).includes(nodeId);
+  }
+
+  /**
+   * Get the number of approvals that decide a proposal for a validator set size
+   *
+   * @param {number} validatorCount - Number of active validators (n)
+   * @returns {number} floor(n / 2) + 1
+   */
+  static getMajority(validatorCount) {
+    return Math.floor(validatorCount / 2) + 1;
+  }
+
+  /**
+   * Get every change to the validator set, oldest first
+   *
+   * @returns {Array<Object>} Set changes
+   */
+  getHistory() {
+    return this.changes.map(change => ({ ...change, validators: [...change.validators] }));
+  }
+
+  /**
+   * Get a governance proposal
+   */
+  getProposal(proposalId) {
+    const proposal = this.proposals.get(proposalId);
+    return proposal ? this._copyProposal(proposal) : null;
+  }
+
+  /**
+   * Get governance proposals, optionally by status
+   *
+   * @param {string} status - 'open', 'approved' or 'rejected' (optional)
+   * @returns {Array<Object>} Proposals, oldest first
+   */
+  getProposals(status = null) {
+    return Array.from(this.proposals.values())
+      .filter(proposal => !status || proposal.status === status)
+      .map(proposal => this._copyProposal(proposal));
+  }
+
+  /**
+   * Build an unsigned governance transaction
+   *
+   * @param {Object} data - Governance Transaction data
+   * @returns {Object} Transaction {to, data}, to be signed by a validator as 'system'
+   */
+  buildTransaction(data) {
+    return {
+      to: this.contractAddress,
+      data
+    };
+  }
+
+  /**
+   * Check a governance action by a validator against the current state
+   *
+   * @param {string} signerId - Node ID of the validator submitting it
+   * @param {Object} data - Governance Transaction data
+   * @returns {string|null} Why the action would be ignored, or null if it is valid
+   */
+  validateAction(signerId, data) {
+    if (!this.isActive()) {
+      return 'Validator governance is not active (no genesis validator set)';
+    }
+
+    if (!data || !ACTIONS.includes(data.action)) {
+      return `Unknown governance action: ${data?.action}. Must be one of: ${ACTIONS.join(', ')}`;
+    }
+
+    const validators = this.getValidators();
+    if (!validators.includes(signerId)) {
+      return `${signerId} is not an active validator`;
+    }
+
+    if (data.action === 'vote') {
+      const proposal = this.proposals.get(data.proposalId);
+      if (!proposal) {
+        return `Governance proposal not found: ${data.proposalId}`;
+      }
+      if (proposal.status !== 'open') {
+        return `Governance proposal is already ${proposal.status}`;
+      }
+      if (typeof data.approve !== 'boolean') {
+        return 'Vote must include approve (true or false)';
+      }
+      if (proposal.approvals.includes(signerId) || proposal.rejections.includes(signerId)) {
+        return `${signerId} already voted on proposal ${data.proposalId}`;
+      }
+      return null;
+    }
+
+    if (typeof data.nodeId !== 'string' || !data.nodeId) {
+      return 'nodeId is required';
+    }
+
+    if (data.action === 'propose-add' && validators.includes(data.nodeId)) {
+      return `${data.nodeId} is already a validator`;
+    }
+
+    if (data.action === 'propose-remove') {
+      if (!validators.includes(data.nodeId)) {
+        return `${data.nodeId} is not a validator`;
+      }
+      if (validators.length === 1) {
+        return 'Cannot remove the last validator';
+      }
+    }
+
+    const action = data.action === 'propose-add' ? 'add' : 'remove';
+    const open = Array.from(this.proposals.values())
+      .find(p => p.status === 'open' && p.action === action && p.nodeId === data.nodeId);
+    if (open) {
+      return `Proposal ${open.proposalId} to ${action} ${data.nodeId} is already open`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Internal method to clear all derived state
+   *
+   * @private
+   */
+  _reset() {
+    this.proposals = new Map(); // proposalId -> Proposal, oldest first
+    this.changes = []; // Set Changes, oldest first
+    this.appliedHeight = -1;
+  }
+
+  /**
+   * Internal method to apply one governance transaction at a height
+   *
+   * @private
+   */
+  _apply(transaction, height) {
+    const signerId = transaction.signedBy;
+    const data = transaction.data;
+
+    if (this.validateAction(signerId, data) !== null) {
+      return;
+    }
+
+    if (data.action === 'vote') {
+      const proposal = this.proposals.get(data.proposalId);
+      (data.approve ? proposal.approvals : proposal.rejections).push(signerId);
+      this._decide(proposal, height);
+      return;
+    }
+
+    const proposal = {
+      proposalId: transaction.id,
+      action: data.action === 'propose-add' ? 'add' : 'remove',
+      nodeId: data.nodeId,
+      reason: data.reason || null,
+      proposerId: signerId,
+      proposedAt: transaction.timestamp,
+      proposedHeight: height,
+      approvals: [signerId],
+      rejections: [],
+      status: 'open',
+      decidedHeight: null,
+      effectiveHeight: null
+    };
+
+    this.proposals.set(proposal.proposalId, proposal);
+    this._decide(proposal, height);
+  }
+
+  /**
+   * Internal method to approve or reject a proposal once its votes decide it
+   *
+   * Votes count only while the voter is a validator; an approved change
+   * re-checks the other open proposals against the new set.
+   *
+   * @private
+   */
+  _decide(proposal, height) {
+    const validators = this.getValidators(height + 1);
+    const approvals = proposal.approvals.filter(nodeId => validators.includes(nodeId)).length;
+    const rejections = proposal.rejections.filter(nodeId => validators.includes(nodeId)).length;
+    const majority = ValidatorRegistry.getMajority(validators.length);
+
+    if (approvals >= majority) {
+      proposal.status = 'approved';
+    } else if (rejections > validators.length - majority) {
+      proposal.status = 'rejected';
+    } else {
+      return;
+    }
+
+    proposal.decidedHeight = height;
+
+    if (proposal.status === 'rejected') {
+      return;
+    }
+
+    const next = proposal.action === 'add'
+      ? [...validators, proposal.nodeId]
+      : validators.filter(nodeId => nodeId !== proposal.nodeId);
+
+    proposal.effectiveHeight = height + 1;
+    this.changes.push({ height: height + 1, validators: next, proposalId: proposal.proposalId });
+
+    for (const other of this.proposals.values()) {
+      if (other.status === 'open') {
+        this._decide(other, height);
+      }
+    }
+  }
+
+  /**
+   * Internal helper to copy a proposal for callers
+   *
+   * @private
+   */
+  _copyProposal(proposal) {
+    return { ...proposal, approvals: [...proposal.approvals], rejections: [...proposal.rejections] };
+  }
+}
+
+ValidatorRegistry.CONTRACT_ADDRESS = CONTRACT_ADDRESS;
+
+module.exports = ValidatorRegistry;
@@ -0,0 +1,125 @@
+const Blockchain = require('./Blockchain.js');
+const KeyRegistry = require('./KeyRegistry.js');
+const NodeManager = require('./NodeManager.js');
+const ValidatorRegistry = require('./ValidatorRegistry.js');
+const { signTransaction } = require('../utils/signing.js');
+
+const [a, b, c, d] = Array.from({ length: 4 }, () => NodeManager.generateIdentity());
+const nodeKeys = Object.fromEntries([a, b, c, d].map(identity => [identity.nodeId, identity.publicKey]));
+
+/**
+ * Open a chain that knows every node key, with a registry following it
+ */
+function createChain(genesisValidators = [a.nodeId, b.nodeId, c.nodeId]) {
+  const keyRegistry = new KeyRegistry({ nodeKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry, nodeKeys });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const registry = new ValidatorRegistry(genesisValidators);
+  registry.attach(blockchain);
+
+  return { blockchain, registry };
+}
+
+/**
+ * Submit a governance transaction signed by a node and commit it in its own block
+ */
+function govern(blockchain, identity, data) {
+  const tx = blockchain.addTransaction(signTransaction(
+    { from: 'system', to: ValidatorRegistry.CONTRACT_ADDRESS, data },
+    identity.privateKey,
+    identity.nodeId
+  ));
+  blockchain.minePendingTransactions();
+  return tx;
+}
+
+describe('ValidatorRegistry', () => {
+  it('is inactive without a genesis validator set', () => {
+    const { registry } = createChain([]);
+
+    expect(registry.isActive()).toBe(false);
+    expect(registry.validateAction(a.nodeId, { action: 'propose-add', nodeId: d.nodeId }))
+      .toBe('Validator governance is not active (no genesis validator set)');
+  });
+
+  it('adds a validator once a majority approves, from the next block', () => {
+    const { blockchain, registry } = createChain();
+    const proposal = govern(blockchain, a, { action: 'propose-add', nodeId: d.nodeId, reason: 'new hospital' });
+
+    expect(registry.getProposal(proposal.id)).toMatchObject({
+      action: 'add', nodeId: d.nodeId, reason: 'new hospital', proposerId: a.nodeId,
+      proposedHeight: 1, approvals: [a.nodeId], status: 'open'
+    });
+
+    govern(blockchain, b, { action: 'vote', proposalId: proposal.id, approve: true });
+
+    expect(registry.getProposal(proposal.id)).toMatchObject({ status: 'approved', decidedHeight: 2, effectiveHeight: 3 });
+    expect(registry.getValidators(2)).toEqual([a.nodeId, b.nodeId, c.nodeId]);
+    expect(registry.getValidators()).toEqual([a.nodeId, b.nodeId, c.nodeId, d.nodeId]);
+    expect(registry.isValidator(d.nodeId)).toBe(true);
+    expect(registry.getHistory()).toEqual([
+      { height: 3, validators: [a.nodeId, b.nodeId, c.nodeId, d.nodeId], proposalId: proposal.id }
+    ]);
+  });
+
+  it('rejects a proposal once a majority is out of reach', () => {
+    const { blockchain, registry } = createChain();
+    const proposal = govern(blockchain, a, { action: 'propose-remove', nodeId: c.nodeId });
+
+    govern(blockchain, b, { action: 'vote', proposalId: proposal.id, approve: false });
+    expect(registry.getProposal(proposal.id).status).toBe('open');
+
+    govern(blockchain, c, { action: 'vote', proposalId: proposal.id, approve: false });
+    expect(registry.getProposal(proposal.id)).toMatchObject({ status: 'rejected', decidedHeight: 3, effectiveHeight: null });
+    expect(registry.getValidators()).toEqual([a.nodeId, b.nodeId, c.nodeId]);
+    expect(registry.getProposals('rejected')).toHaveLength(1);
+  });
+
+  it('ignores committed governance transactions that break the rules', () => {
+    const { blockchain, registry } = createChain();
+    govern(blockchain, d, { action: 'propose-add', nodeId: d.nodeId });
+    const proposal = govern(blockchain, a, { action: 'propose-remove', nodeId: c.nodeId });
+    govern(blockchain, a, { action: 'vote', proposalId: proposal.id, approve: true });
+    govern(blockchain, b, { action: 'vote', proposalId: 'unknown', approve: true });
+    govern(blockchain, b, { action: 'vote', proposalId: proposal.id, approve: 'yes' });
+
+    expect(registry.getProposals()).toHaveLength(1);
+    expect(registry.getProposal(proposal.id)).toMatchObject({ approvals: [a.nodeId], rejections: [], status: 'open' });
+  });
+
+  it('explains why an action would be ignored', () => {
+    const { blockchain, registry } = createChain();
+    const proposal = govern(blockchain, a, { action: 'propose-add', nodeId: d.nodeId });
+
+    expect(registry.validateAction(a.nodeId, { action: 'replace' }))
+      .toBe('Unknown governance action: replace. Must be one of: propose-add, propose-remove, vote');
+    expect(registry.validateAction(d.nodeId, { action: 'vote', proposalId: proposal.id, approve: true }))
+      .toBe(`${d.nodeId} is not an active validator`);
+    expect(registry.validateAction(a.nodeId, { action: 'vote', proposalId: proposal.id, approve: true }))
+      .toBe(`${a.nodeId} already voted on proposal ${proposal.id}`);
+    expect(registry.validateAction(b.nodeId, { action: 'propose-add', nodeId: d.nodeId }))
+      .toBe(`Proposal ${proposal.id} to add ${d.nodeId} is already open`);
+    expect(registry.validateAction(b.nodeId, { action: 'propose-add', nodeId: c.nodeId })).toBe(`${c.nodeId} is already a validator`);
+    expect(registry.validateAction(b.nodeId, { action: 'propose-remove' })).toBe('nodeId is required');
+    expect(createChain([a.nodeId]).registry.validateAction(a.nodeId, { action: 'propose-remove', nodeId: a.nodeId }))
+      .toBe('Cannot remove the last validator');
+  });
+
+  it('derives the same validator set from chain history', () => {
+    const { blockchain, registry } = createChain();
+    const proposal = govern(blockchain, a, { action: 'propose-add', nodeId: d.nodeId });
+    govern(blockchain, c, { action: 'vote', proposalId: proposal.id, approve: true });
+
+    const replayed = new ValidatorRegistry([a.nodeId, b.nodeId, c.nodeId]);
+    replayed.rebuild(blockchain);
+
+    expect(replayed.getHistory()).toEqual(registry.getHistory());
+    expect(replayed.getProposals()).toEqual(registry.getProposals());
+  });
+
+  it('uses a majority of the active validators', () => {
+    expect([1, 2, 3, 4, 5].map(ValidatorRegistry.getMajority)).toEqual([1, 2, 2, 3, 3]);
+  });
+});
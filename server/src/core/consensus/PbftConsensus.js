@@ -0,0 +1,986 @@
+/**
+ * PBFT Consensus - Three-phase Byzantine fault tolerant block commitment
+ *
+ * Validators agree on one block per height in three phases:
+ * 1. PRE-PREPARE: the primary of the current view proposes a block
+ * 2. PREPARE: every other validator that accepts the proposal says so; a
+ *    validator holding the proposal and quorum - 1 matching prepares has
+ *    prepared the block
+ * 3. COMMIT: prepared validators announce it; with a quorum of matching
+ *    commits the block is appended, carrying the commits as its certificate
+ *    (see sealing/PbftSealer.js)
+ *
+ * The primary rotates: at height h in view v it is validators[(h + v) % n].
+ * A validator that waits longer than the view timeout for the next block
+ * (it has pending transactions or an uncommitted proposal) asks for the
+ * next view with VIEW-CHANGE, carrying the block it prepared, if any. The
+ * primary of that view collects a quorum of view changes, announces them in
+ * NEW-VIEW and re-proposes the prepared block with the highest view, so a
+ * block that may already be committed elsewhere is never replaced. A
+ * validator that sees f + 1 view changes for a higher view joins them. The
+ * timeout doubles with every further view change at the same height.
+ *
+ * With n = 3f + 1 validators, up to f of them may be silent or malicious.
+ * At least 4 validators are required: with 3 or fewer, f = 0 and a single
+ * faulty validator can break safety.
+ *
+ * Validators verify each other's messages with the node keys in the key
+ * registry. Configure them through NODE_KEYS_FILE, so they are known in the
+ * first view rather than only once the nodes' registrations have spread.
+ *
+ * Messages are signed with the sender's node key (over getMessagePayload,
+ * see utils/signing.js) and gossiped through the NodeManager.
+ *
+ * Data Structure:
+ * - Message: {
+ *     type: 'pre-prepare' | 'prepare' | 'commit' | 'view-change' | 'new-view'
+ *     view: number
+ *     height: number (index of the block being agreed on)
+ *     nodeId: string
+ *     blockHash: string (pre-prepare, prepare, commit)
+ *     prepared: PreparedCertificate|null (view-change)
+ *     viewChanges: Array<Message> (new-view)
+ *     block: Object (pre-prepare, and view-change with a prepared block; not signed)
+ *     signature: string
+ *   }
+ *
+ * - PreparedCertificate: {
+ *     view: number
+ *     blockHash: string
+ *     prePrepare: Message (without block)
+ *     prepares: Array<Message>
+ *   }
+ */
+
+const { verify, getMessagePayload } = require('../../utils/signing.js');
+const PbftSealer = require('../sealing/PbftSealer.js');
+
+const MESSAGE_TYPES = ['pre-prepare', 'prepare', 'commit', 'view-change', 'new-view'];
+const MAX_TIMEOUT_DOUBLINGS = 6;
+
+class PbftConsensus {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain, sealed with the 'pbft' sealer
+   * @param {NodeManager} nodeManager - Node identity and message transport
+   * @param {Object} options - Consensus options
+   * @param {Array<string>} options.validators - Ordered validator node IDs, identical on every node
+   *   (default: the sealer's validators)
+   * @param {number} options.viewTimeoutMs - Wait for a block before asking for a view change (default 5000)
+   * @param {number} options.blockIntervalMs - Minimum time between blocks proposed by a primary (default 1000)
+   * @param {number} options.maxBlockSize - Max transactions per proposed block (default 100)
+   * @param {number} options.tickMs - Timer resolution (default 100)
+   */
+  constructor(blockchain, nodeManager, options = {}) {
+    if (blockchain.sealer.type !== 'pbft') {
+      throw new Error(`PBFT consensus requires the 'pbft' sealer, not '${blockchain.sealer.type}'`);
+    }
+
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+    this.mode = 'pbft';
+    this.validators = options.validators || blockchain.sealer.validators;
+    this.viewTimeoutMs = options.viewTimeoutMs ?? 5000;
+    this.blockIntervalMs = options.blockIntervalMs ?? 1000;
+    this.maxBlockSize = options.maxBlockSize ?? 100;
+    this.tickMs = options.tickMs ?? 100;
+
+    if (this.validators.length < 4) {
+      throw new Error(`PBFT consensus requires at least 4 validators to tolerate a faulty one, got ${this.validators.length}`);
+    }
+
+    this.view = 0;
+    this.rounds = new Map(); // `${height}:${view}` -> Round
+    this.viewChanges = new Map(); // `${height}:${view}` -> Map(nodeId -> VIEW-CHANGE message)
+    this.pendingView = null; // view this node asked to change to, until it enters a view
+    this.viewChangeCount = 0; // consecutive view changes at the current height
+    this.waitingSince = null;
+    this.lastCommitAt = 0;
+    this.syncRequested = false;
+    this.timer = null;
+    this.running = false;
+
+    this._onChainChanged = () => this._advanceHeight();
+  }
+
+  /**
+   * Start handling consensus messages and proposing blocks
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.nodeManager.setConsensusHandler((message) => this.handleMessage(message));
+    this.blockchain.on('block', this._onChainChanged);
+    this.blockchain.on('reset', this._onChainChanged);
+
+    const unknown = this.validators.filter(nodeId => !this.blockchain.keyRegistry?.getKey(nodeId));
+    if (unknown.length > 0) {
+      console.warn(`[PBFT] No key known for validators ${unknown.join(', ')}; without NODE_KEYS_FILE their messages are rejected until their registrations arrive`);
+    }
+
+    this.timer = setInterval(() => this._tick(), this.tickMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop taking part in consensus
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.nodeManager.setConsensusHandler(null);
+    this.blockchain.off('block', this._onChainChanged);
+    this.blockchain.off('reset', this._onChainChanged);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the height consensus is currently deciding (the next block index)
+   */
+  getHeight() {
+    return this.blockchain.getChainLength();
+  }
+
+  /**
+   * Get the primary for a height and view
+   */
+  getPrimary(height = this.getHeight(), view = this.view) {
+    return this.validators[(height + view) % this.validators.length];
+  }
+
+  /**
+   * Check whether a node is a validator (default: this node)
+   */
+  isValidator(nodeId = this.nodeManager.getNodeId()) {
+    return this.validators.includes(nodeId);
+  }
+
+  /**
+   * Get the number of faulty validators tolerated (f)
+   */
+  getFaultTolerance() {
+    return PbftSealer.getFaultTolerance(this.validators.length);
+  }
+
+  /**
+   * Get the number of matching messages needed to prepare or commit
+   */
+  getQuorum() {
+    return PbftSealer.getQuorum(this.validators.length);
+  }
+
+  /**
+   * Get the consensus state of this node
+   *
+   * @returns {Object} Status
+   */
+  getStatus() {
+    const height = this.getHeight();
+    const round = this.rounds.get(this._roundKey(height, this.view));
+    const blockHash = round?.prePrepare?.blockHash;
+
+    let phase = 'idle';
+    if (this.pendingView !== null) {
+      phase = 'view-change';
+    } else if (round?.prepared) {
+      phase = 'prepared';
+    } else if (round?.prePrepare) {
+      phase = 'pre-prepared';
+    }
+
+    return {
+      mode: this.mode,
+      nodeId: this.nodeManager.getNodeId(),
+      isValidator: this.isValidator(),
+      validators: [...this.validators],
+      faultTolerance: this.getFaultTolerance(),
+      quorum: this.getQuorum(),
+      height,
+      view: this.view,
+      primary: this.getPrimary(height),
+      isPrimary: this.getPrimary(height) === this.nodeManager.getNodeId(),
+      phase,
+      pendingView: this.pendingView,
+      proposal: blockHash ? {
+        blockHash,
+        prepares: this._countMatching(round.prepares, blockHash),
+        commits: this._countMatching(round.commits, blockHash)
+      } : null,
+      lastCommitAt: this.lastCommitAt || null
+    };
+  }
+
+  /**
+   * Handle a consensus message from a peer
+   *
+   * @param {Object} message - Signed consensus message
+   * @returns {string} 'accepted', 'duplicate', 'buffered', 'stale' or 'ignored'
+   */
+  handleMessage(message) {
+    this._checkMessage(message);
+
+    if (!this.isValidator()) {
+      return 'ignored';
+    }
+
+    const height = this.getHeight();
+    if (message.height < height) {
+      return 'stale';
+    }
+
+    if (message.height > height) {
+      // Peers have committed blocks we do not have yet
+      this._requestSync();
+      if (message.height > height + 1 || !['pre-prepare', 'prepare', 'commit'].includes(message.type)) {
+        return 'ignored';
+      }
+    }
+
+    switch (message.type) {
+      case 'pre-prepare':
+        return this._onPrePrepare(message);
+      case 'prepare':
+      case 'commit':
+        return this._onVote(message);
+      case 'view-change':
+        return this._onViewChange(message);
+      case 'new-view':
+        return this._onNewView(message);
+    }
+  }
+
+  /**
+   * Internal handler for PRE-PREPARE: validate the proposal and prepare it
+   *
+   * @private
+   */
+  _onPrePrepare(message) {
+    if (message.view < this.view) {
+      return 'stale';
+    }
+
+    if (message.nodeId !== this.getPrimary(message.height, message.view)) {
+      throw new Error(`${message.nodeId} is not the primary of view ${message.view} at height ${message.height}`);
+    }
+
+    const block = message.block;
+    if (!block || block.hash !== message.blockHash || block.index !== message.height) {
+      throw new Error('Pre-prepare must carry the proposed block');
+    }
+
+    const round = this._getRound(message.height, message.view);
+    if (round.prePrepare) {
+      if (round.prePrepare.blockHash === message.blockHash) {
+        return 'duplicate';
+      }
+      throw new Error(`Conflicting pre-prepare from ${message.nodeId} for height ${message.height}`);
+    }
+
+    // Wait until this node has reached that height and view
+    if (message.height !== this.getHeight() || message.view !== this.view || this.pendingView !== null) {
+      round.pendingPrePrepare = message;
+      return 'buffered';
+    }
+
+    if (round.requiredBlockHash && message.blockHash !== round.requiredBlockHash) {
+      throw new Error('Pre-prepare does not re-propose the block prepared in an earlier view');
+    }
+
+    const validation = this.blockchain.validateBlock(block, { proposal: true });
+    if (!validation.valid) {
+      throw new Error(`Invalid proposal: ${validation.error}`);
+    }
+
+    round.prePrepare = message;
+    round.block = block;
+
+    this._sendVote(round, 'prepare');
+    this._checkProgress(round);
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for PREPARE and COMMIT votes
+   *
+   * @private
+   */
+  _onVote(message) {
+    if (typeof message.blockHash !== 'string') {
+      throw new Error(`${message.type} must include blockHash`);
+    }
+
+    if (message.view < this.view) {
+      return 'stale';
+    }
+
+    if (message.view > (this.pendingView ?? this.view) + this.validators.length) {
+      return 'ignored';
+    }
+
+    const round = this._getRound(message.height, message.view);
+    const votes = message.type === 'prepare' ? round.prepares : round.commits;
+    if (votes.has(message.nodeId)) {
+      return 'duplicate';
+    }
+
+    // The primary's pre-prepare stands for its prepare
+    if (message.type === 'prepare' && message.nodeId === this.getPrimary(message.height, message.view)) {
+      return 'ignored';
+    }
+
+    votes.set(message.nodeId, message);
+
+    if (round.height === this.getHeight() && round.view === this.view) {
+      this._checkProgress(round);
+    }
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for VIEW-CHANGE
+   *
+   * @private
+   */
+  _onViewChange(message) {
+    if (message.view <= this.view) {
+      return 'stale';
+    }
+
+    if (message.view > (this.pendingView ?? this.view) + this.validators.length) {
+      return 'ignored';
+    }
+
+    if (message.prepared) {
+      if (!this._isValidPrepared(message.prepared, message.height)) {
+        throw new Error('View change carries an invalid prepared certificate');
+      }
+
+      const block = message.block;
+      if (!block || block.hash !== message.prepared.blockHash ||
+          this.blockchain.calculateBlockHash(block) !== block.hash) {
+        throw new Error('View change must carry the block it prepared');
+      }
+    }
+
+    const changes = this._recordViewChange(message);
+    if (!changes) {
+      return 'duplicate';
+    }
+
+    // f + 1 validators include at least one correct one, so join them
+    if ((this.pendingView ?? this.view) < message.view && changes.size >= this.getFaultTolerance() + 1) {
+      this._startViewChange(message.view);
+    }
+
+    this._checkNewView(message.view);
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for NEW-VIEW: check the view changes it is based on and enter the view
+   *
+   * @private
+   */
+  _onNewView(message) {
+    if (message.view <= this.view) {
+      return 'stale';
+    }
+
+    const height = message.height;
+    if (message.nodeId !== this.getPrimary(height, message.view)) {
+      throw new Error(`${message.nodeId} is not the primary of view ${message.view} at height ${height}`);
+    }
+
+    if (!Array.isArray(message.viewChanges)) {
+      throw new Error('New-view must include the view changes it is based on');
+    }
+
+    const signers = new Set();
+    for (const change of message.viewChanges) {
+      const valid = change &&
+        change.type === 'view-change' &&
+        change.view === message.view &&
+        change.height === height &&
+        this.isValidator(change.nodeId) &&
+        this._verifySignature(change) &&
+        (!change.prepared || this._isValidPrepared(change.prepared, height));
+
+      if (!valid) {
+        throw new Error('New-view includes an invalid view change');
+      }
+      signers.add(change.nodeId);
+    }
+
+    if (signers.size < this.getQuorum()) {
+      throw new Error(`New-view includes ${signers.size} view changes, ${this.getQuorum()} required`);
+    }
+
+    const selected = this._selectPrepared(message.viewChanges);
+    this._enterView(message.view, selected?.prepared.blockHash || null);
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal method to check a message's structure, sender and signature
+   *
+   * @private
+   */
+  _checkMessage(message) {
+    if (!message || !MESSAGE_TYPES.includes(message.type)) {
+      throw new Error(`Unknown consensus message type: ${message?.type}`);
+    }
+
+    if (!Number.isInteger(message.view) || message.view < 0 ||
+        !Number.isInteger(message.height) || message.height < 1) {
+      throw new Error('Consensus message must include view and height');
+    }
+
+    if (!this.isValidator(message.nodeId)) {
+      throw new Error(`${message.nodeId} is not a validator`);
+    }
+
+    if (!this._verifySignature(message)) {
+      throw new Error(`Invalid signature on ${message.type} from ${message.nodeId}`);
+    }
+  }
+
+  /**
+   * Internal method to verify a message signature against the sender's node key
+   *
+   * @private
+   */
+  _verifySignature(message) {
+    const key = this.blockchain.keyRegistry?.getKey(message.nodeId);
+
+    return !!key &&
+      key.actorType === 'node' &&
+      verify(getMessagePayload(message), message.signature, key.publicKey);
+  }
+
+  /**
+   * Internal method to check a prepared certificate from a view change
+   *
+   * @private
+   */
+  _isValidPrepared(prepared, height) {
+    if (!prepared || !Number.isInteger(prepared.view) || typeof prepared.blockHash !== 'string' ||
+        !prepared.prePrepare || !Array.isArray(prepared.prepares)) {
+      return false;
+    }
+
+    const { prePrepare } = prepared;
+    const validPrePrepare = prePrepare.type === 'pre-prepare' &&
+      prePrepare.view === prepared.view &&
+      prePrepare.height === height &&
+      prePrepare.blockHash === prepared.blockHash &&
+      prePrepare.nodeId === this.getPrimary(height, prepared.view) &&
+      this._verifySignature(prePrepare);
+
+    if (!validPrePrepare) {
+      return false;
+    }
+
+    const signers = new Set();
+    for (const prepare of prepared.prepares) {
+      const valid = prepare &&
+        prepare.type === 'prepare' &&
+        prepare.view === prepared.view &&
+        prepare.height === height &&
+        prepare.blockHash === prepared.blockHash &&
+        prepare.nodeId !== prePrepare.nodeId &&
+        this.isValidator(prepare.nodeId) &&
+        this._verifySignature(prepare);
+
+      if (valid) {
+        signers.add(prepare.nodeId);
+      }
+    }
+
+    return signers.size >= this.getQuorum() - 1;
+  }
+
+  /**
+   * Internal method to advance a round once enough votes match its proposal
+   *
+   * @private
+   */
+  _checkProgress(round) {
+    if (!round.prePrepare || round.committed) {
+      return;
+    }
+
+    const blockHash = round.prePrepare.blockHash;
+    const quorum = this.getQuorum();
+
+    if (!round.prepared && this._countMatching(round.prepares, blockHash) >= quorum - 1) {
+      round.prepared = true;
+      this._sendVote(round, 'commit');
+    }
+
+    if (round.prepared && this._countMatching(round.commits, blockHash) >= quorum) {
+      this._commit(round);
+    }
+  }
+
+  /**
+   * Internal method to append a committed block with its commit certificate
+   *
+   * @private
+   */
+  _commit(round) {
+    round.committed = true;
+
+    const blockHash = round.prePrepare.blockHash;
+    const commits = Array.from(round.commits.values())
+      .filter(commit => commit.blockHash === blockHash)
+      .map(({ nodeId, signature }) => ({ nodeId, signature }));
+
+    const block = {
+      ...round.block,
+      commitCertificate: { view: round.view, commits }
+    };
+
+    try {
+      // Appending emits 'block', which advances the height and gossips the block
+      const status = this.blockchain.receiveBlock(block);
+      if (status !== 'appended' && status !== 'duplicate') {
+        console.warn(`[PBFT] Committed block ${block.index} does not fit the local chain (${status})`);
+        this._requestSync();
+      }
+    } catch (error) {
+      round.committed = false;
+      console.error(`[PBFT] Failed to append committed block ${block.index}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal method to propose a block from the mempool as primary
+   *
+   * @private
+   */
+  _propose() {
+    let block;
+    try {
+      block = this.blockchain.createBlock(this.maxBlockSize);
+    } catch (error) {
+      console.error(`[PBFT] Cannot propose block ${this.getHeight()}: ${error.message}`);
+      return;
+    }
+
+    this._sendPrePrepare(block);
+  }
+
+  /**
+   * Internal method to send a PRE-PREPARE for a block in the current view
+   *
+   * @private
+   */
+  _sendPrePrepare(block) {
+    const round = this._getRound(this.getHeight(), this.view);
+    const message = this._sign({
+      type: 'pre-prepare',
+      view: this.view,
+      height: round.height,
+      blockHash: block.hash
+    });
+    message.block = block;
+
+    round.prePrepare = message;
+    round.block = block;
+
+    this.nodeManager.broadcastConsensusMessage(message);
+    this._checkProgress(round);
+  }
+
+  /**
+   * Internal method to send this node's PREPARE or COMMIT for a round's proposal
+   *
+   * @private
+   */
+  _sendVote(round, type) {
+    const nodeId = this.nodeManager.getNodeId();
+    const votes = type === 'prepare' ? round.prepares : round.commits;
+
+    if (!this.isValidator() || votes.has(nodeId) ||
+        (type === 'prepare' && nodeId === round.prePrepare.nodeId)) {
+      return;
+    }
+
+    const message = this._sign({
+      type,
+      view: round.view,
+      height: round.height,
+      blockHash: round.prePrepare.blockHash
+    });
+
+    votes.set(nodeId, message);
+    this.nodeManager.broadcastConsensusMessage(message);
+  }
+
+  /**
+   * Internal method to ask for a view change
+   *
+   * @private
+   */
+  _startViewChange(view) {
+    const height = this.getHeight();
+    console.warn(`[PBFT] No block committed at height ${height} in view ${this.view}; moving to view ${view}`);
+
+    this.pendingView = view;
+    this.viewChangeCount++;
+    this.waitingSince = Date.now();
+
+    const prepared = this._getPreparedRound(height);
+    const message = this._sign({
+      type: 'view-change',
+      view,
+      height,
+      prepared: prepared ? {
+        view: prepared.view,
+        blockHash: prepared.prePrepare.blockHash,
+        prePrepare: this._withoutBlock(prepared.prePrepare),
+        prepares: Array.from(prepared.prepares.values())
+          .filter(prepare => prepare.blockHash === prepared.prePrepare.blockHash)
+      } : null
+    });
+    if (prepared) {
+      message.block = prepared.block;
+    }
+
+    this._recordViewChange(message);
+    this.nodeManager.broadcastConsensusMessage(message);
+    this._checkNewView(view);
+  }
+
+  /**
+   * Internal method to send NEW-VIEW once this node is the next primary and has a quorum of view changes
+   *
+   * @private
+   */
+  _checkNewView(view) {
+    const height = this.getHeight();
+    if (view <= this.view || this.getPrimary(height, view) !== this.nodeManager.getNodeId()) {
+      return;
+    }
+
+    const changes = this.viewChanges.get(this._roundKey(height, view));
+    if (!changes || changes.size < this.getQuorum()) {
+      return;
+    }
+
+    const viewChanges = Array.from(changes.values());
+    this.nodeManager.broadcastConsensusMessage(this._sign({
+      type: 'new-view',
+      view,
+      height,
+      viewChanges: viewChanges.map(change => this._withoutBlock(change))
+    }));
+
+    const selected = this._selectPrepared(viewChanges);
+    this._enterView(view, selected?.prepared.blockHash || null);
+
+    // A block that may have been committed in an earlier view must be re-proposed;
+    // otherwise a fresh block is proposed on the next tick
+    if (selected) {
+      this._sendPrePrepare(selected.block);
+    }
+  }
+
+  /**
+   * Internal method to switch to a new view
+   *
+   * @private
+   */
+  _enterView(view, requiredBlockHash) {
+    const height = this.getHeight();
+
+    this.view = view;
+    this.pendingView = null;
+    this.waitingSince = Date.now();
+
+    // Prepared rounds are kept: later view changes must still carry their block
+    for (const [key, round] of this.rounds) {
+      if (round.height === height && round.view < view && !round.prepared) {
+        this.rounds.delete(key);
+      }
+    }
+    for (const key of this.viewChanges.keys()) {
+      if (Number(key.split(':')[1]) <= view) {
+        this.viewChanges.delete(key);
+      }
+    }
+
+    const round = this._getRound(height, view);
+    round.requiredBlockHash = requiredBlockHash;
+
+    console.log(`[PBFT] Entered view ${view} at height ${height}; primary is ${this.getPrimary(height, view)}`);
+    this._processBuffered();
+  }
+
+  /**
+   * Internal handler for a new chain tip: start deciding the next height
+   *
+   * @private
+   */
+  _advanceHeight() {
+    const height = this.getHeight();
+
+    for (const [key, round] of this.rounds) {
+      if (round.height < height) {
+        this.rounds.delete(key);
+      }
+    }
+    for (const key of this.viewChanges.keys()) {
+      if (Number(key.split(':')[0]) < height) {
+        this.viewChanges.delete(key);
+      }
+    }
+
+    // Catch up on view changes this node missed
+    const certificate = this.blockchain.getLatestBlock()?.commitCertificate;
+    if (certificate && certificate.view > this.view) {
+      this.view = certificate.view;
+    }
+
+    this.pendingView = null;
+    this.viewChangeCount = 0;
+    this.waitingSince = null;
+    this.lastCommitAt = Date.now();
+
+    this._processBuffered();
+  }
+
+  /**
+   * Internal method to handle a pre-prepare that arrived before this node reached its height or view
+   *
+   * @private
+   */
+  _processBuffered() {
+    const round = this.rounds.get(this._roundKey(this.getHeight(), this.view));
+    if (!round) {
+      return;
+    }
+
+    if (round.pendingPrePrepare && !round.prePrepare) {
+      const message = round.pendingPrePrepare;
+      round.pendingPrePrepare = null;
+      try {
+        this._onPrePrepare(message);
+      } catch (error) {
+        console.warn(`[PBFT] Rejected buffered pre-prepare: ${error.message}`);
+      }
+    }
+
+    this._checkProgress(round);
+  }
+
+  /**
+   * Internal timer: propose as primary, and ask for a view change when no block arrives in time
+   *
+   * A node that cannot reach a quorum of validators (e.g. while the network
+   * starts up or is partitioned) does neither: its messages would not reach
+   * enough validators to commit, and the view would only drift apart.
+   *
+   * @private
+   */
+  _tick() {
+    if (!this.isValidator()) {
+      return;
+    }
+
+    if (!this._reachesQuorum()) {
+      this.waitingSince = null;
+      return;
+    }
+
+    const now = Date.now();
+    const height = this.getHeight();
+    const round = this.rounds.get(this._roundKey(height, this.view));
+    const pendingCount = this.blockchain.getPendingTransactions().length;
+
+    if (this.pendingView === null &&
+        this.getPrimary(height) === this.nodeManager.getNodeId() &&
+        !round?.prePrepare &&
+        pendingCount > 0 &&
+        now - this.lastCommitAt >= this.blockIntervalMs) {
+      this._propose();
+    }
+
+    const waiting = pendingCount > 0 || !!round?.prePrepare || this.pendingView !== null;
+    if (!waiting) {
+      this.waitingSince = null;
+      return;
+    }
+
+    if (this.waitingSince === null) {
+      this.waitingSince = now;
+      return;
+    }
+
+    const timeout = this.viewTimeoutMs * 2 ** Math.min(this.viewChangeCount, MAX_TIMEOUT_DOUBLINGS);
+    if (now - this.waitingSince >= timeout) {
+      this._startViewChange((this.pendingView ?? this.view) + 1);
+    }
+  }
+
+  /**
+   * Internal method to catch up with peers that are ahead
+   *
+   * @private
+   */
+  _requestSync() {
+    if (this.syncRequested) {
+      return;
+    }
+
+    this.syncRequested = true;
+    this.nodeManager.syncChain()
+      .catch(error => console.error(`[PBFT] Sync failed: ${error.message}`))
+      .finally(() => {
+        this.syncRequested = false;
+      });
+  }
+
+  /**
+   * Internal helper to sign a message as this node
+   *
+   * @private
+   */
+  _sign(fields) {
+    const message = { ...fields, nodeId: this.nodeManager.getNodeId() };
+    message.signature = this.nodeManager.sign(getMessagePayload(message));
+    return message;
+  }
+
+  /**
+   * Internal helper to store a view change; returns the view changes for its view, or null if already known
+   *
+   * @private
+   */
+  _recordViewChange(message) {
+    const key = this._roundKey(message.height, message.view);
+    if (!this.viewChanges.has(key)) {
+      this.viewChanges.set(key, new Map());
+    }
+
+    const changes = this.viewChanges.get(key);
+    if (changes.has(message.nodeId)) {
+      return null;
+    }
+
+    changes.set(message.nodeId, message);
+    return changes;
+  }
+
+  /**
+   * Internal helper to get the round at a height with the highest view this node prepared
+   *
+   * @private
+   */
+  _getPreparedRound(height) {
+    let prepared = null;
+    for (const round of this.rounds.values()) {
+      if (round.height === height && round.prepared && (!prepared || round.view > prepared.view)) {
+        prepared = round;
+      }
+    }
+    return prepared;
+  }
+
+  /**
+   * Internal helper to pick the view change whose prepared block has the highest view
+   *
+   * @private
+   */
+  _selectPrepared(viewChanges) {
+    return viewChanges
+      .filter(change => change.prepared)
+      .reduce((best, change) => (!best || change.prepared.view > best.prepared.view ? change : best), null);
+  }
+
+  /**
+   * Internal helper to count votes for a block hash
+   *
+   * @private
+   */
+  _countMatching(votes, blockHash) {
+    let count = 0;
+    for (const vote of votes.values()) {
+      if (vote.blockHash === blockHash) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Internal helper to get or create the round for a height and view
+   *
+   * @private
+   */
+  _getRound(height, view) {
+    const key = this._roundKey(height, view);
+    if (!this.rounds.has(key)) {
+      this.rounds.set(key, {
+        height,
+        view,
+        prePrepare: null,
+        pendingPrePrepare: null,
+        requiredBlockHash: null,
+        block: null,
+        prepares: new Map(), // nodeId -> PREPARE
+        commits: new Map(), // nodeId -> COMMIT
+        prepared: false,
+        committed: false
+      });
+    }
+    return this.rounds.get(key);
+  }
+
+  /**
+   * Internal helper to check whether this node and its live peers make up a quorum of validators
+   *
+   * @private
+   */
+  _reachesQuorum() {
+    const reachable = new Set(this.nodeManager.getPeers()
+      .filter(peer => peer.status === 'alive')
+      .map(peer => peer.nodeId));
+    reachable.add(this.nodeManager.getNodeId());
+
+    return this.validators.filter(nodeId => reachable.has(nodeId)).length >= this.getQuorum();
+  }
+
+  /**
+   * Internal helper for round and view change keys
+   *
+   * @private
+   */
+  _roundKey(height, view) {
+    return `${height}:${view}`;
+  }
+
+  /**
+   * Internal helper to drop the attached block from a message
+   *
+   * @private
+   */
+  _withoutBlock(message) {
+    const { block, ...rest } = message;
+    return rest;
+  }
+}
+
+PbftConsensus.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = PbftConsensus;
@@ -0,0 +1,217 @@
+const Blockchain = require('../Blockchain.js');
+const KeyRegistry = require('../KeyRegistry.js');
+const NodeManager = require('../NodeManager.js');
+const PbftConsensus = require('./PbftConsensus.js');
+const { sign, getMessagePayload } = require('../../utils/signing.js');
+
+const identities = Array.from({ length: 4 }, () => NodeManager.generateIdentity());
+const validators = identities.map(identity => identity.nodeId);
+const nodeKeys = Object.fromEntries(identities.map(identity => [identity.nodeId, identity.publicKey]));
+
+/**
+ * Start four validators whose consensus messages travel through an in-process queue
+ *
+ * Messages are delivered by flush(); nodes listed in down neither send nor receive.
+ */
+function createNetwork() {
+  const queue = [];
+  const down = new Set();
+  const errors = [];
+
+  const nodes = identities.map(identity => {
+    const keyRegistry = new KeyRegistry({ nodeKeys });
+    const blockchain = new Blockchain({ sealing: { type: 'pbft', validators }, keyRegistry, nodeKeys });
+    blockchain.createGenesisBlock(0);
+    keyRegistry.attach(blockchain);
+
+    const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+    blockchain.setSystemSigner(nodeManager);
+    validators.filter(nodeId => nodeId !== identity.nodeId).forEach(nodeId => nodeManager.addNode(nodeId));
+    nodeManager.broadcastConsensusMessage = async (message) => {
+      queue.push(JSON.parse(JSON.stringify(message)));
+      return { success: true };
+    };
+
+    const consensus = new PbftConsensus(blockchain, nodeManager, { viewTimeoutMs: 1000, blockIntervalMs: 0, tickMs: 60000 });
+    consensus.start();
+
+    return { nodeId: identity.nodeId, blockchain, nodeManager, consensus };
+  });
+
+  // Every node knows every node's key registration and an audit entry to commit
+  const registrations = nodes.map(node => node.nodeManager.ensureKeyRegistered());
+  const entry = nodes[0].blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+  for (const node of nodes) {
+    [...registrations, entry].forEach(tx => node.blockchain.receiveTransaction(tx));
+  }
+
+  const flush = () => {
+    while (queue.length > 0) {
+      const message = queue.shift();
+      if (down.has(message.nodeId)) {
+        continue;
+      }
+      for (const node of nodes) {
+        if (node.nodeId === message.nodeId || down.has(node.nodeId)) {
+          continue;
+        }
+        try {
+          node.consensus.handleMessage(message);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+  };
+
+  return { nodes, down, errors, flush, queue };
+}
+
+function tick(nodes) {
+  nodes.forEach(node => node.consensus._tick());
+}
+
+describe('PbftConsensus', () => {
+  let network;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1000000 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    network?.nodes.forEach(node => node.consensus.stop());
+    network = null;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('requires the pbft sealer and at least 4 validators', () => {
+    const poa = new Blockchain({ sealing: { type: 'poa', validators } });
+    const pbft = new Blockchain({ sealing: { type: 'pbft', validators: validators.slice(0, 3) } });
+
+    expect(() => new PbftConsensus(poa, new NodeManager(poa))).toThrow('PBFT consensus requires the \'pbft\' sealer, not \'poa\'');
+    expect(() => new PbftConsensus(pbft, new NodeManager(pbft)))
+      .toThrow('PBFT consensus requires at least 4 validators to tolerate a faulty one, got 3');
+  });
+
+  it('rotates the primary with height and view and tolerates one faulty validator', () => {
+    network = createNetwork();
+    const { consensus } = network.nodes[0];
+
+    expect(consensus.getPrimary(1, 0)).toBe(validators[1]);
+    expect(consensus.getPrimary(1, 1)).toBe(validators[2]);
+    expect(consensus.getPrimary(4, 0)).toBe(validators[0]);
+    expect(consensus.getStatus()).toMatchObject({ faultTolerance: 1, quorum: 3, height: 1, view: 0, phase: 'idle' });
+  });
+
+  it('commits the primary\'s block on every validator with a commit certificate', () => {
+    network = createNetwork();
+    const primary = network.nodes[1];
+
+    tick([primary]);
+    expect(primary.consensus.getStatus().phase).toBe('pre-prepared');
+    network.flush();
+
+    for (const node of network.nodes) {
+      expect(node.blockchain.getChainLength()).toBe(2);
+      expect(node.blockchain.getLatestBlock().hash).toBe(primary.blockchain.getLatestBlock().hash);
+      expect(node.blockchain.getPendingTransactions()).toEqual([]);
+      expect(node.blockchain.isChainValid()).toBe(true);
+    }
+    const block = primary.blockchain.getLatestBlock();
+    expect(block).toMatchObject({ sealType: 'pbft', sealer: primary.nodeId, commitCertificate: { view: 0 } });
+    expect(block.commitCertificate.commits.length).toBeGreaterThanOrEqual(3);
+    expect(network.errors).toEqual([]);
+  });
+
+  it('accepts committed blocks only with a quorum of distinct validator commits', () => {
+    network = createNetwork();
+    tick([network.nodes[1]]);
+    network.flush();
+    const { blockchain } = network.nodes[0];
+    const block = blockchain.getLatestBlock();
+    const [first, second] = block.commitCertificate.commits;
+    const withCommits = (commits) => [blockchain.getBlock(0), { ...block, commitCertificate: { view: 0, commits } }];
+
+    expect(blockchain.validateChain(withCommits([first, second])).error)
+      .toBe('block 1: commit certificate has 2 valid validator signatures, 3 required');
+    expect(blockchain.validateChain(withCommits([first, second, first])).valid).toBe(false);
+    expect(blockchain.validateChain([blockchain.getBlock(0), { ...block, commitCertificate: undefined }]).error)
+      .toBe('block 1: missing commit certificate');
+  });
+
+  it('commits with one validator down but not with two', () => {
+    network = createNetwork();
+    network.down.add(validators[3]);
+    tick([network.nodes[1]]);
+    network.flush();
+
+    expect(network.nodes[1].blockchain.getChainLength()).toBe(2);
+    expect(network.nodes[3].blockchain.getChainLength()).toBe(1);
+
+    network.nodes.forEach(node => node.consensus.stop());
+    network = createNetwork();
+    network.down.add(validators[2]).add(validators[3]);
+    tick([network.nodes[1]]);
+    network.flush();
+
+    expect(network.nodes[1].blockchain.getChainLength()).toBe(1);
+    expect(network.nodes[1].consensus.getStatus().proposal).toMatchObject({ prepares: 1, commits: 0 });
+  });
+
+  it('does not propose or change views without a quorum of live validators', () => {
+    network = createNetwork();
+    const primary = network.nodes[1];
+    primary.nodeManager.removeNode(validators[2]);
+    primary.nodeManager.removeNode(validators[3]);
+
+    tick([primary]);
+    jest.setSystemTime(Date.now() + 60000);
+    tick([primary]);
+
+    expect(network.queue).toEqual([]);
+    expect(primary.consensus.getStatus()).toMatchObject({ view: 0, phase: 'idle' });
+  });
+
+  it('changes view when the primary is silent and commits the next primary\'s block', () => {
+    network = createNetwork();
+    network.down.add(validators[1]);
+    const backups = network.nodes.filter(node => node.nodeId !== validators[1]);
+
+    tick(backups);
+    jest.setSystemTime(Date.now() + 1000);
+    tick(backups);
+    expect(backups[0].consensus.getStatus()).toMatchObject({ phase: 'view-change', pendingView: 1 });
+    network.flush();
+
+    for (const node of backups) {
+      expect(node.consensus.getStatus()).toMatchObject({ view: 1, primary: validators[2], phase: 'idle' });
+    }
+
+    tick([network.nodes[2]]);
+    network.flush();
+
+    for (const node of backups) {
+      expect(node.blockchain.getChainLength()).toBe(2);
+      expect(node.blockchain.getLatestBlock()).toMatchObject({ sealer: validators[2], commitCertificate: { view: 1 } });
+    }
+    expect(network.errors).toEqual([]);
+  });
+
+  it('rejects messages that are unsigned, from non-validators or from the wrong primary', () => {
+    network = createNetwork();
+    const { consensus } = network.nodes[0];
+    const prepare = { type: 'prepare', view: 0, height: 1, blockHash: 'h', nodeId: validators[2] };
+    const stranger = NodeManager.generateIdentity();
+    const signed = (message, privateKey) => ({ ...message, signature: sign(getMessagePayload(message), privateKey) });
+
+    expect(() => consensus.handleMessage({ ...prepare, type: 'vote' })).toThrow('Unknown consensus message type: vote');
+    expect(() => consensus.handleMessage({ ...prepare, signature: 'x' })).toThrow(`Invalid signature on prepare from ${validators[2]}`);
+    expect(() => consensus.handleMessage(signed({ ...prepare, nodeId: stranger.nodeId }, stranger.privateKey)))
+      .toThrow(`${stranger.nodeId} is not a validator`);
+    expect(() => consensus.handleMessage(signed({ ...prepare, type: 'pre-prepare', nodeId: validators[2] }, identities[2].privateKey)))
+      .toThrow(`${validators[2]} is not the primary of view 0 at height 1`);
+  });
+});
@@ -0,0 +1,872 @@
+/**
+ * Raft Consensus - Crash fault tolerant block ordering by an elected leader
+ *
+ * The cluster members (the validator set) elect a leader for a term:
+ * 1. A member that hears nothing from a leader for a randomized election
+ *    timeout starts a new term, votes for itself and asks the others with
+ *    REQUEST-VOTE. Members grant one VOTE per term, and only to a candidate
+ *    whose log is at least as up to date as their own.
+ * 2. The candidate with votes from a majority becomes leader and appends
+ *    blocks from its mempool to the replicated log. APPEND-ENTRIES carries
+ *    them to the followers (and serves as the heartbeat); each follower
+ *    keeps only entries that extend the leader's log at prevLogIndex and
+ *    reports the last matching index in APPEND-RESPONSE.
+ * 3. An entry of the current term held by a majority is committed, together
+ *    with every entry before it. The commit index reaches followers with the
+ *    next APPEND-ENTRIES, and every member applies committed entries in order.
+ *
+ * The replicated log entries are the blocks themselves: log index = block
+ * index, and a block records the term of the leader that sealed it (see
+ * sealing/RaftSealer.js). The committed prefix of the log is the chain, so
+ * the commit index is the index of the latest block. Entries that are not
+ * committed yet, the current term and this node's vote are kept in the
+ * storage backend, so a member does not forget what it acknowledged.
+ *
+ * With n members, the cluster keeps ordering blocks while a majority is up
+ * (it tolerates floor((n - 1) / 2) crashed members). Unlike PBFT it does not
+ * tolerate malicious members.
+ *
+ * Messages are signed with the sender's node key. REQUEST-VOTE is gossiped;
+ * the others are addressed to one member (message.to).
+ *
+ * Data Structure:
+ * - Message: {
+ *     type: 'request-vote' | 'vote' | 'append-entries' | 'append-response'
+ *     term: number
+ *     nodeId: string (sender)
+ *     to: string (recipient; all but request-vote)
+ *     messageId: string (random, so repeated heartbeats are not taken for duplicates)
+ *     lastLogIndex, lastLogTerm: number (request-vote)
+ *     granted: boolean (vote)
+ *     prevLogIndex: number, prevLogHash: string, entries: Array<Block>,
+ *       leaderCommit: number (append-entries)
+ *     success: boolean, matchIndex: number (append-response)
+ *     signature: string
+ *   }
+ *
+ * - Persisted state: {mode: 'raft', term, votedFor, log: Array<Block> (uncommitted entries)}
+ */
+
+const crypto = require('crypto');
+const { verify, getMessagePayload } = require('../../utils/signing.js');
+const RaftSealer = require('../sealing/RaftSealer.js');
+
+const MESSAGE_TYPES = ['request-vote', 'vote', 'append-entries', 'append-response'];
+const MAX_ENTRIES_PER_MESSAGE = 20;
+
+class RaftConsensus {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain, sealed with the 'raft' sealer
+   * @param {NodeManager} nodeManager - Node identity and message transport
+   * @param {Object} options - Consensus options
+   * @param {Array<string>} options.validators - Node IDs of the cluster members, identical on every node
+   *   (default: the sealer's validators)
+   * @param {number} options.electionTimeoutMs - Minimum wait for a leader before starting an election;
+   *   the actual wait is randomized up to twice as long (default 1500)
+   * @param {number} options.heartbeatMs - Interval between APPEND-ENTRIES from the leader (default 300)
+   * @param {number} options.blockIntervalMs - Minimum time between blocks appended by the leader (default 1000)
+   * @param {number} options.maxBlockSize - Max transactions per block (default 100)
+   * @param {number} options.tickMs - Timer resolution (default 50)
+   */
+  constructor(blockchain, nodeManager, options = {}) {
+    if (blockchain.sealer.type !== 'raft') {
+      throw new Error(`Raft consensus requires the 'raft' sealer, not '${blockchain.sealer.type}'`);
+    }
+
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+    this.mode = 'raft';
+    this.validators = options.validators || blockchain.sealer.validators;
+    this.electionTimeoutMs = options.electionTimeoutMs ?? 1500;
+    this.heartbeatMs = options.heartbeatMs ?? 300;
+    this.blockIntervalMs = options.blockIntervalMs ?? 1000;
+    this.maxBlockSize = options.maxBlockSize ?? 100;
+    this.tickMs = options.tickMs ?? 50;
+
+    if (this.validators.length === 0) {
+      throw new Error('Raft consensus requires a set of cluster members');
+    }
+
+    if (this.heartbeatMs >= this.electionTimeoutMs) {
+      throw new Error('Raft heartbeat interval must be shorter than the election timeout');
+    }
+
+    this.role = 'follower';
+    this.term = 0;
+    this.votedFor = null;
+    this.leaderId = null;
+    this.log = []; // uncommitted entries (blocks), in index order after the chain tip
+    this.votes = new Set(); // node IDs that voted for this node in the current term
+    this.nextIndex = new Map(); // leader: nodeId -> next log index to send
+    this.matchIndex = new Map(); // leader: nodeId -> highest log index known to be replicated
+    this.electionDeadline = 0;
+    this.lastHeartbeatAt = 0;
+    this.lastProposalAt = 0;
+    this.lastCommitAt = 0;
+    this.timer = null;
+    this.running = false;
+
+    this._onChainChanged = () => {
+      this.lastCommitAt = Date.now();
+      this._truncateCommitted();
+    };
+
+    this._loadState();
+  }
+
+  /**
+   * Start handling consensus messages and taking part in elections
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.nodeManager.setConsensusHandler((message) => this.handleMessage(message));
+    this.blockchain.on('block', this._onChainChanged);
+    this.blockchain.on('reset', this._onChainChanged);
+    this._resetElectionTimer();
+
+    this.timer = setInterval(() => this._tick(), this.tickMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop taking part in consensus
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.role = 'follower';
+    this.leaderId = null;
+    this.nodeManager.setConsensusHandler(null);
+    this.blockchain.off('block', this._onChainChanged);
+    this.blockchain.off('reset', this._onChainChanged);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the height of the next block to commit
+   */
+  getHeight() {
+    return this.blockchain.getChainLength();
+  }
+
+  /**
+   * Get the index of the latest committed entry (the latest block)
+   */
+  getCommitIndex() {
+    return this.blockchain.getChainLength() - 1;
+  }
+
+  /**
+   * Get the index of the latest entry in the log, committed or not
+   */
+  getLastLogIndex() {
+    return this.getCommitIndex() + this.log.length;
+  }
+
+  /**
+   * Check whether a node is a cluster member (default: this node)
+   */
+  isValidator(nodeId = this.nodeManager.getNodeId()) {
+    return this.validators.includes(nodeId);
+  }
+
+  /**
+   * Get the number of crashed members tolerated
+   */
+  getFaultTolerance() {
+    return RaftSealer.getFaultTolerance(this.validators.length);
+  }
+
+  /**
+   * Get the number of members that make a majority
+   */
+  getQuorum() {
+    return RaftSealer.getQuorum(this.validators.length);
+  }
+
+  /**
+   * Get the consensus state of this node
+   *
+   * Uses the same fields as PBFT where they mean the same thing: view is
+   * the term, primary the leader and phase the role.
+   *
+   * @returns {Object} Status
+   */
+  getStatus() {
+    const nodeId = this.nodeManager.getNodeId();
+    const latest = this.log[this.log.length - 1];
+
+    return {
+      mode: this.mode,
+      nodeId,
+      isValidator: this.isValidator(),
+      validators: [...this.validators],
+      faultTolerance: this.getFaultTolerance(),
+      quorum: this.getQuorum(),
+      height: this.getHeight(),
+      view: this.term,
+      primary: this.leaderId,
+      isPrimary: this.role === 'leader',
+      phase: this.role,
+      term: this.term,
+      role: this.role,
+      leaderId: this.leaderId,
+      votedFor: this.votedFor,
+      commitIndex: this.getCommitIndex(),
+      lastLogIndex: this.getLastLogIndex(),
+      proposal: latest ? {
+        blockHash: latest.hash,
+        index: latest.index,
+        term: latest.term,
+        replicated: this.role === 'leader' ? this._countReplicated(latest.index) : null
+      } : null,
+      replication: this.role === 'leader'
+        ? this._getFollowers().map(id => ({
+          nodeId: id,
+          matchIndex: this.matchIndex.get(id),
+          nextIndex: this.nextIndex.get(id)
+        }))
+        : null,
+      lastCommitAt: this.lastCommitAt || null
+    };
+  }
+
+  /**
+   * Handle a consensus message from a peer
+   *
+   * @param {Object} message - Signed consensus message
+   * @returns {string} 'accepted', 'stale' or 'ignored'
+   */
+  handleMessage(message) {
+    this._checkMessage(message);
+
+    if (!this.isValidator()) {
+      return 'ignored';
+    }
+
+    if (message.term > this.term) {
+      this._becomeFollower(message.term);
+    }
+
+    switch (message.type) {
+      case 'request-vote':
+        return this._onRequestVote(message);
+      case 'vote':
+        return this._onVote(message);
+      case 'append-entries':
+        return this._onAppendEntries(message);
+      case 'append-response':
+        return this._onAppendResponse(message);
+    }
+  }
+
+  /**
+   * Internal handler for REQUEST-VOTE: grant this term's vote to an up-to-date candidate
+   *
+   * @private
+   */
+  _onRequestVote(message) {
+    if (message.term < this.term) {
+      this._send(message.nodeId, { type: 'vote', granted: false });
+      return 'stale';
+    }
+
+    const granted = (this.votedFor === null || this.votedFor === message.nodeId) &&
+      this._isUpToDate(message.lastLogTerm, message.lastLogIndex);
+
+    if (granted) {
+      this.votedFor = message.nodeId;
+      this._saveState();
+      this._resetElectionTimer();
+    }
+
+    this._send(message.nodeId, { type: 'vote', granted });
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for VOTE: become leader with votes from a majority
+   *
+   * @private
+   */
+  _onVote(message) {
+    if (this.role !== 'candidate' || message.term !== this.term) {
+      return 'stale';
+    }
+
+    if (message.granted) {
+      this.votes.add(message.nodeId);
+      if (this.votes.size >= this.getQuorum()) {
+        this._becomeLeader();
+      }
+    }
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for APPEND-ENTRIES: follow the leader and extend the log
+   *
+   * @private
+   */
+  _onAppendEntries(message) {
+    if (message.term < this.term) {
+      this._send(message.nodeId, { type: 'append-response', success: false, matchIndex: this.getLastLogIndex() });
+      return 'stale';
+    }
+
+    // A candidate that hears from the leader of its term gives up
+    this.role = 'follower';
+    this.leaderId = message.nodeId;
+    this._resetElectionTimer();
+
+    const { success, matchIndex } = this._appendEntries(message);
+    this._send(message.nodeId, { type: 'append-response', success, matchIndex });
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal handler for APPEND-RESPONSE: track replication and commit
+   *
+   * @private
+   */
+  _onAppendResponse(message) {
+    if (this.role !== 'leader' || message.term !== this.term) {
+      return 'stale';
+    }
+
+    const nodeId = message.nodeId;
+    if (message.success) {
+      const matchIndex = Math.max(this.matchIndex.get(nodeId) ?? 0, message.matchIndex);
+      this.matchIndex.set(nodeId, matchIndex);
+      this.nextIndex.set(nodeId, matchIndex + 1);
+      this._advanceCommitIndex();
+
+      // Keep sending a follower that is catching up
+      if (matchIndex < this.getLastLogIndex()) {
+        this._replicate(nodeId);
+      }
+    } else {
+      // Back up to where the follower's log ends or diverges; the next heartbeat retries
+      const nextIndex = Math.min(this.nextIndex.get(nodeId) - 1, message.matchIndex + 1);
+      this.nextIndex.set(nodeId, Math.max(nextIndex, 1));
+    }
+
+    return 'accepted';
+  }
+
+  /**
+   * Internal method to apply APPEND-ENTRIES to the log
+   *
+   * @returns {Object} {success, matchIndex}
+   * @private
+   */
+  _appendEntries(message) {
+    const { prevLogIndex, prevLogHash, entries, leaderCommit } = message;
+    const lastLogIndex = this.getLastLogIndex();
+    const chainLength = this.blockchain.getChainLength();
+
+    if (prevLogIndex > lastLogIndex) {
+      return { success: false, matchIndex: lastLogIndex };
+    }
+
+    if (this._getEntry(prevLogIndex).hash !== prevLogHash) {
+      // Only uncommitted entries can be replaced
+      if (prevLogIndex >= chainLength) {
+        this._truncateLog(prevLogIndex);
+        this._saveState();
+      }
+      return { success: false, matchIndex: prevLogIndex - 1 };
+    }
+
+    let changed = false;
+    for (let i = 0; i < entries.length; i++) {
+      const index = prevLogIndex + 1 + i;
+      const block = entries[i];
+      const existing = this._getEntry(index);
+
+      if (existing && existing.hash === block.hash) {
+        continue;
+      }
+
+      if (index < chainLength) {
+        console.warn(`[Raft] Leader ${message.nodeId} sent a block ${index} that conflicts with the local chain`);
+        return { success: false, matchIndex: index - 1 };
+      }
+
+      if (!this._isValidEntry(block, index, this._getEntry(index - 1))) {
+        throw new Error(`Invalid log entry at index ${index}`);
+      }
+
+      this._truncateLog(index);
+      this.log.push(block);
+      changed = true;
+    }
+
+    if (changed) {
+      this._saveState();
+    }
+
+    const matchIndex = prevLogIndex + entries.length;
+    if (leaderCommit > this.getCommitIndex()) {
+      this._applyUpTo(Math.min(leaderCommit, matchIndex));
+    }
+
+    return { success: true, matchIndex };
+  }
+
+  /**
+   * Internal method to commit the highest entry of this term held by a majority
+   *
+   * Entries from earlier terms are never committed by counting replicas, only
+   * together with a later entry of the current term.
+   *
+   * @private
+   */
+  _advanceCommitIndex() {
+    const commitIndex = this.getCommitIndex();
+
+    for (let index = this.getLastLogIndex(); index > commitIndex; index--) {
+      if (this._getEntry(index).term !== this.term) {
+        break;
+      }
+
+      if (this._countReplicated(index) >= this.getQuorum()) {
+        this._applyUpTo(index);
+        this._broadcastAppendEntries();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Internal method to append committed entries to the chain
+   *
+   * @private
+   */
+  _applyUpTo(index) {
+    while (this.log.length > 0 && this.log[0].index <= index) {
+      const block = this.log[0];
+
+      try {
+        // Appending emits 'block', which drops the entry from the log and gossips the block
+        const status = this.blockchain.receiveBlock(block);
+        if (status !== 'appended' && status !== 'duplicate') {
+          console.error(`[Raft] Committed block ${block.index} does not fit the local chain (${status})`);
+          return;
+        }
+      } catch (error) {
+        console.error(`[Raft] Failed to apply committed block ${block.index}: ${error.message}`);
+        return;
+      }
+
+      this._truncateCommitted();
+    }
+  }
+
+  /**
+   * Internal method to append a block from the mempool to the log as leader
+   *
+   * @param {boolean} allowEmpty - Append even without transactions, so that
+   *   entries from earlier terms can commit
+   * @private
+   */
+  _propose(allowEmpty = false) {
+    this.lastProposalAt = Date.now();
+
+    let block;
+    try {
+      block = this.blockchain.createBlock(this.maxBlockSize, {
+        previousBlocks: this.log,
+        allowEmpty,
+        term: this.term
+      });
+    } catch (error) {
+      console.error(`[Raft] Cannot append block ${this.getLastLogIndex() + 1}: ${error.message}`);
+      return;
+    }
+
+    this.log.push(block);
+    this._saveState();
+
+    this._advanceCommitIndex();
+    this._broadcastAppendEntries();
+  }
+
+  /**
+   * Internal method to start an election for the next term
+   *
+   * @private
+   */
+  _startElection() {
+    const nodeId = this.nodeManager.getNodeId();
+
+    this.role = 'candidate';
+    this.term++;
+    this.votedFor = nodeId;
+    this.leaderId = null;
+    this.votes = new Set([nodeId]);
+    this._saveState();
+    this._resetElectionTimer();
+
+    console.log(`[Raft] Starting election for term ${this.term}`);
+
+    if (this.votes.size >= this.getQuorum()) {
+      this._becomeLeader();
+      return;
+    }
+
+    const lastLogIndex = this.getLastLogIndex();
+    this.nodeManager.broadcastConsensusMessage(this._sign({
+      type: 'request-vote',
+      term: this.term,
+      lastLogIndex,
+      lastLogTerm: this._getEntry(lastLogIndex).term || 0
+    }));
+  }
+
+  /**
+   * Internal method to take over as leader of the current term
+   *
+   * @private
+   */
+  _becomeLeader() {
+    this.role = 'leader';
+    this.leaderId = this.nodeManager.getNodeId();
+
+    const nextIndex = this.getLastLogIndex() + 1;
+    for (const nodeId of this._getFollowers()) {
+      this.nextIndex.set(nodeId, nextIndex);
+      this.matchIndex.set(nodeId, 0);
+    }
+
+    console.log(`[Raft] Elected leader for term ${this.term} at height ${this.getHeight()}`);
+
+    // Uncommitted entries from earlier terms commit with the first entry of this term
+    if (this.log.length > 0) {
+      this._propose(true);
+    }
+    this._broadcastAppendEntries();
+  }
+
+  /**
+   * Internal method to follow a newer term
+   *
+   * @private
+   */
+  _becomeFollower(term) {
+    if (this.role === 'leader') {
+      console.log(`[Raft] Stepping down as leader of term ${this.term}; term ${term} has started`);
+      this._resetElectionTimer();
+    }
+
+    this.role = 'follower';
+    this.term = term;
+    this.votedFor = null;
+    this.leaderId = null;
+    this._saveState();
+  }
+
+  /**
+   * Internal method to send APPEND-ENTRIES (or a heartbeat) to every follower
+   *
+   * @private
+   */
+  _broadcastAppendEntries() {
+    this.lastHeartbeatAt = Date.now();
+    for (const nodeId of this._getFollowers()) {
+      this._replicate(nodeId);
+    }
+  }
+
+  /**
+   * Internal method to send a follower the entries it is missing
+   *
+   * @private
+   */
+  _replicate(nodeId) {
+    const lastLogIndex = this.getLastLogIndex();
+    const nextIndex = Math.max(Math.min(this.nextIndex.get(nodeId) ?? lastLogIndex + 1, lastLogIndex + 1), 1);
+    const prevLogIndex = nextIndex - 1;
+
+    const entries = [];
+    for (let index = nextIndex; index <= Math.min(lastLogIndex, prevLogIndex + MAX_ENTRIES_PER_MESSAGE); index++) {
+      entries.push(this._getEntry(index));
+    }
+
+    this._send(nodeId, {
+      type: 'append-entries',
+      prevLogIndex,
+      prevLogHash: this._getEntry(prevLogIndex).hash,
+      entries,
+      leaderCommit: this.getCommitIndex()
+    });
+  }
+
+  /**
+   * Internal timer: heartbeats and proposals as leader, elections otherwise
+   *
+   * @private
+   */
+  _tick() {
+    if (!this.isValidator()) {
+      return;
+    }
+
+    const now = Date.now();
+
+    if (this.role !== 'leader') {
+      if (now >= this.electionDeadline) {
+        this._startElection();
+      }
+      return;
+    }
+
+    const hasOwnEntry = this.log.some(block => block.term === this.term);
+    const hasPending = this.blockchain.getPendingTransactions().length > this._countLogTransactions();
+    const due = now - this.lastCommitAt >= this.blockIntervalMs && now - this.lastProposalAt >= this.blockIntervalMs;
+
+    if (!hasOwnEntry && due && (hasPending || this.log.length > 0)) {
+      this._propose(this.log.length > 0);
+    }
+
+    if (now - this.lastHeartbeatAt >= this.heartbeatMs) {
+      this._broadcastAppendEntries();
+    }
+  }
+
+  /**
+   * Internal method to check a message's structure, sender and signature
+   *
+   * @private
+   */
+  _checkMessage(message) {
+    if (!message || !MESSAGE_TYPES.includes(message.type)) {
+      throw new Error(`Unknown consensus message type: ${message?.type}`);
+    }
+
+    if (!Number.isInteger(message.term) || message.term < 0) {
+      throw new Error('Consensus message must include term');
+    }
+
+    const isIndex = (value) => Number.isInteger(value) && value >= 0;
+    const valid = {
+      'request-vote': isIndex(message.lastLogIndex) && isIndex(message.lastLogTerm),
+      'vote': typeof message.granted === 'boolean',
+      'append-entries': isIndex(message.prevLogIndex) && typeof message.prevLogHash === 'string' &&
+        Array.isArray(message.entries) && message.entries.length <= MAX_ENTRIES_PER_MESSAGE &&
+        isIndex(message.leaderCommit),
+      'append-response': typeof message.success === 'boolean' && Number.isInteger(message.matchIndex)
+    }[message.type];
+
+    if (!valid) {
+      throw new Error(`Malformed ${message.type} message`);
+    }
+
+    if (!this.isValidator(message.nodeId)) {
+      throw new Error(`${message.nodeId} is not a cluster member`);
+    }
+
+    if (!this._verifySignature(message)) {
+      throw new Error(`Invalid signature on ${message.type} from ${message.nodeId}`);
+    }
+  }
+
+  /**
+   * Internal method to check that an entry from the leader extends the log
+   *
+   * @private
+   */
+  _isValidEntry(block, index, previousBlock) {
+    return !!block &&
+      block.index === index &&
+      block.previousHash === previousBlock?.hash &&
+      Number.isInteger(block.term) && block.term <= this.term &&
+      Array.isArray(block.transactions) &&
+      this.blockchain.calculateBlockHash(block) === block.hash;
+  }
+
+  /**
+   * Internal method to compare a candidate's log with this node's
+   *
+   * @private
+   */
+  _isUpToDate(lastLogTerm, lastLogIndex) {
+    const ownLastIndex = this.getLastLogIndex();
+    const ownLastTerm = this._getEntry(ownLastIndex).term || 0;
+
+    return lastLogTerm > ownLastTerm || (lastLogTerm === ownLastTerm && lastLogIndex >= ownLastIndex);
+  }
+
+  /**
+   * Internal method to drop log entries that are on the chain now
+   *
+   * If a committed block differs from the entry at its index, the rest of
+   * the log was built on another history and is dropped as well.
+   *
+   * @private
+   */
+  _truncateCommitted() {
+    const chainLength = this.blockchain.getChainLength();
+    let changed = false;
+
+    while (this.log.length > 0 && this.log[0].index < chainLength) {
+      if (this.blockchain.getBlock(this.log[0].index)?.hash === this.log[0].hash) {
+        this.log.shift();
+      } else {
+        this.log = [];
+      }
+      changed = true;
+    }
+
+    if (this.log.length > 0 && this.log[0].previousHash !== this.blockchain.getLatestBlock().hash) {
+      this.log = [];
+      changed = true;
+    }
+
+    if (changed) {
+      this._saveState();
+    }
+  }
+
+  /**
+   * Internal helper to drop uncommitted entries from an index on
+   *
+   * @private
+   */
+  _truncateLog(index) {
+    this.log = this.log.filter(block => block.index < index);
+  }
+
+  /**
+   * Internal helper to get the log entry at an index (a block on the chain or in the uncommitted log)
+   *
+   * @private
+   */
+  _getEntry(index) {
+    const chainLength = this.blockchain.getChainLength();
+    return index < chainLength ? this.blockchain.getBlock(index) : this.log[index - chainLength] || null;
+  }
+
+  /**
+   * Internal helper to count members (this node included) holding the entry at an index
+   *
+   * @private
+   */
+  _countReplicated(index) {
+    let count = 1;
+    for (const nodeId of this._getFollowers()) {
+      if ((this.matchIndex.get(nodeId) ?? 0) >= index) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Internal helper to count the transactions waiting in the uncommitted log
+   *
+   * @private
+   */
+  _countLogTransactions() {
+    return this.log.reduce((total, block) => total + block.transactions.length, 0);
+  }
+
+  /**
+   * Internal helper to list the other cluster members
+   *
+   * @private
+   */
+  _getFollowers() {
+    const nodeId = this.nodeManager.getNodeId();
+    return this.validators.filter(id => id !== nodeId);
+  }
+
+  /**
+   * Internal helper to pick a new randomized election deadline
+   *
+   * @private
+   */
+  _resetElectionTimer() {
+    this.electionDeadline = Date.now() + this.electionTimeoutMs * (1 + Math.random());
+  }
+
+  /**
+   * Internal helper to sign and send a message to one member
+   *
+   * @private
+   */
+  _send(to, fields) {
+    this.nodeManager.sendConsensusMessage(this._sign({ ...fields, term: this.term, to }));
+  }
+
+  /**
+   * Internal helper to sign a message as this node
+   *
+   * @private
+   */
+  _sign(fields) {
+    const message = { ...fields, nodeId: this.nodeManager.getNodeId(), messageId: crypto.randomUUID() };
+    message.signature = this.nodeManager.sign(getMessagePayload(message));
+    return message;
+  }
+
+  /**
+   * Internal method to verify a message signature against the sender's node key
+   *
+   * @private
+   */
+  _verifySignature(message) {
+    const key = this.blockchain.keyRegistry?.getKey(message.nodeId);
+
+    return !!key &&
+      key.actorType === 'node' &&
+      verify(getMessagePayload(message), message.signature, key.publicKey);
+  }
+
+  /**
+   * Internal method to restore the term, vote and uncommitted log after a restart
+   *
+   * @private
+   */
+  _loadState() {
+    const state = this.blockchain.storage?.loadConsensusState();
+    if (!state || state.mode !== this.mode) {
+      return;
+    }
+
+    this.term = state.term || 0;
+    this.votedFor = state.votedFor || null;
+    this.log = Array.isArray(state.log) ? state.log : [];
+    this._truncateCommitted();
+  }
+
+  /**
+   * Internal method to persist the term, vote and uncommitted log
+   *
+   * @private
+   */
+  _saveState() {
+    if (this.blockchain.storage) {
+      this.blockchain.storage.saveConsensusState({
+        mode: this.mode,
+        term: this.term,
+        votedFor: this.votedFor,
+        log: this.log
+      });
+    }
+  }
+}
+
+RaftConsensus.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = RaftConsensus;
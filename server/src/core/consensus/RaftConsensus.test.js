@@ -0,0 +1,220 @@
+const Blockchain = require('../Blockchain.js');
+const KeyRegistry = require('../KeyRegistry.js');
+const NodeManager = require('../NodeManager.js');
+const RaftConsensus = require('./RaftConsensus.js');
+const { MemoryStorage } = require('../storage/index.js');
+
+const identities = Array.from({ length: 3 }, () => NodeManager.generateIdentity());
+const validators = identities.map(identity => identity.nodeId);
+const nodeKeys = Object.fromEntries(identities.map(identity => [identity.nodeId, identity.publicKey]));
+const options = { electionTimeoutMs: 1000, heartbeatMs: 100, blockIntervalMs: 0, tickMs: 60000 };
+
+/**
+ * Start a three-member cluster whose consensus messages travel through an in-process queue
+ *
+ * Messages are delivered by flush(); members listed in down neither send nor receive.
+ */
+function createCluster() {
+  const queue = [];
+  const down = new Set();
+  const errors = [];
+
+  const nodes = identities.map(identity => {
+    const keyRegistry = new KeyRegistry({ nodeKeys });
+    const blockchain = new Blockchain({ sealing: { type: 'raft', validators }, keyRegistry, nodeKeys, storage: new MemoryStorage() });
+    blockchain.createGenesisBlock(0);
+    keyRegistry.attach(blockchain);
+
+    const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+    blockchain.setSystemSigner(nodeManager);
+    const send = async (message) => {
+      queue.push(JSON.parse(JSON.stringify(message)));
+      return { success: true };
+    };
+    nodeManager.broadcastConsensusMessage = send;
+    nodeManager.sendConsensusMessage = send;
+
+    const consensus = new RaftConsensus(blockchain, nodeManager, options);
+    consensus.start();
+
+    return { nodeId: identity.nodeId, blockchain, nodeManager, consensus };
+  });
+
+  // Every member knows every member's key registration and an audit entry to commit
+  const registrations = nodes.map(node => node.nodeManager.ensureKeyRegistered());
+  const entry = nodes[0].blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+  for (const node of nodes) {
+    [...registrations, entry].forEach(tx => node.blockchain.receiveTransaction(tx));
+  }
+
+  const flush = () => {
+    while (queue.length > 0) {
+      const message = queue.shift();
+      if (down.has(message.nodeId)) {
+        continue;
+      }
+      for (const node of nodes) {
+        const recipient = message.to ? node.nodeId === message.to : node.nodeId !== message.nodeId;
+        if (!recipient || down.has(node.nodeId)) {
+          continue;
+        }
+        try {
+          node.consensus.handleMessage(message);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+  };
+
+  return { nodes, down, errors, flush, queue };
+}
+
+/**
+ * Let a member's election timeout run out and deliver the election
+ */
+function elect(cluster, node) {
+  jest.setSystemTime(node.consensus.electionDeadline);
+  node.consensus._tick();
+  cluster.flush();
+}
+
+function signed(node, fields) {
+  return node.consensus._sign({ term: 1, ...fields });
+}
+
+describe('RaftConsensus', () => {
+  let cluster;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1000000 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cluster?.nodes.forEach(node => node.consensus.stop());
+    cluster = null;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('requires the raft sealer, cluster members and a heartbeat shorter than the election timeout', () => {
+    const poa = new Blockchain({ sealing: { type: 'poa', validators } });
+    const empty = new Blockchain({ sealing: { type: 'raft' } });
+    const raft = new Blockchain({ sealing: { type: 'raft', validators } });
+
+    expect(() => new RaftConsensus(poa, new NodeManager(poa))).toThrow('Raft consensus requires the \'raft\' sealer, not \'poa\'');
+    expect(() => new RaftConsensus(empty, new NodeManager(empty))).toThrow('Raft consensus requires a set of cluster members');
+    expect(() => new RaftConsensus(raft, new NodeManager(raft), { heartbeatMs: 2000 }))
+      .toThrow('Raft heartbeat interval must be shorter than the election timeout');
+  });
+
+  it('elects the first member whose election timeout runs out', () => {
+    cluster = createCluster();
+    const [candidate, ...followers] = cluster.nodes;
+
+    elect(cluster, candidate);
+
+    expect(candidate.consensus.getStatus()).toMatchObject({ role: 'leader', term: 1, leaderId: candidate.nodeId });
+    for (const follower of followers) {
+      expect(follower.consensus.getStatus()).toMatchObject({ role: 'follower', term: 1, leaderId: candidate.nodeId, votedFor: candidate.nodeId });
+    }
+    expect(cluster.errors).toEqual([]);
+  });
+
+  it('commits a block once a majority has replicated it', () => {
+    cluster = createCluster();
+    const leader = cluster.nodes[0];
+    elect(cluster, leader);
+
+    leader.consensus._tick();
+    cluster.flush();
+
+    for (const node of cluster.nodes) {
+      expect(node.blockchain.getChainLength()).toBe(2);
+      expect(node.blockchain.getLatestBlock().hash).toBe(leader.blockchain.getLatestBlock().hash);
+      expect(node.blockchain.isChainValid()).toBe(true);
+      expect(node.consensus.getStatus()).toMatchObject({ commitIndex: 1, lastLogIndex: 1 });
+    }
+    expect(leader.blockchain.getLatestBlock()).toMatchObject({ sealType: 'raft', sealer: leader.nodeId, term: 1 });
+  });
+
+  it('keeps committing with one member down but not with two', () => {
+    cluster = createCluster();
+    const leader = cluster.nodes[0];
+    elect(cluster, leader);
+    cluster.down.add(validators[2]);
+
+    leader.consensus._tick();
+    cluster.flush();
+    expect(leader.blockchain.getChainLength()).toBe(2);
+    expect(cluster.nodes[2].blockchain.getChainLength()).toBe(1);
+
+    cluster.down.add(validators[1]);
+    leader.blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+    leader.consensus._tick();
+    cluster.flush();
+
+    expect(leader.blockchain.getChainLength()).toBe(2);
+    expect(leader.consensus.getStatus()).toMatchObject({ lastLogIndex: 2, proposal: { index: 2, replicated: 1 } });
+  });
+
+  it('brings a member that was down up to date', () => {
+    cluster = createCluster();
+    const leader = cluster.nodes[0];
+    elect(cluster, leader);
+    cluster.down.add(validators[2]);
+    leader.consensus._tick();
+    cluster.flush();
+
+    cluster.down.delete(validators[2]);
+    jest.setSystemTime(Date.now() + options.heartbeatMs);
+    leader.consensus._tick();
+    cluster.flush();
+
+    expect(cluster.nodes[2].blockchain.getLatestBlock().hash).toBe(leader.blockchain.getLatestBlock().hash);
+  });
+
+  it('grants one vote per term, only to candidates with an up-to-date log', () => {
+    cluster = createCluster();
+    const [voter, first, second] = cluster.nodes;
+    const request = { type: 'request-vote', lastLogIndex: 0, lastLogTerm: 0 };
+
+    voter.consensus.handleMessage(signed(first, request));
+    voter.consensus.handleMessage(signed(second, request));
+    voter.consensus.handleMessage(signed(second, { ...request, term: 2 }));
+    voter.consensus.log.push({ index: 1, term: 2 });
+    voter.consensus.handleMessage(signed(first, { ...request, term: 3 }));
+
+    expect(cluster.queue.map(({ to, term, granted }) => ({ to, term, granted }))).toEqual([
+      { to: first.nodeId, term: 1, granted: true },
+      { to: second.nodeId, term: 1, granted: false },
+      { to: second.nodeId, term: 2, granted: true },
+      { to: first.nodeId, term: 3, granted: false }
+    ]);
+    expect(voter.consensus.getStatus()).toMatchObject({ term: 3, votedFor: null });
+  });
+
+  it('records its vote so that it survives a restart', () => {
+    cluster = createCluster();
+    const [voter, candidate] = cluster.nodes;
+    voter.consensus.handleMessage(signed(candidate, { type: 'request-vote', lastLogIndex: 0, lastLogTerm: 0 }));
+    voter.consensus.stop();
+
+    const restarted = new RaftConsensus(voter.blockchain, voter.nodeManager, options);
+
+    expect(restarted.getStatus()).toMatchObject({ term: 1, votedFor: candidate.nodeId });
+  });
+
+  it('rejects malformed, unsigned and non-member messages', () => {
+    cluster = createCluster();
+    const [node, other] = cluster.nodes;
+    const outsider = NodeManager.generateIdentity();
+
+    expect(() => node.consensus.handleMessage(signed(other, { type: 'request-vote' }))).toThrow('Malformed request-vote message');
+    expect(() => node.consensus.handleMessage({ ...signed(other, { type: 'vote', granted: true }), granted: false }))
+      .toThrow(`Invalid signature on vote from ${other.nodeId}`);
+    expect(() => node.consensus.handleMessage({ ...signed(other, { type: 'vote', granted: true }), nodeId: outsider.nodeId }))
+      .toThrow(`${outsider.nodeId} is not a cluster member`);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Consensus protocols
+ *
+ * A consensus protocol decides which blocks are appended, replacing local
+ * block production (BlockProducer). Every protocol implements:
+ * - mode: string
+ * - start() / stop()
+ * - getStatus(): Object - {mode, nodeId, height, ...} plus protocol-specific state
+ *
+ * Mode 'none' keeps the BlockProducer sealing blocks on its own. 'pbft'
+ * tolerates malicious validators; 'raft' only crashed ones, with fewer
+ * messages per block.
+ */
+
+const PbftConsensus = require('./PbftConsensus.js');
+const RaftConsensus = require('./RaftConsensus.js');
+
+const CONSENSUS_MODES = ['none', 'pbft', 'raft'];
+
+/**
+ * Create the consensus protocol for a mode
+ *
+ * @param {string} mode - 'none', 'pbft' or 'raft'
+ * @param {Blockchain} blockchain - Local blockchain
+ * @param {NodeManager} nodeManager - Node identity and message transport
+ * @param {Object} options - Protocol options (see the protocol class)
+ * @returns {Object|null} Consensus protocol, or null for 'none'
+ */
+function createConsensus(mode, blockchain, nodeManager, options = {}) {
+  switch (mode) {
+    case 'none':
+      return null;
+    case 'pbft':
+      return new PbftConsensus(blockchain, nodeManager, options);
+    case 'raft':
+      return new RaftConsensus(blockchain, nodeManager, options);
+    default:
+      throw new Error(`Unknown consensus mode: ${mode}. Must be one of: ${CONSENSUS_MODES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  CONSENSUS_MODES,
+  createConsensus,
+  PbftConsensus,
+  RaftConsensus
+};
@@ -0,0 +1,40 @@
+/**
+ * No-op Sealer - Development mode
+ *
+ * Blocks are hashed but not sealed: no nonce search, no signature. Useful
+ * for local development and CI. Such blocks carry no authority, so they are
+ * only accepted by nodes that run in this mode themselves.
+ */
+
+class NoopSealer {
+  constructor() {
+    this.type = 'none';
+  }
+
+  /**
+   * @param {Object} block - Block with all header fields except hash
+   * @param {Blockchain} blockchain - Blockchain the block is sealed for
+   * @returns {string} Block hash
+   */
+  seal(block, blockchain) {
+    return blockchain.calculateBlockHash(block);
+  }
+
+  /**
+   * @returns {Object} {valid, error}
+   */
+  verify() {
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Unsealed chains are compared by length
+   *
+   * @returns {number} Work
+   */
+  getWork() {
+    return 1;
+  }
+}
+
+module.exports = NoopSealer;
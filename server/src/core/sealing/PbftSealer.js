@@ -0,0 +1,120 @@
+/**
+ * PBFT Sealer
+ *
+ * Blocks committed by PBFT consensus (see core/consensus/PbftConsensus.js).
+ * The primary that proposed the block signs its hash exactly like a
+ * proof-of-authority sealer; once the validators have committed it, the
+ * block also carries their commit messages as a certificate. The
+ * certificate lives outside the hashed header, since it only exists after
+ * the hash has been agreed on.
+ *
+ * A committed block is valid if its proposer seal is valid and the
+ * certificate holds commit signatures from a quorum of distinct validators
+ * with 'node' keys registered on-chain (in this block or earlier).
+ *
+ * With n validators the network tolerates f = floor((n - 1) / 3) faulty
+ * ones, and a quorum is ceil((n + f + 1) / 2) (2f + 1 when n = 3f + 1), so
+ * any two quorums share at least one correct validator.
+ *
+ * Block fields (besides sealer and signature, see ProofOfAuthoritySealer):
+ * - commitCertificate: {
+ *     view: number (view the block was committed in)
+ *     commits: Array<{nodeId: string, signature: string}>
+ *   }
+ */
+
+const { verify, getMessagePayload } = require('../../utils/signing.js');
+const ProofOfAuthoritySealer = require('./ProofOfAuthoritySealer.js');
+
+class PbftSealer extends ProofOfAuthoritySealer {
+  /**
+   * @param {Object} options - Sealer options
+   * @param {Array<string>} options.validators - Node IDs of the validator set (required)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'pbft';
+    this.requiresConsensus = true;
+  }
+
+  /**
+   * Verify a block's proposer seal and, unless it is still a proposal, its commit certificate
+   *
+   * @param {Object} block - Block
+   * @param {Object} context - Validation context
+   * @param {KeyRegistry} context.keys - Key registry as of this block
+   * @param {boolean} context.proposal - The block has not been committed yet
+   * @returns {Object} {valid, error}
+   */
+  verify(block, context) {
+    if (this.validators.length === 0) {
+      return { valid: false, error: 'no PBFT validator set is configured' };
+    }
+
+    const sealed = super.verify(block, context);
+    if (!sealed.valid || context.proposal) {
+      return sealed;
+    }
+
+    const certificate = block.commitCertificate;
+    if (!certificate || !Number.isInteger(certificate.view) || !Array.isArray(certificate.commits)) {
+      return { valid: false, error: 'missing commit certificate' };
+    }
+
+    const signers = new Set();
+    for (const commit of certificate.commits) {
+      if (!commit || !this.isValidator(commit.nodeId) || signers.has(commit.nodeId)) {
+        continue;
+      }
+
+      const key = context.keys.getKey(commit.nodeId);
+      if (!key || key.actorType !== 'node') {
+        continue;
+      }
+
+      const payload = getMessagePayload({
+        type: 'commit',
+        view: certificate.view,
+        height: block.index,
+        blockHash: block.hash,
+        nodeId: commit.nodeId
+      });
+      if (verify(payload, commit.signature, key.publicKey)) {
+        signers.add(commit.nodeId);
+      }
+    }
+
+    const quorum = PbftSealer.getQuorum(this.validators.length);
+    if (signers.size < quorum) {
+      return {
+        valid: false,
+        error: `commit certificate has ${signers.size} valid validator signatures, ${quorum} required`
+      };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Get the number of faulty validators a validator set tolerates
+   *
+   * @param {number} validatorCount - Number of validators (n)
+   * @returns {number} f
+   */
+  static getFaultTolerance(validatorCount) {
+    return Math.max(Math.floor((validatorCount - 1) / 3), 0);
+  }
+
+  /**
+   * Get the number of matching messages needed to prepare or commit
+   *
+   * @param {number} validatorCount - Number of validators (n)
+   * @returns {number} Quorum size
+   */
+  static getQuorum(validatorCount) {
+    const f = PbftSealer.getFaultTolerance(validatorCount);
+    return Math.ceil((validatorCount + f + 1) / 2);
+  }
+}
+
+module.exports = PbftSealer;
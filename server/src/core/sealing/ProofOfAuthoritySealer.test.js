@@ -0,0 +1,85 @@
+const Blockchain = require('../Blockchain.js');
+const KeyRegistry = require('../KeyRegistry.js');
+const NodeManager = require('../NodeManager.js');
+const { generateKeyPair, sign, signTransaction } = require('../../utils/signing.js');
+
+const identity = NodeManager.generateIdentity();
+const nodeKeys = { [identity.nodeId]: identity.publicKey };
+
+function createChain(validators = [identity.nodeId], trustedKeys = nodeKeys) {
+  const keyRegistry = new KeyRegistry({ nodeKeys: trustedKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'poa', validators }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+
+  return { blockchain, nodeManager };
+}
+
+describe('ProofOfAuthoritySealer', () => {
+  it('signs blocks with the node key registered in the same block', () => {
+    const { blockchain, nodeManager } = createChain();
+    nodeManager.ensureKeyRegistered();
+
+    const block = blockchain.minePendingTransactions();
+
+    expect(block).toMatchObject({ sealType: 'poa', sealer: identity.nodeId });
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  it('refuses to seal without a registered key or outside the validator list', () => {
+    const other = NodeManager.generateIdentity();
+    const unregistered = createChain([identity.nodeId], { [other.nodeId]: other.publicKey }).blockchain;
+    unregistered.addTransaction(signTransaction(
+      unregistered.keyRegistry.buildRegistrationTransaction(other.nodeId, 'node', other.publicKey),
+      other.privateKey
+    ));
+    const outsider = createChain(['node-2']);
+    outsider.nodeManager.ensureKeyRegistered();
+
+    expect(() => unregistered.minePendingTransactions()).toThrow(`Node ${identity.nodeId} has no registered key to seal with`);
+    expect(() => outsider.blockchain.minePendingTransactions()).toThrow(`Node ${identity.nodeId} is not an authorized validator`);
+  });
+
+  it('rejects blocks with a missing, forged or unauthorized seal', () => {
+    const { blockchain, nodeManager } = createChain();
+    nodeManager.ensureKeyRegistered();
+    const block = blockchain.minePendingTransactions();
+    const sealer = blockchain.sealers.get('poa');
+    const keys = blockchain.chainKeys;
+
+    expect(sealer.verify({ ...block, signature: undefined }, { keys }).error).toBe('missing sealer or signature');
+    expect(sealer.verify({ ...block, signature: sign(block.hash, generateKeyPair().privateKey) }, { keys }).error)
+      .toBe('sealer signature is invalid');
+    expect(createChain(['node-2']).blockchain.validateChain(blockchain.getAllBlocks()).error)
+      .toBe(`block 1: sealer ${identity.nodeId} is not an authorized validator`);
+  });
+
+  it('requires a set of validators', () => {
+    expect(() => createChain([])).toThrow('Proof-of-authority sealing requires a set of validators');
+  });
+
+  it('rejects a sealer without a node key', () => {
+    const { blockchain, nodeManager } = createChain();
+    nodeManager.ensureKeyRegistered();
+    const block = blockchain.minePendingTransactions();
+
+    expect(blockchain.sealers.get('poa').verify(block, { keys: new KeyRegistry() }).error)
+      .toBe(`sealer ${identity.nodeId} has no registered node key`);
+  });
+
+  it('does not accept unsealed blocks', () => {
+    const dev = new Blockchain({ sealing: { type: 'none' }, keyRegistry: new KeyRegistry({ nodeKeys }) });
+    dev.createGenesisBlock(0);
+    dev.keyRegistry.attach(dev);
+    const nodeManager = new NodeManager(dev, { identity, heartbeatMs: 0 });
+    dev.setSystemSigner(nodeManager);
+    nodeManager.ensureKeyRegistered();
+    dev.minePendingTransactions();
+
+    expect(createChain().blockchain.validateChain(dev.getAllBlocks()).error)
+      .toBe('block 1: seal type \'none\' is not accepted by this node');
+  });
+});
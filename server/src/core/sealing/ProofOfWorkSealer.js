@@ -0,0 +1,72 @@
+/**
+ * Proof-of-Work Sealer
+ *
+ * Brute-forces block.nonce until the block hash starts with `difficulty`
+ * zeros. Kept for existing chains; it costs CPU and gives no authority
+ * guarantees, so permissioned deployments should prefer proof-of-authority.
+ *
+ * Blocks without a sealType (mined before sealing was pluggable) are PoW blocks.
+ * A chain that moved to another strategy keeps accepting them up to maxHeight.
+ */
+
+class ProofOfWorkSealer {
+  /**
+   * @param {Object} options - Sealer options
+   * @param {number} options.difficulty - Number of leading zeros required (default 2)
+   * @param {number} options.maxHeight - Highest block index accepted; any if omitted
+   */
+  constructor(options = {}) {
+    this.type = 'pow';
+    this.difficulty = options.difficulty ?? 2;
+    this.maxHeight = options.maxHeight ?? null;
+  }
+
+  /**
+   * Seal a block by searching for a nonce that meets the difficulty
+   *
+   * @param {Object} block - Block with all header fields except hash
+   * @param {Blockchain} blockchain - Blockchain the block is sealed for
+   * @returns {string} Block hash
+   */
+  seal(block, blockchain) {
+    const target = '0'.repeat(this.difficulty);
+    let hash = blockchain.calculateBlockHash(block);
+
+    while (hash.substring(0, this.difficulty) !== target) {
+      block.nonce++;
+      hash = blockchain.calculateBlockHash(block);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Verify a block's seal (its hash is already known to match its contents)
+   *
+   * @param {Object} block - Block
+   * @returns {Object} {valid, error}
+   */
+  verify(block) {
+    if (this.maxHeight !== null && block.index > this.maxHeight) {
+      return { valid: false, error: `proof-of-work blocks are only accepted up to height ${this.maxHeight}` };
+    }
+
+    if (!block.hash.startsWith('0'.repeat(this.difficulty))) {
+      return { valid: false, error: `hash does not meet proof-of-work difficulty ${this.difficulty}` };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Get the work a block's seal stands for: the expected number of hashes
+   * tried, 16 per required leading zero
+   *
+   * @returns {number} Work
+   */
+  getWork() {
+    return 16 ** this.difficulty;
+  }
+}
+
+module.exports = ProofOfWorkSealer;
@@ -0,0 +1,66 @@
+const Blockchain = require('../Blockchain.js');
+const KeyRegistry = require('../KeyRegistry.js');
+const NodeManager = require('../NodeManager.js');
+const ProofOfWorkSealer = require('./ProofOfWorkSealer.js');
+
+function createChain() {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'pow', difficulty: 2 }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+
+  return blockchain;
+}
+
+describe('ProofOfWorkSealer', () => {
+  it('mines blocks whose hash meets the difficulty', () => {
+    const blockchain = createChain();
+
+    const block = blockchain.minePendingTransactions();
+
+    expect(block.sealType).toBe('pow');
+    expect(block.hash.startsWith('00')).toBe(true);
+    expect(blockchain.isChainValid()).toBe(true);
+  });
+
+  it('rejects blocks that do not meet the difficulty', () => {
+    const blockchain = createChain();
+    const block = blockchain.minePendingTransactions();
+    do {
+      block.nonce++;
+      block.hash = blockchain.calculateBlockHash(block);
+    } while (block.hash.startsWith('00'));
+
+    expect(blockchain.validateChain(blockchain.getAllBlocks()).error).toBe('block 1: hash does not meet proof-of-work difficulty 2');
+  });
+
+  it('treats blocks without a seal type as proof-of-work', () => {
+    const blockchain = createChain();
+    const block = blockchain.createBlock();
+    delete block.sealType;
+    block.hash = new ProofOfWorkSealer({ difficulty: 2 }).seal(block, blockchain);
+
+    expect(blockchain.getSealType(block)).toBe('pow');
+    expect(blockchain.validateChain([blockchain.getBlock(0), block]).valid).toBe(true);
+  });
+
+  it('is accepted by a node with another seal type only up to the legacy height', () => {
+    const blockchain = createChain();
+    blockchain.minePendingTransactions();
+    blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+    blockchain.minePendingTransactions();
+    const blocks = blockchain.getAllBlocks();
+
+    const strict = new Blockchain({ sealing: { type: 'none' }, nodeKeys: blockchain.nodeKeys });
+    const migrated = new Blockchain({ sealing: { type: 'none', legacyPowHeight: 1 }, nodeKeys: blockchain.nodeKeys });
+
+    expect(strict.validateChain(blocks).error).toBe('block 1: seal type \'pow\' is not accepted by this node');
+    expect(migrated.validateChain(blocks.slice(0, 2)).valid).toBe(true);
+    expect(migrated.validateChain(blocks).error).toBe('block 2: proof-of-work blocks are only accepted up to height 1');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Raft Sealer
+ *
+ * Blocks ordered by Raft consensus (see core/consensus/RaftConsensus.js).
+ * The leader that appended the block to the replicated log signs its hash
+ * exactly like a proof-of-authority sealer, and records the term it led in
+ * the hashed header. Raft tolerates crashed nodes, not malicious ones, so
+ * a block carries no proof that a majority replicated it: members trust the
+ * leader's signature.
+ *
+ * A block is valid if its sealer is a cluster member with a 'node' key
+ * registered on-chain (in this block or earlier) and it records its term.
+ *
+ * Block fields (besides sealer and signature, see ProofOfAuthoritySealer):
+ * - term: number (Raft term of the leader that sealed the block)
+ */
+
+const ProofOfAuthoritySealer = require('./ProofOfAuthoritySealer.js');
+
+class RaftSealer extends ProofOfAuthoritySealer {
+  /**
+   * @param {Object} options - Sealer options
+   * @param {Array<string>} options.validators - Node IDs of the cluster members (required)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'raft';
+    this.requiresConsensus = true;
+  }
+
+  /**
+   * Verify a block's leader seal and term
+   *
+   * @param {Object} block - Block
+   * @param {Object} context - Validation context
+   * @param {KeyRegistry} context.keys - Key registry as of this block
+   * @returns {Object} {valid, error}
+   */
+  verify(block, context) {
+    if (this.validators.length === 0) {
+      return { valid: false, error: 'no Raft cluster members are configured' };
+    }
+
+    if (!Number.isInteger(block.term) || block.term < 1) {
+      return { valid: false, error: 'missing Raft term' };
+    }
+
+    return super.verify(block, context);
+  }
+
+  /**
+   * Get the number of crashed members a cluster tolerates
+   *
+   * @param {number} memberCount - Number of members (n)
+   * @returns {number} floor((n - 1) / 2)
+   */
+  static getFaultTolerance(memberCount) {
+    return Math.max(Math.floor((memberCount - 1) / 2), 0);
+  }
+
+  /**
+   * Get the number of members that make a majority
+   *
+   * @param {number} memberCount - Number of members (n)
+   * @returns {number} floor(n / 2) + 1
+   */
+  static getQuorum(memberCount) {
+    return Math.floor(memberCount / 2) + 1;
+  }
+}
+
+module.exports = RaftSealer;
@@ -0,0 +1,83 @@
+/**
+ * Block sealing strategies
+ *
+ * The strategy a block was sealed with is recorded in block.sealType (blocks
+ * without one are proof-of-work) and chain validation dispatches on it.
+ *
+ * Every sealer implements:
+ * - type: string, recorded in block.sealType
+ * - seal(block, blockchain, context): string - adds seal fields to the block and returns its
+ *   hash; context.previousBlocks lists uncommitted blocks the block follows
+ * - verify(block, context): {valid, error} - checks the seal of a block whose hash
+ *   already matches its contents; context is {blockchain, keys, proposal} where keys
+ *   is the key registry as of that block and proposal marks a block consensus has
+ *   not committed yet
+ * - getWork(block): number - weight of a verified block when competing chains are
+ *   compared (see Blockchain.getChainWork)
+ *
+ * Sealers with requiresConsensus set only seal proposals; their blocks are
+ * appended by a consensus protocol (see core/consensus), never mined locally.
+ */
+
+const ProofOfWorkSealer = require('./ProofOfWorkSealer.js');
+const ProofOfAuthoritySealer = require('./ProofOfAuthoritySealer.js');
+const PbftSealer = require('./PbftSealer.js');
+const RaftSealer = require('./RaftSealer.js');
+const NoopSealer = require('./NoopSealer.js');
+
+const SEAL_TYPES = ['pow', 'poa', 'pbft', 'raft', 'none'];
+
+/**
+ * Create a sealer by type
+ *
+ * @param {string} type - 'pow', 'poa', 'pbft', 'raft' or 'none'
+ * @param {Object} options - Sealer options (difficulty for 'pow', validators for 'poa', 'pbft' and 'raft')
+ * @returns {Object} Sealer
+ */
+function createSealer(type, options = {}) {
+  switch (type) {
+    case 'pow':
+      return new ProofOfWorkSealer(options);
+    case 'poa':
+      return new ProofOfAuthoritySealer(options);
+    case 'pbft':
+      return new PbftSealer(options);
+    case 'raft':
+      return new RaftSealer(options);
+    case 'none':
+      return new NoopSealer();
+    default:
+      throw new Error(`Unknown sealing strategy: ${type}. Must be one of: ${SEAL_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Create the sealers a node validates blocks with, keyed by seal type
+ *
+ * A node accepts only blocks sealed with its own strategy, plus proof-of-work
+ * blocks up to options.legacyPowHeight on a chain that moved away from it.
+ *
+ * @param {string} type - The node's own sealing strategy
+ * @param {Object} options - Sealer options, and legacyPowHeight (0 or omitted: no legacy blocks)
+ * @returns {Map} sealType -> sealer
+ */
+function createAcceptedSealers(type, options = {}) {
+  const sealers = new Map([[type, createSealer(type, options)]]);
+
+  if (type !== 'pow' && options.legacyPowHeight > 0) {
+    sealers.set('pow', new ProofOfWorkSealer({ ...options, maxHeight: options.legacyPowHeight }));
+  }
+
+  return sealers;
+}
+
+module.exports = {
+  SEAL_TYPES,
+  createSealer,
+  createAcceptedSealers,
+  ProofOfWorkSealer,
+  ProofOfAuthoritySealer,
+  PbftSealer,
+  RaftSealer,
+  NoopSealer
+};
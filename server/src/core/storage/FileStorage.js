@@ -0,0 +1,170 @@
+/**
+ * File Storage - Append-only on-disk storage backend for the blockchain
+ *
+ * Blocks are appended to a newline-delimited JSON log as they are mined,
+ * so existing entries are never rewritten (the log is only replaced as a
+ * whole, atomically, when a snapshot is restored). The mempool is small and changes
+ * often, so it is rewritten atomically (write to temp file, then rename).
+ *
+ * Layout of the data directory:
+ * - blocks.jsonl: one serialized block per line, in chain order
+ * - mempool.json: array of pending transactions
+ * - node-identity.json: node ID and signing key pair (private, mode 0600)
+ * - consensus-state.json: state a consensus protocol must not forget on restart (Raft)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+  constructor(dataDir) {
+    if (!dataDir) {
+      throw new Error('Data directory is required for file storage');
+    }
+
+    this.dataDir = dataDir;
+    this.blocksFile = path.join(dataDir, 'blocks.jsonl');
+    this.mempoolFile = path.join(dataDir, 'mempool.json');
+    this.identityFile = path.join(dataDir, 'node-identity.json');
+    this.consensusFile = path.join(dataDir, 'consensus-state.json');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  /**
+   * Load all stored blocks in chain order
+   *
+   * @returns {Array} Blocks
+   */
+  loadBlocks() {
+    if (!fs.existsSync(this.blocksFile)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(this.blocksFile, 'utf8').split('\n');
+    const blocks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') {
+        continue;
+      }
+
+      try {
+        blocks.push(JSON.parse(lines[i]));
+      } catch (error) {
+        throw new Error(`Corrupted block log at ${this.blocksFile}:${i + 1}: ${error.message}`);
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Append a block to the log
+   *
+   * @param {Object} block - Block to persist
+   */
+  appendBlock(block) {
+    fs.appendFileSync(this.blocksFile, JSON.stringify(block) + '\n');
+  }
+
+  /**
+   * Replace the whole block log (e.g. when restoring a snapshot)
+   *
+   * @param {Array} blocks - Blocks in chain order
+   */
+  replaceBlocks(blocks) {
+    this._writeAtomic(this.blocksFile, blocks.map(block => JSON.stringify(block) + '\n').join(''));
+  }
+
+  /**
+   * Load the persisted mempool
+   *
+   * @returns {Array} Pending transactions
+   */
+  loadPendingTransactions() {
+    if (!fs.existsSync(this.mempoolFile)) {
+      return [];
+    }
+
+    try {
+      const pending = JSON.parse(fs.readFileSync(this.mempoolFile, 'utf8'));
+      if (!Array.isArray(pending)) {
+        throw new Error('expected an array of transactions');
+      }
+      return pending;
+    } catch (error) {
+      throw new Error(`Corrupted mempool at ${this.mempoolFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the current mempool
+   *
+   * @param {Array} transactions - Pending transactions
+   */
+  savePendingTransactions(transactions) {
+    this._writeAtomic(this.mempoolFile, JSON.stringify(transactions));
+  }
+
+  /**
+   * Load the node identity (node ID and key pair)
+   *
+   * @returns {Object|null} Identity, or null if none has been saved
+   */
+  loadNodeIdentity() {
+    if (!fs.existsSync(this.identityFile)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(this.identityFile, 'utf8'));
+  }
+
+  /**
+   * Persist the node identity
+   *
+   * @param {Object} identity - {nodeId, publicKey, privateKey}
+   */
+  saveNodeIdentity(identity) {
+    this._writeAtomic(this.identityFile, JSON.stringify(identity), 0o600);
+  }
+
+  /**
+   * Load the persisted consensus protocol state
+   *
+   * @returns {Object|null} State, or null if none has been saved
+   */
+  loadConsensusState() {
+    if (!fs.existsSync(this.consensusFile)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.consensusFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Corrupted consensus state at ${this.consensusFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist the consensus protocol state
+   *
+   * @param {Object} state - Protocol state (see the protocol class)
+   */
+  saveConsensusState(state) {
+    this._writeAtomic(this.consensusFile, JSON.stringify(state));
+  }
+
+  /**
+   * Internal helper to replace a file without leaving a half-written copy
+   *
+   * @private
+   */
+  _writeAtomic(file, contents, mode = 0o644) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, contents, { mode });
+    fs.renameSync(tmpFile, file);
+  }
+}
+
+module.exports = FileStorage;
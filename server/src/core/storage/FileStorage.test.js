@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('./FileStorage.js');
+
+describe('FileStorage', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+    storage = new FileStorage(dataDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('requires a data directory', () => {
+    expect(() => new FileStorage()).toThrow('Data directory is required');
+  });
+
+  it('starts empty', () => {
+    expect(storage.loadBlocks()).toEqual([]);
+    expect(storage.loadPendingTransactions()).toEqual([]);
+    expect(storage.loadNodeIdentity()).toBeNull();
+    expect(storage.loadConsensusState()).toBeNull();
+  });
+
+  it('appends blocks to the log and loads them in order', () => {
+    storage.appendBlock({ index: 0, hash: 'a' });
+    storage.appendBlock({ index: 1, hash: 'b' });
+
+    expect(new FileStorage(dataDir).loadBlocks()).toEqual([{ index: 0, hash: 'a' }, { index: 1, hash: 'b' }]);
+    expect(fs.readFileSync(path.join(dataDir, 'blocks.jsonl'), 'utf8').split('\n')).toHaveLength(3);
+  });
+
+  it('replaces the whole block log', () => {
+    storage.appendBlock({ index: 0, hash: 'a' });
+    storage.appendBlock({ index: 1, hash: 'b' });
+    storage.replaceBlocks([{ index: 0, hash: 'c' }]);
+
+    expect(storage.loadBlocks()).toEqual([{ index: 0, hash: 'c' }]);
+    expect(fs.existsSync(path.join(dataDir, 'blocks.jsonl.tmp'))).toBe(false);
+  });
+
+  it('reports the line of a corrupted block', () => {
+    storage.appendBlock({ index: 0, hash: 'a' });
+    fs.appendFileSync(path.join(dataDir, 'blocks.jsonl'), '{"index": 1,\n');
+
+    expect(() => storage.loadBlocks()).toThrow(/Corrupted block log at .*blocks\.jsonl:2/);
+  });
+
+  it('rewrites the mempool', () => {
+    storage.savePendingTransactions([{ id: 'tx-1' }, { id: 'tx-2' }]);
+    storage.savePendingTransactions([{ id: 'tx-2' }]);
+
+    expect(new FileStorage(dataDir).loadPendingTransactions()).toEqual([{ id: 'tx-2' }]);
+  });
+
+  it('rejects a mempool that is not an array', () => {
+    fs.writeFileSync(path.join(dataDir, 'mempool.json'), '{"id": "tx-1"}');
+
+    expect(() => storage.loadPendingTransactions()).toThrow('expected an array of transactions');
+  });
+
+  it('keeps the node identity private', () => {
+    storage.saveNodeIdentity({ nodeId: 'node-1', publicKey: 'public', privateKey: 'private' });
+
+    expect(storage.loadNodeIdentity()).toEqual({ nodeId: 'node-1', publicKey: 'public', privateKey: 'private' });
+    expect(fs.statSync(path.join(dataDir, 'node-identity.json')).mode & 0o777).toBe(0o600);
+  });
+
+  it('persists consensus state', () => {
+    storage.saveConsensusState({ currentTerm: 3, votedFor: 'node-2' });
+
+    expect(new FileStorage(dataDir).loadConsensusState()).toEqual({ currentTerm: 3, votedFor: 'node-2' });
+  });
+});
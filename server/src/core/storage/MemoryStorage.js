@@ -0,0 +1,54 @@
+/**
+ * Memory Storage - Non-durable storage backend
+ *
+ * Implements the same interface as FileStorage but keeps everything in
+ * memory. Useful for throwaway nodes and experiments; all data is lost
+ * when the process exits.
+ */
+
+class MemoryStorage {
+  constructor() {
+    this.blocks = [];
+    this.pendingTransactions = [];
+    this.identity = null;
+    this.consensusState = null;
+  }
+
+  loadBlocks() {
+    return [...this.blocks];
+  }
+
+  appendBlock(block) {
+    this.blocks.push(block);
+  }
+
+  replaceBlocks(blocks) {
+    this.blocks = [...blocks];
+  }
+
+  loadPendingTransactions() {
+    return [...this.pendingTransactions];
+  }
+
+  savePendingTransactions(transactions) {
+    this.pendingTransactions = [...transactions];
+  }
+
+  loadNodeIdentity() {
+    return this.identity;
+  }
+
+  saveNodeIdentity(identity) {
+    this.identity = identity;
+  }
+
+  loadConsensusState() {
+    return this.consensusState;
+  }
+
+  saveConsensusState(state) {
+    this.consensusState = state;
+  }
+}
+
+module.exports = MemoryStorage;
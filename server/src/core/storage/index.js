@@ -0,0 +1,41 @@
+/**
+ * Storage backends for the blockchain
+ *
+ * Every backend implements:
+ * - loadBlocks(): Array<Block>
+ * - appendBlock(block): void
+ * - replaceBlocks(blocks): void
+ * - loadPendingTransactions(): Array<Transaction>
+ * - savePendingTransactions(transactions): void
+ * - loadNodeIdentity(): Object|null
+ * - saveNodeIdentity(identity): void
+ * - loadConsensusState(): Object|null
+ * - saveConsensusState(state): void
+ */
+
+const FileStorage = require('./FileStorage.js');
+const MemoryStorage = require('./MemoryStorage.js');
+
+/**
+ * Create a storage backend by type
+ *
+ * @param {string} type - 'file' or 'memory'
+ * @param {Object} options - Backend options (dataDir for 'file')
+ * @returns {Object} Storage backend
+ */
+function createStorage(type, options = {}) {
+  switch (type) {
+    case 'file':
+      return new FileStorage(options.dataDir);
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage backend: ${type}. Must be one of: file, memory`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  FileStorage,
+  MemoryStorage
+};
@@ -6,7 +6,7 @@
  * 
  * Data Structure:
  * - Audit Log Entry: {
- *     type: string ('data-access' | 'consent-change' | 'ai-diagnostic')
+ *     type: string ('data-access' | 'consent-change' | 'ai-diagnostic' | 'break-glass')
  *     timestamp: number
  *     actorId: string
  *     resourceId: string (optional)
@@ -16,6 +16,9 @@
  *     reason: string (optional)
  *     metadata: Object
  *   }
+ * 
+ * Entries are recorded by this node: transactions are sent as 'system' and
+ * signed with the node key, and the acting entity is kept in auditEntry.actorId.
  */
 
 class AuditLogger {
@@ -56,7 +59,6 @@ class AuditLogger {
 
     // Create blockchain transaction
     const transaction = {
-      from: accessLog.actorId,
       to: this.contractAddress,
       data: {
         action: 'log',
@@ -64,7 +66,7 @@ class AuditLogger {
       }
     };
 
-    const txResult = this.blockchain.addTransaction(transaction);
+    const txResult = this.blockchain.addSystemTransaction(transaction);
 
     return {
       transaction: txResult,
@@ -111,7 +113,6 @@ class AuditLogger {
 
     // Create blockchain transaction
     const transaction = {
-      from: consentLog.actorId,
       to: this.contractAddress,
       data: {
         action: 'log',
@@ -119,7 +120,59 @@ class AuditLogger {
       }
     };
 
-    const txResult = this.blockchain.addTransaction(transaction);
+    const txResult = this.blockchain.addSystemTransaction(transaction);
+
+    return {
+      transaction: txResult,
+      auditEntry
+    };
+  }
+
+  /**
+   * Log a break-glass event: emergency access invoked, or its review
+   * 
+   * @param {Object} breakGlassLog - Break-glass log
+   * @param {string} breakGlassLog.consentId - Break-glass consent ID
+   * @param {string} breakGlassLog.action - Action (invoked, approved, flagged)
+   * @param {string} breakGlassLog.actorId - Invoking clinician or reviewing privacy officer
+   * @param {string} breakGlassLog.patientId - Patient ID
+   * @param {string} breakGlassLog.reason - Justification (invoked) or review notes
+   * @param {Object} breakGlassLog.metadata - Additional metadata
+   * @returns {Object} Transaction result
+   */
+  async logBreakGlass(breakGlassLog) {
+    // Validate required fields
+    if (!breakGlassLog.consentId || !breakGlassLog.action || !breakGlassLog.actorId || !breakGlassLog.patientId) {
+      throw new Error('Consent ID, action, actor ID, and patient ID are required');
+    }
+
+    const validActions = ['invoked', 'approved', 'flagged'];
+    if (!validActions.includes(breakGlassLog.action)) {
+      throw new Error(`Invalid action. Must be one of: ${validActions.join(', ')}`);
+    }
+
+    const auditEntry = {
+      type: 'break-glass',
+      timestamp: Date.now(),
+      actorId: breakGlassLog.actorId,
+      resourceId: breakGlassLog.consentId,
+      resourceType: 'consent',
+      action: breakGlassLog.action,
+      patientId: breakGlassLog.patientId,
+      reason: breakGlassLog.reason || 'Not specified',
+      metadata: breakGlassLog.metadata || {}
+    };
+
+    // Create blockchain transaction
+    const transaction = {
+      to: this.contractAddress,
+      data: {
+        action: 'log',
+        auditEntry
+      }
+    };
+
+    const txResult = this.blockchain.addSystemTransaction(transaction);
 
     return {
       transaction: txResult,
@@ -167,7 +220,6 @@ class AuditLogger {
 
     // Create blockchain transaction
     const transaction = {
-      from: aiLog.actorId || 'ai-system',
       to: this.contractAddress,
       data: {
         action: 'log',
@@ -175,7 +227,7 @@ class AuditLogger {
       }
     };
 
-    const txResult = this.blockchain.addTransaction(transaction);
+    const txResult = this.blockchain.addSystemTransaction(transaction);
 
     return {
       transaction: txResult,
@@ -197,9 +249,17 @@ class AuditLogger {
    * @returns {Array} Array of audit log entries
    */
   async queryLogs(filters = {}) {
-    // Query all audit transactions
-    const allTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress
+    const startTimestamp = filters.startDate instanceof Date 
+      ? filters.startDate.getTime() 
+      : filters.startDate;
+
+    // Query audit transactions through the chain's transaction index. Entries are
+    // created just before their transaction, so the transaction timestamp is only
+    // used as a lower bound here; exact date filtering happens below.
+    const allTransactions = this.blockchain.queryTransactions({
+      to: this.contractAddress,
+      resourceId: filters.resourceId,
+      startTime: startTimestamp
     });
 
     // Extract audit entries from transactions
@@ -236,9 +296,6 @@ class AuditLogger {
 
     // Date range filtering
     if (filters.startDate) {
-      const startTimestamp = filters.startDate instanceof Date 
-        ? filters.startDate.getTime() 
-        : filters.startDate;
       logs = logs.filter(log => log.timestamp >= startTimestamp);
     }
 
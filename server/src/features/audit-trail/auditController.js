@@ -6,6 +6,7 @@
 
 const express = require('express');
 const AuditService = require('./auditService.js');
+const { waitOptions, sendWithReceipt } = require('../../utils/receiptWait.js');
 
 const router = express.Router();
 
@@ -25,7 +26,7 @@ router.use((req, res, next) => {
  * POST /api/audit/data-access
  * Log data access
  */
-router.post('/data-access', async (req, res, next) => {
+router.post('/data-access', waitOptions, async (req, res, next) => {
   try {
     const { actorId, resourceId, resourceType, granted, reason, metadata } = req.body;
 
@@ -45,7 +46,7 @@ router.post('/data-access', async (req, res, next) => {
       metadata
     });
 
-    res.status(201).json(result);
+    await sendWithReceipt(req, res, 201, result);
   } catch (error) {
     next(error);
   }
@@ -55,7 +56,7 @@ router.post('/data-access', async (req, res, next) => {
  * POST /api/audit/consent
  * Log consent change
  */
-router.post('/consent', async (req, res, next) => {
+router.post('/consent', waitOptions, async (req, res, next) => {
   try {
     const { consentId, action, actorId, patientId, clinicianId, consentType, metadata } = req.body;
 
@@ -76,7 +77,7 @@ router.post('/consent', async (req, res, next) => {
       metadata
     });
 
-    res.status(201).json(result);
+    await sendWithReceipt(req, res, 201, result);
   } catch (error) {
     next(error);
   }
@@ -86,7 +87,7 @@ router.post('/consent', async (req, res, next) => {
  * POST /api/audit/ai-diagnostic
  * Log AI diagnostic
  */
-router.post('/ai-diagnostic', async (req, res, next) => {
+router.post('/ai-diagnostic', waitOptions, async (req, res, next) => {
   try {
     const { modelId, recordId, result, confidence, actorId, metadata } = req.body;
 
@@ -106,7 +107,7 @@ router.post('/ai-diagnostic', async (req, res, next) => {
       metadata
     });
 
-    res.status(201).json(auditResult);
+    await sendWithReceipt(req, res, 201, auditResult);
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,162 @@
+/**
+ * Chain Snapshot - Portable, verifiable backup of a node's chain state
+ *
+ * A snapshot carries the blocks, the mempool and the Merkle tree registry
+ * (IntegrityService.trees) together with a manifest. The manifest commits to
+ * the snapshot contents through contentHash and is itself hashed into
+ * manifestHash, so a snapshot can be checked for tampering or truncation
+ * before anything is restored from it.
+ *
+ * Data Structure:
+ * - Snapshot: {
+ *     manifest: {
+ *       format: string ('aihealthchains-chain-snapshot')
+ *       version: number
+ *       createdAt: number
+ *       nodeId: string|null
+ *       chainLength: number
+ *       genesisHash: string
+ *       latestBlockHash: string
+ *       transactionCount: number
+ *       pendingTransactionCount: number
+ *       merkleTreeCount: number
+ *       contentHash: string (canonical hash of {blocks, pendingTransactions, merkleTrees})
+ *     }
+ *     manifestHash: string (canonical hash of manifest)
+ *     blocks: Array<Block>
+ *     pendingTransactions: Array<Transaction>
+ *     merkleTrees: Array<{root: string, records: Array, createdAt: number}>
+ *   }
+ */
+
+const { hashCanonical } = require('../../utils/canonicalJson.js');
+const MerkleTree = require('../data-integrity/MerkleTree.js');
+
+const SNAPSHOT_FORMAT = 'aihealthchains-chain-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+class ChainSnapshot {
+  /**
+   * Create a snapshot of a blockchain
+   *
+   * @param {Blockchain} blockchain - Source blockchain
+   * @param {Object} options - Snapshot options
+   * @param {Array} options.merkleTrees - Merkle tree registry entries {root, records, createdAt}
+   * @param {string} options.nodeId - ID of the exporting node
+   * @returns {Object} Snapshot
+   */
+  static create(blockchain, options = {}) {
+    const blocks = blockchain.getAllBlocks();
+    const pendingTransactions = blockchain.getPendingTransactions();
+    const merkleTrees = options.merkleTrees || [];
+
+    const manifest = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: Date.now(),
+      nodeId: options.nodeId || null,
+      chainLength: blocks.length,
+      genesisHash: blocks[0]?.hash || null,
+      latestBlockHash: blocks[blocks.length - 1]?.hash || null,
+      transactionCount: blocks.reduce((total, block) => total + block.transactions.length, 0),
+      pendingTransactionCount: pendingTransactions.length,
+      merkleTreeCount: merkleTrees.length,
+      contentHash: ChainSnapshot.hashContents({ blocks, pendingTransactions, merkleTrees })
+    };
+
+    return {
+      manifest,
+      manifestHash: hashCanonical(manifest),
+      blocks,
+      pendingTransactions,
+      merkleTrees
+    };
+  }
+
+  /**
+   * Verify a snapshot before it is restored
+   *
+   * Checks the manifest and content hashes, re-validates every block (hashes,
+   * linkage, Merkle roots, seals) with the receiving blockchain's rules
+   * and rebuilds every Merkle tree from its records.
+   *
+   * @param {Object} snapshot - Snapshot
+   * @param {Blockchain} blockchain - Blockchain whose validation rules apply
+   * @returns {Object} {valid, error, manifest}
+   */
+  static verify(snapshot, blockchain) {
+    const fail = (error) => ({ valid: false, error, manifest: snapshot?.manifest || null });
+
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.manifest ||
+        !Array.isArray(snapshot.blocks) ||
+        !Array.isArray(snapshot.pendingTransactions) ||
+        !Array.isArray(snapshot.merkleTrees)) {
+      return fail('Snapshot must include manifest, blocks, pendingTransactions and merkleTrees');
+    }
+
+    const { manifest, blocks, pendingTransactions, merkleTrees } = snapshot;
+
+    if (manifest.format !== SNAPSHOT_FORMAT || manifest.version !== SNAPSHOT_VERSION) {
+      return fail(`Unsupported snapshot format: ${manifest.format} v${manifest.version}`);
+    }
+
+    if (snapshot.manifestHash !== hashCanonical(manifest)) {
+      return fail('Manifest hash does not match manifest');
+    }
+
+    if (manifest.contentHash !== ChainSnapshot.hashContents({ blocks, pendingTransactions, merkleTrees })) {
+      return fail('Content hash does not match snapshot contents');
+    }
+
+    if (manifest.chainLength !== blocks.length ||
+        manifest.latestBlockHash !== (blocks[blocks.length - 1]?.hash || null) ||
+        manifest.pendingTransactionCount !== pendingTransactions.length ||
+        manifest.merkleTreeCount !== merkleTrees.length) {
+      return fail('Manifest does not describe snapshot contents');
+    }
+
+    const validation = blockchain.validateChain(blocks);
+    if (!validation.valid) {
+      return fail(`Invalid chain: ${validation.error}`);
+    }
+
+    for (const entry of merkleTrees) {
+      if (!entry || !Array.isArray(entry.records) || entry.records.length === 0) {
+        return fail('Merkle tree entries must include a non-empty records array');
+      }
+
+      if (new MerkleTree(entry.records).getRoot() !== entry.root) {
+        return fail(`Merkle tree ${entry.root} does not match its records`);
+      }
+    }
+
+    return { valid: true, error: null, manifest };
+  }
+
+  /**
+   * Check whether a snapshot only extends a local chain (shares its history)
+   *
+   * @param {Object} snapshot - Verified snapshot
+   * @param {Array} chain - Local chain
+   * @returns {boolean} True if every local block is in the snapshot at the same height
+   */
+  static extendsChain(snapshot, chain) {
+    if (chain.length > snapshot.blocks.length) {
+      return false;
+    }
+
+    return chain.every((block, i) => snapshot.blocks[i].hash === block.hash);
+  }
+
+  /**
+   * Hash snapshot contents for the manifest
+   */
+  static hashContents({ blocks, pendingTransactions, merkleTrees }) {
+    return hashCanonical({ blocks, pendingTransactions, merkleTrees });
+  }
+}
+
+ChainSnapshot.FORMAT = SNAPSHOT_FORMAT;
+ChainSnapshot.VERSION = SNAPSHOT_VERSION;
+
+module.exports = ChainSnapshot;
@@ -0,0 +1,157 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const ChainSnapshot = require('./ChainSnapshot.js');
+const MerkleTree = require('../data-integrity/MerkleTree.js');
+const { hashCanonical } = require('../../utils/canonicalJson.js');
+const { generateKeyPair, signTransaction } = require('../../utils/signing.js');
+
+const NODE_ID = 'node-1';
+const nodeKeys = generateKeyPair();
+const records = [{ id: 'record-1' }, { id: 'record-2' }];
+
+/**
+ * Open a blockchain that verifies signatures against its key registry
+ */
+function openChain() {
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [NODE_ID]: nodeKeys.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+  blockchain.setSystemSigner({
+    signTransaction: tx => signTransaction(tx, nodeKeys.privateKey, NODE_ID)
+  });
+
+  return blockchain;
+}
+
+/**
+ * A chain with the node key and one audit entry mined, and one audit entry pending
+ */
+function createSourceChain() {
+  const blockchain = openChain();
+  blockchain.addTransaction(signTransaction(
+    blockchain.keyRegistry.buildRegistrationTransaction(NODE_ID, 'node', nodeKeys.publicKey),
+    nodeKeys.privateKey
+  ));
+  blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+  blockchain.minePendingTransactions();
+  blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+
+  return blockchain;
+}
+
+/**
+ * Snapshot a chain and copy it the way it travels between nodes
+ */
+function createSnapshot(blockchain = createSourceChain()) {
+  return JSON.parse(JSON.stringify(ChainSnapshot.create(blockchain, {
+    merkleTrees: [{ root: new MerkleTree(records).getRoot(), records, createdAt: 1 }],
+    nodeId: NODE_ID
+  })));
+}
+
+/**
+ * Recompute the manifest hashes after changing snapshot contents, as a forger would
+ */
+function rehash(snapshot) {
+  snapshot.manifest.contentHash = ChainSnapshot.hashContents(snapshot);
+  snapshot.manifestHash = hashCanonical(snapshot.manifest);
+  return snapshot;
+}
+
+describe('ChainSnapshot', () => {
+  it('describes the chain, mempool and Merkle trees in its manifest', () => {
+    const source = createSourceChain();
+    const snapshot = createSnapshot(source);
+
+    expect(snapshot.manifest).toMatchObject({
+      format: ChainSnapshot.FORMAT,
+      version: ChainSnapshot.VERSION,
+      nodeId: NODE_ID,
+      chainLength: 2,
+      genesisHash: source.getBlock(0).hash,
+      latestBlockHash: source.getLatestBlock().hash,
+      transactionCount: 2,
+      pendingTransactionCount: 1,
+      merkleTreeCount: 1
+    });
+    expect(snapshot.manifestHash).toBe(hashCanonical(snapshot.manifest));
+  });
+
+  it('verifies against a chain that does not know the snapshot\'s keys yet', () => {
+    expect(ChainSnapshot.verify(createSnapshot(), openChain())).toMatchObject({ valid: true, error: null });
+  });
+
+  it('rejects incomplete snapshots and other formats', () => {
+    const snapshot = createSnapshot();
+
+    expect(ChainSnapshot.verify({ ...snapshot, merkleTrees: undefined }, openChain()).error)
+      .toBe('Snapshot must include manifest, blocks, pendingTransactions and merkleTrees');
+    expect(ChainSnapshot.verify(null, openChain()).valid).toBe(false);
+
+    snapshot.manifest.version = 2;
+    expect(ChainSnapshot.verify(snapshot, openChain()).error).toBe(`Unsupported snapshot format: ${ChainSnapshot.FORMAT} v2`);
+  });
+
+  it('rejects a changed manifest', () => {
+    const snapshot = createSnapshot();
+    snapshot.manifest.nodeId = 'node-2';
+
+    expect(ChainSnapshot.verify(snapshot, openChain()).error).toBe('Manifest hash does not match manifest');
+  });
+
+  it('rejects changed or truncated contents', () => {
+    const changed = createSnapshot();
+    changed.pendingTransactions[0].data.action = 'delete';
+    const truncated = createSnapshot();
+    truncated.blocks.pop();
+
+    expect(ChainSnapshot.verify(changed, openChain()).error).toBe('Content hash does not match snapshot contents');
+    expect(ChainSnapshot.verify(truncated, openChain()).error).toBe('Content hash does not match snapshot contents');
+  });
+
+  it('rejects a rehashed manifest that does not describe the contents', () => {
+    const snapshot = createSnapshot();
+    snapshot.blocks.pop();
+
+    expect(ChainSnapshot.verify(rehash(snapshot), openChain()).error).toBe('Manifest does not describe snapshot contents');
+  });
+
+  it('rejects a well-formed block with a forged transaction', () => {
+    const source = createSourceChain();
+    const forged = signTransaction(
+      { from: 'system', to: 'audit-log', data: { action: 'delete' } },
+      generateKeyPair().privateKey,
+      NODE_ID
+    );
+    const blocks = [...source.getAllBlocks(), source.createBlock(null, { transactions: [forged] })];
+
+    const snapshot = ChainSnapshot.create({ getAllBlocks: () => blocks, getPendingTransactions: () => [] });
+
+    expect(ChainSnapshot.verify(snapshot, openChain()).error).toMatch(/^Invalid chain: /);
+  });
+
+  it('rejects a Merkle tree that does not match its records', () => {
+    const snapshot = createSnapshot();
+    snapshot.merkleTrees[0].records = [{ id: 'record-3' }];
+    const empty = createSnapshot();
+    empty.merkleTrees[0].records = [];
+
+    expect(ChainSnapshot.verify(rehash(snapshot), openChain()).error)
+      .toBe(`Merkle tree ${snapshot.merkleTrees[0].root} does not match its records`);
+    expect(ChainSnapshot.verify(rehash(empty), openChain()).error)
+      .toBe('Merkle tree entries must include a non-empty records array');
+  });
+
+  it('extends a chain only if it holds every local block at the same height', () => {
+    const source = createSourceChain();
+    const snapshot = createSnapshot(source);
+
+    expect(ChainSnapshot.extendsChain(snapshot, source.getAllBlocks().slice(0, 1))).toBe(true);
+    expect(ChainSnapshot.extendsChain(snapshot, source.getAllBlocks())).toBe(true);
+
+    source.minePendingTransactions();
+    expect(ChainSnapshot.extendsChain(snapshot, source.getAllBlocks())).toBe(false);
+    expect(ChainSnapshot.extendsChain(snapshot, createSourceChain().getAllBlocks())).toBe(false);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Blockchain Controller - API endpoints for block production, the block explorer
+ * and snapshot export/import
+ */
+
+const express = require('express');
+const BlockchainService = require('./blockchainService.js');
+const { waitOptions } = require('../../utils/receiptWait.js');
+
+const router = express.Router();
+
+let blockchainService = null;
+
+router.use((req, res, next) => {
+  if (!blockchainService) {
+    blockchainService = new BlockchainService(
+      req.app.locals.blockchain,
+      req.app.locals.blockProducer,
+      req.app.locals.integrityService,
+      req.app.locals.nodeManager,
+      req.app.locals.transactionTracker
+    );
+  }
+  next();
+});
+
+/**
+ * POST /api/blockchain/blocks
+ * Seal pending transactions into a block on demand
+ */
+router.post('/blocks', async (req, res, next) => {
+  try {
+    if (req.app.locals.blockchain.getPendingTransactions().length === 0) {
+      return res.status(400).json({
+        error: 'No pending transactions to seal'
+      });
+    }
+
+    const result = await blockchainService.sealBlock();
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/mempool
+ * Inspect pending transactions
+ */
+router.get('/mempool', async (req, res, next) => {
+  try {
+    const result = await blockchainService.getMempool();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/blocks
+ * List blocks, newest first (query: page, limit)
+ */
+router.get('/blocks', async (req, res, next) => {
+  try {
+    const result = await blockchainService.getBlocks(req.query.page, req.query.limit);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/headers
+ * Compact block headers for light clients, oldest first (query: from, to; at most 1000 per request)
+ */
+router.get('/headers', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        return res.status(400).json({
+          error: `${name} must be a non-negative block index`
+        });
+      }
+    }
+
+    if (from !== undefined && to !== undefined && parseInt(to, 10) < parseInt(from, 10)) {
+      return res.status(400).json({
+        error: 'to must not be below from'
+      });
+    }
+
+    const result = await blockchainService.getHeaders(from, to);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/blocks/:indexOrHash
+ * Get a block by index or hash
+ */
+router.get('/blocks/:indexOrHash', async (req, res, next) => {
+  try {
+    const result = await blockchainService.getBlock(req.params.indexOrHash);
+
+    if (!result.block) {
+      return res.status(404).json({
+        error: 'Block not found',
+        indexOrHash: req.params.indexOrHash
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/tx/:id
+ * Get a transaction with block inclusion and Merkle proof
+ */
+router.get('/tx/:id', async (req, res, next) => {
+  try {
+    const result = await blockchainService.getTransaction(req.params.id);
+
+    if (!result.transaction) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        id: req.params.id
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/tx/:id/receipt
+ * Transaction status (pending, included, finalized or dropped) with block inclusion and Merkle proof
+ * (query: wait = included or finalized to long-poll until then, timeout in ms; 202 if it timed out)
+ */
+router.get('/tx/:id/receipt', waitOptions, async (req, res, next) => {
+  try {
+    const result = await blockchainService.getReceipt(req.params.id, req.waitOptions);
+
+    if (!result.receipt) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        id: req.params.id
+      });
+    }
+
+    res.status(result.reached || result.receipt.status === 'dropped' ? 200 : 202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/address/:address
+ * Get transactions sent from or to an address (query: page, limit)
+ */
+router.get('/address/:address', async (req, res, next) => {
+  try {
+    const result = await blockchainService.getAddressTransactions(
+      req.params.address,
+      req.query.page,
+      req.query.limit
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/blockchain/export
+ * Download a snapshot of the chain, mempool and Merkle tree registry
+ */
+router.get('/export', async (req, res, next) => {
+  try {
+    const snapshot = await blockchainService.exportSnapshot();
+
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="chain-snapshot-${snapshot.manifest.chainLength}-${snapshot.manifest.createdAt}.json"`
+    );
+    res.status(200).json(snapshot);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/blockchain/import/verify
+ * Verify a snapshot without restoring it
+ */
+router.post('/import/verify', async (req, res, next) => {
+  try {
+    const verification = blockchainService.verifySnapshot(req.body);
+
+    res.status(200).json({ success: true, ...verification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/blockchain/import
+ * Restore a snapshot (query: overwrite=true to replace a diverging local chain)
+ */
+router.post('/import', async (req, res, next) => {
+  try {
+    const verification = blockchainService.verifySnapshot(req.body);
+
+    if (!verification.valid) {
+      return res.status(400).json({
+        error: 'Invalid snapshot',
+        reason: verification.error
+      });
+    }
+
+    if (!verification.extendsLocalChain && req.query.overwrite !== 'true') {
+      return res.status(409).json({
+        error: 'Snapshot does not extend the local chain; pass overwrite=true to replace it',
+        localChainLength: req.app.locals.blockchain.getChainLength(),
+        snapshotChainLength: verification.manifest.chainLength
+      });
+    }
+
+    const result = await blockchainService.importSnapshot(req.body);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
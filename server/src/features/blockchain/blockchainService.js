@@ -0,0 +1,328 @@
+/**
+ * Blockchain Service
+ *
+ * This service exposes block production, mempool inspection and the block
+ * explorer (blocks, transactions with inclusion proofs, address views) for
+ * the custom blockchain, plus snapshot export/import for backups.
+ */
+
+const ChainSnapshot = require('./ChainSnapshot.js');
+const TransactionTracker = require('../../core/TransactionTracker.js');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_HEADERS = 1000;
+
+class BlockchainService {
+  constructor(blockchain, blockProducer, integrityService = null, nodeManager = null, transactionTracker = null) {
+    this.blockchain = blockchain;
+    this.blockProducer = blockProducer;
+    this.integrityService = integrityService;
+    this.nodeManager = nodeManager;
+    this.transactionTracker = transactionTracker || new TransactionTracker(blockchain);
+  }
+
+  /**
+   * Seal pending transactions into a block on demand
+   */
+  async sealBlock() {
+    try {
+      const block = this.blockProducer.seal();
+      if (!block) {
+        throw new Error('No pending transactions to seal');
+      }
+
+      return {
+        success: true,
+        block,
+        transactionCount: block.transactions.length,
+        remainingPending: this.blockchain.getPendingTransactions().length
+      };
+    } catch (error) {
+      throw new Error(`Failed to seal block: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pending transactions and producer status
+   */
+  async getMempool() {
+    try {
+      const transactions = this.blockchain.getPendingTransactions();
+
+      return {
+        success: true,
+        transactions,
+        count: transactions.length,
+        producer: this.blockProducer.getStatus()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get mempool: ${error.message}`);
+    }
+  }
+
+  /**
+   * List blocks, newest first
+   */
+  async getBlocks(page, limit) {
+    try {
+      const blocks = [...this.blockchain.getAllBlocks()].reverse();
+      const pagination = this._paginate(blocks.length, page, limit);
+
+      return {
+        success: true,
+        blocks: blocks.slice(pagination.offset, pagination.offset + pagination.limit),
+        ...pagination.info
+      };
+    } catch (error) {
+      throw new Error(`Failed to get blocks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get compact block headers for light clients, oldest first
+   *
+   * At most MAX_HEADERS per request; to defaults to the latest block (within
+   * that limit), so clients page through the chain by passing the next from.
+   */
+  async getHeaders(from, to) {
+    try {
+      const latest = this.blockchain.getChainLength() - 1;
+      const start = from === undefined ? 0 : parseInt(from, 10);
+      const requestedEnd = to === undefined ? latest : parseInt(to, 10);
+      const end = Math.min(requestedEnd, latest, start + MAX_HEADERS - 1);
+
+      const headers = this.blockchain.getAllBlocks()
+        .slice(start, end + 1)
+        .map(block => this.blockchain.getCompactHeader(block));
+
+      return {
+        success: true,
+        from: start,
+        to: headers.length > 0 ? end : null,
+        chainLength: latest + 1,
+        hasMore: end < Math.min(requestedEnd, latest),
+        headers
+      };
+    } catch (error) {
+      throw new Error(`Failed to get headers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a block by index or hash
+   */
+  async getBlock(indexOrHash) {
+    try {
+      const block = /^\d+$/.test(indexOrHash)
+        ? this.blockchain.getBlock(parseInt(indexOrHash, 10))
+        : this.blockchain.getBlockByHash(indexOrHash);
+
+      return block
+        ? { success: true, block }
+        : { success: false, block: null };
+    } catch (error) {
+      throw new Error(`Failed to get block: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a transaction with its inclusion proof
+   *
+   * Mined transactions include the block index, position and a Merkle proof
+   * against block.merkleRoot. Pending transactions have no inclusion yet.
+   */
+  async getTransaction(id) {
+    try {
+      const found = this.blockchain.findTransaction(id);
+      if (!found) {
+        return { success: false, transaction: null };
+      }
+
+      const { transaction, block, position } = found;
+      if (!block) {
+        return {
+          success: true,
+          transaction,
+          status: 'pending',
+          inclusion: null
+        };
+      }
+
+      const proof = this.blockchain.getMerkleProof(
+        block.transactions,
+        position,
+        this.blockchain.getHashVersion(block)
+      );
+
+      return {
+        success: true,
+        transaction,
+        status: 'included',
+        inclusion: {
+          blockIndex: block.index,
+          blockHash: block.hash,
+          position,
+          merkleRoot: block.merkleRoot,
+          proof,
+          verified: this.blockchain.verifyMerkleProof(proof, block.merkleRoot)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a transaction's receipt: status, block inclusion and Merkle proof
+   *
+   * @param {string} id - Transaction ID
+   * @param {Object} wait - Wait options {status, timeoutMs} (see utils/receiptWait.js); status null to answer right away
+   */
+  async getReceipt(id, wait = {}) {
+    try {
+      if (!wait.status) {
+        const receipt = this.transactionTracker.getReceipt(id);
+        return { success: !!receipt, receipt, reached: true, timedOut: false };
+      }
+
+      const outcome = await this.transactionTracker.waitFor(id, wait.status, wait.timeoutMs);
+      return outcome
+        ? { success: true, ...outcome }
+        : { success: false, receipt: null, reached: false, timedOut: false };
+    } catch (error) {
+      throw new Error(`Failed to get receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get transactions sent from or to an address (e.g. 'consent-contract-v1'), newest first
+   */
+  async getAddressTransactions(address, page, limit) {
+    try {
+      const seen = new Set();
+      const transactions = [
+        ...this.blockchain.searchTransactions({ to: address }),
+        ...this.blockchain.searchTransactions({ from: address })
+      ].filter(tx => {
+        if (seen.has(tx.id)) {
+          return false;
+        }
+        seen.add(tx.id);
+        return true;
+      });
+
+      transactions.sort((a, b) => b.blockIndex - a.blockIndex || b.timestamp - a.timestamp);
+
+      const pending = this.blockchain.getPendingTransactions()
+        .filter(tx => tx.to === address || tx.from === address);
+
+      const pagination = this._paginate(transactions.length, page, limit);
+
+      return {
+        success: true,
+        address,
+        received: transactions.filter(tx => tx.to === address).length,
+        sent: transactions.filter(tx => tx.from === address).length,
+        transactions: transactions.slice(pagination.offset, pagination.offset + pagination.limit),
+        pending,
+        ...pagination.info
+      };
+    } catch (error) {
+      throw new Error(`Failed to get address transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export a snapshot of the chain, mempool and Merkle tree registry
+   */
+  async exportSnapshot() {
+    try {
+      return ChainSnapshot.create(this.blockchain, {
+        merkleTrees: this.integrityService ? this.integrityService.exportTrees() : [],
+        nodeId: this.nodeManager ? this.nodeManager.getNodeId() : null
+      });
+    } catch (error) {
+      throw new Error(`Failed to export snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a snapshot without restoring it
+   * 
+   * @param {Object} snapshot - Snapshot
+   * @returns {Object} {valid, error, manifest, extendsLocalChain}
+   */
+  verifySnapshot(snapshot) {
+    const result = ChainSnapshot.verify(snapshot, this.blockchain);
+
+    return {
+      ...result,
+      extendsLocalChain: result.valid && ChainSnapshot.extendsChain(snapshot, this.blockchain.getAllBlocks())
+    };
+  }
+
+  /**
+   * Restore the chain, mempool and Merkle tree registry from a snapshot
+   * 
+   * The snapshot is fully re-verified before the local state is replaced.
+   * If the restored chain does not know this node's key, it is registered again
+   * so the node can keep signing system transactions.
+   * 
+   * @param {Object} snapshot - Snapshot
+   * @returns {Object} Restore result
+   */
+  async importSnapshot(snapshot) {
+    try {
+      const verification = ChainSnapshot.verify(snapshot, this.blockchain);
+      if (!verification.valid) {
+        throw new Error(verification.error);
+      }
+
+      const restored = this.blockchain.restore(snapshot.blocks, snapshot.pendingTransactions);
+
+      const merkleTrees = this.integrityService
+        ? this.integrityService.importTrees(snapshot.merkleTrees)
+        : 0;
+
+      const keyRegistration = this.nodeManager ? this.nodeManager.ensureKeyRegistered() : null;
+
+      return {
+        success: true,
+        manifest: verification.manifest,
+        chainLength: restored.chainLength,
+        latestBlockHash: this.blockchain.getLatestBlock().hash,
+        pendingTransactions: restored.pendingTransactions,
+        droppedTransactions: restored.droppedTransactions,
+        merkleTrees,
+        nodeKeyRegistered: keyRegistration !== null
+      };
+    } catch (error) {
+      throw new Error(`Failed to import snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal helper to normalize pagination parameters
+   *
+   * @private
+   */
+  _paginate(total, page, limit) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    return {
+      offset: (currentPage - 1) * pageSize,
+      limit: pageSize,
+      info: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages
+      }
+    };
+  }
+}
+
+module.exports = BlockchainService;
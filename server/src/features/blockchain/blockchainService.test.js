@@ -0,0 +1,248 @@
+const Blockchain = require('../../core/Blockchain.js');
+const BlockProducer = require('../../core/BlockProducer.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const BlockchainService = require('./blockchainService.js');
+const ChainSnapshot = require('./ChainSnapshot.js');
+const IntegrityService = require('../data-integrity/integrityService.js');
+const { hashCanonical } = require('../../utils/canonicalJson.js');
+const { generateKeyPair, signTransaction, stampTransaction } = require('../../utils/signing.js');
+
+function createService() {
+  const blockchain = new Blockchain({ sealing: { type: 'none' } });
+  blockchain.createGenesisBlock(0);
+  const producer = new BlockProducer(blockchain, { intervalMs: 0, maxBlockSize: 2 });
+
+  return { blockchain, producer, service: new BlockchainService(blockchain, producer) };
+}
+
+/**
+ * A node with a key registry, a registered node key, Merkle trees and a snapshot endpoint
+ *
+ * It trusts the given node keys, or else only its own.
+ */
+function createNode(identity = NodeManager.generateIdentity(), nodeKeys = { [identity.nodeId]: identity.publicKey }) {
+  const keyRegistry = new KeyRegistry({ nodeKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+
+  const integrityService = new IntegrityService(blockchain, {});
+  const producer = new BlockProducer(blockchain, { intervalMs: 0 });
+  const service = new BlockchainService(blockchain, producer, integrityService, nodeManager);
+
+  return { blockchain, integrityService, nodeManager, service };
+}
+
+function addTransaction(blockchain, from = 'system', to = 'audit-log', data = {}) {
+  return blockchain.addTransaction(stampTransaction({ from, to, data }));
+}
+
+describe('BlockchainService', () => {
+  describe('block production', () => {
+    it('seals a block and reports what is left pending', async () => {
+      const { blockchain, service } = createService();
+      addTransaction(blockchain);
+      addTransaction(blockchain);
+      addTransaction(blockchain);
+
+      const result = await service.sealBlock();
+
+      expect(result).toMatchObject({ success: true, transactionCount: 2, remainingPending: 1 });
+      expect(result.block.index).toBe(1);
+    });
+
+    it('rejects sealing an empty mempool', async () => {
+      const { service } = createService();
+
+      await expect(service.sealBlock()).rejects.toThrow('Failed to seal block: No pending transactions to seal');
+    });
+
+    it('lists the mempool with the producer status', async () => {
+      const { blockchain, service } = createService();
+      const tx = addTransaction(blockchain);
+
+      const result = await service.getMempool();
+
+      expect(result.count).toBe(1);
+      expect(result.transactions[0].id).toBe(tx.id);
+      expect(result.producer).toMatchObject({ running: false, maxBlockSize: 2, pendingTransactions: 1 });
+    });
+  });
+
+  describe('block explorer', () => {
+    let blockchain;
+    let service;
+    let grant;
+    let audit;
+
+    beforeEach(() => {
+      ({ blockchain, service } = createService());
+      grant = addTransaction(blockchain, 'system', 'consent-contract-v1', { action: 'grant' });
+      audit = addTransaction(blockchain, 'consent-contract-v1', 'audit-log', { action: 'access' });
+      blockchain.minePendingTransactions();
+      addTransaction(blockchain, 'system', 'audit-log');
+      blockchain.minePendingTransactions();
+    });
+
+    it('lists blocks newest first, one page at a time', async () => {
+      const result = await service.getBlocks('2', '2');
+
+      expect(result.blocks.map(block => block.index)).toEqual([0]);
+      expect(result).toMatchObject({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    });
+
+    it('clamps page sizes', async () => {
+      const result = await service.getBlocks('0', '1000');
+
+      expect(result).toMatchObject({ page: 1, limit: 100 });
+    });
+
+    it('finds blocks by index or hash', async () => {
+      const block = blockchain.getBlock(1);
+
+      expect((await service.getBlock('1')).block.hash).toBe(block.hash);
+      expect((await service.getBlock(block.hash)).block.index).toBe(1);
+      expect(await service.getBlock('9')).toEqual({ success: false, block: null });
+    });
+
+    it('returns a mined transaction with a verified inclusion proof', async () => {
+      const result = await service.getTransaction(audit.id);
+
+      expect(result.status).toBe('included');
+      expect(result.inclusion).toMatchObject({ blockIndex: 1, position: 1, verified: true });
+      expect(blockchain.verifyMerkleProof(result.inclusion.proof, blockchain.getBlock(1).merkleRoot)).toBe(true);
+    });
+
+    it('returns a pending transaction without inclusion', async () => {
+      const pending = addTransaction(blockchain);
+
+      expect(await service.getTransaction(pending.id)).toMatchObject({ status: 'pending', inclusion: null });
+      expect(await service.getTransaction('missing')).toEqual({ success: false, transaction: null });
+    });
+
+    it('lists the transactions sent from and to an address', async () => {
+      const pending = addTransaction(blockchain, 'system', 'consent-contract-v1');
+
+      const result = await service.getAddressTransactions('consent-contract-v1');
+
+      expect(result.transactions.map(tx => tx.id).sort()).toEqual([grant.id, audit.id].sort());
+      expect(result).toMatchObject({ received: 1, sent: 1, total: 2 });
+      expect(result.pending.map(tx => tx.id)).toEqual([pending.id]);
+    });
+  });
+
+  describe('headers', () => {
+    let blockchain;
+    let service;
+
+    beforeEach(() => {
+      ({ blockchain, service } = createService());
+      for (let i = 0; i < 3; i++) {
+        addTransaction(blockchain);
+        blockchain.minePendingTransactions();
+      }
+    });
+
+    it('serves compact headers for the whole chain by default', async () => {
+      const result = await service.getHeaders();
+
+      expect(result).toMatchObject({ success: true, from: 0, to: 3, chainLength: 4, hasMore: false });
+      expect(result.headers.map(header => header.hash)).toEqual(blockchain.getAllBlocks().map(block => block.hash));
+      expect(result.headers[1]).not.toHaveProperty('transactions');
+    });
+
+    it('serves a range of headers, stopping at the latest block', async () => {
+      expect((await service.getHeaders('1', '2')).headers.map(header => header.index)).toEqual([1, 2]);
+      expect(await service.getHeaders('2', '9')).toMatchObject({ from: 2, to: 3, hasMore: false });
+      expect(await service.getHeaders('5')).toMatchObject({ from: 5, to: null, headers: [] });
+    });
+  });
+
+  describe('snapshots', () => {
+    // The source and the node restoring its snapshot trust each other's keys
+    const [sourceIdentity, targetIdentity] = [NodeManager.generateIdentity(), NodeManager.generateIdentity()];
+    const nodeKeys = {
+      [sourceIdentity.nodeId]: sourceIdentity.publicKey,
+      [targetIdentity.nodeId]: targetIdentity.publicKey
+    };
+    let source;
+    let snapshot;
+
+    beforeEach(async () => {
+      source = createNode(sourceIdentity, nodeKeys);
+      source.blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+      source.blockchain.minePendingTransactions();
+      source.blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+      await source.integrityService.createMerkleTree([{ id: 'record-1' }, { id: 'record-2' }]);
+
+      snapshot = JSON.parse(JSON.stringify(await source.service.exportSnapshot()));
+    });
+
+    it('exports the chain, mempool and Merkle trees with the node id', () => {
+      expect(snapshot.manifest).toMatchObject({
+        nodeId: source.nodeManager.getNodeId(),
+        chainLength: 3,
+        pendingTransactionCount: 1,
+        merkleTreeCount: 1
+      });
+    });
+
+    it('verifies a snapshot and tells whether it extends the local chain', () => {
+      expect(source.service.verifySnapshot(snapshot)).toMatchObject({ valid: true, extendsLocalChain: true });
+      expect(createNode(targetIdentity, nodeKeys).service.verifySnapshot(snapshot)).toMatchObject({ valid: true, extendsLocalChain: false });
+    });
+
+    it('restores another node from a snapshot and registers its key again', async () => {
+      const target = createNode(targetIdentity, nodeKeys);
+
+      const result = await target.service.importSnapshot(snapshot);
+
+      expect(result).toMatchObject({
+        success: true,
+        chainLength: 3,
+        latestBlockHash: source.blockchain.getLatestBlock().hash,
+        pendingTransactions: 1,
+        droppedTransactions: 0,
+        merkleTrees: 1,
+        nodeKeyRegistered: true
+      });
+      expect(target.blockchain.isChainValid()).toBe(true);
+      expect(target.integrityService.trees.has(snapshot.merkleTrees[0].root)).toBe(true);
+      expect(target.blockchain.getPendingTransactions()).toHaveLength(2);
+      expect(target.blockchain.keyRegistry.getKey(target.nodeManager.getNodeId())).not.toBeNull();
+    });
+
+    it('rejects an invalid snapshot and keeps the local state', async () => {
+      const target = createNode(targetIdentity, nodeKeys);
+      const latest = target.blockchain.getLatestBlock().hash;
+      snapshot.blocks[1].transactions[0].data.action = 'delete';
+
+      await expect(target.service.importSnapshot(snapshot))
+        .rejects.toThrow('Failed to import snapshot: Content hash does not match snapshot contents');
+      expect(target.blockchain.getLatestBlock().hash).toBe(latest);
+    });
+
+    it('drops pending transactions that do not verify against the restored chain', async () => {
+      const target = createNode(targetIdentity, nodeKeys);
+      snapshot.pendingTransactions.push(signTransaction(
+        { from: 'system', to: 'audit-log', data: { action: 'delete' } },
+        generateKeyPair().privateKey,
+        source.nodeManager.getNodeId()
+      ));
+      snapshot.manifest.pendingTransactionCount = snapshot.pendingTransactions.length;
+      snapshot.manifest.contentHash = ChainSnapshot.hashContents(snapshot);
+      snapshot.manifestHash = hashCanonical(snapshot.manifest);
+
+      const result = await target.service.importSnapshot(snapshot);
+
+      expect(result.droppedTransactions).toBe(1);
+      expect(target.blockchain.getPendingTransactions().map(tx => tx.data.action)).not.toContain('delete');
+    });
+  });
+});
@@ -4,6 +4,39 @@
  * This class implements a simplified voting-based consensus mechanism
  * for a permissioned blockchain network.
  * 
+ * A proposal is a block sealed with the node's sealing strategy. Once enough
+ * nodes agree (checkConsensus reports reached) it is appended to the chain,
+ * which clears its transactions from the mempool and gossips the block to
+ * peers. A proposal is rejected when enough nodes disagree that agreement is
+ * out of reach, when it fails to append, when another block takes its
+ * height (its previousHash is no longer the chain tip), or when it is still
+ * undecided proposalTtlMs after this node saw it. Nodes that vote against a
+ * proposal say why in the vote, so the proposer learns the reasons from the
+ * votes it collects.
+ * 
+ * At most maxPendingProposals proposals are voted on at a time: beyond that
+ * this node refuses to propose (getProposalCapacity tells callers when to
+ * retry) and ignores proposals from peers until some are decided or expire.
+ * Resolved proposals are kept for status queries while they are within
+ * PROPOSAL_HISTORY_HEIGHTS of the chain tip (at most PROPOSAL_HISTORY_LIMIT).
+ * 
+ * Proposals and votes are signed with the sender's node key and gossiped
+ * through the NodeManager (without a consensus protocol, this engine is the
+ * node's consensus handler). A node that receives a proposal validates the
+ * block and votes on it; every node counts the verified votes it sees and
+ * commits or rejects the proposal on its own.
+ * 
+ * A node that approves two different blocks at the same height equivocates.
+ * The two signed votes are the evidence: the node that notices writes them
+ * to the chain in a 'system' transaction to EVIDENCE_ADDRESS, and every node
+ * that sees verified evidence (on-chain, in the mempool or first-hand) stops
+ * counting the offender's votes and proposals, for good.
+ * 
+ * Who votes comes from validator governance (core/ValidatorRegistry.js):
+ * once a genesis validator set is configured, only the validators active at
+ * a proposal's height propose, have their votes counted and make up
+ * totalNodes. Without one, every peer counts.
+ * 
  * Data Structure:
  * - Block Proposal: {
  *     block: Object (block structure)
@@ -11,11 +44,32 @@
  *     timestamp: number
  *   }
  * 
+ * - Proposal Message: {
+ *     type: 'proposal'
+ *     blockHash: string
+ *     height: number
+ *     nodeId: string (proposer)
+ *     timestamp: number
+ *     block: Object (not covered by the signature; must hash to blockHash)
+ *     signature: string
+ *   }
+ * 
  * - Vote: {
+ *     type: 'vote'
  *     blockHash: string
+ *     height: number
  *     nodeId: string
  *     isValid: boolean
+ *     reason: string (only when isValid is false, optional)
  *     timestamp: number
+ *     signature: string (node key, over getMessagePayload)
+ *   }
+ * 
+ * - Equivocation Evidence (transaction data): {
+ *     type: 'equivocation'
+ *     nodeId: string (offender)
+ *     height: number
+ *     votes: [Vote, Vote] (approving votes for different blocks)
  *   }
  * 
  * - Consensus Status: {
@@ -25,35 +79,170 @@
  *     agreementCount: number
  *     threshold: number
  *     reached: boolean
+ *     status: 'proposed' | 'committed' | 'rejected'
+ *   }
+ * 
+ * - Proposal Record (pendingValidations / resolvedProposals): {
+ *     proposal: Block Proposal
+ *     votes: Array<Vote>
+ *     status: 'proposed' | 'committed' | 'rejected'
+ *     receivedAt: number (local time it was registered, for the TTL)
+ *     resolvedAt: number|null
+ *     reason: string|null (why it was rejected)
+ *   }
+ * 
+ * - Exclusion: {
+ *     nodeId: string
+ *     height: number (where it equivocated)
+ *     evidenceId: string|null (evidence transaction, once known)
+ *     excludedAt: number
  *   }
  */
 
+const { verify, getMessagePayload } = require('../../utils/signing.js');
+
+const PROPOSAL_HISTORY_LIMIT = 1000;
+const PROPOSAL_HISTORY_HEIGHTS = 100; // heights below the tip for which resolved proposals are kept
+const EVIDENCE_ADDRESS = 'consensus-evidence';
+const VOTE_HISTORY_HEIGHTS = 100; // heights below the tip for which votes are kept to detect equivocation
+
 class ConsensusEngine {
-  constructor(blockchain, nodeManager) {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {NodeManager} nodeManager - Local node
+   * @param {Object|null} consensus - Running consensus protocol (see core/consensus), null if none
+   * @param {ValidatorRegistry|null} validatorRegistry - Governed validator set, null if every peer votes
+   * @param {Object} options - Proposal lifecycle
+   * @param {number} options.proposalTtlMs - Reject proposals still undecided after this long (default 30000)
+   * @param {number} options.maxPendingProposals - Proposals voted on at a time (default 100)
+   */
+  constructor(blockchain, nodeManager, consensus = null, validatorRegistry = null, options = {}) {
     this.blockchain = blockchain;
     this.nodeManager = nodeManager;
-    this.pendingValidations = new Map(); // blockHash -> { proposal, votes: [] }
+    this.consensus = consensus;
+    this.validatorRegistry = validatorRegistry;
+    this.pendingValidations = new Map(); // blockHash -> Proposal Record (status 'proposed')
+    this.resolvedProposals = new Map(); // blockHash -> Proposal Record (committed or rejected), oldest first
+    this.votesByHeight = new Map(); // height -> Array<Vote>, every verified vote seen
+    this.excludedNodes = new Map(); // nodeId -> Exclusion
     this.consensusThreshold = 0.67; // 67% agreement required
+    this.proposalTtlMs = options.proposalTtlMs ?? 30000;
+    this.maxPendingProposals = options.maxPendingProposals ?? 100;
+    this.running = false;
+    this.timer = null;
+
+    if (!Number.isFinite(this.proposalTtlMs) || this.proposalTtlMs <= 0) {
+      throw new Error('proposalTtlMs must be a positive number');
+    }
+
+    if (!Number.isInteger(this.maxPendingProposals) || this.maxPendingProposals < 1) {
+      throw new Error('maxPendingProposals must be a positive integer');
+    }
+
+    // Any new chain tip commits or outdates pending proposals
+    this._onBlock = (block) => {
+      this._scanEvidence(block.transactions);
+      this._reconcileProposals();
+      this._pruneHistory();
+    };
+    this._onReset = () => {
+      this._scanEvidence(this.blockchain.queryTransactions({ to: EVIDENCE_ADDRESS }));
+      this._reconcileProposals();
+      this._pruneHistory();
+    };
+    this._onTransaction = (transaction) => this._scanEvidence([transaction]);
+    this.blockchain.on('block', this._onBlock);
+    this.blockchain.on('reset', this._onReset);
+    this.blockchain.on('transaction', this._onTransaction);
+
+    this._scanEvidence([
+      ...this.blockchain.queryTransactions({ to: EVIDENCE_ADDRESS }),
+      ...this.blockchain.pendingTransactions
+    ]);
+  }
+
+  /**
+   * Start handling proposals and votes from peers, and expiring proposals
+   * 
+   * Only without a consensus protocol, which otherwise owns the node's
+   * consensus messages.
+   */
+  start() {
+    if (this.running || this.consensus) {
+      return;
+    }
+
+    this.running = true;
+    this.nodeManager.setConsensusHandler((message) => this.handleMessage(message));
+    this.timer = setInterval(() => this.expireProposals(), Math.max(this.proposalTtlMs / 2, 100));
+    this.timer.unref();
+  }
+
+  /**
+   * Stop handling proposals and votes from peers
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.nodeManager.setConsensusHandler(null);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Handle a consensus message from a peer
+   * 
+   * @param {Object} message - Signed proposal or vote
+   * @returns {string} Status (see receiveProposal and receiveVote)
+   */
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'proposal':
+        return this.receiveProposal(message);
+      case 'vote':
+        return this.receiveVote(message);
+      default:
+        throw new Error(`Unknown consensus message type: ${message?.type}`);
+    }
   }
 
   /**
    * Propose a new block for consensus
    * 
    * Validates all transactions, creates a block proposal, and initiates
-   * the consensus voting process.
+   * the consensus voting process. The proposal is committed right away if
+   * this node's vote is enough, or rejected right away if it cannot be
+   * (status and reason in the result).
    * 
-   * @param {Array} transactions - Transactions to include in block
-   * @returns {Promise<Object>} Consensus result
+   * @param {Array} transactions - Signed transactions (with their signed id and timestamp) to include in block
+   * @returns {Promise<Object>} Consensus result {proposalId, block, consensus, vote, status, reason}
+   * @throws {Error} If the proposal is invalid or too many proposals are pending (see getProposalCapacity)
    */
   async proposeBlock(transactions) {
     if (!Array.isArray(transactions) || transactions.length === 0) {
       throw new Error('Transactions array is required and cannot be empty');
     }
 
-    // Validate all transactions
+    if (this.blockchain.sealer.requiresConsensus) {
+      throw new Error(`Blocks are committed by ${this.blockchain.sealer.type} consensus, not by vote`);
+    }
+
+    if (!this._isVoter(this.nodeManager.getNodeId(), this.blockchain.getChainLength())) {
+      throw new Error('Only active validators can propose blocks');
+    }
+
+    const capacity = this.getProposalCapacity();
+    if (!capacity.available) {
+      throw new Error(`Too many pending proposals (${capacity.pending}); retry in ${capacity.retryAfterMs} ms`);
+    }
+
+    // Validate all transactions; id and timestamp are signed, so they cannot be filled in here
     const invalidTransactions = [];
     for (const tx of transactions) {
-      if (!this.blockchain.isValidTransaction(tx)) {
+      if (!tx?.id || !tx.timestamp || !this.blockchain.isValidTransaction(tx)) {
         invalidTransactions.push(tx);
       }
     }
@@ -62,46 +251,46 @@ class ConsensusEngine {
       throw new Error(`Invalid transactions found: ${invalidTransactions.length}`);
     }
 
-    // Create block proposal
-    const blockProposal = {
-      index: this.blockchain.getChainLength(),
-      timestamp: Date.now(),
-      transactions: [...transactions],
-      previousHash: this.blockchain.getLatestBlock()?.hash || '0',
-      nonce: 0
-    };
+    // Create and seal the block proposal (validateBlock rejects ids already on the chain)
+    const blockProposal = this.blockchain.createBlock(null, { transactions });
 
-    // Calculate Merkle root
-    blockProposal.merkleRoot = this.blockchain.calculateMerkleRoot(blockProposal.transactions);
+    const validation = this.blockchain.validateBlock(blockProposal);
+    if (!validation.valid) {
+      throw new Error(`Invalid block proposal: ${validation.error}`);
+    }
 
-    // Calculate block hash
-    blockProposal.hash = this.blockchain.calculateBlockHash(blockProposal);
+    // Checked before registering, so a proposal this node cannot vote for is not left pending
+    const approved = this._findApproval(this.nodeManager.getNodeId(), blockProposal.index, blockProposal.hash);
+    if (approved) {
+      throw new Error(`This node already voted for block ${approved.blockHash} at height ${blockProposal.index}`);
+    }
 
     const proposalId = blockProposal.hash;
-    const proposerId = this.nodeManager.getNodeId();
+    const message = this._sign({
+      type: 'proposal',
+      blockHash: proposalId,
+      height: blockProposal.index,
+      timestamp: Date.now()
+    });
 
     // Initialize voting for this proposal
-    this.pendingValidations.set(proposalId, {
-      proposal: {
-        block: blockProposal,
-        proposerId,
-        timestamp: Date.now()
-      },
-      votes: []
-    });
+    this._registerProposal(blockProposal, message);
 
-    // In a real network, this would broadcast to other nodes
-    // For now, we'll simulate by having this node vote
+    // Peers vote once they have validated it; this node's vote goes out with it
+    this.nodeManager.broadcastConsensusMessage({ ...message, block: blockProposal });
     const vote = this.voteOnBlock(proposalId, true);
 
-    // Check consensus
+    // Check consensus (the vote may already have committed the block)
     const consensusStatus = this.checkConsensus(proposalId);
+    const record = this.pendingValidations.get(proposalId) || this.resolvedProposals.get(proposalId);
 
     return {
       proposalId,
       block: blockProposal,
       consensus: consensusStatus,
-      vote
+      vote,
+      status: record.status,
+      reason: record.reason
     };
   }
 
@@ -120,7 +309,7 @@ class ConsensusEngine {
     }
 
     // Check block structure
-    if (!blockProposal.index !== undefined ||
+    if (blockProposal.index === undefined ||
         !blockProposal.timestamp ||
         !Array.isArray(blockProposal.transactions) ||
         !blockProposal.previousHash ||
@@ -129,7 +318,7 @@ class ConsensusEngine {
       return false;
     }
 
-    // Validate all transactions
+    // Validate all transactions (structure and signatures)
     for (const tx of blockProposal.transactions) {
       if (!this.blockchain.isValidTransaction(tx)) {
         return false;
@@ -137,7 +326,10 @@ class ConsensusEngine {
     }
 
     // Verify Merkle root
-    const calculatedMerkleRoot = this.blockchain.calculateMerkleRoot(blockProposal.transactions);
+    const calculatedMerkleRoot = this.blockchain.calculateMerkleRoot(
+      blockProposal.transactions,
+      this.blockchain.getHashVersion(blockProposal)
+    );
     if (blockProposal.merkleRoot !== calculatedMerkleRoot) {
       return false;
     }
@@ -163,27 +355,142 @@ class ConsensusEngine {
   }
 
   /**
-   * Vote on a block proposal
+   * Handle a block proposal from a peer
+   * 
+   * Registers the proposal and votes on it: for it if the block is valid and
+   * this node has not approved another block at its height, against it (with
+   * the reason) otherwise.
+   * 
+   * @param {Object} message - Signed proposal with the block attached
+   * @returns {string} 'accepted', 'duplicate', 'stale' (not on top of the chain tip),
+   *   'busy' (maxPendingProposals reached) or 'ignored' (proposer excluded for equivocation,
+   *   or not a validator)
+   */
+  receiveProposal(message) {
+    this._checkMessage(message);
+
+    const block = message.block;
+    if (!block || block.hash !== message.blockHash || block.index !== message.height ||
+        this.blockchain.calculateBlockHash(block) !== block.hash) {
+      throw new Error(`Proposal from ${message.nodeId} does not carry block ${message.blockHash}`);
+    }
+
+    if (!this._isVoter(message.nodeId, block.index)) {
+      return 'ignored';
+    }
+
+    if (this.pendingValidations.has(block.hash) || this.resolvedProposals.has(block.hash)) {
+      return 'duplicate';
+    }
+
+    if (block.previousHash !== this.blockchain.getLatestBlock()?.hash) {
+      return 'stale';
+    }
+
+    if (!this.getProposalCapacity().available) {
+      return 'busy';
+    }
+
+    this._registerProposal(block, message);
+
+    const reason = this._checkProposedBlock(block);
+    this.voteOnBlock(block.hash, reason === null, reason);
+
+    return 'accepted';
+  }
+
+  /**
+   * Handle a signed vote from another node
+   * 
+   * @param {Object} vote - Signed vote
+   * @returns {string} 'accepted', 'duplicate', 'pending' (proposal not seen yet; counted once it
+   *   arrives), 'stale' (proposal already resolved), 'ignored' (voter excluded) or 'equivocation'
+   *   (the voter approved another block at this height and is now excluded)
+   */
+  receiveVote(vote) {
+    this._checkMessage(vote);
+
+    if (typeof vote.isValid !== 'boolean') {
+      throw new Error('Vote must include isValid');
+    }
+
+    if (vote.reason !== undefined && typeof vote.reason !== 'string') {
+      throw new Error('Vote reason must be a string');
+    }
+
+    if (this.excludedNodes.has(vote.nodeId)) {
+      return 'ignored';
+    }
+
+    const validation = this.pendingValidations.get(vote.blockHash);
+    if (validation && validation.proposal.block.index !== vote.height) {
+      throw new Error(`Vote for ${vote.blockHash} names height ${vote.height}, not ${validation.proposal.block.index}`);
+    }
+
+    if (validation?.votes.some(v => v.nodeId === vote.nodeId)) {
+      return 'duplicate';
+    }
+
+    const conflicting = vote.isValid && this._findApproval(vote.nodeId, vote.height, vote.blockHash);
+    this._recordVote(vote);
+
+    if (conflicting) {
+      this._reportEquivocation(conflicting, vote);
+      return 'equivocation';
+    }
+
+    if (!validation) {
+      return this.resolvedProposals.has(vote.blockHash) ? 'stale' : 'pending';
+    }
+
+    validation.votes.push(vote);
+    this._finalizeIfDecided(vote.blockHash);
+
+    return 'accepted';
+  }
+
+  /**
+   * Handle a signed vote submitted through the API, relaying it to peers
    * 
-   * Creates a vote for a block proposal after validating it.
+   * @param {Object} vote - Signed vote
+   * @returns {string} Status (see receiveVote)
+   */
+  submitVote(vote) {
+    const status = this.receiveVote(vote);
+
+    if (status !== 'duplicate') {
+      this.nodeManager.broadcastConsensusMessage(vote);
+    }
+
+    return status;
+  }
+
+  /**
+   * Vote on a block proposal as this node
+   * 
+   * Creates a vote signed with the node key after validating the proposal,
+   * and sends it to peers.
    * 
    * @param {string} blockHash - Hash of proposed block
    * @param {boolean} isValid - Whether block is valid (optional, will validate if not provided)
+   * @param {string} reason - Why the block is voted against (optional)
    * @returns {Object} Vote object
    */
-  voteOnBlock(blockHash, isValid = null) {
+  voteOnBlock(blockHash, isValid = null, reason = null) {
     if (!blockHash) {
       throw new Error('Block hash is required');
     }
 
     const validation = this.pendingValidations.get(blockHash);
     if (!validation) {
-      throw new Error('Block proposal not found');
+      const resolved = this.resolvedProposals.get(blockHash);
+      throw new Error(resolved ? `Block proposal is already ${resolved.status}` : 'Block proposal not found');
     }
 
     // Validate block if isValid not provided
     if (isValid === null) {
       isValid = this.validateBlockProposal(validation.proposal.block);
+      reason = isValid ? null : 'Invalid block proposal';
     }
 
     const nodeId = this.nodeManager.getNodeId();
@@ -194,16 +501,29 @@ class ConsensusEngine {
       return existingVote;
     }
 
+    // Approving a second block at a height would be equivocation
+    const height = validation.proposal.block.index;
+    const approved = isValid && this._findApproval(nodeId, height, blockHash);
+    if (approved) {
+      throw new Error(`This node already voted for block ${approved.blockHash} at height ${height}`);
+    }
+
     // Create vote
-    const vote = {
+    const vote = this._sign({
+      type: 'vote',
       blockHash,
-      nodeId,
+      height,
       isValid,
+      ...(!isValid && reason ? { reason } : {}),
       timestamp: Date.now()
-    };
+    });
 
     // Add vote
+    this._recordVote(vote);
     validation.votes.push(vote);
+    this.nodeManager.broadcastConsensusMessage(vote);
+
+    this._finalizeIfDecided(blockHash);
 
     return vote;
   }
@@ -217,7 +537,7 @@ class ConsensusEngine {
    * @returns {Object} Consensus status
    */
   checkConsensus(blockHash) {
-    const validation = this.pendingValidations.get(blockHash);
+    const validation = this.pendingValidations.get(blockHash) || this.resolvedProposals.get(blockHash);
     if (!validation) {
       return {
         blockHash,
@@ -226,12 +546,14 @@ class ConsensusEngine {
       };
     }
 
-    const networkNodes = this.nodeManager.getNetworkNodes();
-    const totalNodes = networkNodes.length;
+    const height = validation.proposal.block.index;
+    const totalNodes = this._getVotingNodes(height).length;
     const votes = validation.votes;
+    const counted = votes.filter(v => this._isVoter(v.nodeId, height));
     
     // Count positive votes (isValid === true)
-    const agreementCount = votes.filter(v => v.isValid === true).length;
+    const agreementCount = counted.filter(v => v.isValid === true).length;
+    const disagreementCount = counted.filter(v => v.isValid === false).length;
     const requiredAgreement = Math.ceil(totalNodes * this.consensusThreshold);
 
     const reached = agreementCount >= requiredAgreement;
@@ -241,75 +563,550 @@ class ConsensusEngine {
       votes: [...votes],
       totalNodes,
       agreementCount,
+      disagreementCount,
       requiredAgreement,
       threshold: this.consensusThreshold,
-      reached
+      reached,
+      status: validation.status
     };
   }
 
   /**
-   * Synchronize chain with network
+   * Get the status of a block proposal
+   * 
+   * @param {string} blockHash - Hash of proposed block
+   * @returns {Object|null} {proposalId, status, height, proposerId, proposedAt, resolvedAt, reason,
+   *   block, consensus}, or null if the proposal is unknown
+   */
+  getProposal(blockHash) {
+    const validation = this.pendingValidations.get(blockHash) || this.resolvedProposals.get(blockHash);
+    if (!validation) {
+      return null;
+    }
+
+    const { block, proposerId, timestamp } = validation.proposal;
+
+    return {
+      proposalId: blockHash,
+      status: validation.status,
+      height: block.index,
+      proposerId,
+      proposedAt: timestamp,
+      resolvedAt: validation.resolvedAt,
+      reason: validation.reason,
+      block,
+      consensus: this.checkConsensus(blockHash)
+    };
+  }
+
+  /**
+   * Get the consensus status of this node
    * 
-   * Compares local chain with chains from other nodes and adopts
-   * the longest valid chain (following longest chain rule).
+   * Reports the running protocol's state; without one, blocks are sealed
+   * locally and only the voting API below is available.
    * 
-   * @param {Array} networkChains - Chains from other nodes [{nodeId, chain}]
-   * @returns {Object} Sync result
+   * @returns {Object} Status {mode, nodeId, height, ...}
    */
-  async syncChain(networkChains) {
-    if (!Array.isArray(networkChains)) {
-      throw new Error('Network chains must be an array');
+  getStatus() {
+    if (this.consensus) {
+      return this.consensus.getStatus();
     }
 
-    const localChainLength = this.blockchain.getChainLength();
-    let longestValidChain = null;
-    let longestLength = localChainLength;
-    let longestChainNodeId = null;
+    return {
+      mode: 'none',
+      nodeId: this.nodeManager.getNodeId(),
+      height: this.blockchain.getChainLength(),
+      pendingProposals: this.pendingValidations.size,
+      maxPendingProposals: this.maxPendingProposals,
+      proposalTtlMs: this.proposalTtlMs,
+      validators: this.validatorRegistry?.isActive() ? this.validatorRegistry.getValidators() : null,
+      excludedNodes: this.getExcludedNodes()
+    };
+  }
 
-    // Find longest valid chain
-    for (const { nodeId, chain } of networkChains) {
-      if (!Array.isArray(chain)) {
-        continue;
+  /**
+   * Check whether this node can take on another proposal
+   * 
+   * Expired proposals are rejected first, so they do not hold up new ones.
+   * 
+   * @returns {Object} {available, pending, max, retryAfterMs: time until the oldest
+   *   pending proposal expires, 0 if available}
+   */
+  getProposalCapacity() {
+    this.expireProposals();
+
+    const pending = this.pendingValidations.size;
+    const available = pending < this.maxPendingProposals;
+    let retryAfterMs = 0;
+
+    if (!available) {
+      const oldest = Math.min(...Array.from(this.pendingValidations.values(), v => v.receivedAt));
+      retryAfterMs = Math.max(oldest + this.proposalTtlMs - Date.now(), 0);
+    }
+
+    return { available, pending, max: this.maxPendingProposals, retryAfterMs };
+  }
+
+  /**
+   * Reject the pending proposals that stayed undecided for proposalTtlMs
+   * 
+   * Runs periodically while the engine is started.
+   * 
+   * @returns {number} Number of proposals expired
+   */
+  expireProposals() {
+    const cutoff = Date.now() - this.proposalTtlMs;
+    const expired = Array.from(this.pendingValidations.values()).filter(v => v.receivedAt <= cutoff);
+
+    for (const validation of expired) {
+      const consensus = this.checkConsensus(validation.proposal.block.hash);
+      this._resolveProposal(validation, 'rejected',
+        `Expired after ${this.proposalTtlMs} ms with ${consensus.agreementCount} of ` +
+        `${consensus.requiredAgreement} required approvals`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Get the nodes excluded for equivocation
+   * 
+   * @returns {Array<Object>} Exclusions, oldest first
+   */
+  getExcludedNodes() {
+    return Array.from(this.excludedNodes.values()).map(exclusion => ({ ...exclusion }));
+  }
+
+  /**
+   * Check equivocation evidence
+   * 
+   * @param {Object} evidence - Evidence {type, nodeId, height, votes}
+   * @returns {boolean} True if both votes are validly signed by nodeId and approve
+   *   different blocks at height
+   */
+  verifyEvidence(evidence) {
+    if (!evidence || evidence.type !== 'equivocation' ||
+        !Array.isArray(evidence.votes) || evidence.votes.length !== 2) {
+      return false;
+    }
+
+    const [first, second] = evidence.votes;
+    const consistent = evidence.votes.every(vote =>
+      vote?.type === 'vote' &&
+      vote.nodeId === evidence.nodeId &&
+      vote.height === evidence.height &&
+      vote.isValid === true &&
+      typeof vote.blockHash === 'string');
+
+    return consistent &&
+      first.blockHash !== second.blockHash &&
+      this._verifySignature(first) &&
+      this._verifySignature(second);
+  }
+
+  /**
+   * Internal method to start voting on a proposal
+   * 
+   * Votes that arrived before the proposal are counted right away.
+   * 
+   * @private
+   */
+  _registerProposal(block, message) {
+    const validation = {
+      proposal: {
+        block,
+        proposerId: message.nodeId,
+        timestamp: message.timestamp
+      },
+      votes: [],
+      status: 'proposed',
+      receivedAt: Date.now(),
+      resolvedAt: null,
+      reason: null
+    };
+
+    for (const vote of this.votesByHeight.get(block.index) || []) {
+      if (vote.blockHash === block.hash && !validation.votes.some(v => v.nodeId === vote.nodeId)) {
+        validation.votes.push(vote);
       }
+    }
+
+    this.pendingValidations.set(block.hash, validation);
+  }
+
+  /**
+   * Internal method to check a proposed block before voting on it
+   * 
+   * @private
+   * @returns {string|null} Why this node votes against it, or null to vote for it
+   */
+  _checkProposedBlock(block) {
+    if (!this.validateBlockProposal(block)) {
+      return 'Invalid block proposal';
+    }
+
+    const validation = this.blockchain.validateBlock(block);
+    if (!validation.valid) {
+      return validation.error;
+    }
+
+    const approved = this._findApproval(this.nodeManager.getNodeId(), block.index, block.hash);
+    if (approved) {
+      return `Already voted for block ${approved.blockHash} at height ${block.index}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Internal method to check a message's structure, sender and signature
+   * 
+   * @private
+   */
+  _checkMessage(message) {
+    if (!message || typeof message.blockHash !== 'string' || !Number.isInteger(message.height) || message.height < 1) {
+      throw new Error(`${message?.type || 'Message'} must include blockHash and height`);
+    }
+
+    if (!this._verifySignature(message)) {
+      throw new Error(`Invalid signature on ${message.type} from ${message.nodeId}`);
+    }
+  }
+
+  /**
+   * Internal method to verify a message signature against the sender's node key
+   * 
+   * @private
+   */
+  _verifySignature(message) {
+    const key = this.blockchain.keyRegistry?.getKey(message.nodeId);
+
+    return !!key &&
+      key.actorType === 'node' &&
+      typeof message.signature === 'string' &&
+      verify(getMessagePayload(message), message.signature, key.publicKey);
+  }
+
+  /**
+   * Internal helper to sign a message as this node
+   * 
+   * @private
+   */
+  _sign(fields) {
+    const message = { ...fields, nodeId: this.nodeManager.getNodeId() };
+    message.signature = this.nodeManager.sign(getMessagePayload(message));
+    return message;
+  }
+
+  /**
+   * Internal helper to find a node's approving vote for another block at a height
+   * 
+   * @private
+   */
+  _findApproval(nodeId, height, blockHash) {
+    return (this.votesByHeight.get(height) || [])
+      .find(vote => vote.nodeId === nodeId && vote.isValid && vote.blockHash !== blockHash) || null;
+  }
+
+  /**
+   * Internal method to remember a verified vote (heights far below the tip are pruned on new blocks)
+   * 
+   * @private
+   */
+  _recordVote(vote) {
+    const votes = this.votesByHeight.get(vote.height) || [];
+    if (!votes.some(v => v.signature === vote.signature)) {
+      votes.push(vote);
+    }
+    this.votesByHeight.set(vote.height, votes);
+  }
+
+  /**
+   * Internal method to exclude a node caught equivocating and write the evidence to the chain
+   * 
+   * @private
+   */
+  _reportEquivocation(first, second) {
+    const evidence = {
+      type: 'equivocation',
+      nodeId: second.nodeId,
+      height: second.height,
+      votes: [first, second]
+    };
 
-      // Validate chain
-      const isValid = this._validateChain(chain);
-      if (!isValid) {
+    console.warn(`[Consensus] ${evidence.nodeId} voted for ${first.blockHash} and ${second.blockHash} at height ${evidence.height}`);
+    this._exclude(evidence.nodeId, evidence.height, null);
+
+    const recorded = [
+      ...this.blockchain.queryTransactions({ to: EVIDENCE_ADDRESS }),
+      ...this.blockchain.pendingTransactions.filter(tx => tx.to === EVIDENCE_ADDRESS)
+    ].some(tx => tx.data?.nodeId === evidence.nodeId && tx.data?.height === evidence.height);
+
+    if (recorded) {
+      return;
+    }
+
+    try {
+      // Gossiped to peers like any other transaction
+      this.blockchain.addSystemTransaction({ to: EVIDENCE_ADDRESS, data: evidence });
+    } catch (error) {
+      console.error(`[Consensus] Failed to record equivocation evidence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal handler for evidence transactions, from the chain or the mempool
+   * 
+   * @private
+   */
+  _scanEvidence(transactions) {
+    for (const tx of transactions) {
+      if (tx.to !== EVIDENCE_ADDRESS || !this.verifyEvidence(tx.data)) {
         continue;
       }
 
-      if (chain.length > longestLength) {
-        longestLength = chain.length;
-        longestValidChain = chain;
-        longestChainNodeId = nodeId;
+      const exclusion = this.excludedNodes.get(tx.data.nodeId);
+      if (exclusion) {
+        exclusion.evidenceId = exclusion.evidenceId || tx.id;
+      } else {
+        this._exclude(tx.data.nodeId, tx.data.height, tx.id);
+      }
+    }
+  }
+
+  /**
+   * Internal method to stop counting a node's votes
+   * 
+   * Its votes are dropped from pending proposals, which may decide them now
+   * that fewer nodes vote.
+   * 
+   * @private
+   */
+  _exclude(nodeId, height, evidenceId) {
+    if (this.excludedNodes.has(nodeId)) {
+      return;
+    }
+
+    this.excludedNodes.set(nodeId, { nodeId, height, evidenceId, excludedAt: Date.now() });
+
+    for (const validation of this.pendingValidations.values()) {
+      validation.votes = validation.votes.filter(v => v.nodeId !== nodeId);
+    }
+
+    for (const blockHash of Array.from(this.pendingValidations.keys())) {
+      this._finalizeIfDecided(blockHash);
+    }
+  }
+
+  /**
+   * Internal helper to get the nodes whose votes count at a height: the
+   * governed validator set if there is one, otherwise the peers
+   * 
+   * @private
+   */
+  _getVotingNodes(height) {
+    const nodes = this.validatorRegistry?.isActive()
+      ? this.validatorRegistry.getValidators(height)
+      : this.nodeManager.getNetworkNodes();
+
+    return nodes.filter(nodeId => !this.excludedNodes.has(nodeId));
+  }
+
+  /**
+   * Internal helper to check whether a node's proposals and votes count at a height
+   * 
+   * @private
+   */
+  _isVoter(nodeId, height) {
+    if (this.excludedNodes.has(nodeId)) {
+      return false;
+    }
+
+    return !this.validatorRegistry?.isActive() || this.validatorRegistry.isValidator(nodeId, height);
+  }
+
+  /**
+   * Internal method to commit a proposal that reached agreement, or reject one that can no longer reach it
+   * 
+   * @private
+   */
+  _finalizeIfDecided(blockHash) {
+    const validation = this.pendingValidations.get(blockHash);
+    if (!validation) {
+      return;
+    }
+
+    const consensus = this.checkConsensus(blockHash);
+
+    if (consensus.reached) {
+      this._commitProposal(validation);
+    } else if (consensus.disagreementCount > consensus.totalNodes - consensus.requiredAgreement) {
+      const reasons = [...new Set(validation.votes.filter(v => !v.isValid && v.reason).map(v => v.reason))];
+      this._resolveProposal(validation, 'rejected',
+        `Rejected by ${consensus.disagreementCount} of ${consensus.totalNodes} nodes` +
+        (reasons.length > 0 ? `: ${reasons.join('; ')}` : ''));
+    }
+  }
+
+  /**
+   * Internal method to append an agreed block to the chain
+   * 
+   * Appending emits 'block', which marks the proposal committed, outdates the
+   * other proposals for its height and gossips the block to peers.
+   * 
+   * @private
+   */
+  _commitProposal(validation) {
+    const block = validation.proposal.block;
+
+    let status;
+    try {
+      status = this.blockchain.receiveBlock(block);
+    } catch (error) {
+      this._resolveProposal(validation, 'rejected', error.message);
+      return;
+    }
+
+    if (status === 'duplicate') {
+      this._resolveProposal(validation, 'committed');
+    } else if (status !== 'appended') {
+      this._resolveProposal(validation, 'rejected', `Block no longer fits the chain (${status})`);
+    }
+  }
+
+  /**
+   * Internal handler for a new chain tip: resolve proposals it committed or outdated
+   * 
+   * @private
+   */
+  _reconcileProposals() {
+    const tip = this.blockchain.getLatestBlock();
+
+    for (const [blockHash, validation] of this.pendingValidations) {
+      if (this.blockchain.getBlockByHash(blockHash)) {
+        this._resolveProposal(validation, 'committed');
+      } else if (validation.proposal.block.previousHash !== tip.hash) {
+        this._resolveProposal(validation, 'rejected', `Superseded by block ${tip.index} (${tip.hash})`);
+      }
+    }
+  }
+
+  /**
+   * Internal method to forget resolved proposals and votes far below the chain tip
+   * 
+   * @private
+   */
+  _pruneHistory() {
+    const tip = this.blockchain.getChainLength();
+
+    for (const [blockHash, validation] of this.resolvedProposals) {
+      if (validation.proposal.block.index < tip - PROPOSAL_HISTORY_HEIGHTS) {
+        this.resolvedProposals.delete(blockHash);
+      }
+    }
+
+    for (const height of this.votesByHeight.keys()) {
+      if (height < tip - VOTE_HISTORY_HEIGHTS) {
+        this.votesByHeight.delete(height);
       }
     }
+  }
+
+  /**
+   * Internal method to move a proposal from pending to resolved
+   * 
+   * @private
+   */
+  _resolveProposal(validation, status, reason = null) {
+    const blockHash = validation.proposal.block.hash;
+
+    validation.status = status;
+    validation.resolvedAt = Date.now();
+    validation.reason = reason;
+
+    this.pendingValidations.delete(blockHash);
+    this.resolvedProposals.set(blockHash, validation);
+
+    if (this.resolvedProposals.size > PROPOSAL_HISTORY_LIMIT) {
+      this.resolvedProposals.delete(this.resolvedProposals.keys().next().value);
+    }
+  }
+
+  /**
+   * Synchronize chain with network
+   * 
+   * Compares local chain with chains from other nodes and adopts the valid
+   * chain with the most cumulative work (see Blockchain.getChainWork).
+   * 
+   * Without networkChains, the chains of live peers that carry more work than
+   * the local chain are fetched through the node manager. Supplied chains are
+   * validated like fetched ones (see Blockchain.validateChain). The adopted chain
+   * replaces the local blocks after the common ancestor; transactions only in
+   * the replaced blocks return to the mempool (see Blockchain.replaceChain).
+   * Chains that would replace finalized blocks are rejected.
+   * 
+   * @param {Array} networkChains - Chains from other nodes [{nodeId, chain}] (optional)
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncChain(networkChains = null) {
+    if (networkChains === null || networkChains === undefined) {
+      networkChains = await this.nodeManager.fetchHeavierChains();
+    }
+
+    if (!Array.isArray(networkChains)) {
+      throw new Error('Network chains must be an array');
+    }
+
+    const localChainLength = this.blockchain.getChainLength();
+    const localChainWork = this.blockchain.getChainWork();
+    const rejected = [];
+
+    // Most work first; the first candidate that validates wins
+    const candidates = networkChains
+      .filter(({ chain }) => Array.isArray(chain) && chain.length > 0)
+      .map(candidate => ({ ...candidate, work: this.blockchain.getChainWork(candidate.chain) }))
+      .filter(({ work }) => work > localChainWork)
+      .sort((a, b) => b.work - a.work);
+
+    for (const { nodeId, chain } of candidates) {
+      let result;
+      try {
+        result = this.blockchain.replaceChain(chain);
+      } catch (error) {
+        rejected.push({ nodeId, reason: error.message });
+        continue;
+      }
 
-    // If longer valid chain found, replace local chain
-    if (longestValidChain && longestLength > localChainLength) {
-      // In production, this would require careful state migration
-      // For this assessment, we'll just return the sync result
       return {
         synced: true,
         previousLength: localChainLength,
-        newLength: longestLength,
-        sourceNode: longestChainNodeId,
-        message: 'Longer valid chain found (sync would occur in production)'
+        newLength: result.chainLength,
+        sourceNode: nodeId,
+        commonAncestor: result.commonAncestor,
+        blocksRemoved: result.blocksRemoved,
+        blocksAdded: result.blocksAdded,
+        orphanedTransactions: result.orphanedTransactions,
+        droppedTransactions: result.droppedTransactions,
+        rejected,
+        message: 'Adopted valid chain with more work'
       };
     }
 
     return {
       synced: false,
       currentLength: localChainLength,
-      message: 'Local chain is up to date or no longer valid chain found'
+      rejected,
+      message: 'Local chain is up to date or no valid chain with more work found'
     };
   }
 
   /**
    * Handle node failure
    * 
-   * Removes a failed node from the network and adjusts consensus
-   * threshold if necessary.
+   * Removes a failed node from the network. Without validator governance its
+   * votes are dropped and the consensus threshold shrinks with the peer
+   * count; a governed validator stays in the set (and keeps its votes) until
+   * the validators vote to remove it.
    * 
    * @param {string} nodeId - Failed node ID
    * @returns {Object} Result
@@ -321,63 +1118,34 @@ class ConsensusEngine {
 
     // Remove node from network
     const removed = this.nodeManager.removeNode(nodeId);
+    const governed = !!this.validatorRegistry?.isActive();
 
     // Clean up votes from failed node
-    for (const [blockHash, validation] of this.pendingValidations.entries()) {
-      validation.votes = validation.votes.filter(v => v.nodeId !== nodeId);
+    if (!governed) {
+      for (const validation of this.pendingValidations.values()) {
+        validation.votes = validation.votes.filter(v => v.nodeId !== nodeId);
+      }
     }
 
-    const remainingNodes = this.nodeManager.getNetworkNodes().length;
+    const remainingNodes = this._getVotingNodes(this.blockchain.getChainLength()).length;
     const requiredAgreement = Math.ceil(remainingNodes * this.consensusThreshold);
+    const stillValidator = governed && this.validatorRegistry.isValidator(nodeId);
 
     return {
       nodeId,
       removed,
       remainingNodes,
       requiredAgreement,
-      message: removed 
+      stillValidator,
+      message: (removed 
         ? `Node ${nodeId} removed from network` 
-        : `Node ${nodeId} not found in network`
+        : `Node ${nodeId} not found in network`) +
+        (stillValidator ? '; it remains a validator until removed through governance' : '')
     };
   }
-
-  /**
-   * Internal method to validate an entire chain
-   * 
-   * @param {Array} chain - Chain to validate
-   * @returns {boolean} True if chain is valid
-   */
-  _validateChain(chain) {
-    if (!Array.isArray(chain) || chain.length === 0) {
-      return false;
-    }
-
-    // Validate each block
-    for (let i = 1; i < chain.length; i++) {
-      const currentBlock = chain[i];
-      const previousBlock = chain[i - 1];
-
-      // Check previous hash
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        return false;
-      }
-
-      // Validate block hash
-      const calculatedHash = this.blockchain.calculateBlockHash(currentBlock);
-      if (currentBlock.hash !== calculatedHash) {
-        return false;
-      }
-
-      // Validate Merkle root
-      const calculatedMerkleRoot = this.blockchain.calculateMerkleRoot(currentBlock.transactions);
-      if (currentBlock.merkleRoot !== calculatedMerkleRoot) {
-        return false;
-      }
-    }
-
-    return true;
-  }
 }
 
+ConsensusEngine.EVIDENCE_ADDRESS = EVIDENCE_ADDRESS;
+
 module.exports = ConsensusEngine;
 
@@ -0,0 +1,472 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ValidatorRegistry = require('../../core/ValidatorRegistry.js');
+const ConsensusEngine = require('./ConsensusEngine.js');
+const { generateKeyPair, signTransaction } = require('../../utils/signing.js');
+
+/**
+ * Create a node with its key registered on its own chain, and a consensus engine
+ *
+ * It trusts options.nodeKeys, or else only its own key.
+ */
+function createNode(options = {}) {
+  const identity = options.identity || NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: options.nodeKeys || { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+
+  const engine = new ConsensusEngine(blockchain, nodeManager, null, options.validatorRegistry || null, options);
+
+  return { blockchain, keyRegistry, nodeManager, engine };
+}
+
+/**
+ * Start five nodes whose consensus messages travel through an in-process queue
+ *
+ * Messages are delivered by flush(); nodes listed in down neither send nor receive.
+ */
+function createNetwork(options = {}) {
+  const identities = Array.from({ length: 5 }, () => NodeManager.generateIdentity());
+  const nodeKeys = Object.fromEntries(identities.map(identity => [identity.nodeId, identity.publicKey]));
+  const queue = [];
+  const down = new Set();
+  const errors = [];
+
+  const nodes = identities.map(identity => {
+    const keyRegistry = new KeyRegistry({ nodeKeys });
+    const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry, nodeKeys });
+    blockchain.createGenesisBlock(0);
+    keyRegistry.attach(blockchain);
+
+    const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+    blockchain.setSystemSigner(nodeManager);
+    identities.forEach(peer => nodeManager.addNode(peer.nodeId));
+    nodeManager.broadcastConsensusMessage = async (message) => {
+      queue.push(JSON.parse(JSON.stringify(message)));
+      return { success: true };
+    };
+
+    const engine = new ConsensusEngine(blockchain, nodeManager, null, null, options);
+
+    return { nodeId: identity.nodeId, blockchain, nodeManager, engine };
+  });
+
+  const flush = () => {
+    while (queue.length > 0) {
+      const message = queue.shift();
+      if (down.has(message.nodeId)) {
+        continue;
+      }
+      for (const node of nodes) {
+        if (node.nodeId === message.nodeId || down.has(node.nodeId)) {
+          continue;
+        }
+        try {
+          node.engine.handleMessage(message);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+  };
+
+  return { nodes, down, errors, flush, queue };
+}
+
+function addAuditEntry(blockchain, resourceId = 'record-1') {
+  return blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access', resourceId } });
+}
+
+describe('ConsensusEngine', () => {
+  describe('proposals', () => {
+    it('rejects transactions without their signed id or timestamp', async () => {
+      const { blockchain, engine } = createNode();
+      const tx = addAuditEntry(blockchain);
+
+      await expect(engine.proposeBlock([{ ...tx, id: undefined }])).rejects.toThrow('Invalid transactions found: 1');
+      await expect(engine.proposeBlock([{ ...tx, timestamp: undefined }])).rejects.toThrow('Invalid transactions found: 1');
+    });
+
+    it('rejects unsigned transactions', async () => {
+      const { engine } = createNode();
+      const unsigned = { id: 'tx-1', timestamp: 1, from: 'system', to: 'audit-log', data: {} };
+
+      await expect(engine.proposeBlock([unsigned])).rejects.toThrow('Invalid transactions found: 1');
+    });
+
+    it('rejects transactions already on the chain', async () => {
+      const { blockchain, engine } = createNode();
+      const tx = addAuditEntry(blockchain);
+      blockchain.minePendingTransactions();
+
+      await expect(engine.proposeBlock([tx])).rejects.toThrow('Invalid block proposal');
+    });
+  });
+
+  describe('chain sync', () => {
+    it('adopts the chain with the most work that validates and reports the ones rejected', async () => {
+      const identities = [NodeManager.generateIdentity(), NodeManager.generateIdentity()];
+      const nodeKeys = Object.fromEntries(identities.map(identity => [identity.nodeId, identity.publicKey]));
+      const { blockchain, nodeManager, engine } = createNode({ identity: identities[0], nodeKeys });
+      const peer = createNode({ identity: identities[1], nodeKeys });
+      addAuditEntry(peer.blockchain);
+      peer.blockchain.minePendingTransactions();
+      const chain = JSON.parse(JSON.stringify(peer.blockchain.getAllBlocks()));
+      const forged = signTransaction({ from: 'system', to: 'audit-log', data: {} }, generateKeyPair().privateKey, peer.nodeManager.getNodeId());
+      const forgedChain = [...chain, peer.blockchain.createBlock(null, { transactions: [forged] })];
+
+      const result = await engine.syncChain([
+        { nodeId: 'peer', chain },
+        { nodeId: 'forger', chain: forgedChain },
+        { nodeId: 'short', chain: chain.slice(0, 2) }
+      ]);
+
+      expect(result).toMatchObject({
+        synced: true,
+        previousLength: 2,
+        newLength: 3,
+        sourceNode: 'peer',
+        commonAncestor: 0,
+        blocksRemoved: 1,
+        blocksAdded: 2,
+        orphanedTransactions: 1
+      });
+      expect(result.rejected).toEqual([{ nodeId: 'forger', reason: expect.stringMatching(/^Invalid chain: block 3: /) }]);
+      expect(blockchain.getLatestBlock().hash).toBe(peer.blockchain.getLatestBlock().hash);
+      expect(blockchain.keyRegistry.getKey(nodeManager.getNodeId()).transactionId).toBe(blockchain.getPendingTransactions()[0].id);
+    });
+
+    it('keeps the local chain when no valid chain with more work is found', async () => {
+      const { blockchain, engine } = createNode();
+
+      const result = await engine.syncChain([{ nodeId: 'peer', chain: blockchain.getAllBlocks() }]);
+
+      expect(result).toMatchObject({ synced: false, currentLength: 2, rejected: [] });
+    });
+
+    it('fetches heavier chains from peers when none are supplied', async () => {
+      const { nodeManager, engine } = createNode();
+      const fetchHeavierChains = jest.spyOn(nodeManager, 'fetchHeavierChains');
+
+      expect((await engine.syncChain()).synced).toBe(false);
+      expect(fetchHeavierChains).toHaveBeenCalled();
+    });
+
+    it('requires an array of chains', async () => {
+      const { engine } = createNode();
+
+      await expect(engine.syncChain({ chain: [] })).rejects.toThrow('Network chains must be an array');
+    });
+  });
+
+  describe('commit on consensus', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('commits a proposal on every node once enough nodes approve it', async () => {
+      const network = createNetwork();
+      const [proposer] = network.nodes;
+      const tx = addAuditEntry(proposer.blockchain);
+
+      const result = await proposer.engine.proposeBlock([tx]);
+      expect(result).toMatchObject({ status: 'proposed', consensus: { agreementCount: 1, requiredAgreement: 3, totalNodes: 4 } });
+      network.flush();
+
+      for (const node of network.nodes) {
+        expect(node.blockchain.getChainLength()).toBe(2);
+        expect(node.blockchain.getLatestBlock().hash).toBe(result.proposalId);
+        expect(node.engine.getProposal(result.proposalId)).toMatchObject({ status: 'committed', proposerId: proposer.nodeId });
+      }
+      expect(proposer.blockchain.getPendingTransactions()).toEqual([]);
+      expect(network.errors).toEqual([]);
+    });
+
+    it('keeps a proposal pending while too few nodes approve it', async () => {
+      const network = createNetwork();
+      const [proposer] = network.nodes;
+      network.down.add(network.nodes[2].nodeId).add(network.nodes[3].nodeId).add(network.nodes[4].nodeId);
+
+      const { proposalId } = await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+      network.flush();
+
+      expect(proposer.blockchain.getChainLength()).toBe(1);
+      expect(proposer.engine.getProposal(proposalId)).toMatchObject({
+        status: 'proposed',
+        consensus: { agreementCount: 2, requiredAgreement: 3, reached: false }
+      });
+    });
+
+    it('rejects a proposal once agreement is out of reach, with the voters\' reasons', () => {
+      const network = createNetwork();
+      const [proposer, voter] = network.nodes;
+      const forged = signTransaction({ from: 'system', to: 'audit-log', data: {} }, generateKeyPair().privateKey, proposer.nodeId);
+      const block = proposer.blockchain.createBlock(null, { transactions: [forged] });
+      const message = proposer.engine._sign({ type: 'proposal', blockHash: block.hash, height: 1, timestamp: Date.now() });
+
+      network.queue.push(JSON.parse(JSON.stringify({ ...message, block })));
+      network.flush();
+
+      expect(voter.blockchain.getChainLength()).toBe(1);
+      expect(voter.engine.getProposal(block.hash)).toMatchObject({
+        status: 'rejected',
+        reason: 'Rejected by 2 of 4 nodes: Invalid block proposal'
+      });
+    });
+
+    it('rejects a proposal outdated by another block at its height', async () => {
+      const network = createNetwork();
+      const [proposer] = network.nodes;
+      const { proposalId } = await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+
+      const block = proposer.blockchain.minePendingTransactions();
+
+      expect(block.hash).not.toBe(proposalId);
+      expect(proposer.engine.getProposal(proposalId)).toMatchObject({
+        status: 'rejected',
+        reason: `Superseded by block 1 (${block.hash})`
+      });
+      expect(() => proposer.engine.voteOnBlock(proposalId)).toThrow('Block proposal is already rejected');
+    });
+
+    it('commits the first of two competing proposals and rejects the other', async () => {
+      const network = createNetwork();
+      const [first, second] = network.nodes;
+      const tx = addAuditEntry(first.blockchain);
+
+      const a = await first.engine.proposeBlock([tx]);
+      const b = await second.engine.proposeBlock([addAuditEntry(second.blockchain)]);
+      network.flush();
+
+      for (const node of network.nodes) {
+        expect(node.blockchain.getLatestBlock().hash).toBe(a.proposalId);
+        expect(node.engine.getProposal(b.proposalId).status).toBe('rejected');
+      }
+      expect(network.errors).toEqual([]);
+    });
+
+    it('refuses to approve a second block at the same height', async () => {
+      const network = createNetwork();
+      const [proposer] = network.nodes;
+      const { proposalId } = await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+
+      await expect(proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain, 'record-2')]))
+        .rejects.toThrow(`This node already voted for block ${proposalId} at height 1`);
+    });
+  });
+
+  describe('signed votes', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function vote(node, blockHash, fields = {}) {
+      return node.engine._sign({ type: 'vote', blockHash, height: 1, isValid: true, timestamp: Date.now(), ...fields });
+    }
+
+    it('rejects votes that are unsigned, tampered with or malformed', () => {
+      const [node, voter] = createNetwork().nodes;
+      const stranger = createNode();
+
+      expect(() => node.engine.receiveVote({ ...vote(voter, 'a'), signature: undefined }))
+        .toThrow(`Invalid signature on vote from ${voter.nodeId}`);
+      expect(() => node.engine.receiveVote({ ...vote(voter, 'a'), isValid: false }))
+        .toThrow(`Invalid signature on vote from ${voter.nodeId}`);
+      expect(() => node.engine.receiveVote(vote(stranger, 'a')))
+        .toThrow(`Invalid signature on vote from ${stranger.nodeManager.getNodeId()}`);
+      expect(() => node.engine.receiveVote(vote(voter, 'a', { height: 0 }))).toThrow('vote must include blockHash and height');
+      expect(() => node.engine.receiveVote(vote(voter, 'a', { isValid: 'yes' }))).toThrow('Vote must include isValid');
+    });
+
+    it('counts a vote that arrives before its proposal once the proposal does', async () => {
+      const network = createNetwork();
+      const [proposer, voter, node] = network.nodes;
+      const tx = addAuditEntry(proposer.blockchain);
+      const { proposalId } = await proposer.engine.proposeBlock([tx]);
+      const [proposal] = network.queue;
+
+      expect(node.engine.receiveVote(vote(voter, proposalId))).toBe('pending');
+      expect(node.engine.receiveProposal(proposal)).toBe('accepted');
+      expect(node.engine.checkConsensus(proposalId).agreementCount).toBe(2);
+      expect(node.engine.receiveVote(vote(voter, proposalId))).toBe('duplicate');
+      expect(() => node.engine.receiveVote(vote(voter, proposalId, { height: 2 })))
+        .toThrow(`Vote for ${proposalId} names height 2, not 1`);
+    });
+
+    it('excludes a node that approves two blocks at a height and records the evidence', () => {
+      const network = createNetwork();
+      const [node, offender, peer] = network.nodes;
+
+      expect(node.engine.receiveVote(vote(offender, 'a'))).toBe('pending');
+      expect(node.engine.receiveVote(vote(offender, 'b'))).toBe('equivocation');
+
+      const [evidence] = node.blockchain.getPendingTransactions();
+      expect(node.engine.getExcludedNodes()).toEqual([
+        { nodeId: offender.nodeId, height: 1, evidenceId: evidence.id, excludedAt: expect.any(Number) }
+      ]);
+      expect(evidence).toMatchObject({ to: 'consensus-evidence', data: { type: 'equivocation', nodeId: offender.nodeId, height: 1 } });
+      expect(node.engine.verifyEvidence(evidence.data)).toBe(true);
+      expect(node.engine.receiveVote(vote(offender, 'c', { height: 2 }))).toBe('ignored');
+
+      // Peers exclude the offender as soon as they see the evidence
+      peer.blockchain.receiveTransaction(JSON.parse(JSON.stringify(evidence)));
+      expect(peer.engine.getExcludedNodes()).toMatchObject([{ nodeId: offender.nodeId, evidenceId: evidence.id }]);
+    });
+
+    it('ignores proposals from an excluded node and stops counting it as a voter', async () => {
+      const network = createNetwork();
+      const [node, offender] = network.nodes;
+      node.engine.receiveVote(vote(offender, 'a'));
+      node.engine.receiveVote(vote(offender, 'b'));
+
+      const tx = addAuditEntry(offender.blockchain);
+      await offender.engine.proposeBlock([tx]);
+      const [proposal] = network.queue;
+
+      expect(node.engine.receiveProposal(proposal)).toBe('ignored');
+      expect(node.engine.getStatus().excludedNodes).toHaveLength(1);
+      expect(node.engine.checkConsensus('a')).toMatchObject({ reached: false, reason: 'Proposal not found' });
+    });
+
+    it('rejects evidence that does not show two signed approvals for different blocks', () => {
+      const [node, offender] = createNetwork().nodes;
+      const evidence = { type: 'equivocation', nodeId: offender.nodeId, height: 1, votes: [vote(offender, 'a'), vote(offender, 'b')] };
+
+      expect(node.engine.verifyEvidence(evidence)).toBe(true);
+      expect(node.engine.verifyEvidence({ ...evidence, votes: [evidence.votes[0], evidence.votes[0]] })).toBe(false);
+      expect(node.engine.verifyEvidence({ ...evidence, votes: [evidence.votes[0], { ...evidence.votes[1], blockHash: 'c' }] })).toBe(false);
+      expect(node.engine.verifyEvidence({ ...evidence, votes: [evidence.votes[0], vote(offender, 'b', { isValid: false })] })).toBe(false);
+      expect(node.engine.verifyEvidence({ ...evidence, height: 2 })).toBe(false);
+      expect(node.blockchain.getPendingTransactions()).toEqual([]);
+    });
+  });
+
+  describe('validator governance', () => {
+    /**
+     * Create a node governed by a validator set of itself and 'validator-2'
+     */
+    function createValidator() {
+      const identity = NodeManager.generateIdentity();
+      return createNode({ identity, validatorRegistry: new ValidatorRegistry([identity.nodeId, 'validator-2']) });
+    }
+
+    it('counts the active validators rather than the peers', async () => {
+      const { blockchain, nodeManager, engine } = createValidator();
+      ['peer-1', 'peer-2', 'peer-3'].forEach(nodeId => nodeManager.addNode(nodeId));
+
+      const result = await engine.proposeBlock([addAuditEntry(blockchain)]);
+
+      expect(result.consensus).toMatchObject({ totalNodes: 2, requiredAgreement: 2, agreementCount: 1, reached: false });
+    });
+
+    it('lets only active validators propose', async () => {
+      const { blockchain, engine } = createNode({ validatorRegistry: new ValidatorRegistry(['validator-1']) });
+
+      await expect(engine.proposeBlock([addAuditEntry(blockchain)])).rejects.toThrow('Only active validators can propose blocks');
+    });
+
+    it('keeps a failed validator in the set until governance removes it', () => {
+      const { nodeManager, engine } = createValidator();
+      nodeManager.addNode('validator-2');
+
+      expect(engine.handleNodeFailure('validator-2')).toEqual({
+        nodeId: 'validator-2',
+        removed: true,
+        remainingNodes: 2,
+        requiredAgreement: 2,
+        stillValidator: true,
+        message: 'Node validator-2 removed from network; it remains a validator until removed through governance'
+      });
+    });
+  });
+
+  describe('proposal lifecycle', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: 1000000 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+    });
+
+    it('requires a positive TTL and proposal limit', () => {
+      expect(() => createNode({ proposalTtlMs: 0 })).toThrow('proposalTtlMs must be a positive number');
+      expect(() => createNode({ maxPendingProposals: 1.5 })).toThrow('maxPendingProposals must be a positive integer');
+    });
+
+    it('rejects proposals still undecided after the TTL', async () => {
+      const network = createNetwork({ proposalTtlMs: 1000 });
+      const [proposer] = network.nodes;
+      const { proposalId } = await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+
+      jest.setSystemTime(Date.now() + 999);
+      expect(proposer.engine.expireProposals()).toBe(0);
+
+      jest.setSystemTime(Date.now() + 1);
+      expect(proposer.engine.expireProposals()).toBe(1);
+      expect(proposer.engine.getProposal(proposalId)).toMatchObject({
+        status: 'rejected',
+        resolvedAt: Date.now(),
+        reason: 'Expired after 1000 ms with 1 of 3 required approvals'
+      });
+      expect(() => proposer.engine.voteOnBlock(proposalId)).toThrow('Block proposal is already rejected');
+    });
+
+    it('expires proposals periodically while started', async () => {
+      const network = createNetwork({ proposalTtlMs: 1000 });
+      const [proposer] = network.nodes;
+      const { proposalId } = await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+
+      proposer.engine.start();
+      jest.advanceTimersByTime(1000);
+      proposer.engine.stop();
+
+      expect(proposer.engine.getProposal(proposalId).status).toBe('rejected');
+    });
+
+    it('refuses to propose beyond the limit and says when to retry', async () => {
+      const network = createNetwork({ proposalTtlMs: 1000, maxPendingProposals: 1 });
+      const [proposer] = network.nodes;
+      await proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain)]);
+
+      jest.setSystemTime(Date.now() + 400);
+      expect(proposer.engine.getProposalCapacity()).toEqual({ available: false, pending: 1, max: 1, retryAfterMs: 600 });
+      await expect(proposer.engine.proposeBlock([addAuditEntry(proposer.blockchain, 'record-2')]))
+        .rejects.toThrow('Too many pending proposals (1); retry in 600 ms');
+
+      jest.setSystemTime(Date.now() + 600);
+      expect(proposer.engine.getProposalCapacity()).toEqual({ available: true, pending: 0, max: 1, retryAfterMs: 0 });
+    });
+
+    it('ignores proposals from peers beyond the limit', async () => {
+      const network = createNetwork({ maxPendingProposals: 1 });
+      const [first, second, node] = network.nodes;
+      await first.engine.proposeBlock([addAuditEntry(first.blockchain)]);
+      await second.engine.proposeBlock([addAuditEntry(second.blockchain)]);
+      const [proposal, , other] = network.queue;
+
+      expect(node.engine.receiveProposal(proposal)).toBe('accepted');
+      expect(node.engine.receiveProposal(other)).toBe('busy');
+      expect(node.engine.receiveProposal(proposal)).toBe('duplicate');
+      expect(node.engine.getStatus()).toMatchObject({ pendingProposals: 1, maxPendingProposals: 1, proposalTtlMs: 30000 });
+    });
+  });
+});
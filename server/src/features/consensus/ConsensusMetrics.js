@@ -0,0 +1,293 @@
+/**
+ * Consensus Metrics - Network health as seen from this node
+ *
+ * Collects, for GET /api/consensus/status and the Prometheus export at
+ * /metrics:
+ * - height and current proposer (PBFT primary, Raft leader, or the proposer
+ *   of the newest pending vote proposal)
+ * - per validator: liveness and last contact (from the NodeManager) and vote
+ *   participation over the last windowSize decisions
+ * - time to finality: from a block's creation (block.timestamp) to its
+ *   append on this node, for blocks created since the collector started
+ * - fork events: chain reorganizations that dropped local blocks
+ *
+ * Vote participation counts, per validator, the decisions it signed off on:
+ * commit certificates of recent blocks under PBFT, votes on recently decided
+ * proposals without a consensus protocol. Raft has no per-block votes, so
+ * participation is null there (see replication in the Raft status instead).
+ *
+ * Data Structure:
+ * - Snapshot: {
+ *     mode, nodeId, height, proposer: string|null, pendingProposals: number
+ *     validators: Array<{nodeId, self, status: 'self' | 'alive' | 'unreachable' | 'unknown',
+ *       lastSeen: number|null, participation: {votes, decisions, rate}|null}>
+ *     finality: {blocks, averageMs, lastMs, window}
+ *     forks: {count, blocksRemoved, recent: Array<{at, commonAncestor, blocksRemoved, blocksAdded}>}
+ *   }
+ */
+
+const FORK_HISTORY_LIMIT = 20;
+
+class ConsensusMetrics {
+  /**
+   * @param {Blockchain} blockchain - Local blockchain
+   * @param {NodeManager} nodeManager - Local node and its peers
+   * @param {Object} options - Sources
+   * @param {Object|null} options.consensus - Running consensus protocol (see core/consensus), null if none
+   * @param {ConsensusEngine} options.engine - Vote-based consensus engine
+   * @param {ValidatorRegistry|null} options.validatorRegistry - Governed validator set
+   * @param {number} options.windowSize - Decisions and blocks averaged over (default 100)
+   */
+  constructor(blockchain, nodeManager, options = {}) {
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+    this.consensus = options.consensus || null;
+    this.engine = options.engine || null;
+    this.validatorRegistry = options.validatorRegistry || null;
+    this.windowSize = options.windowSize ?? 100;
+    this.startedAt = Date.now();
+
+    this.finality = { blocks: 0, totalMs: 0, lastMs: null, recent: [] };
+    this.forks = { count: 0, blocksRemoved: 0, recent: [] };
+
+    this._onBlock = (block) => this._recordFinality(block);
+    this._onFork = (fork) => this._recordFork(fork);
+    this.blockchain.on('block', this._onBlock);
+    this.blockchain.on('fork', this._onFork);
+  }
+
+  /**
+   * Get the current metrics
+   *
+   * @returns {Object} Snapshot
+   */
+  getSnapshot() {
+    const nodeId = this.nodeManager.getNodeId();
+    const participation = this._getParticipation();
+    const peers = new Map(this.nodeManager.getPeers().map(peer => [peer.nodeId, peer]));
+
+    const validators = this._getValidators().map(validatorId => {
+      const peer = peers.get(validatorId);
+      const self = validatorId === nodeId;
+
+      return {
+        nodeId: validatorId,
+        self,
+        status: self ? 'self' : (peer?.status || 'unknown'),
+        lastSeen: self ? Date.now() : (peer?.lastSeen ?? null),
+        participation: participation ? this._rate(participation.votes.get(validatorId) || 0, participation.decisions) : null
+      };
+    });
+
+    const recent = this.finality.recent;
+
+    return {
+      mode: this.consensus?.mode || 'none',
+      nodeId,
+      height: this.blockchain.getChainLength(),
+      proposer: this._getProposer(),
+      pendingProposals: this.engine?.pendingValidations.size ?? 0,
+      validators,
+      finality: {
+        blocks: this.finality.blocks,
+        averageMs: recent.length > 0 ? Math.round(recent.reduce((sum, ms) => sum + ms, 0) / recent.length) : null,
+        lastMs: this.finality.lastMs,
+        window: this.windowSize
+      },
+      forks: {
+        count: this.forks.count,
+        blocksRemoved: this.forks.blocksRemoved,
+        recent: this.forks.recent.map(fork => ({ ...fork }))
+      }
+    };
+  }
+
+  /**
+   * Export the metrics in the Prometheus text format
+   *
+   * Samples without a value yet (no decisions to rate participation on, no
+   * contact with a validator, no finalized block) are left out rather than
+   * exported as NaN.
+   *
+   * @returns {string} Exposition text (version 0.0.4)
+   */
+  toPrometheus() {
+    const snapshot = this.getSnapshot();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) {
+        if (value !== null && value !== undefined) {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      }
+    };
+
+    metric('consensus_info', 'gauge', 'Consensus mode and current proposer of this node.', [
+      [{ mode: snapshot.mode, node_id: snapshot.nodeId, proposer: snapshot.proposer || '' }, 1]
+    ]);
+    metric('chain_height', 'gauge', 'Number of blocks on the local chain.', [[{}, snapshot.height]]);
+    metric('mempool_transactions', 'gauge', 'Transactions waiting in the mempool.', [
+      [{}, this.blockchain.getPendingTransactions().length]
+    ]);
+    metric('consensus_pending_proposals', 'gauge', 'Block proposals waiting for votes.', [
+      [{}, snapshot.pendingProposals]
+    ]);
+    metric('consensus_validators', 'gauge', 'Validators in the current set.', [[{}, snapshot.validators.length]]);
+    metric('consensus_validator_up', 'gauge', 'Whether a validator is this node or a reachable peer.',
+      snapshot.validators.map(v => [{ node_id: v.nodeId }, ['self', 'alive'].includes(v.status) ? 1 : 0]));
+    metric('consensus_validator_last_seen_timestamp_seconds', 'gauge', 'Last successful contact with a validator.',
+      snapshot.validators.map(v => [{ node_id: v.nodeId }, v.lastSeen === null ? null : v.lastSeen / 1000]));
+    if (snapshot.validators.some(v => (v.participation?.rate ?? null) !== null)) {
+      metric('consensus_validator_participation_ratio', 'gauge',
+        `Share of the last ${this.windowSize} decisions a validator voted on.`,
+        snapshot.validators.map(v => [{ node_id: v.nodeId }, v.participation?.rate ?? null]));
+    }
+    metric('consensus_finality_seconds', 'summary', 'Time from block creation to its append on this node.', []);
+    lines.push(`consensus_finality_seconds_sum ${this.finality.totalMs / 1000}`);
+    lines.push(`consensus_finality_seconds_count ${this.finality.blocks}`);
+    metric('consensus_finality_average_seconds', 'gauge',
+      `Average time to finality over the last ${this.windowSize} blocks.`,
+      [[{}, snapshot.finality.averageMs === null ? null : snapshot.finality.averageMs / 1000]]);
+    metric('consensus_forks_total', 'counter', 'Chain reorganizations that dropped local blocks.', [
+      [{}, snapshot.forks.count]
+    ]);
+    metric('consensus_fork_blocks_removed_total', 'counter', 'Local blocks dropped by chain reorganizations.', [
+      [{}, snapshot.forks.blocksRemoved]
+    ]);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Internal helper to get the validator set: the protocol's, the governed one, or this node and its peers
+   *
+   * @private
+   */
+  _getValidators() {
+    if (this.consensus?.validators) {
+      return [...this.consensus.validators];
+    }
+
+    if (this.validatorRegistry?.isActive()) {
+      return this.validatorRegistry.getValidators();
+    }
+
+    return [this.nodeManager.getNodeId(), ...this.nodeManager.getNetworkNodes()];
+  }
+
+  /**
+   * Internal helper to get the node expected to propose the next block
+   *
+   * @private
+   */
+  _getProposer() {
+    if (this.consensus) {
+      return this.consensus.getStatus().primary || null;
+    }
+
+    let newest = null;
+    for (const validation of this.engine?.pendingValidations.values() || []) {
+      if (!newest || validation.proposal.timestamp >= newest.timestamp) {
+        newest = validation.proposal;
+      }
+    }
+    return newest?.proposerId || null;
+  }
+
+  /**
+   * Internal method to count, per validator, the recent decisions it voted on
+   *
+   * @private
+   * @returns {Object|null} {votes: Map<nodeId, number>, decisions: number}, or null if not applicable
+   */
+  _getParticipation() {
+    const votes = new Map();
+    const count = (nodeIds) => {
+      for (const nodeId of new Set(nodeIds)) {
+        votes.set(nodeId, (votes.get(nodeId) || 0) + 1);
+      }
+    };
+
+    if (this.consensus?.mode === 'pbft') {
+      const blocks = this.blockchain.getAllBlocks()
+        .filter(block => block.commitCertificate)
+        .slice(-this.windowSize);
+      blocks.forEach(block => count(block.commitCertificate.commits.map(commit => commit.nodeId)));
+      return { votes, decisions: blocks.length };
+    }
+
+    if (this.consensus || !this.engine) {
+      return null;
+    }
+
+    const decided = Array.from(this.engine.resolvedProposals.values()).slice(-this.windowSize);
+    decided.forEach(validation => count(validation.votes.map(vote => vote.nodeId)));
+    return { votes, decisions: decided.length };
+  }
+
+  /**
+   * Internal helper to express a count as a share of decisions
+   *
+   * @private
+   */
+  _rate(votes, decisions) {
+    return {
+      votes,
+      decisions,
+      rate: decisions > 0 ? Math.round((votes / decisions) * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Internal handler for appended blocks: record their time to finality
+   *
+   * Blocks created before the collector started (e.g. pulled while catching
+   * up after a restart) would only measure the downtime, so they are skipped.
+   *
+   * @private
+   */
+  _recordFinality(block) {
+    if (!Number.isFinite(block.timestamp) || block.timestamp < this.startedAt) {
+      return;
+    }
+
+    const ms = Math.max(Date.now() - block.timestamp, 0);
+    this.finality.blocks++;
+    this.finality.totalMs += ms;
+    this.finality.lastMs = ms;
+    this.finality.recent.push(ms);
+    if (this.finality.recent.length > this.windowSize) {
+      this.finality.recent.shift();
+    }
+  }
+
+  /**
+   * Internal handler for chain reorganizations
+   *
+   * @private
+   */
+  _recordFork(fork) {
+    this.forks.count++;
+    this.forks.blocksRemoved += fork.blocksRemoved;
+    this.forks.recent.push({ at: Date.now(), ...fork });
+    if (this.forks.recent.length > FORK_HISTORY_LIMIT) {
+      this.forks.recent.shift();
+    }
+  }
+}
+
+/**
+ * Format Prometheus labels, escaping backslashes, quotes and newlines
+ *
+ * @param {Object} labels - Label name -> value
+ * @returns {string} {name="value",...}, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = ConsensusMetrics;
@@ -0,0 +1,131 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ConsensusEngine = require('./ConsensusEngine.js');
+const ConsensusMetrics = require('./ConsensusMetrics.js');
+
+const identity = NodeManager.generateIdentity();
+const nodeKeys = { [identity.nodeId]: identity.publicKey };
+
+/**
+ * Create a node with a vote-based consensus engine and a metrics collector
+ */
+function createNode() {
+  const keyRegistry = new KeyRegistry({ nodeKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry, nodeKeys });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.broadcastConsensusMessage = async () => ({ success: true });
+
+  const engine = new ConsensusEngine(blockchain, nodeManager);
+  const metrics = new ConsensusMetrics(blockchain, nodeManager, { engine });
+
+  return { blockchain, nodeManager, engine, metrics };
+}
+
+function addAuditEntry(blockchain) {
+  return blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+}
+
+describe('ConsensusMetrics', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1000000 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('reports a fresh node without made-up values', () => {
+    const { nodeManager, metrics } = createNode();
+    nodeManager.addNode('node-2');
+
+    expect(metrics.getSnapshot()).toEqual({
+      mode: 'none',
+      nodeId: identity.nodeId,
+      height: 1,
+      proposer: null,
+      pendingProposals: 0,
+      validators: [
+        { nodeId: identity.nodeId, self: true, status: 'self', lastSeen: 1000000, participation: { votes: 0, decisions: 0, rate: null } },
+        { nodeId: 'node-2', self: false, status: 'alive', lastSeen: null, participation: { votes: 0, decisions: 0, rate: null } }
+      ],
+      finality: { blocks: 0, averageMs: null, lastMs: null, window: 100 },
+      forks: { count: 0, blocksRemoved: 0, recent: [] }
+    });
+  });
+
+  it('exports no NaN samples before anything is measured', () => {
+    const { nodeManager, metrics } = createNode();
+    nodeManager.addNode('node-2');
+
+    const text = metrics.toPrometheus();
+
+    expect(text).not.toMatch(/NaN/);
+    expect(text).not.toMatch(/participation_ratio/);
+    expect(text).toMatch(/^consensus_validator_last_seen_timestamp_seconds\{node_id="[^"]+"\} 1000$/m);
+    expect(text).not.toMatch(/^consensus_finality_average_seconds /m);
+    expect(text).toMatch(/^consensus_finality_seconds_count 0$/m);
+  });
+
+  it('measures time to finality for blocks created since it started', () => {
+    const { blockchain, metrics } = createNode();
+    addAuditEntry(blockchain);
+    const block = blockchain.createBlock();
+
+    jest.setSystemTime(Date.now() + 250);
+    blockchain.receiveBlock(block);
+    addAuditEntry(blockchain);
+    blockchain.minePendingTransactions();
+
+    expect(metrics.getSnapshot().finality).toEqual({ blocks: 2, averageMs: 125, lastMs: 0, window: 100 });
+    expect(metrics.toPrometheus()).toMatch(/^consensus_finality_seconds_sum 0.25$/m);
+    expect(metrics.toPrometheus()).toMatch(/^consensus_finality_average_seconds 0.125$/m);
+  });
+
+  it('rates vote participation over decided proposals and names the proposer', async () => {
+    const { blockchain, nodeManager, engine, metrics } = createNode();
+    nodeManager.addNode('node-2');
+    nodeManager.addNode('node-3');
+
+    await engine.proposeBlock([addAuditEntry(blockchain)]);
+    expect(metrics.getSnapshot()).toMatchObject({ proposer: identity.nodeId, pendingProposals: 1 });
+
+    jest.setSystemTime(Date.now() + engine.proposalTtlMs);
+    engine.expireProposals();
+
+    const { validators, proposer } = metrics.getSnapshot();
+    expect(proposer).toBeNull();
+    expect(validators.map(v => v.participation)).toEqual([
+      { votes: 1, decisions: 1, rate: 1 },
+      { votes: 0, decisions: 1, rate: 0 },
+      { votes: 0, decisions: 1, rate: 0 }
+    ]);
+    expect(metrics.toPrometheus()).toMatch(/^consensus_validator_participation_ratio\{node_id="node-2"\} 0$/m);
+  });
+
+  it('counts chain reorganizations that dropped local blocks', () => {
+    const { blockchain, metrics } = createNode();
+    addAuditEntry(blockchain);
+    blockchain.minePendingTransactions();
+    const remote = createNode().blockchain;
+    for (let i = 0; i < 2; i++) {
+      addAuditEntry(remote);
+      remote.minePendingTransactions();
+    }
+
+    blockchain.replaceChain(JSON.parse(JSON.stringify(remote.getAllBlocks())));
+
+    expect(metrics.getSnapshot().forks).toEqual({
+      count: 1,
+      blocksRemoved: 1,
+      recent: [{ at: 1000000, commonAncestor: 0, blocksRemoved: 1, blocksAdded: 2 }]
+    });
+    expect(metrics.toPrometheus()).toMatch(/^consensus_forks_total 1$/m);
+  });
+});
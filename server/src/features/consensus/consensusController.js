@@ -15,15 +15,33 @@ router.use((req, res, next) => {
   if (!consensusService) {
     consensusService = new ConsensusService(
       req.app.locals.blockchain,
-      req.app.locals.nodeManager
+      req.app.locals.nodeManager,
+      req.app.locals.consensus,
+      req.app.locals.consensusEngine,
+      req.app.locals.consensusMetrics
     );
   }
   next();
 });
 
+/**
+ * GET /api/consensus/status
+ * Consensus mode and state of this node (view, primary, phase for PBFT; term, leader, role for Raft),
+ * with health metrics: proposer, validator liveness and participation, time to finality, forks
+ */
+router.get('/status', async (req, res, next) => {
+  try {
+    const result = await consensusService.getStatus();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/consensus/propose
- * Propose a new block
+ * Propose a new block; 503 with Retry-After while too many proposals are pending
  */
 router.post('/propose', async (req, res, next) => {
   try {
@@ -35,6 +53,17 @@ router.post('/propose', async (req, res, next) => {
       });
     }
 
+    const capacity = consensusService.getProposalCapacity();
+    if (!capacity.available) {
+      res.set('Retry-After', String(Math.max(Math.ceil(capacity.retryAfterMs / 1000), 1)));
+      return res.status(503).json({
+        error: 'Too many pending proposals',
+        pendingProposals: capacity.pending,
+        maxPendingProposals: capacity.max,
+        retryAfterMs: capacity.retryAfterMs
+      });
+    }
+
     const result = await consensusService.proposeBlock(transactions);
 
     res.status(201).json(result);
@@ -43,13 +72,46 @@ router.post('/propose', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/consensus/proposals/:hash
+ * Status of a block proposal: proposed, committed or rejected
+ */
+router.get('/proposals/:hash', async (req, res, next) => {
+  try {
+    const result = await consensusService.getProposal(req.params.hash);
+
+    if (!result.proposal) {
+      return res.status(404).json({
+        error: 'Proposal not found',
+        hash: req.params.hash
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/consensus/vote
- * Vote on a block proposal
+ * Vote on a block proposal as this node ({blockHash, isValid}), or submit a vote signed by another node ({vote})
  */
 router.post('/vote', async (req, res, next) => {
   try {
-    const { blockHash, isValid } = req.body;
+    const { blockHash, isValid, vote } = req.body;
+
+    if (vote !== undefined) {
+      if (!vote || typeof vote !== 'object' || vote.type !== 'vote' || !vote.signature) {
+        return res.status(400).json({
+          error: 'vote must be a signed vote'
+        });
+      }
+
+      const result = await consensusService.submitVote(vote);
+
+      return res.status(200).json(result);
+    }
 
     if (!blockHash) {
       return res.status(400).json({
@@ -65,15 +127,38 @@ router.post('/vote', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/consensus/failures
+ * Report a failed node: it is dropped as a peer and, without validator governance, from the vote count
+ */
+router.post('/failures', async (req, res, next) => {
+  try {
+    const { nodeId } = req.body;
+
+    if (!nodeId) {
+      return res.status(400).json({
+        error: 'Node ID is required'
+      });
+    }
+
+    const result = await consensusService.handleNodeFailure(nodeId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/consensus/sync
- * Synchronize chain with network
+ * Adopt the longest valid chain among live peers
+ * 
+ * Chains are only ever fetched from peers; candidate chains are not accepted
+ * from the request body.
  */
 router.post('/sync', async (req, res, next) => {
   try {
-    const { networkChains } = req.body;
-
-    const result = await consensusService.syncChain(networkChains || []);
+    const result = await consensusService.syncChain();
 
     res.status(200).json(result);
   } catch (error) {
@@ -6,10 +6,28 @@
  */
 
 const ConsensusEngine = require('./ConsensusEngine.js');
+const ConsensusMetrics = require('./ConsensusMetrics.js');
 
 class ConsensusService {
-  constructor(blockchain, nodeManager) {
-    this.engine = new ConsensusEngine(blockchain, nodeManager);
+  constructor(blockchain, nodeManager, consensus = null, engine = null, metrics = null) {
+    // The node's running engine, which also handles proposals and votes from peers
+    this.engine = engine || new ConsensusEngine(blockchain, nodeManager, consensus);
+    this.metrics = metrics || new ConsensusMetrics(blockchain, nodeManager, { consensus, engine: this.engine });
+  }
+
+  /**
+   * Get consensus status
+   */
+  async getStatus() {
+    try {
+      return {
+        success: true,
+        ...this.engine.getStatus(),
+        metrics: this.metrics.getSnapshot()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get consensus status: ${error.message}`);
+    }
   }
 
   /**
@@ -26,6 +44,8 @@ class ConsensusService {
       return {
         success: true,
         proposalId: result.proposalId,
+        status: result.status,
+        reason: result.reason,
         block: result.block,
         consensus: result.consensus,
         vote: result.vote
@@ -35,6 +55,13 @@ class ConsensusService {
     }
   }
 
+  /**
+   * Check whether this node can take on another block proposal
+   */
+  getProposalCapacity() {
+    return this.engine.getProposalCapacity();
+  }
+
   /**
    * Validate block proposal
    */
@@ -81,13 +108,62 @@ class ConsensusService {
   }
 
   /**
-   * Sync chain with network
+   * Submit a vote signed by another node
+   */
+  async submitVote(vote) {
+    try {
+      if (!vote || typeof vote !== 'object') {
+        throw new Error('Signed vote is required');
+      }
+
+      const status = this.engine.submitVote(vote);
+
+      return {
+        success: true,
+        status,
+        vote,
+        consensus: this.engine.checkConsensus(vote.blockHash)
+      };
+    } catch (error) {
+      throw new Error(`Failed to submit vote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the status of a block proposal (proposed, committed or rejected)
+   */
+  async getProposal(blockHash) {
+    try {
+      const proposal = this.engine.getProposal(blockHash);
+
+      return proposal
+        ? { success: true, proposal }
+        : { success: false, proposal: null };
+    } catch (error) {
+      throw new Error(`Failed to get proposal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop a failed node from the network and the pending votes
+   */
+  async handleNodeFailure(nodeId) {
+    try {
+      return {
+        success: true,
+        ...this.engine.handleNodeFailure(nodeId)
+      };
+    } catch (error) {
+      throw new Error(`Failed to handle node failure: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sync chain with network (chains are fetched from live peers)
    */
-  async syncChain(networkChains = []) {
+  async syncChain() {
     try {
-      // In a real network, this would fetch chains from other nodes
-      // For this assessment, we accept networkChains as parameter
-      const result = await this.engine.syncChain(networkChains);
+      const result = await this.engine.syncChain();
 
       return {
         success: true,
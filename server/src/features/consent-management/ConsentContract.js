@@ -14,11 +14,83 @@
  *     grantedAt: number (timestamp)
  *     expiresAt: number (timestamp | null)
  *     purpose: string
+ *     scope: ConsentScope | null (null: all of the patient's data)
+ *     grantedBy: string (the patient, or a delegate acting on their behalf)
+ *     grantedVia: string | null (delegationId the delegate acted under)
  *     metadata: Object
  *   }
+ * - ConsentScope: {
+ *     recordIds: Array<string> | null (specific medical records)
+ *     categories: Array<string> | null (record categories, see RECORD_CATEGORIES)
+ *     dataFrom: number | null (timestamp; earliest record date covered)
+ *     dataTo: number | null (timestamp; latest record date covered)
+ *   }
+ *   Restrictions combine: a record is covered when it matches every one set.
+ *   A patient may hold several active consents of one type with a clinician,
+ *   each with its own scope (e.g. imaging for treatment, labs for research).
+ * 
+ * - Break-glass access: a ConsentRecord with consentType 'Emergency Access',
+ *   purpose 'Emergency', no scope, a short expiresAt and the clinician's
+ *   justification. It is opened by the clinician without the patient's
+ *   consent and stays pending until a privacy officer reviews it:
+ *   review: { decision: 'approved' | 'flagged', reviewedBy, notes, reviewedAt } | null
+ * - DelegationRecord: a guardian or healthcare proxy who may grant and revoke
+ *   consents on the patient's behalf (minors, incapacitated adults): {
+ *     delegationId: string (UUID)
+ *     patientId: string
+ *     delegateId: string
+ *     relationship: string ('guardian' | 'proxy')
+ *     validFrom: number (timestamp)
+ *     validUntil: number | null (timestamp; null: until revoked)
+ *     designatedBy: string (the patient, or an active guardian of theirs)
+ *     designatedVia: string | null (delegationId of that guardian)
+ *     createdAt: number
+ *     metadata: Object
+ *   }
+ * 
+ * Transactions:
+ * - grant: sent and signed by the grantor (the patient or an active delegate);
+ *   consentId and grantedAt are the transaction's signed id and timestamp
+ *     data: { action: 'grant', consentRecord }
+ *   It only takes effect if the signer is the grantedBy it names and, at
+ *   grantedAt, the patient or an active delegate of theirs.
+ * - revoke: sent and signed by the revoker, so it can be built client-side
+ *     data: { action: 'revoke', consentId, revokedBy, revokedAt, revokedVia? }
+ *     (revokedVia: delegationId, when a delegate revokes for the patient)
+ *   It only ends the consent if the signer is the revoker and, at the time it
+ *   was signed, the patient or an active delegate of theirs (for break-glass
+ *   access also the clinician who invoked it); other revocations are ignored.
+ * - expire: sent as 'system' and signed by the node key, once a consent's
+ *   expiresAt has passed (see ConsentExpirySweeper)
+ *     data: { action: 'expire', consentId, expiredAt }
+ *   It only closes the consent if sent as 'system' and both expiredAt and the
+ *   transaction timestamp are at or after the consent's expiresAt.
+ * - break-glass: sent as 'system' and signed by the node key
+ *     data: { action: 'break-glass', consentRecord }
+ * - break-glass-review: sent and signed by the reviewing privacy officer
+ *     data: { action: 'break-glass-review', consentId, decision, reviewedBy, notes, reviewedAt }
+ *   It only counts if the sender is reviewedBy and registered as a 'privacy-officer'
+ *   (blocks with other reviews are invalid, see KeyRegistry.getPermissionError).
+ * - delegate: sent and signed by the designator (the patient or an active guardian);
+ *   delegationId and createdAt are the transaction's signed id and timestamp
+ *     data: { action: 'delegate', delegationRecord }
+ *   It only takes effect if the signer is the designatedBy it names and, at
+ *   createdAt, the patient or a guardian of theirs whose delegation was in force.
+ * - revoke-delegation: sent and signed by the revoker (the patient or the delegate)
+ *     data: { action: 'revoke-delegation', delegationId, patientId, revokedBy, revokedAt }
+ *   Revocations signed by anyone else are ignored.
  */
 
 const crypto = require('crypto');
+const { stampTransaction } = require('../../utils/signing.js');
+
+const CONSENT_TYPES = ['Data Access', 'AI Analysis', 'Research', 'Sharing'];
+const RECORD_CATEGORIES = ['lab', 'imaging', 'mental-health', 'genomics', 'diagnosis', 'treatment', 'prescription'];
+const BREAK_GLASS_TYPE = 'Emergency Access';
+const BREAK_GLASS_DURATION_MS = 60 * 60 * 1000;
+const BREAK_GLASS_MAX_DURATION_MS = 4 * 60 * 60 * 1000;
+const REVIEW_DECISIONS = ['approved', 'flagged'];
+const DELEGATE_RELATIONSHIPS = ['guardian', 'proxy'];
 
 class ConsentContract {
   constructor(blockchain) {
@@ -26,295 +98,1397 @@ class ConsentContract {
     this.contractAddress = 'consent-contract-v1';
   }
 
+  /**
+   * Build the unsigned grant transaction the grantor must sign
+   * 
+   * Validates the grant (type, scope, the grantor's authority, no active consent
+   * granting the same) first.
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Type of consent
+   * @param {Object} options - See grantConsent
+   * @param {string} consentId - Consent ID, also the transaction ID
+   * @param {number} grantedAt - Grant timestamp chosen by the grantor, also the transaction timestamp
+   * @returns {Object} Unsigned transaction
+   */
+  buildGrantTransaction(patientId, clinicianId, consentType, options, consentId, grantedAt) {
+    const consentRecord = this._buildConsentRecord(patientId, clinicianId, consentType, options, consentId, grantedAt);
+
+    return {
+      from: consentRecord.grantedBy,
+      to: this.contractAddress,
+      data: {
+        action: 'grant',
+        consentRecord
+      }
+    };
+  }
+
   /**
    * Grant consent for a patient to a clinician
    * 
    * @param {string} patientId - Patient ID
    * @param {string} clinicianId - Clinician ID
    * @param {string} consentType - Type of consent (e.g., 'Data Access', 'AI Analysis')
-   * @param {Object} options - Additional options (expiresAt, purpose, metadata)
+   * @param {Object} options - Additional options (expiresAt, purpose, scope, grantedBy, metadata)
+   * @param {Object} options.scope - {recordIds, categories, dataFrom, dataTo}, each optional; omit for all data
+   * @param {string} options.grantedBy - Patient (default) or an active delegate of theirs
+   * @param {Object} authorization - Grantor's signature over buildGrantTransaction(),
+   *   stamped with transactionId and grantedAt
+   * @param {string} authorization.transactionId - Signed transaction ID (becomes the consent ID)
+   * @param {number} authorization.grantedAt - Signed grant timestamp (also the transaction timestamp)
+   * @param {string} authorization.signature - Base64 Ed25519 signature
    * @returns {Object} Transaction result with consent record
    */
-  grantConsent(patientId, clinicianId, consentType, options = {}) {
-    // Validate inputs
-    if (!patientId || !clinicianId || !consentType) {
-      throw new Error('Patient ID, clinician ID, and consent type are required');
+  grantConsent(patientId, clinicianId, consentType, options = {}, authorization = {}) {
+    if (!authorization.signature || !authorization.transactionId || !authorization.grantedAt) {
+      throw new Error('Grant must be signed by the grantor (transactionId, grantedAt and signature are required)');
+    }
+
+    const { transactionId, grantedAt, signature } = authorization;
+    const transaction = stampTransaction(
+      this.buildGrantTransaction(patientId, clinicianId, consentType, options, transactionId, grantedAt),
+      transactionId,
+      grantedAt
+    );
+
+    const txResult = this.blockchain.addTransaction({
+      ...transaction,
+      signedBy: transaction.from,
+      signature
+    });
+
+    return {
+      transaction: txResult,
+      consent: transaction.data.consentRecord
+    };
+  }
+
+  /**
+   * Record that a consent expired
+   * 
+   * Expired consents stop counting as soon as expiresAt passes; this writes
+   * the explicit expiry record for the history and compliance reports.
+   * 
+   * @param {string} consentId - Consent record ID (a grant or break-glass access)
+   * @returns {Object} Transaction result with the expired consent record
+   */
+  expireConsent(consentId) {
+    if (!consentId) {
+      throw new Error('Consent ID is required');
+    }
+
+    if (!this._findGrant(consentId)) {
+      throw new Error('Consent record not found');
     }
 
-    const validConsentTypes = ['Data Access', 'AI Analysis', 'Research', 'Sharing'];
-    if (!validConsentTypes.includes(consentType)) {
-      throw new Error(`Invalid consent type. Must be one of: ${validConsentTypes.join(', ')}`);
+    const consent = this._getOpenConsents({ consentId })[0];
+    if (!consent) {
+      throw new Error('Consent is already revoked or expired');
     }
 
-    // Check for existing active consent
-    if (this.hasValidConsent(patientId, clinicianId, consentType)) {
-      throw new Error('Active consent already exists for this patient-clinician-type combination');
+    if (!consent.expiresAt || consent.expiresAt > Date.now()) {
+      throw new Error('Consent has not expired yet');
     }
 
-    // Create consent record
-    const consentId = crypto.randomUUID();
-    const now = Date.now();
-    const expiresAt = options.expiresAt 
-      ? new Date(options.expiresAt).getTime() 
-      : null;
+    const txResult = this.blockchain.addSystemTransaction({
+      to: this.contractAddress,
+      data: {
+        action: 'expire',
+        consentId,
+        expiredAt: consent.expiresAt
+      }
+    });
+
+    return {
+      transaction: txResult,
+      consent: { ...consent, status: 'expired', expiredAt: consent.expiresAt }
+    };
+  }
+
+  /**
+   * Get consents past their expiresAt without an expiry record yet
+   * 
+   * @param {number} now - Reference time (default now)
+   * @returns {Array} Consent records (grants and break-glass accesses), soonest expired first
+   */
+  getExpiredConsents(now = Date.now()) {
+    return this._getOpenConsents({})
+      .filter(consent => consent.expiresAt && consent.expiresAt <= now)
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  /**
+   * Get consents that expire within a window
+   * 
+   * @param {number} withinMs - Window length
+   * @param {number} now - Reference time (default now)
+   * @returns {Array} Consent records (grants and break-glass accesses), soonest expiring first
+   */
+  getExpiringConsents(withinMs, now = Date.now()) {
+    return this._getOpenConsents({})
+      .filter(consent => consent.expiresAt && consent.expiresAt > now && consent.expiresAt <= now + withinMs)
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  /**
+   * Open break-glass access: emergency access to a patient's records without consent
+   * 
+   * The access expires on its own after a short window and is queued for a
+   * privacy officer's review (see reviewBreakGlass).
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician invoking emergency access
+   * @param {string} justification - Why consent could not be obtained
+   * @param {Object} options - Additional options
+   * @param {number} options.durationMs - Access window (default 1 hour, at most 4 hours)
+   * @param {Object} options.metadata - Additional metadata
+   * @returns {Object} Transaction result with the break-glass consent record
+   */
+  breakGlass(patientId, clinicianId, justification, options = {}) {
+    if (!patientId || !clinicianId) {
+      throw new Error('Patient ID and clinician ID are required');
+    }
+
+    if (typeof justification !== 'string' || !justification.trim()) {
+      throw new Error('A justification is required for break-glass access');
+    }
+
+    const durationMs = options.durationMs ?? BREAK_GLASS_DURATION_MS;
+    if (!Number.isInteger(durationMs) || durationMs <= 0 || durationMs > BREAK_GLASS_MAX_DURATION_MS) {
+      throw new Error(`Break-glass duration must be between 1 ms and ${BREAK_GLASS_MAX_DURATION_MS} ms`);
+    }
+
+    const active = this.findActiveBreakGlass(patientId, clinicianId);
+    if (active) {
+      throw new Error(`Break-glass access ${active.consentId} is already active for this patient-clinician pair`);
+    }
 
+    const now = Date.now();
     const consentRecord = {
-      consentId,
+      consentId: crypto.randomUUID(),
       patientId,
       clinicianId,
-      consentType,
+      consentType: BREAK_GLASS_TYPE,
       status: 'granted',
       grantedAt: now,
-      expiresAt,
-      purpose: options.purpose || 'Treatment',
+      expiresAt: now + durationMs,
+      purpose: 'Emergency',
+      scope: null,
+      justification: justification.trim(),
       metadata: options.metadata || {}
     };
 
-    // Create blockchain transaction
-    const transaction = {
-      from: 'system',
+    const txResult = this.blockchain.addSystemTransaction({
       to: this.contractAddress,
       data: {
-        action: 'grant',
+        action: 'break-glass',
         consentRecord
       }
-    };
-
-    const txResult = this.blockchain.addTransaction(transaction);
+    });
 
     return {
       transaction: txResult,
-      consent: consentRecord
+      consent: { ...consentRecord, review: null }
     };
   }
 
   /**
-   * Revoke consent
+   * Build the unsigned break-glass review transaction a reviewer must sign
    * 
-   * @param {string} consentId - Consent record ID
-   * @param {string} revokedBy - ID of entity revoking (patient or authorized party)
-   * @returns {Object} Transaction result
+   * @param {string} consentId - Break-glass consent ID
+   * @param {string} reviewedBy - Privacy officer ID
+   * @param {string} decision - 'approved' or 'flagged'
+   * @param {string} notes - Review notes
+   * @param {number} reviewedAt - Review timestamp chosen by the reviewer
+   * @returns {Object} Unsigned transaction
    */
-  revokeConsent(consentId, revokedBy) {
-    if (!consentId || !revokedBy) {
-      throw new Error('Consent ID and revoker ID are required');
+  buildBreakGlassReviewTransaction(consentId, reviewedBy, decision, notes, reviewedAt) {
+    return {
+      from: reviewedBy,
+      to: this.contractAddress,
+      data: {
+        action: 'break-glass-review',
+        consentId,
+        decision,
+        reviewedBy,
+        notes: notes || '',
+        reviewedAt
+      }
+    };
+  }
+
+  /**
+   * Review a break-glass access after the fact
+   * 
+   * The reviewer must hold a key registered as a 'privacy-officer' (nodes only
+   * endorse such keys for their configured officers, see keyService), which the
+   * chain enforces; the contract checks the reviewer's signature and that the
+   * reviewer is not the clinician who invoked the access.
+   * 
+   * @param {string} consentId - Break-glass consent ID
+   * @param {string} reviewedBy - Privacy officer ID
+   * @param {string} decision - 'approved' or 'flagged'
+   * @param {string} notes - Review notes (optional)
+   * @param {Object} authorization - Reviewer's signature over buildBreakGlassReviewTransaction(),
+   *   stamped with transactionId and reviewedAt
+   * @param {string} authorization.transactionId - Signed transaction ID
+   * @param {number} authorization.reviewedAt - Signed review timestamp (also the transaction timestamp)
+   * @param {string} authorization.signature - Base64 Ed25519 signature
+   * @returns {Object} Transaction result with the reviewed record
+   */
+  reviewBreakGlass(consentId, reviewedBy, decision, notes = '', authorization = {}) {
+    if (!consentId || !reviewedBy) {
+      throw new Error('Consent ID and reviewer ID are required');
     }
 
-    // Find the consent record
-    const consentHistory = this._queryConsentTransactions({ consentId });
-    if (consentHistory.length === 0) {
-      throw new Error('Consent record not found');
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new Error(`Invalid decision. Must be one of: ${REVIEW_DECISIONS.join(', ')}`);
     }
 
-    // Get the most recent consent record
-    const latestConsent = consentHistory[consentHistory.length - 1];
-    const consentRecord = latestConsent.data.consentRecord;
+    if (!authorization.signature || !authorization.transactionId || !authorization.reviewedAt) {
+      throw new Error('Review must be signed by the reviewer (transactionId, reviewedAt and signature are required)');
+    }
 
-    // Check if already revoked
-    if (consentRecord.status === 'revoked') {
-      throw new Error('Consent is already revoked');
+    const access = this.getBreakGlass(consentId);
+    if (!access) {
+      throw new Error('Break-glass access not found');
     }
 
-    // Check if expired
-    if (consentRecord.status === 'expired') {
-      throw new Error('Consent is already expired');
+    if (access.review) {
+      throw new Error(`Break-glass access was already reviewed (${access.review.decision})`);
     }
 
-    // Verify authorization (patient can revoke their own consent)
-    if (consentRecord.patientId !== revokedBy) {
-      // In production, check if revokedBy is authorized
-      console.warn(`Revocation by ${revokedBy} - authorization should be verified`);
+    const pendingReview = this._getPendingConsentTransactions()
+      .find(tx => tx.data.action === 'break-glass-review' && tx.data.consentId === consentId);
+    if (pendingReview) {
+      throw new Error(`Break-glass access was already reviewed (${pendingReview.data.decision}, pending transaction ${pendingReview.id})`);
     }
 
-    // Create revocation record
-    const revocationRecord = {
-      ...consentRecord,
-      status: 'revoked',
-      revokedAt: Date.now(),
-      revokedBy
-    };
+    if (reviewedBy === access.clinicianId) {
+      throw new Error('Break-glass access cannot be reviewed by the clinician who invoked it');
+    }
 
-    // Create blockchain transaction
-    const transaction = {
-      from: revokedBy,
-      to: this.contractAddress,
-      data: {
-        action: 'revoke',
-        consentId,
-        revocationRecord
-      }
-    };
+    const transaction = stampTransaction(
+      this.buildBreakGlassReviewTransaction(consentId, reviewedBy, decision, notes, authorization.reviewedAt),
+      authorization.transactionId,
+      authorization.reviewedAt
+    );
 
-    const txResult = this.blockchain.addTransaction(transaction);
+    const txResult = this.blockchain.addTransaction({
+      ...transaction,
+      signedBy: reviewedBy,
+      signature: authorization.signature
+    });
+
+    const { notes: reviewNotes, reviewedAt } = transaction.data;
 
     return {
       transaction: txResult,
-      consent: revocationRecord
+      consent: { ...access, review: { decision, reviewedBy, notes: reviewNotes, reviewedAt } }
     };
   }
 
   /**
-   * Check if consent exists and is valid
+   * Get a break-glass access with its review
    * 
-   * @param {string} patientId - Patient ID
-   * @param {string} clinicianId - Clinician ID
-   * @param {string} consentType - Type of consent to check
-   * @returns {boolean} True if valid consent exists
+   * @param {string} consentId - Break-glass consent ID
+   * @returns {Object|null} Break-glass record {...ConsentRecord, active, review}, or null
    */
-  hasValidConsent(patientId, clinicianId, consentType) {
-    const now = Date.now();
-    
-    // Query all consent transactions for this patient-clinician-type
-    const transactions = this._queryConsentTransactions({
-      patientId,
-      clinicianId,
-      consentType
-    });
+  getBreakGlass(consentId) {
+    return this._getBreakGlassAccesses({ consentId })[0] || null;
+  }
 
-    if (transactions.length === 0) {
-      return false;
+  /**
+   * List break-glass accesses, oldest first
+   * 
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - 'pending' (not reviewed yet), 'approved' or 'flagged'
+   * @param {string} filters.patientId - Patient ID
+   * @returns {Array} Break-glass records {...ConsentRecord, active, review}
+   */
+  getBreakGlassAccesses(filters = {}) {
+    const accesses = this._getBreakGlassAccesses({ patientId: filters.patientId });
+
+    if (!filters.status) {
+      return accesses;
     }
 
-    // Process transactions chronologically to determine current state
-    let currentStatus = null;
-    let currentConsent = null;
+    return accesses.filter(access => filters.status === 'pending'
+      ? !access.review
+      : access.review?.decision === filters.status);
+  }
 
-    for (const tx of transactions) {
-      if (tx.data.action === 'grant') {
-        currentConsent = tx.data.consentRecord;
-        currentStatus = 'granted';
-      } else if (tx.data.action === 'revoke') {
-        if (tx.data.consentId === currentConsent?.consentId) {
-          currentStatus = 'revoked';
-        }
+  /**
+   * Find the clinician's unexpired break-glass access to a patient's records
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @returns {Object|null} Active break-glass record, or null
+   */
+  findActiveBreakGlass(patientId, clinicianId) {
+    return this._getBreakGlassAccesses({ patientId })
+      .find(access => access.clinicianId === clinicianId && access.active) || null;
+  }
+
+  /**
+   * Build the unsigned designation transaction the designator must sign
+   * 
+   * Validates the designation (relationship, dates, the designator's authority,
+   * no active delegation for the same delegate) first.
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Guardian or proxy ID
+   * @param {string} relationship - 'guardian' or 'proxy'
+   * @param {Object} options - See designateDelegate
+   * @param {string} delegationId - Delegation ID, also the transaction ID
+   * @param {number} createdAt - Designation timestamp chosen by the designator, also the transaction timestamp
+   * @returns {Object} Unsigned transaction
+   */
+  buildDelegationTransaction(patientId, delegateId, relationship, options, delegationId, createdAt) {
+    const delegationRecord = this._buildDelegationRecord(patientId, delegateId, relationship, options, delegationId, createdAt);
+
+    return {
+      from: delegationRecord.designatedBy,
+      to: this.contractAddress,
+      data: {
+        action: 'delegate',
+        delegationRecord
       }
-    }
+    };
+  }
 
-    // Check if consent is valid
-    if (currentStatus !== 'granted' || !currentConsent) {
-      return false;
+  /**
+   * Designate a guardian or healthcare proxy for a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Guardian or proxy ID
+   * @param {string} relationship - 'guardian' or 'proxy'
+   * @param {Object} options - Additional options
+   * @param {number|string} options.validFrom - Start of the delegation (default createdAt)
+   * @param {number|string} options.validUntil - End of the delegation (default none)
+   * @param {string} options.designatedBy - Patient (default) or an active guardian of theirs
+   * @param {Object} options.metadata - Additional metadata (e.g. court order reference)
+   * @param {Object} authorization - Designator's signature over buildDelegationTransaction(),
+   *   stamped with transactionId and createdAt
+   * @param {string} authorization.transactionId - Signed transaction ID (becomes the delegation ID)
+   * @param {number} authorization.createdAt - Signed designation timestamp (also the transaction timestamp)
+   * @param {string} authorization.signature - Base64 Ed25519 signature
+   * @returns {Object} Transaction result with delegation record
+   */
+  designateDelegate(patientId, delegateId, relationship, options = {}, authorization = {}) {
+    if (!authorization.signature || !authorization.transactionId || !authorization.createdAt) {
+      throw new Error('Designation must be signed by the designator (transactionId, createdAt and signature are required)');
     }
 
-    // Check expiration
-    if (currentConsent.expiresAt && currentConsent.expiresAt < now) {
-      return false;
-    }
+    const { transactionId, createdAt, signature } = authorization;
+    const transaction = stampTransaction(
+      this.buildDelegationTransaction(patientId, delegateId, relationship, options, transactionId, createdAt),
+      transactionId,
+      createdAt
+    );
 
-    return true;
+    const txResult = this.blockchain.addTransaction({
+      ...transaction,
+      signedBy: transaction.from,
+      signature
+    });
+
+    const { delegationRecord } = transaction.data;
+    const now = Date.now();
+
+    return {
+      transaction: txResult,
+      delegation: { ...delegationRecord, status: delegationRecord.validFrom > now ? 'scheduled' : 'active', revokedAt: null, revokedBy: null }
+    };
   }
 
   /**
-   * Get consent history for a patient
+   * Build the unsigned delegation revocation transaction a revoker must sign
    * 
-   * @param {string} patientId - Patient ID
-   * @returns {Array} Array of consent records in chronological order
+   * @param {string} delegationId - Delegation ID
+   * @param {string} patientId - Patient the delegation is for
+   * @param {string} revokedBy - Patient or the delegate stepping down
+   * @param {number} revokedAt - Revocation timestamp chosen by the revoker
+   * @returns {Object} Unsigned transaction
    */
-  getConsentHistory(patientId) {
-    if (!patientId) {
-      throw new Error('Patient ID is required');
+  buildDelegationRevocationTransaction(delegationId, patientId, revokedBy, revokedAt) {
+    return {
+      from: revokedBy,
+      to: this.contractAddress,
+      data: {
+        action: 'revoke-delegation',
+        delegationId,
+        patientId,
+        revokedBy,
+        revokedAt
+      }
+    };
+  }
+
+  /**
+   * Revoke a delegation
+   * 
+   * @param {string} delegationId - Delegation ID
+   * @param {string} revokedBy - Patient or the delegate stepping down
+   * @param {Object} authorization - Revoker's signature over buildDelegationRevocationTransaction(),
+   *   stamped with transactionId and revokedAt
+   * @param {string} authorization.transactionId - Signed transaction ID
+   * @param {number} authorization.revokedAt - Signed revocation timestamp (also the transaction timestamp)
+   * @param {string} authorization.signature - Base64 Ed25519 signature
+   * @returns {Object} Transaction result with the revoked delegation
+   */
+  revokeDelegation(delegationId, revokedBy, authorization = {}) {
+    if (!delegationId || !revokedBy) {
+      throw new Error('Delegation ID and revoker ID are required');
     }
 
-    const transactions = this._queryConsentTransactions({ patientId });
-    
-    // Transform transactions into consent records with metadata
-    const history = transactions.map(tx => ({
-      ...tx.data.consentRecord || tx.data.revocationRecord,
-      transactionId: tx.id,
-      blockIndex: tx.blockIndex,
-      timestamp: tx.timestamp,
-      action: tx.data.action
-    }));
+    if (!authorization.signature || !authorization.transactionId || !authorization.revokedAt) {
+      throw new Error('Revocation must be signed by the revoker (transactionId, revokedAt and signature are required)');
+    }
 
-    // Sort by timestamp
-    history.sort((a, b) => a.timestamp - b.timestamp);
+    const delegation = this.getDelegation(delegationId);
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
 
-    return history;
+    if (['revoked', 'expired'].includes(delegation.status)) {
+      throw new Error(`Delegation is already ${delegation.status}`);
+    }
+
+    if (revokedBy !== delegation.patientId && revokedBy !== delegation.delegateId) {
+      throw new Error('Only the patient or the delegate can revoke a delegation');
+    }
+
+    const txResult = this.blockchain.addTransaction({
+      ...stampTransaction(
+        this.buildDelegationRevocationTransaction(delegationId, delegation.patientId, revokedBy, authorization.revokedAt),
+        authorization.transactionId,
+        authorization.revokedAt
+      ),
+      signedBy: revokedBy,
+      signature: authorization.signature
+    });
+
+    return {
+      transaction: txResult,
+      delegation: { ...delegation, status: 'revoked', revokedAt: authorization.revokedAt, revokedBy }
+    };
   }
 
   /**
-   * Get active consents for a patient
+   * Get a patient's delegations, oldest first
+   * 
+   * Designations and revocations on the chain count only if signed by an actor
+   * with the authority to make them (see designateDelegate and revokeDelegation).
    * 
    * @param {string} patientId - Patient ID
-   * @returns {Array} Array of active consent records
+   * @returns {Array} Delegation records with status ('scheduled' | 'active' | 'expired' | 'revoked'),
+   *   revokedAt and revokedBy
    */
-  getActiveConsents(patientId) {
+  getDelegations(patientId) {
     if (!patientId) {
       throw new Error('Patient ID is required');
     }
 
-    const history = this.getConsentHistory(patientId);
     const now = Date.now();
-    const activeConsents = [];
-
-    // Track most recent state per consentId
-    const consentStates = new Map();
+    const delegations = new Map();
 
-    for (const record of history) {
-      const key = `${record.patientId}-${record.clinicianId}-${record.consentType}`;
-      
-      if (record.action === 'grant') {
-        consentStates.set(key, record);
-      } else if (record.action === 'revoke') {
-        consentStates.delete(key);
-      }
-    }
+    for (const tx of this.blockchain.queryTransactions({ to: this.contractAddress, patientId })) {
+      const data = tx.data;
 
-    // Filter for active (not expired) consents
-    for (const record of consentStates.values()) {
-      if (!record.expiresAt || record.expiresAt > now) {
-        activeConsents.push(record);
+      if (data.action === 'delegate' && data.delegationRecord.patientId === patientId &&
+          this._designatesDelegate(tx, delegations.values())) {
+        delegations.set(data.delegationRecord.delegationId, {
+          ...data.delegationRecord,
+          revokedAt: null,
+          revokedBy: null
+        });
+      } else if (data.action === 'revoke-delegation' && delegations.has(data.delegationId) &&
+          tx.from === data.revokedBy && [patientId, delegations.get(data.delegationId).delegateId].includes(data.revokedBy)) {
+        Object.assign(delegations.get(data.delegationId), { revokedAt: data.revokedAt, revokedBy: data.revokedBy });
       }
     }
 
-    return activeConsents;
+    return Array.from(delegations.values()).map(delegation => ({
+      ...delegation,
+      status: delegation.revokedAt ? 'revoked'
+        : delegation.validUntil !== null && delegation.validUntil < now ? 'expired'
+          : delegation.validFrom > now ? 'scheduled'
+            : 'active'
+    }));
   }
 
   /**
-   * Internal method to query consent transactions from blockchain
+   * Get a delegation by ID
    * 
-   * @param {Object} criteria - Search criteria
-   * @returns {Array} Matching transactions
+   * @param {string} delegationId - Delegation ID
+   * @returns {Object|null} Delegation record with status, or null
    */
-  _queryConsentTransactions(criteria) {
-    const allTransactions = this.blockchain.searchTransactions({
-      to: this.contractAddress
-    });
+  getDelegation(delegationId) {
+    const tx = this.blockchain.queryTransactions({ to: this.contractAddress })
+      .find(candidate => candidate.data.action === 'delegate' && candidate.data.delegationRecord.delegationId === delegationId);
 
-    return allTransactions.filter(tx => {
-      const data = tx.data;
-      
-      if (criteria.consentId) {
-        const record = data.consentRecord || data.revocationRecord;
-        if (record?.consentId !== criteria.consentId) {
-          return false;
-        }
-      }
+    return tx
+      ? this.getDelegations(tx.data.delegationRecord.patientId).find(d => d.delegationId === delegationId) || null
+      : null;
+  }
 
-      if (criteria.patientId) {
-        const record = data.consentRecord || data.revocationRecord;
-        if (record?.patientId !== criteria.patientId) {
-          return false;
-        }
-      }
+  /**
+   * Check whether an actor was ever designated as a delegate
+   * 
+   * @param {string} actorId - Actor ID
+   * @returns {boolean} True if some patient designated the actor
+   */
+  isDelegate(actorId) {
+    return this.blockchain.queryTransactions({ to: this.contractAddress })
+      .some(tx => tx.data.action === 'delegate' && tx.data.delegationRecord.delegateId === actorId);
+  }
 
-      if (criteria.clinicianId) {
-        const record = data.consentRecord || data.revocationRecord;
-        if (record?.clinicianId !== criteria.clinicianId) {
-          return false;
-        }
+  /**
+   * Find an actor's active delegation for a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} delegateId - Guardian or proxy ID
+   * @returns {Object|null} Active delegation record, or null
+   */
+  findActiveDelegation(patientId, delegateId) {
+    return this.getDelegations(patientId)
+      .find(delegation => delegation.delegateId === delegateId && delegation.status === 'active') || null;
+  }
+
+  /**
+   * Build the unsigned revocation transaction a revoker must sign
+   * 
+   * A delegate revoking for the patient signs the delegation it acts under
+   * (revokedVia) too.
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {string} revokedBy - ID of entity revoking
+   * @param {number} revokedAt - Revocation timestamp chosen by the revoker
+   * @returns {Object} Unsigned transaction
+   */
+  buildRevocationTransaction(consentId, revokedBy, revokedAt) {
+    const grant = this._findGrant(consentId);
+    const delegation = grant && revokedBy !== grant.patientId
+      ? this.findActiveDelegation(grant.patientId, revokedBy)
+      : null;
+
+    return {
+      from: revokedBy,
+      to: this.contractAddress,
+      data: {
+        action: 'revoke',
+        consentId,
+        revokedBy,
+        revokedAt,
+        ...(delegation && { revokedVia: delegation.delegationId })
+      }
+    };
+  }
+
+  /**
+   * Revoke consent
+   * 
+   * @param {string} consentId - Consent record ID
+   * @param {string} revokedBy - ID of entity revoking (the patient or an active delegate; for
+   *   break-glass access also the clinician who invoked it)
+   * @param {Object} authorization - Revoker's signature over buildRevocationTransaction(),
+   *   stamped with transactionId and revokedAt
+   * @param {string} authorization.transactionId - Signed transaction ID
+   * @param {number} authorization.revokedAt - Signed revocation timestamp (also the transaction timestamp)
+   * @param {string} authorization.signature - Base64 Ed25519 signature
+   * @returns {Object} Transaction result
+   */
+  revokeConsent(consentId, revokedBy, authorization = {}) {
+    if (!consentId || !revokedBy) {
+      throw new Error('Consent ID and revoker ID are required');
+    }
+
+    if (!authorization.signature || !authorization.transactionId || !authorization.revokedAt) {
+      throw new Error('Revocation must be signed by the revoker (transactionId, revokedAt and signature are required)');
+    }
+
+    // Find the consent record
+    const grantRecord = this._findGrant(consentId);
+    if (!grantRecord) {
+      throw new Error('Consent record not found');
+    }
+
+    // Get the most recent consent record, skipping revocations and expiries that do not apply
+    const latestConsent = this._queryConsentTransactions({ consentId })
+      .filter(tx => !['revoke', 'expire'].includes(tx.data.action) || this._closesConsent(tx, grantRecord))
+      .pop();
+    const consentRecord = this._getRecord(latestConsent);
+
+    // Check if already revoked
+    if (consentRecord.status === 'revoked') {
+      throw new Error('Consent is already revoked');
+    }
+
+    // Check if expired
+    if (consentRecord.status === 'expired') {
+      throw new Error('Consent is already expired');
+    }
+
+    // Check the mempool too: a revocation or expiry may be waiting for the next block
+    const pendingEnd = this._getPendingConsentTransactions()
+      .find(tx => tx.data.consentId === consentId && this._closesConsent(tx, grantRecord));
+    if (pendingEnd) {
+      throw new Error(`Consent is already ${pendingEnd.data.action === 'revoke' ? 'revoked' : 'expired'} (pending transaction ${pendingEnd.id})`);
+    }
+
+    // Verify authorization: the patient or an active delegate (the invoking clinician may end break-glass access)
+    const endsOwnBreakGlass = consentRecord.consentType === BREAK_GLASS_TYPE && consentRecord.clinicianId === revokedBy;
+    const revokedVia = endsOwnBreakGlass
+      ? null
+      : this._authorizeActor(consentRecord.patientId, revokedBy, 'revoke consent');
+
+    // Create blockchain transaction signed by the revoker
+    const transaction = {
+      ...stampTransaction(
+        this.buildRevocationTransaction(consentId, revokedBy, authorization.revokedAt),
+        authorization.transactionId,
+        authorization.revokedAt
+      ),
+      signedBy: revokedBy,
+      signature: authorization.signature
+    };
+
+    const txResult = this.blockchain.addTransaction(transaction);
+
+    return {
+      transaction: txResult,
+      consent: {
+        ...consentRecord,
+        status: 'revoked',
+        revokedAt: authorization.revokedAt,
+        revokedBy,
+        revokedVia
+      }
+    };
+  }
+
+  /**
+   * Check if consent exists and is valid
+   * 
+   * Without an access description any active consent of the type counts.
+   * With one, the consent's scope must cover it: e.g. "may clinician X read
+   * record Y (imaging, taken 2024-01-10) for purpose Z".
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Type of consent to check
+   * @param {Object} access - What is accessed, all optional
+   * @param {string} access.recordId - Medical record ID
+   * @param {string} access.category - Record category
+   * @param {number|string} access.date - Record date
+   * @param {string} access.purpose - Purpose of the access
+   * @returns {boolean} True if valid consent exists
+   */
+  hasValidConsent(patientId, clinicianId, consentType, access = {}) {
+    return this.findValidConsent(patientId, clinicianId, consentType, access) !== null;
+  }
+
+  /**
+   * Find the active consent that covers an access
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} clinicianId - Clinician ID
+   * @param {string} consentType - Type of consent to check
+   * @param {Object} access - What is accessed (see hasValidConsent)
+   * @returns {Object|null} Covering consent record, or null
+   */
+  findValidConsent(patientId, clinicianId, consentType, access = {}) {
+    const date = access.date === undefined || access.date === null ? null : new Date(access.date).getTime();
+    if (Number.isNaN(date)) {
+      throw new Error(`Invalid access date: ${access.date}`);
+    }
+
+    const request = { ...access, date };
+
+    return this._getActiveGrants({ patientId, clinicianId, consentType })
+      .find(consent => this._covers(consent, request)) || null;
+  }
+
+  /**
+   * Get consent history for a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @returns {Array} Array of consent records in chronological order
+   */
+  getConsentHistory(patientId) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+
+    const transactions = this._queryConsentTransactions({ patientId });
+    
+    // Transform transactions into consent records with metadata
+    const history = transactions.map(tx => ({
+      ...this._getRecord(tx),
+      transactionId: tx.id,
+      blockIndex: tx.blockIndex,
+      timestamp: tx.timestamp,
+      action: tx.data.action
+    }));
+
+    // Sort by timestamp
+    history.sort((a, b) => a.timestamp - b.timestamp);
+
+    return history;
+  }
+
+  /**
+   * Get active consents for a patient
+   * 
+   * @param {string} patientId - Patient ID
+   * @returns {Array} Array of active consent records
+   */
+  getActiveConsents(patientId) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+
+    const history = this.getConsentHistory(patientId);
+    const open = new Set(this._getOpenConsents({ patientId }).map(consent => consent.consentId));
+    const now = Date.now();
+    const activeConsents = [];
+
+    // Track most recent state per consentId
+    const consentStates = new Map();
+
+    for (const record of history) {
+      if (record.action === 'grant') {
+        consentStates.set(record.consentId, record);
       }
+    }
+
+    // Filter for consents neither revoked nor expired
+    for (const record of consentStates.values()) {
+      if (open.has(record.consentId) && (!record.expiresAt || record.expiresAt > now)) {
+        activeConsents.push(record);
+      }
+    }
+
+    return activeConsents;
+  }
+
+  /**
+   * Internal method to check that an actor may act for a patient: the patient or an active delegate
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} actorId - Acting entity
+   * @param {string} action - What the actor does, for the error message
+   * @returns {string|null} delegationId the actor acts under, null for the patient
+   * @private
+   */
+  _authorizeActor(patientId, actorId, action) {
+    if (actorId === patientId) {
+      return null;
+    }
+
+    const delegation = this.findActiveDelegation(patientId, actorId);
+    if (!delegation) {
+      throw new Error(`${actorId} is neither patient ${patientId} nor an active delegate of theirs and cannot ${action}`);
+    }
+
+    return delegation.delegationId;
+  }
+
+  /**
+   * Internal method to check whether an actor could act for a patient at a time: the
+   * patient, or a delegate whose delegation was in force and not yet revoked then
+   * 
+   * @param {string} patientId - Patient ID
+   * @param {string} actorId - Acting entity
+   * @param {number} at - Time of the act (the signed transaction timestamp)
+   * @returns {boolean} True if the actor had the authority
+   * @private
+   */
+  _mayActFor(patientId, actorId, at) {
+    if (actorId === patientId) {
+      return true;
+    }
+
+    return this.getDelegations(patientId).some(delegation =>
+      delegation.delegateId === actorId &&
+      delegation.validFrom <= at &&
+      (delegation.validUntil === null || delegation.validUntil >= at) &&
+      (delegation.revokedAt === null || delegation.revokedAt > at));
+  }
+
+  /**
+   * Internal method to check whether a designation transaction takes effect
+   * 
+   * The sender must be the designator the record names and, when it signed,
+   * the patient or a guardian whose delegation was in force and not revoked.
+   * 
+   * @param {Object} tx - Designation transaction
+   * @param {Iterable} delegations - The patient's delegations designated before it
+   * @returns {boolean} True if the designation applies
+   * @private
+   */
+  _designatesDelegate(tx, delegations) {
+    const { patientId, designatedBy, createdAt } = tx.data.delegationRecord;
+
+    if (tx.from !== designatedBy) {
+      return false;
+    }
+
+    if (designatedBy === patientId) {
+      return true;
+    }
+
+    return Array.from(delegations).some(delegation =>
+      delegation.delegateId === designatedBy &&
+      delegation.relationship === 'guardian' &&
+      delegation.validFrom <= createdAt &&
+      (delegation.validUntil === null || delegation.validUntil >= createdAt) &&
+      (delegation.revokedAt === null || delegation.revokedAt > createdAt));
+  }
+
+  /**
+   * Internal method to check whether a grant transaction takes effect
+   * 
+   * As for revocations, the sender must be the grantor the record names and
+   * have had the authority to grant when it signed (see grantConsent).
+   * 
+   * @param {Object} tx - Grant transaction
+   * @returns {boolean} True if the grant applies
+   * @private
+   */
+  _grantsConsent(tx) {
+    const { patientId, grantedBy, grantedAt } = tx.data.consentRecord;
+
+    return tx.from === grantedBy && this._mayActFor(patientId, grantedBy, grantedAt);
+  }
+
+  /**
+   * Internal method to check whether a revocation may end a consent
+   * 
+   * The transaction signature only proves who sent it; the sender must also be
+   * the revoker it names and have had the authority to revoke (see revokeConsent).
+   * 
+   * @param {Object} tx - Revocation transaction
+   * @param {Object} consent - Consent record it revokes (grant or break-glass access)
+   * @returns {boolean} True if the revocation applies
+   * @private
+   */
+  _endsConsent(tx, consent) {
+    const revokedBy = tx.data.revokedBy ?? tx.data.revocationRecord?.revokedBy;
+    if (!revokedBy || tx.from !== revokedBy) {
+      return false;
+    }
+
+    if (consent.consentType === BREAK_GLASS_TYPE && revokedBy === consent.clinicianId) {
+      return true;
+    }
+
+    return this._mayActFor(consent.patientId, revokedBy, tx.timestamp);
+  }
+
+  /**
+   * Internal method to check whether a break-glass review was sent by the privacy officer it names
+   * 
+   * @param {Object} tx - Review transaction
+   * @returns {boolean} True if the review applies
+   * @private
+   */
+  _reviewsBreakGlass(tx) {
+    const reviewer = this.blockchain.keyRegistry?.getKey(tx.from);
+
+    return tx.from === tx.data.reviewedBy && reviewer?.actorType === 'privacy-officer';
+  }
 
-      if (criteria.consentType) {
-        const record = data.consentRecord || data.revocationRecord;
-        if (record?.consentType !== criteria.consentType) {
-          return false;
+  /**
+   * Internal method to check whether an expiry may close a consent
+   * 
+   * Only the node records expiries, and only once the consent's expiresAt has passed.
+   * 
+   * @param {Object} tx - Expiry transaction
+   * @param {Object} consent - Consent record it expires
+   * @returns {boolean} True if the expiry applies
+   * @private
+   */
+  _expiresConsent(tx, consent) {
+    return tx.from === 'system' &&
+      Number.isFinite(consent.expiresAt) &&
+      tx.data.expiredAt >= consent.expiresAt &&
+      tx.timestamp >= consent.expiresAt;
+  }
+
+  /**
+   * Internal method to check whether a transaction closes a consent: a revocation or expiry that applies
+   * 
+   * @private
+   */
+  _closesConsent(tx, consent) {
+    if (tx.data.action === 'revoke') {
+      return this._endsConsent(tx, consent);
+    }
+
+    return tx.data.action === 'expire' && this._expiresConsent(tx, consent);
+  }
+
+  /**
+   * Internal method to fold break-glass transactions into records with their review and revocation
+   * 
+   * @param {Object} criteria - {patientId, consentId}, both optional
+   * @returns {Array} Break-glass records in invocation order
+   * @private
+   */
+  _getBreakGlassAccesses(criteria) {
+    const now = Date.now();
+    const accesses = new Map();
+
+    const transactions = this.blockchain.queryTransactions({
+      to: this.contractAddress,
+      patientId: criteria.patientId,
+      consentId: criteria.consentId
+    });
+
+    for (const tx of transactions) {
+      const data = tx.data;
+
+      if (data.action === 'break-glass') {
+        accesses.set(data.consentRecord.consentId, {
+          ...data.consentRecord,
+          transactionId: tx.id,
+          review: null,
+          revokedAt: null
+        });
+      } else if (data.action === 'break-glass-review' && accesses.has(data.consentId) && this._reviewsBreakGlass(tx)) {
+        const { decision, reviewedBy, notes, reviewedAt } = data;
+        accesses.get(data.consentId).review = { decision, reviewedBy, notes, reviewedAt };
+      } else if (data.action === 'revoke' && accesses.has(data.consentId) && this._endsConsent(tx, accesses.get(data.consentId))) {
+        accesses.get(data.consentId).revokedAt = data.revokedAt;
+      }
+    }
+
+    return Array.from(accesses.values())
+      .filter(access => !criteria.patientId || access.patientId === criteria.patientId)
+      .map(access => ({
+        ...access,
+        status: access.revokedAt ? 'revoked' : (access.expiresAt < now ? 'expired' : 'granted'),
+        active: !access.revokedAt && access.expiresAt >= now
+      }));
+  }
+
+  /**
+   * Internal method to get the active (granted, not revoked, not expired) consents matching criteria
+   * 
+   * @param {Object} criteria - Search criteria (see _queryConsentTransactions)
+   * @returns {Array} Consent records in grant order
+   * @private
+   */
+  _getActiveGrants(criteria) {
+    const now = Date.now();
+
+    return this._getOpenConsents(criteria)
+      .filter(consent => consent.consentType !== BREAK_GLASS_TYPE)
+      .filter(consent => !consent.expiresAt || consent.expiresAt >= now);
+  }
+
+  /**
+   * Internal method to get the consents (grants and break-glass accesses) neither revoked nor recorded as expired
+   * 
+   * @param {Object} criteria - Search criteria (see _queryConsentTransactions)
+   * @returns {Array} Consent records in grant order, possibly past expiresAt
+   * @private
+   */
+  _getOpenConsents(criteria) {
+    const consents = new Map();
+
+    for (const tx of this._queryConsentTransactions(criteria)) {
+      const { action } = tx.data;
+
+      if (action === 'grant' || action === 'break-glass') {
+        if (action === 'break-glass' || this._grantsConsent(tx)) {
+          consents.set(tx.data.consentRecord.consentId, tx.data.consentRecord);
         }
+        continue;
       }
 
+      const consentId = tx.data.consentId ?? this._getRecord(tx)?.consentId;
+      const consent = consents.get(consentId);
+      if (!consent) {
+        continue;
+      }
+
+      if (this._closesConsent(tx, consent)) {
+        consents.delete(consentId);
+      }
+    }
+
+    return Array.from(consents.values());
+  }
+
+  /**
+   * Internal method to check whether a consent covers an access
+   * 
+   * An access naming no record, category or date is a coarse check, which the
+   * scope does not restrict. Otherwise each restriction of the scope must be
+   * met by the access, so a category-only request does not pass a consent
+   * limited to specific records.
+   * 
+   * @param {Object} consent - Consent record
+   * @param {Object} access - {recordId, category, date: number|null, purpose}
+   * @returns {boolean} True if covered
+   * @private
+   */
+  _covers(consent, access) {
+    if (access.purpose && consent.purpose !== access.purpose) {
+      return false;
+    }
+
+    const scope = consent.scope;
+    if (!scope || (!access.recordId && !access.category && access.date === null)) {
       return true;
+    }
+
+    if (scope.recordIds && !scope.recordIds.includes(access.recordId)) {
+      return false;
+    }
+
+    if (scope.categories && !scope.categories.includes(access.category)) {
+      return false;
+    }
+
+    if (scope.dataFrom !== null || scope.dataTo !== null) {
+      if (access.date === null) {
+        return false;
+      }
+      if ((scope.dataFrom !== null && access.date < scope.dataFrom) ||
+          (scope.dataTo !== null && access.date > scope.dataTo)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Internal method to validate a consent scope and bring it to its stored form
+   * 
+   * Lists are de-duplicated and sorted and dates become timestamps, so equal
+   * scopes compare equal. An empty scope means all data and becomes null.
+   * 
+   * @param {Object|null|undefined} scope - {recordIds, categories, dataFrom, dataTo}
+   * @returns {Object|null} ConsentScope
+   * @private
+   */
+  _normalizeScope(scope) {
+    if (scope === undefined || scope === null) {
+      return null;
+    }
+
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+      throw new Error('Scope must be an object with recordIds, categories, dataFrom and/or dataTo');
+    }
+
+    const list = (value, name) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string' || !item)) {
+        throw new Error(`Scope ${name} must be a non-empty array of strings`);
+      }
+      return [...new Set(value)].sort();
+    };
+
+    const time = (value, name) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      const timestamp = new Date(value).getTime();
+      if (Number.isNaN(timestamp)) {
+        throw new Error(`Scope ${name} must be a date or timestamp`);
+      }
+      return timestamp;
+    };
+
+    const normalized = {
+      recordIds: list(scope.recordIds, 'recordIds'),
+      categories: list(scope.categories, 'categories'),
+      dataFrom: time(scope.dataFrom, 'dataFrom'),
+      dataTo: time(scope.dataTo, 'dataTo')
+    };
+
+    const unknown = (normalized.categories || []).filter(category => !RECORD_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid record categories: ${unknown.join(', ')}. Must be among: ${RECORD_CATEGORIES.join(', ')}`);
+    }
+
+    if (normalized.dataFrom !== null && normalized.dataTo !== null && normalized.dataFrom > normalized.dataTo) {
+      throw new Error('Scope dataFrom must not be after dataTo');
+    }
+
+    return Object.values(normalized).every(value => value === null) ? null : normalized;
+  }
+
+  /**
+   * Internal method to query consent transactions from blockchain
+   * 
+   * Narrows candidates through the chain's transaction index (by patient or
+   * consent) before matching the remaining criteria.
+   * 
+   * @param {Object} criteria - Search criteria
+   * @returns {Array} Matching transactions
+   */
+  _queryConsentTransactions(criteria) {
+    const candidates = this.blockchain.queryTransactions({
+      to: this.contractAddress,
+      patientId: criteria.patientId,
+      consentId: criteria.consentId
     });
+
+    return candidates.filter(tx => {
+      const record = this._getRecord(tx);
+
+      if (criteria.consentId && record?.consentId !== criteria.consentId) {
+        return false;
+      }
+
+      if (criteria.patientId && record?.patientId !== criteria.patientId) {
+        return false;
+      }
+
+      if (criteria.clinicianId && record?.clinicianId !== criteria.clinicianId) {
+        return false;
+      }
+
+      if (criteria.consentType && record?.consentType !== criteria.consentType) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Internal method to validate a grant and build its consent record
+   * 
+   * @private
+   */
+  _buildConsentRecord(patientId, clinicianId, consentType, options, consentId, grantedAt) {
+    if (!patientId || !clinicianId || !consentType) {
+      throw new Error('Patient ID, clinician ID, and consent type are required');
+    }
+
+    if (!CONSENT_TYPES.includes(consentType)) {
+      throw new Error(`Invalid consent type. Must be one of: ${CONSENT_TYPES.join(', ')}`);
+    }
+
+    if (!consentId || !Number.isFinite(grantedAt)) {
+      throw new Error('Consent ID and grant timestamp are required');
+    }
+
+    const scope = this._normalizeScope(options.scope);
+    const purpose = options.purpose || 'Treatment';
+    const grantedBy = options.grantedBy || patientId;
+    const grantedVia = this._authorizeActor(patientId, grantedBy, 'grant consent');
+
+    // Check for an existing active consent granting the same, counting the mempool
+    const duplicate = this._getActiveGrantsWithPending({ patientId, clinicianId, consentType })
+      .some(consent => consent.purpose === purpose && JSON.stringify(consent.scope ?? null) === JSON.stringify(scope));
+    if (duplicate) {
+      throw new Error('Active consent with the same purpose and scope already exists for this patient-clinician-type combination');
+    }
+
+    const expiresAt = options.expiresAt 
+      ? new Date(options.expiresAt).getTime() 
+      : null;
+
+    return {
+      consentId,
+      patientId,
+      clinicianId,
+      consentType,
+      status: 'granted',
+      grantedAt,
+      expiresAt,
+      purpose,
+      scope,
+      grantedBy,
+      grantedVia,
+      metadata: options.metadata || {}
+    };
+  }
+
+  /**
+   * Internal method to validate a designation and build its delegation record
+   * 
+   * @private
+   */
+  _buildDelegationRecord(patientId, delegateId, relationship, options, delegationId, createdAt) {
+    if (!patientId || !delegateId || !relationship) {
+      throw new Error('Patient ID, delegate ID, and relationship are required');
+    }
+
+    if (!DELEGATE_RELATIONSHIPS.includes(relationship)) {
+      throw new Error(`Invalid relationship. Must be one of: ${DELEGATE_RELATIONSHIPS.join(', ')}`);
+    }
+
+    if (delegateId === patientId) {
+      throw new Error('A patient cannot be their own delegate');
+    }
+
+    if (!delegationId || !Number.isFinite(createdAt)) {
+      throw new Error('Delegation ID and creation timestamp are required');
+    }
+
+    const now = Date.now();
+    const validFrom = options.validFrom !== undefined && options.validFrom !== null
+      ? new Date(options.validFrom).getTime()
+      : createdAt;
+    const validUntil = options.validUntil !== undefined && options.validUntil !== null
+      ? new Date(options.validUntil).getTime()
+      : null;
+
+    if (Number.isNaN(validFrom) || Number.isNaN(validUntil)) {
+      throw new Error('validFrom and validUntil must be dates or timestamps');
+    }
+
+    if (validUntil !== null && validUntil <= Math.max(validFrom, now)) {
+      throw new Error('validUntil must be in the future and after validFrom');
+    }
+
+    const designatedBy = options.designatedBy || patientId;
+    let designatedVia = null;
+    if (designatedBy !== patientId) {
+      const guardianship = this.findActiveDelegation(patientId, designatedBy);
+      if (!guardianship || guardianship.relationship !== 'guardian') {
+        throw new Error(`${designatedBy} is neither patient ${patientId} nor an active guardian of theirs and cannot designate delegates`);
+      }
+      designatedVia = guardianship.delegationId;
+    }
+
+    const existing = this.getDelegations(patientId)
+      .find(delegation => delegation.delegateId === delegateId && ['active', 'scheduled'].includes(delegation.status));
+    if (existing) {
+      throw new Error(`${delegateId} is already a delegate of this patient (${existing.delegationId})`);
+    }
+
+    return {
+      delegationId,
+      patientId,
+      delegateId,
+      relationship,
+      validFrom,
+      validUntil,
+      designatedBy,
+      designatedVia,
+      createdAt,
+      metadata: options.metadata || {}
+    };
+  }
+
+  /**
+   * Internal method to get the consent transactions waiting in the mempool, oldest first
+   * 
+   * @returns {Array} Pending transactions to the contract
+   * @private
+   */
+  _getPendingConsentTransactions() {
+    return this.blockchain.getPendingTransactions().filter(tx => tx.to === this.contractAddress);
+  }
+
+  /**
+   * Internal method to get the active grants for a patient, clinician and type as they
+   * will be once the mempool is mined (pending grants added, pending revocations and expiries applied)
+   * 
+   * @param {Object} criteria - {patientId, clinicianId, consentType}
+   * @returns {Array} Consent records in grant order
+   * @private
+   */
+  _getActiveGrantsWithPending(criteria) {
+    const grants = new Map(this._getActiveGrants(criteria).map(consent => [consent.consentId, consent]));
+
+    for (const tx of this._getPendingConsentTransactions()) {
+      const { action } = tx.data;
+      const record = tx.data.consentRecord;
+
+      if (action === 'grant' &&
+          record.patientId === criteria.patientId &&
+          record.clinicianId === criteria.clinicianId &&
+          record.consentType === criteria.consentType &&
+          this._grantsConsent(tx)) {
+        grants.set(record.consentId, record);
+      } else if (grants.has(tx.data.consentId) && this._closesConsent(tx, grants.get(tx.data.consentId))) {
+        grants.delete(tx.data.consentId);
+      }
+    }
+
+    return Array.from(grants.values());
+  }
+
+  /**
+   * Internal method to get the consent record a transaction describes
+   * 
+   * Grants carry the full record. Revocations carry only the consent ID and
+   * are resolved against the original grant (older revocations embed a
+   * revocationRecord and are returned as-is).
+   * 
+   * @param {Object} tx - Consent transaction
+   * @returns {Object|null} Consent record
+   * @private
+   */
+  _getRecord(tx) {
+    const data = tx.data;
+
+    if (data.consentRecord) {
+      return data.consentRecord;
+    }
+
+    if (data.revocationRecord) {
+      return data.revocationRecord;
+    }
+
+    if (data.action === 'break-glass-review') {
+      const grant = this._findGrant(data.consentId);
+      const { decision, reviewedBy, notes, reviewedAt } = data;
+
+      return grant ? { ...grant, review: { decision, reviewedBy, notes, reviewedAt } } : null;
+    }
+
+    if (data.action === 'expire') {
+      const grant = this._findGrant(data.consentId);
+
+      return grant ? { ...grant, status: 'expired', expiredAt: data.expiredAt } : null;
+    }
+
+    if (data.action === 'revoke') {
+      const grant = this._findGrant(data.consentId);
+
+      return grant
+        ? { ...grant, status: 'revoked', revokedAt: data.revokedAt, revokedBy: data.revokedBy, revokedVia: data.revokedVia || null }
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Internal method to find the grant record for a consent ID
+   * 
+   * @private
+   */
+  _findGrant(consentId) {
+    const grantTx = this.blockchain.queryTransactions({ to: this.contractAddress, consentId })
+      .find(tx => tx.data.action === 'break-glass' || (tx.data.action === 'grant' && this._grantsConsent(tx)));
+
+    return grantTx ? grantTx.data.consentRecord : null;
   }
 }
 
-module.exports = ConsentContract;
+ConsentContract.CONSENT_TYPES = CONSENT_TYPES;
+ConsentContract.RECORD_CATEGORIES = RECORD_CATEGORIES;
+ConsentContract.BREAK_GLASS_TYPE = BREAK_GLASS_TYPE;
+ConsentContract.BREAK_GLASS_DURATION_MS = BREAK_GLASS_DURATION_MS;
+ConsentContract.BREAK_GLASS_MAX_DURATION_MS = BREAK_GLASS_MAX_DURATION_MS;
+ConsentContract.REVIEW_DECISIONS = REVIEW_DECISIONS;
+ConsentContract.DELEGATE_RELATIONSHIPS = DELEGATE_RELATIONSHIPS;
 
+module.exports = ConsentContract;
@@ -0,0 +1,581 @@
+const crypto = require('crypto');
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ConsentContract = require('./ConsentContract.js');
+const { generateKeyPair, getSigningPayload, sign, signTransaction, stampTransaction } = require('../../utils/signing.js');
+
+/**
+ * Open a chain whose node key is mined, with a consent contract on it
+ */
+function createContract() {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+
+  return { blockchain, nodeManager, contract: new ConsentContract(blockchain), keys: {} };
+}
+
+/**
+ * Register an actor's key, endorsed by the node, and mine it (kept in chain.keys)
+ */
+function enroll({ blockchain, nodeManager, keys: enrolled }, actorId, actorType) {
+  const keys = generateKeyPair();
+  const { keyRegistry } = blockchain;
+  const enrollment = {
+    nodeId: nodeManager.getNodeId(),
+    signature: nodeManager.sign(keyRegistry.getEnrollmentPayload(actorId, actorType, keys.publicKey))
+  };
+
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(actorId, actorType, keys.publicKey, enrollment),
+    keys.privateKey
+  ));
+  blockchain.minePendingTransactions();
+  enrolled[actorId] = keys;
+
+  return keys;
+}
+
+/**
+ * Sign a transaction the way a client does and return the authorization the contract takes
+ */
+function authorize(transaction, keys, timestampField, timestamp, transactionId = undefined) {
+  const stamped = stampTransaction(transaction, transactionId, timestamp);
+
+  return {
+    transactionId: stamped.id,
+    [timestampField]: timestamp,
+    signature: sign(getSigningPayload(stamped), keys.privateKey)
+  };
+}
+
+function revoke({ contract }, consentId, revokedBy, keys) {
+  const revokedAt = Date.now();
+  const transaction = contract.buildRevocationTransaction(consentId, revokedBy, revokedAt);
+  return contract.revokeConsent(consentId, revokedBy, authorize(transaction, keys, 'revokedAt', revokedAt));
+}
+
+function review({ contract }, consentId, reviewedBy, decision, keys) {
+  const reviewedAt = Date.now();
+  const transaction = contract.buildBreakGlassReviewTransaction(consentId, reviewedBy, decision, 'Checked the chart', reviewedAt);
+  return contract.reviewBreakGlass(consentId, reviewedBy, decision, 'Checked the chart', authorize(transaction, keys, 'reviewedAt', reviewedAt));
+}
+
+function designate({ contract }, patientId, delegateId, relationship, options, keys) {
+  const createdAt = Date.now();
+  const delegationId = crypto.randomUUID();
+  const transaction = contract.buildDelegationTransaction(patientId, delegateId, relationship, options, delegationId, createdAt);
+  return contract.designateDelegate(patientId, delegateId, relationship, options, authorize(transaction, keys, 'createdAt', createdAt, delegationId));
+}
+
+function revokeDelegation({ contract }, delegation, revokedBy, keys) {
+  const revokedAt = Date.now();
+  const transaction = contract.buildDelegationRevocationTransaction(delegation.delegationId, delegation.patientId, revokedBy, revokedAt);
+  return contract.revokeDelegation(delegation.delegationId, revokedBy, authorize(transaction, keys, 'revokedAt', revokedAt));
+}
+
+/**
+ * Grant a consent signed by its grantor, enrolling the patient's key on first use
+ */
+function submitGrant(chain, patientId, clinicianId, options = {}) {
+  const grantedAt = Date.now();
+  const consentId = crypto.randomUUID();
+  const transaction = chain.contract.buildGrantTransaction(patientId, clinicianId, 'Data Access', options, consentId, grantedAt);
+  const keys = chain.keys[transaction.from] || enroll(chain, patientId, 'patient');
+  return chain.contract.grantConsent(patientId, clinicianId, 'Data Access', options, authorize(transaction, keys, 'grantedAt', grantedAt, consentId));
+}
+
+/**
+ * Grant a consent and mine it
+ */
+function grant(chain, patientId, clinicianId, options = {}) {
+  const { consent } = submitGrant(chain, patientId, clinicianId, options);
+  chain.blockchain.minePendingTransactions();
+  return consent;
+}
+
+describe('ConsentContract', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scopes', () => {
+    it('covers only the categories and dates in its scope', () => {
+      const chain = createContract();
+      grant(chain, 'patient-1', 'clinician-1', {
+        scope: { categories: ['imaging'], dataFrom: '2024-01-01', dataTo: '2024-12-31' }
+      });
+      const covers = access => chain.contract.hasValidConsent('patient-1', 'clinician-1', 'Data Access', access);
+
+      expect(covers({ category: 'imaging', date: '2024-06-01' })).toBe(true);
+      expect(covers({ category: 'lab', date: '2024-06-01' })).toBe(false);
+      expect(covers({ category: 'imaging', date: '2025-01-02' })).toBe(false);
+      expect(covers({ category: 'imaging' })).toBe(false);
+      expect(covers({})).toBe(true);
+      expect(covers({ purpose: 'Research' })).toBe(false);
+    });
+
+    it('finds the consent whose scope and purpose cover an access', () => {
+      const chain = createContract();
+      const records = grant(chain, 'patient-1', 'clinician-1', { scope: { recordIds: ['record-1'] } });
+      const labs = grant(chain, 'patient-1', 'clinician-1', { purpose: 'Research', scope: { categories: ['lab'] } });
+      const find = access => chain.contract.findValidConsent('patient-1', 'clinician-1', 'Data Access', access)?.consentId ?? null;
+
+      expect(find({ recordId: 'record-1', category: 'imaging' })).toBe(records.consentId);
+      expect(find({ recordId: 'record-2', category: 'lab', purpose: 'Research' })).toBe(labs.consentId);
+      expect(find({ category: 'lab', purpose: 'Treatment' })).toBeNull();
+      expect(find({ category: 'imaging' })).toBeNull();
+      expect(() => find({ date: 'soon' })).toThrow('Invalid access date: soon');
+    });
+
+    it('stores scopes de-duplicated, sorted and with timestamps', () => {
+      const chain = createContract();
+
+      const consent = grant(chain, 'patient-1', 'clinician-1', { scope: { recordIds: ['record-2', 'record-1', 'record-2'], dataFrom: '2024-01-01' } });
+      const unscoped = grant(chain, 'patient-1', 'clinician-2', { scope: {} });
+
+      expect(consent.scope).toEqual({
+        recordIds: ['record-1', 'record-2'],
+        categories: null,
+        dataFrom: Date.parse('2024-01-01'),
+        dataTo: null
+      });
+      expect(unscoped.scope).toBeNull();
+    });
+
+    it('rejects invalid scopes', () => {
+      const chain = createContract();
+      const grantScope = scope => submitGrant(chain, 'patient-1', 'clinician-1', { scope });
+
+      expect(() => grantScope('all')).toThrow('Scope must be an object with recordIds, categories, dataFrom and/or dataTo');
+      expect(() => grantScope({ recordIds: [] })).toThrow('Scope recordIds must be a non-empty array of strings');
+      expect(() => grantScope({ categories: ['lab', 'xray'] })).toThrow('Invalid record categories: xray. Must be among: lab,');
+      expect(() => grantScope({ dataFrom: 'yesterday' })).toThrow('Scope dataFrom must be a date or timestamp');
+      expect(() => grantScope({ dataFrom: '2024-02-01', dataTo: '2024-01-01' })).toThrow('Scope dataFrom must not be after dataTo');
+    });
+
+    it('refuses a grant equal to an active or pending one, but not one with another scope or purpose', () => {
+      const chain = createContract();
+      const scope = { recordIds: ['record-1', 'record-2'] };
+      const duplicate = 'Active consent with the same purpose and scope already exists for this patient-clinician-type combination';
+
+      submitGrant(chain, 'patient-1', 'clinician-1', { scope });
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { scope })).toThrow(duplicate);
+
+      chain.blockchain.minePendingTransactions();
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { scope: { recordIds: ['record-2', 'record-1'] } }))
+        .toThrow(duplicate);
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { scope: { recordIds: ['record-1'] } })).not.toThrow();
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { scope, purpose: 'Research' })).not.toThrow();
+    });
+  });
+
+  describe('break-glass access', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('opens emergency access with a justification that expires on its own', () => {
+      const chain = createContract();
+
+      const { consent } = chain.contract.breakGlass('patient-1', 'clinician-1', '  Patient unconscious in the ER ', { durationMs: 60000 });
+      chain.blockchain.minePendingTransactions();
+
+      expect(consent).toMatchObject({
+        consentType: ConsentContract.BREAK_GLASS_TYPE,
+        purpose: 'Emergency',
+        scope: null,
+        justification: 'Patient unconscious in the ER',
+        expiresAt: 1060000,
+        review: null
+      });
+      expect(chain.contract.findActiveBreakGlass('patient-1', 'clinician-1').consentId).toBe(consent.consentId);
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-1', 'Data Access')).toBe(false);
+
+      jest.setSystemTime(1060001);
+      expect(chain.contract.findActiveBreakGlass('patient-1', 'clinician-1')).toBeNull();
+      expect(chain.contract.getBreakGlass(consent.consentId)).toMatchObject({ status: 'expired', active: false });
+    });
+
+    it('rejects a missing justification, out-of-range durations and a second active access', () => {
+      const chain = createContract();
+      const open = (justification, options) => chain.contract.breakGlass('patient-1', 'clinician-1', justification, options);
+      const range = `Break-glass duration must be between 1 ms and ${ConsentContract.BREAK_GLASS_MAX_DURATION_MS} ms`;
+
+      expect(() => open('  ')).toThrow('A justification is required for break-glass access');
+      expect(() => open('Cardiac arrest', { durationMs: 0 })).toThrow(range);
+      expect(() => open('Cardiac arrest', { durationMs: ConsentContract.BREAK_GLASS_MAX_DURATION_MS + 1 })).toThrow(range);
+
+      const { consent } = open('Cardiac arrest');
+      chain.blockchain.minePendingTransactions();
+      expect(() => open('Cardiac arrest')).toThrow(`Break-glass access ${consent.consentId} is already active for this patient-clinician pair`);
+    });
+
+    it('queues accesses for review until a privacy officer has signed one', () => {
+      const chain = createContract();
+      const officer = enroll(chain, 'officer-1', 'privacy-officer');
+      const first = chain.contract.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest').consent;
+      const second = chain.contract.breakGlass('patient-2', 'clinician-1', 'Stroke').consent;
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getBreakGlassAccesses({ status: 'pending' })).toHaveLength(2);
+
+      const { transaction, consent } = review(chain, first.consentId, 'officer-1', 'approved', officer);
+      expect(consent.review).toEqual({ decision: 'approved', reviewedBy: 'officer-1', notes: 'Checked the chart', reviewedAt: 1000000 });
+      expect(() => review(chain, first.consentId, 'officer-1', 'flagged', officer))
+        .toThrow(`Break-glass access was already reviewed (approved, pending transaction ${transaction.id})`);
+
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getBreakGlassAccesses({ status: 'pending' }).map(access => access.consentId)).toEqual([second.consentId]);
+      expect(chain.contract.getBreakGlassAccesses({ status: 'approved' })[0].review.reviewedBy).toBe('officer-1');
+      expect(() => review(chain, first.consentId, 'officer-1', 'flagged', officer)).toThrow('Break-glass access was already reviewed (approved)');
+    });
+
+    it('rejects unsigned and forged reviews, unknown accesses and reviews by the invoking clinician', () => {
+      const chain = createContract();
+      const officer = enroll(chain, 'officer-1', 'privacy-officer');
+      const clinician = enroll(chain, 'clinician-1', 'clinician');
+      const { consent } = chain.contract.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest');
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => review(chain, consent.consentId, 'officer-1', 'ignored', officer)).toThrow('Invalid decision. Must be one of: approved, flagged');
+      expect(() => chain.contract.reviewBreakGlass(consent.consentId, 'officer-1', 'approved'))
+        .toThrow('Review must be signed by the reviewer (transactionId, reviewedAt and signature are required)');
+      expect(() => review(chain, 'consent-9', 'officer-1', 'approved', officer)).toThrow('Break-glass access not found');
+      expect(() => review(chain, consent.consentId, 'clinician-1', 'approved', clinician))
+        .toThrow('Break-glass access cannot be reviewed by the clinician who invoked it');
+      expect(() => review(chain, consent.consentId, 'officer-1', 'approved', clinician)).toThrow('signature does not match');
+    });
+
+    it('refuses reviews by actors other than privacy officers and ignores them on the chain', () => {
+      const chain = createContract();
+      const clinician = enroll(chain, 'clinician-2', 'clinician');
+      const { consent } = chain.contract.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest');
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => review(chain, consent.consentId, 'clinician-2', 'approved', clinician))
+        .toThrow('Invalid transaction: clinician-2 is not a privacy-officer and cannot send break-glass-review');
+
+      // As mined by a node that skips the sender checks
+      chain.blockchain.pendingTransactions.push(signTransaction(
+        chain.contract.buildBreakGlassReviewTransaction(consent.consentId, 'clinician-2', 'approved', '', Date.now()),
+        clinician.privateKey
+      ));
+      chain.blockchain.minePendingTransactions();
+
+      expect(chain.contract.getBreakGlass(consent.consentId).review).toBeNull();
+      expect(chain.contract.getBreakGlassAccesses({ status: 'pending' })).toHaveLength(1);
+    });
+
+    it('can be ended early by the invoking clinician, but not by another one', () => {
+      const chain = createContract();
+      const clinician = enroll(chain, 'clinician-1', 'clinician');
+      const other = enroll(chain, 'clinician-2', 'clinician');
+      const { consent } = chain.contract.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest');
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => revoke(chain, consent.consentId, 'clinician-2', other))
+        .toThrow('clinician-2 is neither patient patient-1 nor an active delegate of theirs and cannot revoke consent');
+      expect(revoke(chain, consent.consentId, 'clinician-1', clinician).consent.status).toBe('revoked');
+
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getBreakGlass(consent.consentId)).toMatchObject({ status: 'revoked', active: false });
+    });
+  });
+
+  describe('delegation', () => {
+    let chain;
+    let patient;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: 1000000 });
+      chain = createContract();
+      patient = enroll(chain, 'patient-1', 'patient');
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('lets an active delegate grant and revoke consent on the patient\'s behalf', () => {
+      const guardian = enroll(chain, 'guardian-1', 'delegate');
+      const { delegation } = designate(chain, 'patient-1', 'guardian-1', 'guardian', {}, patient);
+      chain.blockchain.minePendingTransactions();
+      expect(delegation).toMatchObject({ status: 'active', designatedBy: 'patient-1', designatedVia: null, validFrom: 1000000, validUntil: null });
+
+      const consent = grant(chain, 'patient-1', 'clinician-1', { grantedBy: 'guardian-1' });
+      expect(consent).toMatchObject({ grantedBy: 'guardian-1', grantedVia: delegation.delegationId });
+
+      const { transaction, consent: revoked } = revoke(chain, consent.consentId, 'guardian-1', guardian);
+      expect(revoked).toMatchObject({ status: 'revoked', revokedBy: 'guardian-1', revokedVia: delegation.delegationId });
+      expect(transaction.data.revokedVia).toBe(delegation.delegationId);
+
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-1', 'Data Access')).toBe(false);
+    });
+
+    it('ignores revocations on the chain by signers without authority over the consent', () => {
+      const stranger = enroll(chain, 'clinician-2', 'clinician');
+      const former = enroll(chain, 'proxy-1', 'delegate');
+      const { delegation } = designate(chain, 'patient-1', 'proxy-1', 'proxy', {}, patient);
+      chain.blockchain.minePendingTransactions();
+      revokeDelegation(chain, delegation, 'patient-1', patient);
+      chain.blockchain.minePendingTransactions();
+      const consent = grant(chain, 'patient-1', 'clinician-1');
+      jest.setSystemTime(1000001);
+      const submitRevocation = (from, revokedBy, keys) => chain.blockchain.addTransaction(signTransaction({
+        from,
+        to: chain.contract.contractAddress,
+        data: { action: 'revoke', consentId: consent.consentId, revokedBy, revokedAt: Date.now() }
+      }, keys.privateKey));
+
+      submitRevocation('clinician-2', 'clinician-2', stranger);
+      submitRevocation('clinician-2', 'patient-1', stranger);
+      submitRevocation('proxy-1', 'proxy-1', former);
+      chain.blockchain.minePendingTransactions();
+      submitRevocation('clinician-2', 'clinician-2', stranger);
+
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-1', 'Data Access')).toBe(true);
+      expect(chain.contract.getActiveConsents('patient-1').map(active => active.consentId)).toEqual([consent.consentId]);
+      expect(revoke(chain, consent.consentId, 'patient-1', patient).consent.status).toBe('revoked');
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getActiveConsents('patient-1')).toEqual([]);
+    });
+
+    it('takes grants only signed by their grantor', () => {
+      const clinician = enroll(chain, 'clinician-2', 'clinician');
+      const consentRecord = {
+        consentId: 'forged-1',
+        patientId: 'patient-1',
+        clinicianId: 'clinician-2',
+        consentType: 'Data Access',
+        status: 'granted',
+        grantedAt: Date.now(),
+        expiresAt: null,
+        purpose: 'Treatment',
+        scope: null,
+        grantedBy: 'patient-1',
+        grantedVia: null,
+        metadata: {}
+      };
+
+      expect(() => chain.contract.grantConsent('patient-1', 'clinician-1', 'Data Access'))
+        .toThrow('Grant must be signed by the grantor (transactionId, grantedAt and signature are required)');
+      expect(() => chain.contract.grantConsent('patient-1', 'clinician-1', 'Data Access', {}, {
+        transactionId: crypto.randomUUID(), grantedAt: Date.now(), signature: sign('forged', clinician.privateKey)
+      })).toThrow('signature does not match');
+
+      chain.blockchain.addSystemTransaction({ to: chain.contract.contractAddress, data: { action: 'grant', consentRecord } });
+      chain.blockchain.addTransaction(signTransaction({
+        from: 'clinician-2',
+        to: chain.contract.contractAddress,
+        data: { action: 'grant', consentRecord: { ...consentRecord, consentId: 'forged-2' } }
+      }, clinician.privateKey));
+      chain.blockchain.minePendingTransactions();
+
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(false);
+      expect(chain.contract.getActiveConsents('patient-1')).toEqual([]);
+      expect(grant(chain, 'patient-1', 'clinician-2')).toMatchObject({ grantedBy: 'patient-1', grantedVia: null });
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(true);
+    });
+
+    it('ignores delegations, delegation revocations and grants on the chain without the signer\'s authority', () => {
+      const stranger = enroll(chain, 'stranger-1', 'delegate');
+      const proxy = enroll(chain, 'proxy-1', 'delegate');
+      const { delegation } = designate(chain, 'patient-1', 'proxy-1', 'proxy', {}, patient);
+      chain.blockchain.minePendingTransactions();
+      const submit = (from, data, keys) => chain.blockchain.addTransaction(signTransaction({ from, to: chain.contract.contractAddress, data }, keys.privateKey));
+      const delegationRecord = (delegationId, designatedBy) => ({
+        delegationId,
+        patientId: 'patient-1',
+        delegateId: 'stranger-1',
+        relationship: 'guardian',
+        validFrom: Date.now(),
+        validUntil: null,
+        designatedBy,
+        designatedVia: null,
+        createdAt: Date.now(),
+        metadata: {}
+      });
+      const consentRecord = (consentId, clinicianId, grantedBy, grantedVia) => ({
+        consentId,
+        patientId: 'patient-1',
+        clinicianId,
+        consentType: 'Data Access',
+        status: 'granted',
+        grantedAt: Date.now(),
+        expiresAt: null,
+        purpose: 'Treatment',
+        scope: null,
+        grantedBy,
+        grantedVia,
+        metadata: {}
+      });
+
+      submit('stranger-1', { action: 'delegate', delegationRecord: delegationRecord('forged-1', 'stranger-1') }, stranger);
+      submit('stranger-1', { action: 'delegate', delegationRecord: delegationRecord('forged-2', 'patient-1') }, stranger);
+      submit('proxy-1', { action: 'delegate', delegationRecord: delegationRecord('forged-3', 'proxy-1') }, proxy);
+      submit('stranger-1', {
+        action: 'revoke-delegation', delegationId: delegation.delegationId, patientId: 'patient-1', revokedBy: 'stranger-1', revokedAt: Date.now()
+      }, stranger);
+      submit('stranger-1', { action: 'grant', consentRecord: consentRecord('forged-4', 'clinician-1', 'stranger-1', 'forged-1') }, stranger);
+      submit('patient-1', { action: 'grant', consentRecord: consentRecord('forged-5', 'clinician-2', 'proxy-1', delegation.delegationId) }, patient);
+      chain.blockchain.minePendingTransactions();
+
+      expect(chain.contract.getDelegations('patient-1')).toEqual([expect.objectContaining({ delegationId: delegation.delegationId, status: 'active' })]);
+      expect(chain.contract.getDelegation('forged-1')).toBeNull();
+      expect(chain.contract.findActiveDelegation('patient-1', 'stranger-1')).toBeNull();
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-1', 'Data Access')).toBe(false);
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(false);
+      expect(grant(chain, 'patient-1', 'clinician-2', { grantedBy: 'proxy-1' }).grantedVia).toBe(delegation.delegationId);
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(true);
+    });
+
+    it('refuses grants by actors who are not active delegates', () => {
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { grantedBy: 'stranger' }))
+        .toThrow('stranger is neither patient patient-1 nor an active delegate of theirs and cannot grant consent');
+    });
+
+    it('lets a guardian but not a proxy designate further delegates', () => {
+      const guardian = enroll(chain, 'guardian-1', 'delegate');
+      const proxy = enroll(chain, 'proxy-1', 'delegate');
+      const guardianship = designate(chain, 'patient-1', 'guardian-1', 'guardian', {}, patient).delegation;
+      designate(chain, 'patient-1', 'proxy-1', 'proxy', {}, patient);
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => designate(chain, 'patient-1', 'proxy-2', 'proxy', { designatedBy: 'proxy-1' }, proxy))
+        .toThrow('proxy-1 is neither patient patient-1 nor an active guardian of theirs and cannot designate delegates');
+      expect(designate(chain, 'patient-1', 'proxy-2', 'proxy', { designatedBy: 'guardian-1' }, guardian).delegation)
+        .toMatchObject({ designatedBy: 'guardian-1', designatedVia: guardianship.delegationId });
+    });
+
+    it('counts a delegate only within its validity period', () => {
+      enroll(chain, 'proxy-1', 'delegate');
+      const { delegation } = designate(chain, 'patient-1', 'proxy-1', 'proxy', { validFrom: 1001000, validUntil: 1005000 }, patient);
+      chain.blockchain.minePendingTransactions();
+      const grantByProxy = () => submitGrant(chain, 'patient-1', 'clinician-1', { grantedBy: 'proxy-1' });
+
+      expect(delegation.status).toBe('scheduled');
+      expect(grantByProxy).toThrow('proxy-1 is neither patient patient-1 nor an active delegate of theirs');
+
+      jest.setSystemTime(1001000);
+      expect(chain.contract.getDelegation(delegation.delegationId).status).toBe('active');
+      expect(grantByProxy).not.toThrow();
+
+      jest.setSystemTime(1005001);
+      expect(chain.contract.getDelegation(delegation.delegationId).status).toBe('expired');
+      expect(chain.contract.findActiveDelegation('patient-1', 'proxy-1')).toBeNull();
+    });
+
+    it('rejects invalid and unsigned designations', () => {
+      const { delegation } = designate(chain, 'patient-1', 'proxy-1', 'proxy', {}, patient);
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => designate(chain, 'patient-1', 'patient-1', 'proxy', {}, patient)).toThrow('A patient cannot be their own delegate');
+      expect(() => designate(chain, 'patient-1', 'proxy-2', 'friend', {}, patient)).toThrow('Invalid relationship. Must be one of: guardian, proxy');
+      expect(() => designate(chain, 'patient-1', 'proxy-1', 'guardian', {}, patient))
+        .toThrow(`proxy-1 is already a delegate of this patient (${delegation.delegationId})`);
+      expect(() => designate(chain, 'patient-1', 'proxy-2', 'proxy', { validUntil: 999000 }, patient))
+        .toThrow('validUntil must be in the future and after validFrom');
+      expect(() => chain.contract.designateDelegate('patient-1', 'proxy-2', 'proxy'))
+        .toThrow('Designation must be signed by the designator (transactionId, createdAt and signature are required)');
+      expect(() => designate(chain, 'patient-1', 'proxy-2', 'proxy', {}, generateKeyPair())).toThrow('signature does not match');
+    });
+
+    it('lets only the patient or the delegate revoke a delegation', () => {
+      const proxy = enroll(chain, 'proxy-1', 'delegate');
+      const stranger = enroll(chain, 'proxy-2', 'delegate');
+      const { delegation } = designate(chain, 'patient-1', 'proxy-1', 'proxy', {}, patient);
+      chain.blockchain.minePendingTransactions();
+
+      expect(() => revokeDelegation(chain, delegation, 'proxy-2', stranger)).toThrow('Only the patient or the delegate can revoke a delegation');
+      expect(revokeDelegation(chain, delegation, 'proxy-1', proxy).delegation).toMatchObject({ status: 'revoked', revokedBy: 'proxy-1' });
+
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getDelegations('patient-1')[0]).toMatchObject({ status: 'revoked', revokedAt: 1000000 });
+      expect(() => revokeDelegation(chain, delegation, 'patient-1', patient)).toThrow('Delegation is already revoked');
+      expect(() => submitGrant(chain, 'patient-1', 'clinician-1', { grantedBy: 'proxy-1' }))
+        .toThrow('cannot grant consent');
+    });
+  });
+
+  describe('expiry', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('lists consents expiring within a window and those past expiry, soonest first', () => {
+      const chain = createContract();
+      const later = grant(chain, 'patient-1', 'clinician-1', { expiresAt: 1030000 });
+      const sooner = grant(chain, 'patient-1', 'clinician-2', { expiresAt: 1010000 });
+      grant(chain, 'patient-1', 'clinician-3');
+
+      expect(chain.contract.getExpiringConsents(60000).map(consent => consent.consentId)).toEqual([sooner.consentId, later.consentId]);
+      expect(chain.contract.getExpiringConsents(20000)).toHaveLength(1);
+      expect(chain.contract.getExpiredConsents()).toEqual([]);
+
+      jest.setSystemTime(1020000);
+      expect(chain.contract.getExpiredConsents().map(consent => consent.consentId)).toEqual([sooner.consentId]);
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(false);
+    });
+
+    it('records an expiry only once a consent is past expiresAt, and only once', () => {
+      const chain = createContract();
+      const consent = grant(chain, 'patient-1', 'clinician-1', { expiresAt: 1010000 });
+      const unlimited = grant(chain, 'patient-1', 'clinician-2');
+
+      expect(() => chain.contract.expireConsent(consent.consentId)).toThrow('Consent has not expired yet');
+      expect(() => chain.contract.expireConsent(unlimited.consentId)).toThrow('Consent has not expired yet');
+      expect(() => chain.contract.expireConsent('consent-9')).toThrow('Consent record not found');
+
+      jest.setSystemTime(1010001);
+      const { transaction, consent: expired } = chain.contract.expireConsent(consent.consentId);
+      chain.blockchain.minePendingTransactions();
+
+      expect(transaction.data).toEqual({ action: 'expire', consentId: consent.consentId, expiredAt: 1010000 });
+      expect(expired).toMatchObject({ status: 'expired', expiredAt: 1010000 });
+      expect(chain.contract.getExpiredConsents()).toEqual([]);
+      expect(() => chain.contract.expireConsent(consent.consentId)).toThrow('Consent is already revoked or expired');
+    });
+
+    it('ignores expiries on the chain not sent by the node or dated before expiresAt', () => {
+      const chain = createContract();
+      const consent = grant(chain, 'patient-1', 'clinician-1', { expiresAt: 1010000 });
+      const unlimited = grant(chain, 'patient-1', 'clinician-2');
+      const expiry = (consentId, expiredAt) => ({ to: chain.contract.contractAddress, data: { action: 'expire', consentId, expiredAt } });
+
+      chain.blockchain.addSystemTransaction(expiry(consent.consentId, 1010000));
+      chain.blockchain.addSystemTransaction(expiry(unlimited.consentId, 1000000));
+      chain.blockchain.minePendingTransactions();
+      jest.setSystemTime(1010001);
+      chain.blockchain.addTransaction(signTransaction({ from: 'patient-1', ...expiry(consent.consentId, 1010000) }, chain.keys['patient-1'].privateKey));
+      chain.blockchain.minePendingTransactions();
+
+      expect(chain.contract.getExpiredConsents().map(expired => expired.consentId)).toEqual([consent.consentId]);
+      expect(chain.contract.hasValidConsent('patient-1', 'clinician-2', 'Data Access')).toBe(true);
+
+      chain.contract.expireConsent(consent.consentId);
+      chain.blockchain.minePendingTransactions();
+      expect(chain.contract.getExpiredConsents()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Consent Expiry Sweeper - Writes explicit expiry records for expired consents
+ *
+ * A consent stops counting once its expiresAt passes, but nothing on-chain
+ * says so. Every intervalMs the sweeper:
+ * - appends an 'expire' consent transaction (see ConsentContract.expireConsent)
+ *   and a consent-change audit entry with action 'expired' for each consent
+ *   (grants and break-glass accesses) past expiresAt without one
+ * - announces consents expiring within noticeMs, once per consent
+ *
+ * Both are emitted as events ('expired', 'expiring') and, with a webhook URL,
+ * POSTed as JSON for delivery to the patient and clinician:
+ * - Notice: {
+ *     type: 'consent.expiring' | 'consent.expired'
+ *     consentId, patientId, clinicianId, consentType, expiresAt
+ *     recipients: Array<string> (patient, clinician and a granting delegate)
+ *     transactionId: string|null (expiry transaction, for 'consent.expired')
+ *   }
+ * Announcements are remembered in memory, so a restarted node announces
+ * consents still inside the window again; failed webhook deliveries are
+ * retried on the next sweep. So are audit entries that could not be written
+ * after their expiry was: the consent no longer shows up as expired, so they
+ * are tracked separately (in memory as well).
+ *
+ * On a network every node can sweep; an expiry already in the local chain or
+ * mempool is not written again, and duplicates that still slip through
+ * (written by two nodes at once) are ignored by the consent state.
+ */
+
+const EventEmitter = require('events');
+const ConsentContract = require('./ConsentContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+
+class ConsentExpirySweeper extends EventEmitter {
+  /**
+   * @param {Blockchain} blockchain - Custom blockchain holding the consents
+   * @param {Object} options - Sweeper options
+   * @param {number} options.intervalMs - Interval between sweeps; 0 disables scheduled sweeps (default 60000)
+   * @param {number} options.noticeMs - How long before expiry to announce a consent; 0 disables notices (default 24 hours)
+   * @param {string} options.webhookUrl - URL notices are POSTed to (optional)
+   * @param {number} options.requestTimeoutMs - Webhook request timeout (default 5000)
+   */
+  constructor(blockchain, options = {}) {
+    super();
+    this.blockchain = blockchain;
+    this.contract = new ConsentContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.intervalMs = options.intervalMs ?? 60000;
+    this.noticeMs = options.noticeMs ?? 24 * 60 * 60 * 1000;
+    this.webhookUrl = options.webhookUrl || null;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? 5000;
+
+    if (!Number.isInteger(this.intervalMs) || this.intervalMs < 0) {
+      throw new Error('intervalMs must be a non-negative integer');
+    }
+    if (!Number.isInteger(this.noticeMs) || this.noticeMs < 0) {
+      throw new Error('noticeMs must be a non-negative integer');
+    }
+
+    this.timer = null;
+    this.sweeping = null;
+    this.announced = new Set(); // consentIds announced as expiring
+    this.unaudited = new Map(); // consentId -> {consent, transactionId}: expiry written, audit entry not yet
+    this.stats = { sweeps: 0, expired: 0, notices: 0, lastSweepAt: null, lastError: null };
+  }
+
+  /**
+   * Start scheduled sweeps (no-op when intervalMs is 0)
+   */
+  start() {
+    if (this.timer || this.intervalMs === 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => {
+        console.warn(`⚠️  Consent expiry sweep failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled sweeps
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a sweep now; a sweep already running is joined rather than repeated
+   *
+   * @returns {Promise<Object>} {expired: Array<{consentId, transactionId, auditTransactionId}>,
+   *   audited: Array<{consentId, transactionId, auditTransactionId}> (retried audit entries),
+   *   announced: Array<consentId>, errors: Array<{consentId, error}>}
+   *   auditTransactionId is null for an expiry whose audit entry failed; it is retried next sweep
+   */
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this._sweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  /**
+   * Get the sweeper's settings and counters
+   *
+   * @returns {Object} {intervalMs, noticeMs, webhook, sweeps, expired, notices, unaudited, lastSweepAt, lastError}
+   */
+  getStatus() {
+    return {
+      intervalMs: this.intervalMs,
+      noticeMs: this.noticeMs,
+      webhook: !!this.webhookUrl,
+      unaudited: this.unaudited.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Internal method to expire and announce consents
+   *
+   * @private
+   */
+  async _sweep() {
+    const now = Date.now();
+    const result = { expired: [], audited: [], announced: [], errors: [] };
+    // Audit entries that failed after their expiry was written
+    for (const [consentId, { transactionId }] of this.unaudited) {
+      const auditTransactionId = await this._auditExpiry(consentId, result);
+      if (auditTransactionId) {
+        result.audited.push({ consentId, transactionId, auditTransactionId });
+      }
+    }
+
+    const pendingExpiries = new Set(this.blockchain.getPendingTransactions()
+      .filter(tx => tx.to === this.contract.contractAddress && tx.data?.action === 'expire')
+      .map(tx => tx.data.consentId));
+
+    for (const consent of this.contract.getExpiredConsents(now)) {
+      if (pendingExpiries.has(consent.consentId)) {
+        continue;
+      }
+
+      let transaction;
+      try {
+        ({ transaction } = this.contract.expireConsent(consent.consentId));
+      } catch (error) {
+        this.stats.lastError = `${consent.consentId}: ${error.message}`;
+        result.errors.push({ consentId: consent.consentId, error: error.message });
+        continue;
+      }
+
+      this.announced.delete(consent.consentId);
+      this.stats.expired++;
+      this.unaudited.set(consent.consentId, { consent, transactionId: transaction.id });
+      result.expired.push({
+        consentId: consent.consentId,
+        transactionId: transaction.id,
+        auditTransactionId: await this._auditExpiry(consent.consentId, result)
+      });
+
+      await this._notify('consent.expired', consent, transaction.id);
+    }
+
+    if (this.noticeMs > 0) {
+      for (const consent of this.contract.getExpiringConsents(this.noticeMs, now)) {
+        if (this.announced.has(consent.consentId)) {
+          continue;
+        }
+
+        try {
+          await this._notify('consent.expiring', consent, null);
+          this.announced.add(consent.consentId);
+          this.stats.notices++;
+          result.announced.push(consent.consentId);
+        } catch (error) {
+          this.stats.lastError = `${consent.consentId}: ${error.message}`;
+          result.errors.push({ consentId: consent.consentId, error: error.message });
+        }
+      }
+    }
+
+    this.stats.sweeps++;
+    this.stats.lastSweepAt = now;
+    return result;
+  }
+
+  /**
+   * Internal method to write the audit entry of an expiry tracked in unaudited
+   *
+   * The expiry stays tracked if the write fails, and the error goes to result.errors.
+   *
+   * @returns {Promise<string|null>} Audit transaction ID, or null if it failed
+   * @private
+   */
+  async _auditExpiry(consentId, result) {
+    const { consent, transactionId } = this.unaudited.get(consentId);
+
+    try {
+      const audit = await this.auditLogger.logConsentChange({
+        consentId,
+        action: 'expired',
+        actorId: 'system',
+        patientId: consent.patientId,
+        clinicianId: consent.clinicianId,
+        consentType: consent.consentType,
+        metadata: { expiresAt: consent.expiresAt, expiryTransactionId: transactionId }
+      });
+
+      this.unaudited.delete(consentId);
+      return audit.transaction.id;
+    } catch (error) {
+      this.stats.lastError = `${consentId}: could not write expiry audit entry: ${error.message}`;
+      result.errors.push({ consentId, error: `Could not write expiry audit entry: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Internal method to emit a notice and deliver it to the webhook
+   *
+   * Expiry notices are not retried: the expiry itself is already on-chain.
+   *
+   * @private
+   */
+  async _notify(type, consent, transactionId) {
+    const notice = {
+      type,
+      consentId: consent.consentId,
+      patientId: consent.patientId,
+      clinicianId: consent.clinicianId,
+      consentType: consent.consentType,
+      expiresAt: consent.expiresAt,
+      recipients: [...new Set([consent.patientId, consent.clinicianId, consent.grantedBy].filter(Boolean))],
+      transactionId
+    };
+
+    this.emit(type === 'consent.expired' ? 'expired' : 'expiring', notice);
+
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notice),
+        signal: AbortSignal.timeout(this.requestTimeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`webhook answered ${response.status}`);
+      }
+    } catch (error) {
+      if (type === 'consent.expiring') {
+        throw new Error(`Could not deliver notice: ${error.message}`);
+      }
+      this.stats.lastError = `${consent.consentId}: could not deliver expiry notice: ${error.message}`;
+    }
+  }
+}
+
+module.exports = ConsentExpirySweeper;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const express = require('express');
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ConsentContract = require('./ConsentContract.js');
+const ConsentExpirySweeper = require('./ConsentExpirySweeper.js');
+const { generateKeyPair, getSigningPayload, sign, signTransaction, stampTransaction } = require('../../utils/signing.js');
+
+let server = null;
+
+/**
+ * Open a chain whose node key and patient-1's key are mined, with a consent contract on it
+ */
+function createChain() {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+
+  const patient = generateKeyPair();
+  const enrollment = {
+    nodeId: nodeManager.getNodeId(),
+    signature: nodeManager.sign(keyRegistry.getEnrollmentPayload('patient-1', 'patient', patient.publicKey))
+  };
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction('patient-1', 'patient', patient.publicKey, enrollment),
+    patient.privateKey
+  ));
+  blockchain.minePendingTransactions();
+
+  return { blockchain, patient, contract: new ConsentContract(blockchain) };
+}
+
+/**
+ * Grant a consent signed by patient-1 and mine it
+ */
+function grant({ blockchain, patient, contract }, clinicianId, expiresAt) {
+  const consentId = crypto.randomUUID();
+  const grantedAt = Date.now();
+  const transaction = stampTransaction(
+    contract.buildGrantTransaction('patient-1', clinicianId, 'Data Access', { expiresAt }, consentId, grantedAt),
+    consentId,
+    grantedAt
+  );
+  const { consent } = contract.grantConsent('patient-1', clinicianId, 'Data Access', { expiresAt }, {
+    transactionId: consentId,
+    grantedAt,
+    signature: sign(getSigningPayload(transaction), patient.privateKey)
+  });
+  blockchain.minePendingTransactions();
+  return consent;
+}
+
+function findPending(blockchain, transactionId) {
+  return blockchain.getPendingTransactions().find(tx => tx.id === transactionId);
+}
+
+/**
+ * Serve a webhook on a free local port that records the notices it receives
+ *
+ * It answers with webhook.status, which a test may change between requests.
+ */
+async function startWebhook() {
+  const webhook = { notices: [], status: 200 };
+  const app = express();
+  app.post('/notices', express.json(), (req, res) => {
+    webhook.notices.push(req.body);
+    res.status(webhook.status).end();
+  });
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  webhook.url = `http://127.0.0.1:${server.address().port}/notices`;
+
+  return webhook;
+}
+
+describe('ConsentExpirySweeper', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it('requires non-negative whole intervals', () => {
+    const { blockchain } = createChain();
+
+    expect(() => new ConsentExpirySweeper(blockchain, { intervalMs: -1 })).toThrow('intervalMs must be a non-negative integer');
+    expect(() => new ConsentExpirySweeper(blockchain, { noticeMs: 1.5 })).toThrow('noticeMs must be a non-negative integer');
+  });
+
+  it('writes an expiry record and an audit entry for each expired consent, once', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const chain = createChain();
+    const consent = grant(chain, 'clinician-1', 1010000);
+    grant(chain, 'clinician-2', null);
+    const sweeper = new ConsentExpirySweeper(chain.blockchain, { intervalMs: 0, noticeMs: 0 });
+    const notices = [];
+    sweeper.on('expired', notice => notices.push(notice));
+
+    jest.setSystemTime(1010001);
+    const { expired, errors } = await sweeper.sweep();
+
+    expect(errors).toEqual([]);
+    expect(expired).toEqual([{ consentId: consent.consentId, transactionId: expect.any(String), auditTransactionId: expect.any(String) }]);
+    expect(findPending(chain.blockchain, expired[0].transactionId).data).toEqual({ action: 'expire', consentId: consent.consentId, expiredAt: 1010000 });
+    expect(findPending(chain.blockchain, expired[0].auditTransactionId).data.auditEntry).toMatchObject({
+      type: 'consent-change',
+      action: 'expired',
+      actorId: 'system',
+      resourceId: consent.consentId,
+      patientId: 'patient-1',
+      metadata: { clinicianId: 'clinician-1', expiryTransactionId: expired[0].transactionId }
+    });
+    expect(notices).toEqual([expect.objectContaining({
+      type: 'consent.expired',
+      consentId: consent.consentId,
+      recipients: ['patient-1', 'clinician-1'],
+      transactionId: expired[0].transactionId
+    })]);
+
+    expect((await sweeper.sweep()).expired).toEqual([]);
+    chain.blockchain.minePendingTransactions();
+    expect((await sweeper.sweep()).expired).toEqual([]);
+    expect(sweeper.getStatus()).toMatchObject({ sweeps: 3, expired: 1, lastSweepAt: 1010001, lastError: null });
+  });
+
+  it('retries an audit entry that could not be written after the expiry was', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const chain = createChain();
+    const consent = grant(chain, 'clinician-1', 1010000);
+    const sweeper = new ConsentExpirySweeper(chain.blockchain, { intervalMs: 0, noticeMs: 0 });
+    jest.spyOn(sweeper.auditLogger, 'logConsentChange').mockRejectedValueOnce(new Error('storage unavailable'));
+
+    jest.setSystemTime(1010001);
+    const failed = await sweeper.sweep();
+
+    expect(failed.expired).toEqual([{ consentId: consent.consentId, transactionId: expect.any(String), auditTransactionId: null }]);
+    expect(failed.errors).toEqual([{ consentId: consent.consentId, error: 'Could not write expiry audit entry: storage unavailable' }]);
+    expect(sweeper.getStatus()).toMatchObject({ expired: 1, unaudited: 1 });
+
+    chain.blockchain.minePendingTransactions();
+    const retried = await sweeper.sweep();
+
+    expect(retried.expired).toEqual([]);
+    expect(retried.audited).toEqual([{
+      consentId: consent.consentId,
+      transactionId: failed.expired[0].transactionId,
+      auditTransactionId: expect.any(String)
+    }]);
+    expect(findPending(chain.blockchain, retried.audited[0].auditTransactionId).data.auditEntry).toMatchObject({
+      action: 'expired',
+      resourceId: consent.consentId,
+      metadata: { expiryTransactionId: failed.expired[0].transactionId }
+    });
+    expect((await sweeper.sweep()).audited).toEqual([]);
+    expect(sweeper.getStatus()).toMatchObject({ expired: 1, unaudited: 0 });
+  });
+
+  it('announces consents expiring within the notice window once', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const chain = createChain();
+    const consent = grant(chain, 'clinician-1', 1005000);
+    grant(chain, 'clinician-2', 1020000);
+    const sweeper = new ConsentExpirySweeper(chain.blockchain, { intervalMs: 0, noticeMs: 10000 });
+    const notices = [];
+    sweeper.on('expiring', notice => notices.push(notice));
+
+    expect((await sweeper.sweep()).announced).toEqual([consent.consentId]);
+    expect((await sweeper.sweep()).announced).toEqual([]);
+    expect(notices).toEqual([expect.objectContaining({ type: 'consent.expiring', expiresAt: 1005000, transactionId: null })]);
+    expect(sweeper.getStatus().notices).toBe(1);
+  });
+
+  it('sweeps on its interval once started', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const chain = createChain();
+    grant(chain, 'clinician-1', 1010000);
+    const sweeper = new ConsentExpirySweeper(chain.blockchain, { intervalMs: 60000 });
+
+    sweeper.start();
+    await jest.advanceTimersByTimeAsync(60000);
+    sweeper.stop();
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(sweeper.getStatus()).toMatchObject({ sweeps: 1, expired: 1 });
+  });
+
+  it('posts notices to the webhook and retries expiring notices it could not deliver', async () => {
+    const chain = createChain();
+    const consent = grant(chain, 'clinician-1', Date.now() + 60000);
+    const webhook = await startWebhook();
+    webhook.status = 500;
+    const sweeper = new ConsentExpirySweeper(chain.blockchain, { intervalMs: 0, webhookUrl: webhook.url });
+
+    const failed = await sweeper.sweep();
+
+    expect(failed.errors).toEqual([{ consentId: consent.consentId, error: 'Could not deliver notice: webhook answered 500' }]);
+    expect(failed.announced).toEqual([]);
+
+    webhook.status = 200;
+    expect((await sweeper.sweep()).announced).toEqual([consent.consentId]);
+    expect(webhook.notices).toHaveLength(2);
+    expect(webhook.notices[1]).toMatchObject({ type: 'consent.expiring', consentId: consent.consentId, recipients: ['patient-1', 'clinician-1'] });
+  });
+});
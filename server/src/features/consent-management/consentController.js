@@ -9,10 +9,20 @@
  * - GET /api/consent/check/:patientId/:clinicianId/:type - Check consent
  * - GET /api/consent/history/:patientId - Get consent history
  * - GET /api/consent/active/:patientId - Get active consents
+ * - POST /api/consent/break-glass - Invoke emergency access
+ * - GET /api/consent/break-glass/pending - Break-glass accesses awaiting review
+ * - POST /api/consent/break-glass/:consentId/review - Approve or flag a break-glass access
+ * - POST /api/consent/delegations - Designate a guardian or proxy
+ * - GET /api/consent/delegations/:patientId - Get a patient's delegations
+ * - POST /api/consent/delegations/:delegationId/revoke - Revoke a delegation
+ * - GET /api/consent/expiring - Consents expiring soon
+ * - POST /api/consent/expiry/sweep - Record expired consents now
  */
 
 const express = require('express');
 const ConsentService = require('./consentService.js');
+const { waitOptions, sendWithReceipt } = require('../../utils/receiptWait.js');
+const blockchainConfig = require('../../config/blockchain.js');
 
 const router = express.Router();
 
@@ -24,7 +34,9 @@ router.use((req, res, next) => {
   if (!consentService) {
     consentService = new ConsentService(
       req.app.locals.blockchain,
-      req.app.locals.data
+      req.app.locals.data,
+      req.app.locals.consentExpirySweeper,
+      { privacyOfficers: blockchainConfig.PRIVACY_OFFICERS }
     );
   }
   next();
@@ -32,23 +44,36 @@ router.use((req, res, next) => {
 
 /**
  * POST /api/consent/grant
- * Grant consent
+ * Grant consent (signed by the grantor: the patient or an active delegate of theirs)
+ * 
+ * Without a signature, responds 400 with the transaction and payload to sign for the
+ * given grantedAt; its id (the consent ID) is sent back as transactionId.
  */
-router.post('/grant', async (req, res, next) => {
+router.post('/grant', waitOptions, async (req, res, next) => {
   try {
-    const { patientId, clinicianId, consentType, expiresAt, purpose, metadata } = req.body;
+    const { patientId, clinicianId, consentType, expiresAt, purpose, scope, grantedBy, metadata, signature, transactionId } = req.body;
+    const grantedAt = req.body.grantedAt ? Number(req.body.grantedAt) : undefined;
 
     if (!patientId || !clinicianId || !consentType) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['patientId', 'clinicianId', 'consentType']
+        required: ['patientId', 'clinicianId', 'consentType', 'transactionId', 'grantedAt', 'signature']
+      });
+    }
+
+    const options = { expiresAt, purpose, scope, grantedBy, metadata };
+
+    if (!signature || !transactionId || !grantedAt) {
+      return res.status(400).json({
+        error: 'Grant must be signed by the grantor',
+        required: ['transactionId', 'grantedAt', 'signature'],
+        ...(grantedAt && consentService.getGrantSigningPayload(patientId, clinicianId, consentType, options, grantedAt, transactionId))
       });
     }
 
-    const options = { expiresAt, purpose, metadata };
-    const result = await consentService.grantConsent(patientId, clinicianId, consentType, options);
+    const result = await consentService.grantConsent(patientId, clinicianId, consentType, options, { transactionId, grantedAt, signature });
 
-    res.status(201).json(result);
+    await sendWithReceipt(req, res, 201, result);
   } catch (error) {
     next(error);
   }
@@ -56,20 +81,201 @@ router.post('/grant', async (req, res, next) => {
 
 /**
  * POST /api/consent/revoke
- * Revoke consent
+ * Revoke consent (must be signed by the revoker)
+ * 
+ * Without a signature, responds 400 with the transaction and payload to sign for the
+ * given revokedAt; its id is sent back as transactionId.
  */
-router.post('/revoke', async (req, res, next) => {
+router.post('/revoke', waitOptions, async (req, res, next) => {
   try {
-    const { consentId, revokedBy } = req.body;
+    const { consentId, revokedBy, signature, transactionId } = req.body;
+    const revokedAt = req.body.revokedAt ? Number(req.body.revokedAt) : undefined;
 
     if (!consentId || !revokedBy) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['consentId', 'revokedBy']
+        required: ['consentId', 'revokedBy', 'transactionId', 'revokedAt', 'signature']
+      });
+    }
+
+    if (!signature || !transactionId || !revokedAt) {
+      return res.status(400).json({
+        error: 'Revocation must be signed by the revoker',
+        required: ['transactionId', 'revokedAt', 'signature'],
+        ...(revokedAt && consentService.getRevocationSigningPayload(consentId, revokedBy, revokedAt, transactionId))
+      });
+    }
+
+    const result = await consentService.revokeConsent(consentId, revokedBy, { transactionId, revokedAt, signature });
+
+    await sendWithReceipt(req, res, 200, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/break-glass
+ * Invoke break-glass emergency access to a patient's records without consent
+ * (expires after durationMinutes, default 60, and is queued for review)
+ */
+router.post('/break-glass', waitOptions, async (req, res, next) => {
+  try {
+    const { patientId, clinicianId, justification, durationMinutes, metadata } = req.body;
+
+    if (!patientId || !clinicianId || !justification) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['patientId', 'clinicianId', 'justification']
+      });
+    }
+
+    if (durationMinutes !== undefined && !(typeof durationMinutes === 'number' && durationMinutes > 0)) {
+      return res.status(400).json({
+        error: 'durationMinutes must be a positive number'
+      });
+    }
+
+    const options = {
+      durationMs: durationMinutes === undefined ? undefined : Math.round(durationMinutes * 60 * 1000),
+      metadata
+    };
+    const result = await consentService.breakGlass(patientId, clinicianId, justification, options);
+
+    await sendWithReceipt(req, res, 201, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/break-glass/pending
+ * Break-glass accesses not reviewed yet, oldest first (query: patientId, optional)
+ */
+router.get('/break-glass/pending', async (req, res, next) => {
+  try {
+    const result = await consentService.getBreakGlassAccesses({
+      status: 'pending',
+      patientId: req.query.patientId
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/break-glass/:consentId/review
+ * Approve or flag a break-glass access (signed by a privacy officer other than the invoking clinician):
+ * { reviewedBy, decision: 'approved' | 'flagged', notes, transactionId, reviewedAt, signature }
+ * 
+ * Without a signature, responds 400 with the transaction and payload to sign for the
+ * given reviewedAt; its id is sent back as transactionId.
+ */
+router.post('/break-glass/:consentId/review', waitOptions, async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { reviewedBy, decision, notes, signature, transactionId } = req.body;
+    const reviewedAt = req.body.reviewedAt ? Number(req.body.reviewedAt) : undefined;
+
+    if (!reviewedBy || !decision) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['reviewedBy', 'decision', 'transactionId', 'reviewedAt', 'signature']
+      });
+    }
+
+    if (!consentService.isPrivacyOfficer(reviewedBy)) {
+      return res.status(403).json({
+        error: 'Break-glass accesses are reviewed by privacy officers only (PRIVACY_OFFICERS)',
+        reviewedBy
+      });
+    }
+
+    const { access } = await consentService.getBreakGlass(consentId);
+    if (!access) {
+      return res.status(404).json({
+        error: 'Break-glass access not found',
+        consentId
+      });
+    }
+
+    if (access.review) {
+      return res.status(409).json({
+        error: 'Break-glass access was already reviewed',
+        review: access.review
+      });
+    }
+
+    if (reviewedBy === access.clinicianId) {
+      return res.status(403).json({
+        error: 'Break-glass access cannot be reviewed by the clinician who invoked it',
+        reviewedBy
+      });
+    }
+
+    if (!signature || !transactionId || !reviewedAt) {
+      return res.status(400).json({
+        error: 'Review must be signed by the reviewer',
+        required: ['transactionId', 'reviewedAt', 'signature'],
+        ...(reviewedAt && consentService.getBreakGlassReviewSigningPayload(consentId, reviewedBy, decision, notes, reviewedAt, transactionId))
+      });
+    }
+
+    const result = await consentService.reviewBreakGlass(consentId, reviewedBy, decision, notes, { transactionId, reviewedAt, signature });
+
+    await sendWithReceipt(req, res, 200, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/delegations
+ * Designate a guardian or healthcare proxy who may grant and revoke consent for the patient
+ * (signed by the designator: the patient or an active guardian of theirs)
+ * 
+ * Without a signature, responds 400 with the transaction and payload to sign for the
+ * given createdAt; its id (the delegation ID) is sent back as transactionId.
+ */
+router.post('/delegations', waitOptions, async (req, res, next) => {
+  try {
+    const { patientId, delegateId, relationship, validFrom, validUntil, designatedBy, metadata, signature, transactionId } = req.body;
+    const createdAt = req.body.createdAt ? Number(req.body.createdAt) : undefined;
+
+    if (!patientId || !delegateId || !relationship) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['patientId', 'delegateId', 'relationship', 'transactionId', 'createdAt', 'signature']
+      });
+    }
+
+    const options = { validFrom, validUntil, designatedBy, metadata };
+
+    if (!signature || !transactionId || !createdAt) {
+      return res.status(400).json({
+        error: 'Designation must be signed by the designator',
+        required: ['transactionId', 'createdAt', 'signature'],
+        ...(createdAt && consentService.getDelegationSigningPayload(patientId, delegateId, relationship, options, createdAt, transactionId))
       });
     }
 
-    const result = await consentService.revokeConsent(consentId, revokedBy);
+    const result = await consentService.designateDelegate(patientId, delegateId, relationship, options, { transactionId, createdAt, signature });
+
+    await sendWithReceipt(req, res, 201, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/delegations/:patientId
+ * Get a patient's delegations with their status (scheduled, active, expired or revoked)
+ */
+router.get('/delegations/:patientId', async (req, res, next) => {
+  try {
+    const result = await consentService.getDelegations(req.params.patientId);
 
     res.status(200).json(result);
   } catch (error) {
@@ -77,15 +283,121 @@ router.post('/revoke', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/consent/delegations/:delegationId/revoke
+ * Revoke a delegation (signed by the patient or the delegate)
+ * 
+ * Without a signature, responds 400 with the transaction and payload to sign for the
+ * given revokedAt; its id is sent back as transactionId.
+ */
+router.post('/delegations/:delegationId/revoke', waitOptions, async (req, res, next) => {
+  try {
+    const { delegationId } = req.params;
+    const { revokedBy, signature, transactionId } = req.body;
+    const revokedAt = req.body.revokedAt ? Number(req.body.revokedAt) : undefined;
+
+    if (!revokedBy) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['revokedBy', 'transactionId', 'revokedAt', 'signature']
+      });
+    }
+
+    const { delegation } = await consentService.getDelegation(delegationId);
+    if (!delegation) {
+      return res.status(404).json({
+        error: 'Delegation not found',
+        delegationId
+      });
+    }
+
+    if (!signature || !transactionId || !revokedAt) {
+      return res.status(400).json({
+        error: 'Revocation must be signed by the revoker',
+        required: ['transactionId', 'revokedAt', 'signature'],
+        ...(revokedAt && consentService.getDelegationRevocationSigningPayload(delegation, revokedBy, revokedAt, transactionId))
+      });
+    }
+
+    const result = await consentService.revokeDelegation(delegationId, revokedBy, { transactionId, revokedAt, signature });
+
+    await sendWithReceipt(req, res, 200, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/consent/check/:patientId/:clinicianId/:type
  * Check if consent exists and is valid
+ * (query, optional: recordId, or category and date; purpose - checked against consent scopes)
  */
 router.get('/check/:patientId/:clinicianId/:type', async (req, res, next) => {
   try {
     const { patientId, clinicianId, type } = req.params;
+    const { recordId, category, date, purpose } = req.query;
+
+    if (recordId) {
+      const record = consentService.findRecord(recordId);
+      if (!record || record.patientId !== patientId) {
+        return res.status(404).json({
+          error: 'Medical record not found for this patient',
+          recordId
+        });
+      }
+    }
+
+    const accessDate = /^\d+$/.test(date) ? Number(date) : date;
+    if (accessDate !== undefined && Number.isNaN(new Date(accessDate).getTime())) {
+      return res.status(400).json({
+        error: 'date must be an ISO date or a timestamp (ms)'
+      });
+    }
+
+    const access = { recordId, category, date: accessDate, purpose };
+    const result = await consentService.checkConsent(patientId, clinicianId, type, access);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/consent/expiring
+ * Consents and break-glass accesses expiring soon, soonest first
+ * (query: withinHours, optional - default the sweeper's notice window)
+ */
+router.get('/expiring', async (req, res, next) => {
+  try {
+    const { withinHours } = req.query;
+    let withinMs;
+
+    if (withinHours !== undefined) {
+      const hours = Number(withinHours);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        return res.status(400).json({
+          error: 'withinHours must be a positive number'
+        });
+      }
+      withinMs = Math.round(hours * 60 * 60 * 1000);
+    }
+
+    const result = await consentService.getExpiringConsents(withinMs);
 
-    const result = await consentService.checkConsent(patientId, clinicianId, type);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/consent/expiry/sweep
+ * Record expired consents (and send expiry notices) now instead of at the next scheduled sweep
+ */
+router.post('/expiry/sweep', async (req, res, next) => {
+  try {
+    const result = await consentService.sweepExpiredConsents();
 
     res.status(200).json(result);
   } catch (error) {
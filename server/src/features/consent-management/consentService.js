@@ -5,18 +5,31 @@
  * for consent management operations.
  */
 
+const crypto = require('crypto');
 const ConsentContract = require('./ConsentContract.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+const ConsentExpirySweeper = require('./ConsentExpirySweeper.js');
+const { getSigningPayload, stampTransaction } = require('../../utils/signing.js');
 
 class ConsentService {
-  constructor(blockchain, data) {
+  /**
+   * @param {ConsentExpirySweeper} expirySweeper - The node's expiry sweeper (optional; an unscheduled one otherwise)
+   * @param {Object} options - {privacyOfficers: actor IDs allowed to review break-glass accesses}
+   */
+  constructor(blockchain, data, expirySweeper = null, options = {}) {
     this.contract = new ConsentContract(blockchain);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.expirySweeper = expirySweeper || new ConsentExpirySweeper(blockchain, { intervalMs: 0 });
     this.data = data; // Access to mock data (patients, clinicians, etc.)
+    this.privacyOfficers = options.privacyOfficers || [];
   }
 
   /**
    * Grant consent with validation
+   * 
+   * @param {Object} authorization - {transactionId, grantedAt, signature} signed by the grantor
    */
-  async grantConsent(patientId, clinicianId, consentType, options = {}) {
+  async grantConsent(patientId, clinicianId, consentType, options = {}, authorization = {}) {
     try {
       // Validate patient exists
       const patient = this.data.patients?.find(p => p.id === patientId);
@@ -30,8 +43,16 @@ class ConsentService {
         throw new Error(`Clinician with ID ${clinicianId} not found`);
       }
 
+      // Validate scoped records exist and belong to the patient
+      for (const recordId of options.scope?.recordIds || []) {
+        const record = this.findRecord(recordId);
+        if (!record || record.patientId !== patientId) {
+          throw new Error(`Medical record ${recordId} not found for patient ${patientId}`);
+        }
+      }
+
       // Call contract to grant consent
-      const result = this.contract.grantConsent(patientId, clinicianId, consentType, options);
+      const result = this.contract.grantConsent(patientId, clinicianId, consentType, options, authorization);
 
       return {
         success: true,
@@ -45,15 +66,17 @@ class ConsentService {
 
   /**
    * Revoke consent with validation
+   * 
+   * @param {Object} authorization - {transactionId, revokedAt, signature} signed by the revoker
    */
-  async revokeConsent(consentId, revokedBy) {
+  async revokeConsent(consentId, revokedBy, authorization = {}) {
     try {
       if (!consentId || !revokedBy) {
         throw new Error('Consent ID and revoker ID are required');
       }
 
       // Call contract to revoke consent
-      const result = this.contract.revokeConsent(consentId, revokedBy);
+      const result = this.contract.revokeConsent(consentId, revokedBy, authorization);
 
       return {
         success: true,
@@ -65,28 +88,397 @@ class ConsentService {
     }
   }
 
+  /**
+   * Invoke break-glass emergency access, recorded as a consent and an audit event
+   * 
+   * @param {Object} options - {durationMs, metadata} (see ConsentContract.breakGlass)
+   */
+  async breakGlass(patientId, clinicianId, justification, options = {}) {
+    try {
+      const patient = this.data.patients?.find(p => p.id === patientId);
+      if (!patient) {
+        throw new Error(`Patient with ID ${patientId} not found`);
+      }
+
+      const clinician = this.data.clinicians?.find(c => c.id === clinicianId);
+      if (!clinician) {
+        throw new Error(`Clinician with ID ${clinicianId} not found`);
+      }
+
+      const result = this.contract.breakGlass(patientId, clinicianId, justification, options);
+      const audit = await this.auditLogger.logBreakGlass({
+        consentId: result.consent.consentId,
+        action: 'invoked',
+        actorId: clinicianId,
+        patientId,
+        reason: result.consent.justification,
+        metadata: { expiresAt: result.consent.expiresAt }
+      });
+
+      return {
+        success: true,
+        consent: result.consent,
+        transaction: result.transaction,
+        auditTransaction: audit.transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to invoke break-glass access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Review a break-glass access, recorded as a consent and an audit event
+   * 
+   * @param {Object} authorization - {transactionId, reviewedAt, signature} signed by the reviewer
+   */
+  async reviewBreakGlass(consentId, reviewedBy, decision, notes, authorization = {}) {
+    try {
+      if (!this.isPrivacyOfficer(reviewedBy)) {
+        throw new Error(`${reviewedBy} is not a privacy officer`);
+      }
+
+      const result = this.contract.reviewBreakGlass(consentId, reviewedBy, decision, notes, authorization);
+      const audit = await this.auditLogger.logBreakGlass({
+        consentId,
+        action: decision,
+        actorId: reviewedBy,
+        patientId: result.consent.patientId,
+        reason: notes,
+        metadata: { clinicianId: result.consent.clinicianId }
+      });
+
+      return {
+        success: true,
+        consent: result.consent,
+        transaction: result.transaction,
+        auditTransaction: audit.transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to review break-glass access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a break-glass access with its review
+   */
+  async getBreakGlass(consentId) {
+    try {
+      const access = this.contract.getBreakGlass(consentId);
+
+      return {
+        success: !!access,
+        access
+      };
+    } catch (error) {
+      throw new Error(`Failed to get break-glass access: ${error.message}`);
+    }
+  }
+
+  /**
+   * List break-glass accesses
+   * 
+   * @param {Object} filters - {status: 'pending' | 'approved' | 'flagged', patientId}
+   */
+  async getBreakGlassAccesses(filters = {}) {
+    try {
+      const accesses = this.contract.getBreakGlassAccesses(filters);
+
+      return {
+        success: true,
+        accesses,
+        count: accesses.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to get break-glass accesses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the clinician's active break-glass access to a patient's records
+   */
+  findActiveBreakGlass(patientId, clinicianId) {
+    return this.contract.findActiveBreakGlass(patientId, clinicianId);
+  }
+
+  /**
+   * List consents (grants and break-glass accesses) expiring within a window
+   * 
+   * @param {number} withinMs - Window length (default the sweeper's notice window)
+   */
+  async getExpiringConsents(withinMs = this.expirySweeper.noticeMs) {
+    try {
+      if (!Number.isInteger(withinMs) || withinMs <= 0) {
+        throw new Error('Window must be a positive number of milliseconds');
+      }
+
+      const consents = this.contract.getExpiringConsents(withinMs);
+
+      return {
+        success: true,
+        withinMs,
+        consents,
+        count: consents.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to get expiring consents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the expiry sweep now instead of waiting for the next scheduled one
+   */
+  async sweepExpiredConsents() {
+    try {
+      const result = await this.expirySweeper.sweep();
+
+      return {
+        success: true,
+        ...result,
+        sweeper: this.expirySweeper.getStatus()
+      };
+    } catch (error) {
+      throw new Error(`Failed to sweep expired consents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Designate a guardian or healthcare proxy for a patient
+   * 
+   * @param {Object} options - {validFrom, validUntil, designatedBy, metadata} (see ConsentContract.designateDelegate)
+   * @param {Object} authorization - {transactionId, createdAt, signature} signed by the designator
+   */
+  async designateDelegate(patientId, delegateId, relationship, options = {}, authorization = {}) {
+    try {
+      const patient = this.data.patients?.find(p => p.id === patientId);
+      if (!patient) {
+        throw new Error(`Patient with ID ${patientId} not found`);
+      }
+
+      const result = this.contract.designateDelegate(patientId, delegateId, relationship, options, authorization);
+
+      return {
+        success: true,
+        delegation: result.delegation,
+        transaction: result.transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to designate delegate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a delegation
+   * 
+   * @param {Object} authorization - {transactionId, revokedAt, signature} signed by the revoker
+   */
+  async revokeDelegation(delegationId, revokedBy, authorization = {}) {
+    try {
+      const result = this.contract.revokeDelegation(delegationId, revokedBy, authorization);
+
+      return {
+        success: true,
+        delegation: result.delegation,
+        transaction: result.transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to revoke delegation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a delegation by ID
+   */
+  async getDelegation(delegationId) {
+    try {
+      const delegation = this.contract.getDelegation(delegationId);
+
+      return {
+        success: !!delegation,
+        delegation
+      };
+    } catch (error) {
+      throw new Error(`Failed to get delegation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a patient's delegations
+   */
+  async getDelegations(patientId) {
+    try {
+      const delegations = this.contract.getDelegations(patientId);
+
+      return {
+        success: true,
+        patientId,
+        delegations,
+        count: delegations.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to get delegations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the payload a grantor must sign to grant consent
+   * 
+   * The transaction is stamped with transactionId (a new one if omitted, also the
+   * consent ID) and grantedAt.
+   */
+  getGrantSigningPayload(patientId, clinicianId, consentType, options, grantedAt, transactionId = crypto.randomUUID()) {
+    const transaction = stampTransaction(
+      this.contract.buildGrantTransaction(patientId, clinicianId, consentType, options, transactionId, grantedAt),
+      transactionId,
+      grantedAt
+    );
+
+    return {
+      transaction,
+      signingPayload: getSigningPayload(transaction)
+    };
+  }
+
+  /**
+   * Get the payload a designator must sign to designate a delegate
+   * 
+   * The transaction is stamped with transactionId (a new one if omitted, also the
+   * delegation ID) and createdAt.
+   */
+  getDelegationSigningPayload(patientId, delegateId, relationship, options, createdAt, transactionId = crypto.randomUUID()) {
+    const transaction = stampTransaction(
+      this.contract.buildDelegationTransaction(patientId, delegateId, relationship, options, transactionId, createdAt),
+      transactionId,
+      createdAt
+    );
+
+    return {
+      transaction,
+      signingPayload: getSigningPayload(transaction)
+    };
+  }
+
+  /**
+   * Get the payload a revoker must sign to revoke a delegation
+   * 
+   * The transaction is stamped with transactionId (a new one if omitted) and revokedAt.
+   */
+  getDelegationRevocationSigningPayload(delegation, revokedBy, revokedAt, transactionId = undefined) {
+    const transaction = stampTransaction(this.contract.buildDelegationRevocationTransaction(
+      delegation.delegationId,
+      delegation.patientId,
+      revokedBy,
+      revokedAt
+    ), transactionId, revokedAt);
+
+    return {
+      transaction,
+      signingPayload: getSigningPayload(transaction)
+    };
+  }
+
+  /**
+   * Check whether an actor is one of the configured privacy officers
+   */
+  isPrivacyOfficer(actorId) {
+    return this.privacyOfficers.includes(actorId);
+  }
+
+  /**
+   * Get the payload a privacy officer must sign to review a break-glass access
+   * 
+   * The transaction is stamped with transactionId (a new one if omitted) and reviewedAt.
+   */
+  getBreakGlassReviewSigningPayload(consentId, reviewedBy, decision, notes, reviewedAt, transactionId = undefined) {
+    const transaction = stampTransaction(
+      this.contract.buildBreakGlassReviewTransaction(consentId, reviewedBy, decision, notes, reviewedAt),
+      transactionId,
+      reviewedAt
+    );
+
+    return {
+      transaction,
+      signingPayload: getSigningPayload(transaction)
+    };
+  }
+
+  /**
+   * Get the payload a revoker must sign to revoke consent
+   * 
+   * The transaction is stamped with transactionId (a new one if omitted) and revokedAt.
+   */
+  getRevocationSigningPayload(consentId, revokedBy, revokedAt, transactionId = undefined) {
+    const transaction = stampTransaction(
+      this.contract.buildRevocationTransaction(consentId, revokedBy, revokedAt),
+      transactionId,
+      revokedAt
+    );
+
+    return {
+      transaction,
+      signingPayload: getSigningPayload(transaction)
+    };
+  }
+
   /**
    * Check consent validity
+   * 
+   * @param {Object} access - Optional {recordId, category, date, purpose}; a recordId
+   *   fills in the record's category and date (see ConsentContract.hasValidConsent)
    */
-  async checkConsent(patientId, clinicianId, consentType) {
+  async checkConsent(patientId, clinicianId, consentType, access = {}) {
     try {
       if (!patientId || !clinicianId || !consentType) {
         throw new Error('Patient ID, clinician ID, and consent type are required');
       }
 
-      const hasConsent = this.contract.hasValidConsent(patientId, clinicianId, consentType);
+      let request = access;
+      if (access.recordId) {
+        const record = this.findRecord(access.recordId);
+        if (!record || record.patientId !== patientId) {
+          throw new Error(`Medical record ${access.recordId} not found for patient ${patientId}`);
+        }
+        request = { ...this.describeRecord(record), purpose: access.purpose };
+      }
+
+      const consent = this.contract.findValidConsent(patientId, clinicianId, consentType, request);
 
       return {
-        hasConsent,
+        hasConsent: consent !== null,
         patientId,
         clinicianId,
-        consentType
+        consentType,
+        access: request,
+        consentId: consent?.consentId || null
       };
     } catch (error) {
       throw new Error(`Failed to check consent: ${error.message}`);
     }
   }
 
+  /**
+   * Find a medical record in the loaded data
+   * 
+   * @param {string} recordId - Medical record ID
+   * @returns {Object|null} Medical record
+   */
+  findRecord(recordId) {
+    return this.data.medicalRecords?.find(r => r.id === recordId) || null;
+  }
+
+  /**
+   * Describe a medical record the way consent scopes match it
+   * 
+   * @param {Object} record - Medical record
+   * @returns {Object} {recordId, category, date}
+   */
+  describeRecord(record) {
+    return {
+      recordId: record.id,
+      category: record.recordType || null,
+      date: record.data?.date ?? record.createdAt ?? null
+    };
+  }
+
   /**
    * Get consent history
    */
@@ -0,0 +1,218 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ConsentService = require('./consentService.js');
+const { generateKeyPair, sign, signTransaction } = require('../../utils/signing.js');
+
+const data = {
+  patients: [{ id: 'patient-1' }, { id: 'patient-2' }],
+  clinicians: [{ id: 'clinician-1' }, { id: 'clinician-2' }],
+  medicalRecords: [
+    { id: 'record-1', patientId: 'patient-1', recordType: 'imaging', data: { date: '2024-03-01' } },
+    { id: 'record-2', patientId: 'patient-1', recordType: 'lab', data: { date: '2024-03-01' } },
+    { id: 'record-3', patientId: 'patient-2', recordType: 'imaging', data: { date: '2024-03-01' } }
+  ]
+};
+
+function createService(options = {}) {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+
+  const service = new ConsentService(blockchain, data, null, { privacyOfficers: ['officer-1'], ...options });
+
+  return { blockchain, nodeManager, service };
+}
+
+/**
+ * Register an actor's key, endorsed by the node, and mine it
+ */
+function enroll({ blockchain, nodeManager }, actorId, actorType) {
+  const keys = generateKeyPair();
+  const { keyRegistry } = blockchain;
+  const enrollment = {
+    nodeId: nodeManager.getNodeId(),
+    signature: nodeManager.sign(keyRegistry.getEnrollmentPayload(actorId, actorType, keys.publicKey))
+  };
+
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(actorId, actorType, keys.publicKey, enrollment),
+    keys.privateKey
+  ));
+  blockchain.minePendingTransactions();
+
+  return keys;
+}
+
+function getAuditEntry(blockchain, transactionId) {
+  return blockchain.getPendingTransactions().find(tx => tx.id === transactionId).data.auditEntry;
+}
+
+/**
+ * Grant consent as patient-1 the way a client does: fetch the signing payload, sign it, submit it
+ */
+function grant(service, clinicianId, options, keys) {
+  const { transaction, signingPayload } = service.getGrantSigningPayload('patient-1', clinicianId, 'Data Access', options, Date.now());
+
+  return service.grantConsent('patient-1', clinicianId, 'Data Access', options, {
+    transactionId: transaction.id,
+    grantedAt: transaction.timestamp,
+    signature: sign(signingPayload, keys.privateKey)
+  });
+}
+
+/**
+ * Review a break-glass access the way a client does: fetch the signing payload, sign it, submit it
+ */
+function review(service, consentId, reviewedBy, decision, keys) {
+  const { transaction, signingPayload } = service.getBreakGlassReviewSigningPayload(consentId, reviewedBy, decision, 'Checked the chart', Date.now());
+
+  return service.reviewBreakGlass(consentId, reviewedBy, decision, 'Checked the chart', {
+    transactionId: transaction.id,
+    reviewedAt: transaction.timestamp,
+    signature: sign(signingPayload, keys.privateKey)
+  });
+}
+
+describe('ConsentService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoped consent', () => {
+    it('checks a record against consent scopes by its category and date', async () => {
+      const chain = createService();
+      const { blockchain, service } = chain;
+      const patient = enroll(chain, 'patient-1', 'patient');
+      const { consent } = await grant(service, 'clinician-1', {
+        scope: { categories: ['imaging'], dataTo: '2024-06-30' }
+      }, patient);
+      blockchain.minePendingTransactions();
+
+      const imaging = await service.checkConsent('patient-1', 'clinician-1', 'Data Access', { recordId: 'record-1' });
+      const lab = await service.checkConsent('patient-1', 'clinician-1', 'Data Access', { recordId: 'record-2' });
+
+      expect(imaging).toMatchObject({
+        hasConsent: true,
+        consentId: consent.consentId,
+        access: { recordId: 'record-1', category: 'imaging', date: '2024-03-01' }
+      });
+      expect(lab).toMatchObject({ hasConsent: false, consentId: null });
+    });
+
+    it('rejects records of another patient in scopes and checks', async () => {
+      const chain = createService();
+      const { service } = chain;
+      const patient = enroll(chain, 'patient-1', 'patient');
+
+      await expect(grant(service, 'clinician-1', { scope: { recordIds: ['record-3'] } }, patient))
+        .rejects.toThrow('Failed to grant consent: Medical record record-3 not found for patient patient-1');
+      await expect(service.checkConsent('patient-1', 'clinician-1', 'Data Access', { recordId: 'record-3' }))
+        .rejects.toThrow('Failed to check consent: Medical record record-3 not found for patient patient-1');
+    });
+  });
+
+  describe('break-glass access', () => {
+    it('audits the invocation with its justification', async () => {
+      const { blockchain, service } = createService();
+
+      const { consent, auditTransaction } = await service.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest');
+
+      expect(getAuditEntry(blockchain, auditTransaction.id)).toMatchObject({
+        type: 'break-glass',
+        action: 'invoked',
+        actorId: 'clinician-1',
+        resourceId: consent.consentId,
+        patientId: 'patient-1',
+        reason: 'Cardiac arrest'
+      });
+      await expect(service.breakGlass('patient-9', 'clinician-1', 'Cardiac arrest'))
+        .rejects.toThrow('Failed to invoke break-glass access: Patient with ID patient-9 not found');
+    });
+
+    it('lists pending accesses and lets only privacy officers review them', async () => {
+      const chain = createService();
+      const { blockchain, service } = chain;
+      const officer = enroll(chain, 'officer-1', 'privacy-officer');
+      const clinician = enroll(chain, 'clinician-2', 'clinician');
+      const { consent } = await service.breakGlass('patient-1', 'clinician-1', 'Cardiac arrest');
+      blockchain.minePendingTransactions();
+      expect((await service.getBreakGlassAccesses({ status: 'pending' })).count).toBe(1);
+
+      await expect(review(service, consent.consentId, 'clinician-2', 'approved', clinician))
+        .rejects.toThrow('Failed to review break-glass access: clinician-2 is not a privacy officer');
+
+      const { auditTransaction } = await review(service, consent.consentId, 'officer-1', 'flagged', officer);
+      blockchain.minePendingTransactions();
+
+      expect(blockchain.findTransaction(auditTransaction.id).transaction.data.auditEntry)
+        .toMatchObject({ type: 'break-glass', action: 'flagged', actorId: 'officer-1', reason: 'Checked the chart' });
+      expect((await service.getBreakGlassAccesses({ status: 'pending' })).count).toBe(0);
+      expect((await service.getBreakGlassAccesses({ status: 'flagged' })).accesses[0].consentId).toBe(consent.consentId);
+    });
+  });
+
+  describe('delegation', () => {
+    it('designates a delegate from the signing payload it hands out', async () => {
+      const chain = createService();
+      const { blockchain, service } = chain;
+      const patient = enroll(chain, 'patient-1', 'patient');
+      const { transaction, signingPayload } = service.getDelegationSigningPayload('patient-1', 'guardian-1', 'guardian', {}, Date.now());
+
+      const { delegation } = await service.designateDelegate('patient-1', 'guardian-1', 'guardian', {}, {
+        transactionId: transaction.id,
+        createdAt: transaction.timestamp,
+        signature: sign(signingPayload, patient.privateKey)
+      });
+      blockchain.minePendingTransactions();
+
+      expect(delegation).toMatchObject({ delegationId: transaction.id, status: 'active' });
+      expect((await service.getDelegations('patient-1')).count).toBe(1);
+      expect((await service.getDelegation(transaction.id)).delegation.delegateId).toBe('guardian-1');
+    });
+
+    it('rejects designations for unknown patients', async () => {
+      const { service } = createService();
+
+      await expect(service.designateDelegate('patient-9', 'guardian-1', 'guardian'))
+        .rejects.toThrow('Failed to designate delegate: Patient with ID patient-9 not found');
+    });
+  });
+
+  describe('expiry', () => {
+    it('sweeps expired consents on demand and reports the sweeper status', async () => {
+      const chain = createService();
+      const { blockchain, service } = chain;
+      await grant(service, 'clinician-1', { expiresAt: Date.now() - 1000 }, enroll(chain, 'patient-1', 'patient'));
+      blockchain.minePendingTransactions();
+
+      const result = await service.sweepExpiredConsents();
+
+      expect(result.expired).toHaveLength(1);
+      expect(result.sweeper).toMatchObject({ intervalMs: 0, sweeps: 1, expired: 1 });
+    });
+
+    it('lists expiring consents within a positive window only', async () => {
+      const chain = createService();
+      const { blockchain, service } = chain;
+      await grant(service, 'clinician-1', { expiresAt: Date.now() + 60000 }, enroll(chain, 'patient-1', 'patient'));
+      blockchain.minePendingTransactions();
+
+      expect(await service.getExpiringConsents()).toMatchObject({ withinMs: 24 * 60 * 60 * 1000, count: 1 });
+      expect((await service.getExpiringConsents(1000)).count).toBe(0);
+      await expect(service.getExpiringConsents(0))
+        .rejects.toThrow('Failed to get expiring consents: Window must be a positive number of milliseconds');
+    });
+  });
+});
@@ -18,6 +18,7 @@
  */
 
 const crypto = require('crypto');
+const { canonicalize } = require('../../utils/canonicalJson.js');
 
 class MerkleTree {
   constructor(data = []) {
@@ -33,13 +34,15 @@ class MerkleTree {
   /**
    * Hash a piece of data using SHA-256
    * 
+   * Objects are hashed in canonical JSON form, so key order does not matter.
+   * 
    * @param {string|Object} data - Data to hash
    * @returns {string} Hexadecimal hash value
    */
   hash(data) {
     const dataString = typeof data === 'string' 
       ? data 
-      : JSON.stringify(data);
+      : canonicalize(data);
     
     return crypto.createHash('sha256')
       .update(dataString)
@@ -189,7 +192,7 @@ class MerkleTree {
 
     const expectedRoot = root || proof.root;
     const leafHash = crypto.createHash('sha256')
-      .update(typeof data === 'string' ? data : JSON.stringify(data))
+      .update(typeof data === 'string' ? data : canonicalize(data))
       .digest('hex');
 
     // Verify leaf matches
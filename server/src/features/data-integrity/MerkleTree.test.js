@@ -0,0 +1,17 @@
+const MerkleTree = require('./MerkleTree.js');
+
+describe('MerkleTree', () => {
+  it('builds the same root for records in any key order', () => {
+    const records = [{ id: 'r1', diagnosis: 'a', patientId: 'p1' }, { id: 'r2', diagnosis: 'b', patientId: 'p1' }];
+    const reordered = records.map(record => Object.fromEntries(Object.entries(record).reverse()));
+
+    expect(new MerkleTree(reordered).getRoot()).toBe(new MerkleTree(records).getRoot());
+  });
+
+  it('changes the root when a record changes', () => {
+    const records = [{ id: 'r1', diagnosis: 'a' }, { id: 'r2', diagnosis: 'b' }];
+
+    expect(new MerkleTree([records[0], { ...records[1], diagnosis: 'c' }]).getRoot())
+      .not.toBe(new MerkleTree(records).getRoot());
+  });
+});
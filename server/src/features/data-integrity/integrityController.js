@@ -13,7 +13,8 @@ let integrityService = null;
 
 router.use((req, res, next) => {
   if (!integrityService) {
-    integrityService = new IntegrityService(
+    // Shared with the snapshot export/import, which carries the tree registry
+    integrityService = req.app.locals.integrityService || new IntegrityService(
       req.app.locals.blockchain,
       req.app.locals.data
     );
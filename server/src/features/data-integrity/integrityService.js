@@ -6,6 +6,7 @@
  */
 
 const MerkleTree = require('./MerkleTree.js');
+const { canonicalize } = require('../../utils/canonicalJson.js');
 
 class IntegrityService {
   constructor(blockchain, data) {
@@ -69,9 +70,10 @@ class IntegrityService {
       } else {
         // Find tree containing this record
         let foundTree = null;
+        const recordKey = canonicalize(record);
         for (const [treeRoot, treeData] of this.trees.entries()) {
           const recordIndex = treeData.records.findIndex(r => 
-            JSON.stringify(r) === JSON.stringify(record)
+            canonicalize(r) === recordKey
           );
           if (recordIndex !== -1) {
             foundTree = treeData.tree;
@@ -164,6 +166,42 @@ class IntegrityService {
     }
   }
 
+  /**
+   * Export the Merkle tree registry (e.g. for a chain snapshot)
+   * 
+   * @returns {Array} Array of {root, records, createdAt}
+   */
+  exportTrees() {
+    return Array.from(this.trees.entries()).map(([root, treeData]) => ({
+      root,
+      records: treeData.records,
+      createdAt: treeData.createdAt
+    }));
+  }
+
+  /**
+   * Replace the Merkle tree registry with exported entries
+   * 
+   * Every tree is rebuilt from its records and must reproduce its root.
+   * 
+   * @param {Array} entries - Array of {root, records, createdAt}
+   * @returns {number} Number of trees restored
+   */
+  importTrees(entries) {
+    const trees = new Map();
+
+    for (const { root, records, createdAt } of entries) {
+      const tree = new MerkleTree(records);
+      if (tree.getRoot() !== root) {
+        throw new Error(`Merkle tree ${root} does not match its records`);
+      }
+      trees.set(root, { tree, records, createdAt });
+    }
+
+    this.trees = trees;
+    return trees.size;
+  }
+
   /**
    * Store Merkle root on blockchain
    * 
@@ -178,7 +216,6 @@ class IntegrityService {
 
     try {
       const transaction = {
-        from: 'system',
         to: 'merkle-root-registry',
         data: {
           action: 'store-root',
@@ -188,7 +225,7 @@ class IntegrityService {
         }
       };
 
-      const txResult = this.blockchain.addTransaction(transaction);
+      const txResult = this.blockchain.addSystemTransaction(transaction);
 
       return {
         success: true,
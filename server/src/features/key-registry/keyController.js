@@ -0,0 +1,109 @@
+/**
+ * Key Controller - API endpoints for the transaction signing key registry
+ */
+
+const express = require('express');
+const KeyService = require('./keyService.js');
+const { waitOptions, sendWithReceipt } = require('../../utils/receiptWait.js');
+const blockchainConfig = require('../../config/blockchain.js');
+
+const router = express.Router();
+
+let keyService = null;
+
+router.use((req, res, next) => {
+  if (!keyService) {
+    keyService = new KeyService(
+      req.app.locals.blockchain,
+      req.app.locals.keyRegistry,
+      req.app.locals.data,
+      {
+        nodeManager: req.app.locals.nodeManager,
+        enrollmentSecret: blockchainConfig.ENROLLMENT_SECRET,
+        privacyOfficers: blockchainConfig.PRIVACY_OFFICERS
+      }
+    );
+  }
+  next();
+});
+
+/**
+ * POST /api/keys
+ * Register or rotate a public key
+ * 
+ * A first registration needs the actor's enrollmentCode. Without a signature,
+ * responds 400 with the transaction and payload to sign; its id and timestamp
+ * are sent back as transactionId and timestamp.
+ */
+router.post('/', waitOptions, async (req, res, next) => {
+  try {
+    const { actorId, publicKey, signature, transactionId, enrollmentCode } = req.body;
+    const timestamp = req.body.timestamp ? Number(req.body.timestamp) : undefined;
+
+    if (!actorId || !publicKey) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['actorId', 'publicKey', 'transactionId', 'timestamp', 'signature']
+      });
+    }
+
+    const { key } = await keyService.getKey(actorId);
+    if (!key && !enrollmentCode) {
+      return res.status(400).json({
+        error: 'A first key registration needs the actor\'s enrollment code',
+        required: ['enrollmentCode']
+      });
+    }
+
+    if (!signature || !transactionId || !timestamp) {
+      return res.status(400).json({
+        error: 'Key registration must be signed',
+        required: ['transactionId', 'timestamp', 'signature'],
+        ...(await keyService.getRegistrationSigningPayload(actorId, publicKey, enrollmentCode))
+      });
+    }
+
+    const result = await keyService.registerKey(actorId, publicKey, { transactionId, timestamp, signature, enrollmentCode });
+
+    await sendWithReceipt(req, res, 201, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/keys
+ * List registered keys
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await keyService.getAllKeys();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/keys/:actorId
+ * Get the registered key for an actor
+ */
+router.get('/:actorId', async (req, res, next) => {
+  try {
+    const result = await keyService.getKey(req.params.actorId);
+
+    if (!result.key) {
+      return res.status(404).json({
+        error: 'No key registered for actor',
+        actorId: req.params.actorId
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
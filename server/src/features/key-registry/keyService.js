@@ -0,0 +1,195 @@
+/**
+ * Key Service
+ * 
+ * This service registers and looks up the public keys patients, clinicians,
+ * AI models and patients' delegates (guardians, proxies) use to sign their
+ * transactions.
+ * 
+ * A first registration is endorsed by this node only for callers presenting
+ * the actor's enrollment code (see utils/enrollment.js); without an
+ * enrollment secret configured, only rotations are accepted.
+ */
+
+const { getSigningPayload, stampTransaction } = require('../../utils/signing.js');
+const { verifyEnrollmentCode } = require('../../utils/enrollment.js');
+const ConsentContract = require('../consent-management/ConsentContract.js');
+
+class KeyService {
+  /**
+   * @param {Object} options - {nodeManager: endorses first registrations, enrollmentSecret,
+   *   privacyOfficers: actor IDs registered as 'privacy-officer'}
+   */
+  constructor(blockchain, keyRegistry, data, options = {}) {
+    this.blockchain = blockchain;
+    this.registry = keyRegistry;
+    this.data = data; // Access to mock data (patients, clinicians, etc.)
+    this.consentContract = new ConsentContract(blockchain);
+    this.nodeManager = options.nodeManager || null;
+    this.enrollmentSecret = options.enrollmentSecret || null;
+    this.privacyOfficers = options.privacyOfficers || [];
+  }
+
+  /**
+   * Register (or rotate) an actor's public key
+   * 
+   * The registration transaction must be signed by the new key, or by the
+   * current key when rotating.
+   * 
+   * @param {Object} authorization - {transactionId, timestamp, signature} as signed
+   *   (see getRegistrationSigningPayload), plus enrollmentCode for a first registration
+   */
+  async registerKey(actorId, publicKey, authorization = {}) {
+    try {
+      const { transactionId, timestamp, signature, enrollmentCode } = authorization;
+      if (!transactionId || !timestamp || !signature) {
+        throw new Error('transactionId, timestamp and signature are required');
+      }
+
+      const previousKey = this.registry.getKey(actorId);
+      const transaction = {
+        ...stampTransaction(this._buildRegistration(actorId, publicKey, enrollmentCode), transactionId, timestamp),
+        signedBy: actorId,
+        signature
+      };
+
+      const txResult = this.blockchain.addTransaction(transaction);
+
+      return {
+        success: true,
+        actorId,
+        actorType: transaction.data.actorType,
+        rotated: !!previousKey,
+        transaction: txResult
+      };
+    } catch (error) {
+      throw new Error(`Failed to register key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the payload an actor must sign to register a public key
+   * 
+   * The transaction gets a new id and timestamp, which the actor sends back
+   * with the signature. A first registration carries this node's enrollment
+   * endorsement, given for a valid enrollment code.
+   */
+  async getRegistrationSigningPayload(actorId, publicKey, enrollmentCode = null) {
+    try {
+      const transaction = stampTransaction(this._buildRegistration(actorId, publicKey, enrollmentCode));
+
+      return {
+        transaction,
+        signingPayload: getSigningPayload(transaction)
+      };
+    } catch (error) {
+      throw new Error(`Failed to build registration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the registered key for an actor
+   */
+  async getKey(actorId) {
+    try {
+      const key = this.registry.getKey(actorId);
+
+      return {
+        success: !!key,
+        actorId,
+        key
+      };
+    } catch (error) {
+      throw new Error(`Failed to get key: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all registered keys
+   */
+  async getAllKeys() {
+    try {
+      const keys = this.registry.getAllKeys();
+
+      return {
+        success: true,
+        keys,
+        count: keys.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to list keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal helper to build a registration for a known actor
+   * 
+   * @private
+   */
+  _buildRegistration(actorId, publicKey, enrollmentCode) {
+    const actorType = this._getActorType(actorId);
+    if (!actorType) {
+      throw new Error(`Actor with ID ${actorId} not found`);
+    }
+
+    const enrollment = this.registry.getKey(actorId)
+      ? null
+      : this._endorse(actorId, actorType, publicKey, enrollmentCode);
+
+    return this.registry.buildRegistrationTransaction(actorId, actorType, publicKey, enrollment);
+  }
+
+  /**
+   * Internal helper to endorse a first registration with the node key
+   * 
+   * Ed25519 signatures are deterministic, so the endorsement in the signing
+   * payload and in the submitted registration match.
+   * 
+   * @private
+   */
+  _endorse(actorId, actorType, publicKey, enrollmentCode) {
+    if (!this.enrollmentSecret || !this.nodeManager) {
+      throw new Error('Key enrollment is not enabled on this node (set ENROLLMENT_SECRET)');
+    }
+
+    if (!verifyEnrollmentCode(this.enrollmentSecret, actorId, enrollmentCode)) {
+      throw new Error(`Invalid enrollment code for ${actorId}`);
+    }
+
+    return {
+      nodeId: this.nodeManager.getNodeId(),
+      signature: this.nodeManager.sign(this.registry.getEnrollmentPayload(actorId, actorType, publicKey))
+    };
+  }
+
+  /**
+   * Internal helper to resolve an actor's type from mock data, the configured privacy officers,
+   * or the on-chain delegations
+   * 
+   * @private
+   */
+  _getActorType(actorId) {
+    if (this.data.patients?.some(p => p.id === actorId)) {
+      return 'patient';
+    }
+
+    if (this.data.clinicians?.some(c => c.id === actorId)) {
+      return 'clinician';
+    }
+
+    if (this.data.aiModels?.some(m => m.id === actorId)) {
+      return 'ai-model';
+    }
+
+    if (this.privacyOfficers.includes(actorId)) {
+      return 'privacy-officer';
+    }
+
+    if (this.consentContract.isDelegate(actorId)) {
+      return 'delegate';
+    }
+
+    return null;
+  }
+}
+
+module.exports = KeyService;
@@ -0,0 +1,137 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const KeyService = require('./keyService.js');
+const { generateKeyPair, sign } = require('../../utils/signing.js');
+const { createEnrollmentCode } = require('../../utils/enrollment.js');
+
+const SECRET = 'enrollment-secret';
+const data = {
+  patients: [{ id: 'patient-1' }],
+  clinicians: [{ id: 'clinician-1' }],
+  aiModels: [{ id: 'model-1' }]
+};
+
+function createService(options = {}) {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  nodeManager.ensureKeyRegistered();
+
+  const service = new KeyService(blockchain, keyRegistry, data, {
+    nodeManager,
+    enrollmentSecret: SECRET,
+    privacyOfficers: ['officer-1'],
+    ...options
+  });
+
+  return { blockchain, keyRegistry, service };
+}
+
+/**
+ * Register a key the way a client does: fetch the signing payload, sign it, submit it
+ */
+async function register(service, actorId, keys, enrollmentCode, signingKey = keys.privateKey) {
+  const { transaction, signingPayload } = await service.getRegistrationSigningPayload(actorId, keys.publicKey, enrollmentCode);
+
+  return service.registerKey(actorId, keys.publicKey, {
+    transactionId: transaction.id,
+    timestamp: transaction.timestamp,
+    signature: sign(signingPayload, signingKey),
+    enrollmentCode
+  });
+}
+
+describe('KeyService', () => {
+  it('registers a first key with the actor\'s enrollment code', async () => {
+    const { keyRegistry, service } = createService();
+    const keys = generateKeyPair();
+
+    const result = await register(service, 'patient-1', keys, createEnrollmentCode(SECRET, 'patient-1'));
+
+    expect(result).toMatchObject({ success: true, actorType: 'patient', rotated: false });
+    expect(keyRegistry.getPublicKey('patient-1')).toBe(keys.publicKey);
+  });
+
+  it('resolves clinicians, AI models and privacy officers', async () => {
+    const { service } = createService();
+
+    for (const [actorId, actorType] of [['clinician-1', 'clinician'], ['model-1', 'ai-model'], ['officer-1', 'privacy-officer']]) {
+      const result = await register(service, actorId, generateKeyPair(), createEnrollmentCode(SECRET, actorId));
+      expect(result.actorType).toBe(actorType);
+    }
+  });
+
+  it('rejects a first key without a valid enrollment code', async () => {
+    const { service } = createService();
+    const keys = generateKeyPair();
+
+    await expect(register(service, 'patient-1', keys, undefined)).rejects.toThrow('Invalid enrollment code for patient-1');
+    await expect(register(service, 'patient-1', keys, createEnrollmentCode(SECRET, 'clinician-1')))
+      .rejects.toThrow('Invalid enrollment code for patient-1');
+    await expect(register(service, 'patient-1', keys, createEnrollmentCode('other', 'patient-1')))
+      .rejects.toThrow('Invalid enrollment code for patient-1');
+  });
+
+  it('endorses no first keys without an enrollment secret', async () => {
+    const { service } = createService({ enrollmentSecret: null });
+
+    await expect(register(service, 'patient-1', generateKeyPair(), createEnrollmentCode(SECRET, 'patient-1')))
+      .rejects.toThrow('Key enrollment is not enabled on this node');
+  });
+
+  it('rejects unknown actors', async () => {
+    const { service } = createService();
+
+    await expect(register(service, 'stranger', generateKeyPair(), createEnrollmentCode(SECRET, 'stranger')))
+      .rejects.toThrow('Actor with ID stranger not found');
+  });
+
+  it('rejects a registration signed by another key', async () => {
+    const { service } = createService();
+
+    await expect(register(service, 'patient-1', generateKeyPair(), createEnrollmentCode(SECRET, 'patient-1'), generateKeyPair().privateKey))
+      .rejects.toThrow('signature does not match');
+  });
+
+  it('rotates a key signed by the current key, without an enrollment code', async () => {
+    const { keyRegistry, service } = createService();
+    const keys = generateKeyPair();
+    await register(service, 'patient-1', keys, createEnrollmentCode(SECRET, 'patient-1'));
+
+    const rotated = generateKeyPair();
+    await expect(register(service, 'patient-1', rotated, undefined)).rejects.toThrow('signature does not match');
+
+    const result = await register(service, 'patient-1', rotated, undefined, keys.privateKey);
+    expect(result.rotated).toBe(true);
+    expect(keyRegistry.getPublicKey('patient-1')).toBe(rotated.publicKey);
+  });
+
+  it('rejects a replayed registration', async () => {
+    const { service } = createService();
+    const keys = generateKeyPair();
+    const enrollmentCode = createEnrollmentCode(SECRET, 'patient-1');
+    const { transaction, signingPayload } = await service.getRegistrationSigningPayload('patient-1', keys.publicKey, enrollmentCode);
+    const authorization = {
+      transactionId: transaction.id,
+      timestamp: transaction.timestamp,
+      signature: sign(signingPayload, keys.privateKey),
+      enrollmentCode
+    };
+
+    await service.registerKey('patient-1', keys.publicKey, authorization);
+    await expect(service.registerKey('patient-1', keys.publicKey, authorization))
+      .rejects.toThrow(`Transaction ${transaction.id} was already submitted`);
+  });
+
+  it('requires the signed id, timestamp and signature', async () => {
+    const { service } = createService();
+
+    await expect(service.registerKey('patient-1', generateKeyPair().publicKey, { signature: 'x' }))
+      .rejects.toThrow('transactionId, timestamp and signature are required');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * P2P Controller - HTTP endpoints nodes use to talk to each other
+ *
+ * Apart from GET /p2p/info, every endpoint only answers requests signed with a
+ * known node key (see utils/signedRequest.js); the signer is the sending peer.
+ */
+
+const express = require('express');
+const P2PService = require('./p2pService.js');
+const { requireSignedRequest } = require('../../utils/signedRequest.js');
+
+const router = express.Router();
+
+let p2pService = null;
+
+router.use((req, res, next) => {
+  if (!p2pService) {
+    p2pService = new P2PService(
+      req.app.locals.blockchain,
+      req.app.locals.nodeManager
+    );
+  }
+  next();
+});
+
+/**
+ * GET /p2p/info
+ * Node ID, URL and chain tip of this node
+ */
+router.get('/info', async (req, res, next) => {
+  try {
+    const result = await p2pService.getInfo();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(requireSignedRequest({ actorTypes: ['node'] }));
+
+/**
+ * GET /p2p/peers
+ * List peers and their liveness
+ */
+router.get('/peers', async (req, res, next) => {
+  try {
+    const result = await p2pService.getPeers();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /p2p/peers
+ * Register a peer by URL (signed by that peer announcing itself, or by this node's own key)
+ */
+router.post('/peers', async (req, res, next) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: 'Peer URL is required'
+      });
+    }
+
+    const result = await p2pService.addPeer(url, req.signerId);
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /p2p/peers/:nodeId
+ * Remove a peer
+ */
+router.delete('/peers/:nodeId', async (req, res, next) => {
+  try {
+    const result = await p2pService.removePeer(req.params.nodeId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /p2p/tx
+ * Receive a gossiped transaction
+ */
+router.post('/tx', async (req, res, next) => {
+  try {
+    const { transaction } = req.body;
+
+    if (!transaction || !transaction.id) {
+      return res.status(400).json({
+        error: 'Transaction with id is required'
+      });
+    }
+
+    const result = await p2pService.receiveTransaction(transaction, req.signerId);
+
+    res.status(result.success ? 202 : 400).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /p2p/block
+ * Receive a gossiped block
+ */
+router.post('/block', async (req, res, next) => {
+  try {
+    const { block } = req.body;
+
+    if (!block || !block.hash) {
+      return res.status(400).json({
+        error: 'Block with hash is required'
+      });
+    }
+
+    const result = await p2pService.receiveBlock(block, req.signerId);
+
+    res.status(result.success ? 202 : 400).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /p2p/consensus
+ * Receive a gossiped consensus message
+ */
+router.post('/consensus', async (req, res, next) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.type || !message.signature) {
+      return res.status(400).json({
+        error: 'Signed consensus message with type is required'
+      });
+    }
+
+    const result = await p2pService.receiveConsensusMessage(message, req.signerId);
+
+    res.status(result.success ? 202 : 400).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /p2p/chain
+ * Blocks from a height onwards (query: from, default 0)
+ */
+router.get('/chain', async (req, res, next) => {
+  try {
+    const result = await p2pService.getChain(req.query.from);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /p2p/headers
+ * Block headers (with hashes) from a height onwards (query: from, default 0)
+ */
+router.get('/headers', async (req, res, next) => {
+  try {
+    const result = await p2pService.getHeaders(req.query.from);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /p2p/sync
+ * Catch up with all live peers now
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const result = await p2pService.syncChain();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Network simulator endpoints, only on nodes started with NETWORK_SIMULATOR=true
+ */
+router.use('/simulator', (req, res, next) => {
+  if (!p2pService.hasSimulator()) {
+    return res.status(404).json({
+      error: 'Network simulator is not enabled on this node'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /p2p/simulator
+ * Simulated network conditions and how many requests they dropped or blocked
+ */
+router.get('/simulator', async (req, res, next) => {
+  try {
+    const result = await p2pService.getSimulator();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /p2p/simulator
+ * Change simulated conditions: latencyMs, jitterMs, dropRate, blockedNodes, seed (fields left out are kept)
+ */
+router.put('/simulator', async (req, res, next) => {
+  try {
+    const allowed = ['latencyMs', 'jitterMs', 'dropRate', 'blockedNodes', 'seed'];
+    const unknown = Object.keys(req.body || {}).filter(field => !allowed.includes(field));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown simulator fields: ${unknown.join(', ')}`,
+        allowed
+      });
+    }
+
+    const result = await p2pService.configureSimulator(req.body);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /p2p/simulator
+ * Restore a perfect network
+ */
+router.delete('/simulator', async (req, res, next) => {
+  try {
+    const result = await p2pService.resetSimulator();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+/**
+ * P2P Service
+ *
+ * Node-to-node operations: peer registration, transaction, block and
+ * consensus message gossip, and serving the chain to peers that are catching up.
+ */
+
+class P2PService {
+  constructor(blockchain, nodeManager) {
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+  }
+
+  /**
+   * Get this node's info (node ID, URL, chain tip)
+   */
+  async getInfo() {
+    return this.nodeManager.getInfo();
+  }
+
+  /**
+   * List peers with their liveness
+   */
+  async getPeers() {
+    try {
+      const peers = this.nodeManager.getPeers();
+
+      return {
+        success: true,
+        nodeId: this.nodeManager.getNodeId(),
+        peers,
+        alive: peers.filter(peer => peer.status === 'alive').length,
+        total: peers.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to get peers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register a peer by URL
+   *
+   * @param {string} url - Peer base URL
+   * @param {string} signerId - Node ID that signed the request: the peer announcing itself, or this node
+   */
+  async addPeer(url, signerId) {
+    try {
+      // A peer announcing itself already knows us, so only announce when asked with our own key
+      const peer = await this.nodeManager.addPeer(url, { announce: signerId === this.nodeManager.getNodeId() });
+
+      return {
+        success: true,
+        peer
+      };
+    } catch (error) {
+      throw new Error(`Failed to add peer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a peer
+   */
+  async removePeer(nodeId) {
+    try {
+      return {
+        success: true,
+        nodeId,
+        removed: this.nodeManager.removeNode(nodeId)
+      };
+    } catch (error) {
+      throw new Error(`Failed to remove peer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept a gossiped transaction
+   *
+   * Invalid transactions are reported rather than thrown, so peers can tell
+   * a rejected message from an unhealthy node.
+   */
+  async receiveTransaction(transaction, origin) {
+    try {
+      return {
+        success: true,
+        status: this.nodeManager.receiveTransaction(transaction, origin)
+      };
+    } catch (error) {
+      return { success: false, status: 'rejected', reason: error.message };
+    }
+  }
+
+  /**
+   * Accept a gossiped block (see receiveTransaction for error handling)
+   */
+  async receiveBlock(block, origin) {
+    try {
+      return {
+        success: true,
+        status: this.nodeManager.receiveBlock(block, origin)
+      };
+    } catch (error) {
+      return { success: false, status: 'rejected', reason: error.message };
+    }
+  }
+
+  /**
+   * Handle a gossiped consensus message
+   */
+  async receiveConsensusMessage(message, origin) {
+    try {
+      return {
+        success: true,
+        status: this.nodeManager.receiveConsensusMessage(message, origin)
+      };
+    } catch (error) {
+      return { success: false, status: 'rejected', reason: error.message };
+    }
+  }
+
+  /**
+   * Get blocks starting at a height, for peers catching up
+   */
+  async getChain(from = 0) {
+    try {
+      const start = Math.max(parseInt(from, 10) || 0, 0);
+      const blocks = this.blockchain.getAllBlocks().slice(start);
+
+      return {
+        success: true,
+        from: start,
+        chainLength: this.blockchain.getChainLength(),
+        chainWork: this.blockchain.getChainWork(),
+        blocks
+      };
+    } catch (error) {
+      throw new Error(`Failed to get chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get block headers starting at a height, for finding a common ancestor
+   */
+  async getHeaders(from = 0) {
+    try {
+      const start = Math.max(parseInt(from, 10) || 0, 0);
+      const headers = this.blockchain.getAllBlocks().slice(start).map(block => ({
+        ...this.blockchain.getBlockHeader(block),
+        hash: block.hash
+      }));
+
+      return {
+        success: true,
+        from: start,
+        chainLength: this.blockchain.getChainLength(),
+        headers
+      };
+    } catch (error) {
+      throw new Error(`Failed to get headers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Catch up with all live peers
+   */
+  async syncChain() {
+    try {
+      return await this.nodeManager.syncChain();
+    } catch (error) {
+      throw new Error(`Failed to sync chain: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether the network simulator is enabled on this node
+   */
+  hasSimulator() {
+    return !!this.nodeManager.simulator;
+  }
+
+  /**
+   * Get the simulated network conditions and their effect so far
+   */
+  async getSimulator() {
+    try {
+      const { simulator } = this.nodeManager;
+
+      return {
+        success: true,
+        nodeId: this.nodeManager.getNodeId(),
+        conditions: simulator.getConditions(),
+        stats: simulator.getStats()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get simulator: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the simulated network conditions
+   */
+  async configureSimulator(conditions) {
+    try {
+      this.nodeManager.simulator.configure(conditions);
+      return this.getSimulator();
+    } catch (error) {
+      throw new Error(`Failed to configure simulator: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a perfect simulated network
+   */
+  async resetSimulator() {
+    try {
+      this.nodeManager.simulator.reset();
+      return this.getSimulator();
+    } catch (error) {
+      throw new Error(`Failed to reset simulator: ${error.message}`);
+    }
+  }
+}
+
+module.exports = P2PService;
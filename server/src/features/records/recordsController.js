@@ -0,0 +1,95 @@
+/**
+ * Records Controller - API endpoints for medical records
+ *
+ * Endpoints:
+ * - GET /api/records/:recordId - Read a medical record (consent-gated, audited)
+ *
+ * Requests must be signed by the reading clinician (see utils/signedRequest.js).
+ */
+
+const express = require('express');
+const RecordsService = require('./recordsService.js');
+const contractsConfig = require('../../config/contracts.js');
+const { requireSignedRequest } = require('../../utils/signedRequest.js');
+
+const router = express.Router();
+
+// Initialize service (will be set by middleware)
+let recordsService = null;
+
+// Middleware to initialize service
+router.use((req, res, next) => {
+  if (!recordsService) {
+    recordsService = new RecordsService(req.app.locals.blockchain, req.app.locals.data, {
+      consentSource: contractsConfig.CONSENT_SOURCE,
+      ethersContractService: req.app.locals.ethersContractService
+    });
+  }
+  next();
+});
+
+/**
+ * Consent enforcement: lets the request through only if the consent of the
+ * clinician who signed it (req.signerId) covers the record, and audits the
+ * decision either way (query: purpose, consentType - default 'Data Access')
+ *
+ * Sets req.recordAccess to the access decision with the record.
+ */
+function requireConsent(req, res, next) {
+  const { purpose, consentType } = req.query;
+  const clinicianId = req.signerId;
+
+  if (recordsService.consentSource === 'contract' && !req.app.locals.ethersContractService) {
+    return res.status(503).json({
+      error: 'Smart contract service not available',
+      message: 'CONSENT_SOURCE=contract needs the Hardhat node running and contracts deployed'
+    });
+  }
+
+  recordsService.authorizeAccess(clinicianId, req.params.recordId, { consentType, purpose })
+    .then(access => {
+      if (!access.found) {
+        return res.status(404).json({
+          error: 'Record not found',
+          recordId: req.params.recordId,
+          auditTransactionId: access.auditTransactionId
+        });
+      }
+
+      if (!access.granted) {
+        return res.status(403).json({
+          error: 'Access denied',
+          reason: access.reason,
+          recordId: req.params.recordId,
+          auditTransactionId: access.auditTransactionId
+        });
+      }
+
+      req.recordAccess = access;
+      next();
+    })
+    .catch(next);
+}
+
+/**
+ * GET /api/records/:recordId
+ * Read a medical record, if the clinician holds a consent covering it
+ */
+router.get('/:recordId', requireSignedRequest({ actorTypes: ['clinician'] }), requireConsent, (req, res) => {
+  const { record, ...access } = req.recordAccess;
+
+  res.status(200).json({
+    success: true,
+    record,
+    access: {
+      granted: access.granted,
+      reason: access.reason,
+      consentId: access.consentId,
+      breakGlass: access.breakGlass,
+      consentSource: access.consentSource,
+      auditTransactionId: access.auditTransactionId
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * Records Service - Consent-gated access to medical records
+ *
+ * Every read of a medical record goes through authorizeAccess(), which
+ * checks the clinician's consent and writes a data-access audit entry with
+ * the decision and its reason, granted or not. Consent is checked against
+ * one of two sources:
+ * - 'chain': ConsentContract on the custom blockchain, including consent
+ *   scopes (records, categories, date ranges) and purpose
+ * - 'contract': the Solidity ConsentManagement contract through
+ *   EthersContractService, which only knows patient, clinician and type
+ * Without consent, an active break-glass access of the clinician to the
+ * patient's records (see ConsentContract.breakGlass) lets the read through,
+ * flagged as such in the audit entry.
+ *
+ * Data Structure:
+ * - Access Decision: {
+ *     granted: boolean
+ *     reason: string
+ *     consentId: string|null (consent that allowed the access, chain source only)
+ *     breakGlass: boolean (allowed by break-glass access, consentId is its ID)
+ *     consentSource: 'chain' | 'contract'
+ *     auditTransactionId: string (audit entry of the decision)
+ *   }
+ */
+
+const ConsentService = require('../consent-management/consentService.js');
+const AuditLogger = require('../audit-trail/AuditLogger.js');
+
+const CONSENT_SOURCES = ['chain', 'contract'];
+
+class RecordsService {
+  /**
+   * @param {Blockchain} blockchain - Custom blockchain (consents and audit log)
+   * @param {Object} data - Loaded data (patients, clinicians, medicalRecords)
+   * @param {Object} options - Consent source
+   * @param {string} options.consentSource - 'chain' (default) or 'contract'
+   * @param {EthersContractService|null} options.ethersContractService - Required by the 'contract' source
+   */
+  constructor(blockchain, data, options = {}) {
+    this.consentService = new ConsentService(blockchain, data);
+    this.auditLogger = new AuditLogger(blockchain);
+    this.data = data;
+    this.consentSource = options.consentSource || 'chain';
+    this.ethersContractService = options.ethersContractService || null;
+
+    if (!CONSENT_SOURCES.includes(this.consentSource)) {
+      throw new Error(`Invalid consent source ${this.consentSource}. Must be one of: ${CONSENT_SOURCES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Find a medical record
+   *
+   * @param {string} recordId - Medical record ID
+   * @returns {Object|null} Medical record
+   */
+  getRecord(recordId) {
+    return this.consentService.findRecord(recordId);
+  }
+
+  /**
+   * Decide whether a clinician may read a record, and audit the decision
+   *
+   * @param {string} clinicianId - Clinician requesting the record
+   * @param {string} recordId - Medical record ID
+   * @param {Object} options - Access details
+   * @param {string} options.consentType - Consent type required (default 'Data Access')
+   * @param {string} options.purpose - Purpose of the access (optional)
+   * @returns {Promise<Object>} Access Decision plus the record (null unless granted)
+   */
+  async authorizeAccess(clinicianId, recordId, options = {}) {
+    try {
+      const consentType = options.consentType || 'Data Access';
+      const purpose = options.purpose || null;
+      const record = this.getRecord(recordId);
+
+      const decision = record
+        ? await this._decide(clinicianId, record, consentType, purpose)
+        : { granted: false, reason: 'Record not found', consentId: null, breakGlass: false };
+
+      const { transaction } = await this.auditLogger.logDataAccess({
+        actorId: clinicianId,
+        resourceId: recordId,
+        resourceType: 'medicalRecord',
+        granted: decision.granted,
+        reason: decision.reason,
+        metadata: {
+          patientId: record?.patientId || null,
+          consentType,
+          purpose,
+          consentId: decision.consentId,
+          breakGlass: decision.breakGlass,
+          consentSource: this.consentSource
+        }
+      });
+
+      return {
+        ...decision,
+        consentSource: this.consentSource,
+        auditTransactionId: transaction.id,
+        found: !!record,
+        record: decision.granted ? record : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to authorize record access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal method to decide on a read: consent first, then break-glass access
+   *
+   * @private
+   */
+  async _decide(clinicianId, record, consentType, purpose) {
+    if (!this.data.clinicians?.some(c => c.id === clinicianId)) {
+      return { granted: false, reason: `Unknown clinician ${clinicianId}`, consentId: null, breakGlass: false };
+    }
+
+    const decision = await this._checkConsent(clinicianId, record, consentType, purpose);
+    if (decision.granted) {
+      return { ...decision, breakGlass: false };
+    }
+
+    const emergency = this.consentService.findActiveBreakGlass(record.patientId, clinicianId);
+    if (emergency) {
+      return {
+        granted: true,
+        reason: `Break-glass access ${emergency.consentId}: ${emergency.justification}`,
+        consentId: emergency.consentId,
+        breakGlass: true
+      };
+    }
+
+    return { ...decision, breakGlass: false };
+  }
+
+  /**
+   * Internal method to check the clinician's consent for a record at the consent source
+   *
+   * @private
+   */
+  async _checkConsent(clinicianId, record, consentType, purpose) {
+    const denied = `No active ${consentType} consent from patient ${record.patientId} covers this record` +
+      (purpose ? ` for purpose ${purpose}` : '');
+
+    if (this.consentSource === 'contract') {
+      if (!this.ethersContractService) {
+        throw new Error('Smart contract service not available');
+      }
+
+      const hasConsent = await this.ethersContractService.hasValidConsent(
+        toAddress(record.patientId),
+        toAddress(clinicianId),
+        consentType
+      );
+
+      return hasConsent
+        ? { granted: true, reason: `${consentType} consent on the ConsentManagement contract`, consentId: null }
+        : { granted: false, reason: denied, consentId: null };
+    }
+
+    const check = await this.consentService.checkConsent(record.patientId, clinicianId, consentType, {
+      recordId: record.id,
+      purpose: purpose || undefined
+    });
+
+    return check.hasConsent
+      ? { granted: true, reason: `Covered by consent ${check.consentId}`, consentId: check.consentId }
+      : { granted: false, reason: denied, consentId: null };
+  }
+}
+
+/**
+ * Contract IDs are addresses; prefix 0x as POST /api/contracts/consent/grant does
+ *
+ * @param {string} id - Patient or clinician ID
+ * @returns {string} Address
+ */
+function toAddress(id) {
+  return id.startsWith('0x') ? id : `0x${id}`;
+}
+
+RecordsService.CONSENT_SOURCES = CONSENT_SOURCES;
+
+module.exports = RecordsService;
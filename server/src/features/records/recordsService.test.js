@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const express = require('express');
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ConsentContract = require('../consent-management/ConsentContract.js');
+const RecordsService = require('./recordsService.js');
+const { generateKeyPair, getSigningPayload, sign, signTransaction, stampTransaction } = require('../../utils/signing.js');
+const { signRequest } = require('../../utils/signedRequest.js');
+
+const data = {
+  patients: [{ id: 'patient-1' }],
+  clinicians: [{ id: 'clinician-1' }, { id: 'clinician-2' }],
+  medicalRecords: [
+    { id: 'record-1', patientId: 'patient-1', recordType: 'imaging', data: { date: '2024-03-01' } },
+    { id: 'record-2', patientId: 'patient-1', recordType: 'lab', data: { date: '2024-03-01' } }
+  ]
+};
+
+let server = null;
+
+/**
+ * Register an actor's key, endorsed by the node, and mine it
+ */
+function enroll(blockchain, nodeManager, actorId, actorType) {
+  const keys = generateKeyPair();
+  const { keyRegistry } = blockchain;
+  const enrollment = {
+    nodeId: nodeManager.getNodeId(),
+    signature: nodeManager.sign(keyRegistry.getEnrollmentPayload(actorId, actorType, keys.publicKey))
+  };
+
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(actorId, actorType, keys.publicKey, enrollment),
+    keys.privateKey
+  ));
+  blockchain.minePendingTransactions();
+
+  return keys;
+}
+
+/**
+ * Open a chain whose node key is mined; clinician-1 holds an imaging consent for treatment,
+ * signed by patient-1, and has a registered key (clinicianKeys) to sign requests with
+ */
+function createChain() {
+  const identity = NodeManager.generateIdentity();
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [identity.nodeId]: identity.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  nodeManager.ensureKeyRegistered();
+  blockchain.minePendingTransactions();
+  const patient = enroll(blockchain, nodeManager, 'patient-1', 'patient');
+  const clinicianKeys = enroll(blockchain, nodeManager, 'clinician-1', 'clinician');
+
+  const contract = new ConsentContract(blockchain);
+  const options = { scope: { categories: ['imaging'] } };
+  const consentId = crypto.randomUUID();
+  const grantedAt = Date.now();
+  const transaction = stampTransaction(
+    contract.buildGrantTransaction('patient-1', 'clinician-1', 'Data Access', options, consentId, grantedAt),
+    consentId,
+    grantedAt
+  );
+  const { consent } = contract.grantConsent('patient-1', 'clinician-1', 'Data Access', options, {
+    transactionId: consentId,
+    grantedAt,
+    signature: sign(getSigningPayload(transaction), patient.privateKey)
+  });
+  blockchain.minePendingTransactions();
+
+  return { blockchain, nodeManager, consent, clinicianKeys };
+}
+
+function getAuditEntry(blockchain, transactionId) {
+  return blockchain.getPendingTransactions().find(tx => tx.id === transactionId).data.auditEntry;
+}
+
+/**
+ * Serve the records endpoints on a free local port
+ */
+async function startServer(blockchain) {
+  // Every server needs its own controller instance, as it caches its service
+  let recordRoutes;
+  jest.isolateModules(() => {
+    recordRoutes = require('./recordsController.js');
+  });
+
+  const app = express();
+  app.locals.blockchain = blockchain;
+  app.locals.data = data;
+  app.use('/api/records', recordRoutes);
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  // Signs the request as signerId with keys, if given
+  return async (path, signerId = null, keys = null) => {
+    const headers = signerId ? signRequest(signerId, keys.privateKey, 'GET', `/api/records${path}`) : {};
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/records${path}`, { headers });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+describe('RecordsService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it('rejects unknown consent sources', () => {
+    expect(() => new RecordsService(createChain().blockchain, data, { consentSource: 'ledger' }))
+      .toThrow('Invalid consent source ledger. Must be one of: chain, contract');
+  });
+
+  describe('authorizeAccess', () => {
+    it('grants a read covered by a consent and audits it', async () => {
+      const { blockchain, consent } = createChain();
+      const service = new RecordsService(blockchain, data);
+
+      const access = await service.authorizeAccess('clinician-1', 'record-1');
+
+      expect(access).toMatchObject({
+        granted: true,
+        reason: `Covered by consent ${consent.consentId}`,
+        consentId: consent.consentId,
+        breakGlass: false,
+        consentSource: 'chain',
+        found: true,
+        record: { id: 'record-1' }
+      });
+      expect(getAuditEntry(blockchain, access.auditTransactionId)).toMatchObject({
+        type: 'data-access',
+        actorId: 'clinician-1',
+        resourceId: 'record-1',
+        resourceType: 'medicalRecord',
+        granted: true,
+        metadata: { patientId: 'patient-1', consentId: consent.consentId, breakGlass: false, consentSource: 'chain' }
+      });
+    });
+
+    it('denies and audits reads outside the scope or purpose, of unknown clinicians and missing records', async () => {
+      const { blockchain } = createChain();
+      const service = new RecordsService(blockchain, data);
+
+      const denials = [
+        [await service.authorizeAccess('clinician-1', 'record-2'), 'No active Data Access consent from patient patient-1 covers this record'],
+        [await service.authorizeAccess('clinician-1', 'record-1', { purpose: 'Research' }),
+          'No active Data Access consent from patient patient-1 covers this record for purpose Research'],
+        [await service.authorizeAccess('clinician-2', 'record-1'), 'No active Data Access consent from patient patient-1 covers this record'],
+        [await service.authorizeAccess('stranger', 'record-1'), 'Unknown clinician stranger'],
+        [await service.authorizeAccess('clinician-1', 'record-9'), 'Record not found']
+      ];
+
+      for (const [access, reason] of denials) {
+        expect(access).toMatchObject({ granted: false, reason, consentId: null, record: null });
+        expect(getAuditEntry(blockchain, access.auditTransactionId)).toMatchObject({ granted: false, reason });
+      }
+      expect(denials[4][0].found).toBe(false);
+    });
+
+    it('lets a clinician without consent read under active break-glass access, flagged in the audit', async () => {
+      const { blockchain } = createChain();
+      const { consent } = new ConsentContract(blockchain).breakGlass('patient-1', 'clinician-2', 'Cardiac arrest');
+      blockchain.minePendingTransactions();
+      const service = new RecordsService(blockchain, data);
+
+      const access = await service.authorizeAccess('clinician-2', 'record-2');
+
+      expect(access).toMatchObject({
+        granted: true,
+        reason: `Break-glass access ${consent.consentId}: Cardiac arrest`,
+        consentId: consent.consentId,
+        breakGlass: true
+      });
+      expect(getAuditEntry(blockchain, access.auditTransactionId).metadata.breakGlass).toBe(true);
+    });
+
+    it('checks the ConsentManagement contract by address with the contract source', async () => {
+      const { blockchain } = createChain();
+      const ethersContractService = { hasValidConsent: jest.fn(async () => true) };
+      const service = new RecordsService(blockchain, data, { consentSource: 'contract', ethersContractService });
+
+      const access = await service.authorizeAccess('clinician-1', 'record-2');
+
+      expect(ethersContractService.hasValidConsent).toHaveBeenCalledWith('0xpatient-1', '0xclinician-1', 'Data Access');
+      expect(access).toMatchObject({ granted: true, consentSource: 'contract', consentId: null });
+      await expect(new RecordsService(blockchain, data, { consentSource: 'contract' }).authorizeAccess('clinician-1', 'record-1'))
+        .rejects.toThrow('Failed to authorize record access: Smart contract service not available');
+    });
+  });
+
+  describe('GET /api/records/:recordId', () => {
+    it('returns a covered record with its access decision', async () => {
+      const { blockchain, consent, clinicianKeys } = createChain();
+      const get = await startServer(blockchain);
+
+      const { status, body } = await get('/record-1?purpose=Treatment', 'clinician-1', clinicianKeys);
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, record: { id: 'record-1' }, access: { granted: true, consentId: consent.consentId } });
+    });
+
+    it('answers 401 unsigned or forged, 403 for non-clinicians, 404 for missing records and 403 without consent', async () => {
+      const { blockchain, nodeManager, clinicianKeys } = createChain();
+      const patient = enroll(blockchain, nodeManager, 'patient-2', 'patient');
+      const get = await startServer(blockchain);
+
+      const unsigned = await get('/record-1?clinicianId=clinician-1');
+      const forged = await get('/record-1', 'clinician-1', generateKeyPair());
+      const notClinician = await get('/record-1', 'patient-2', patient);
+      const missingRecord = await get('/record-9', 'clinician-1', clinicianKeys);
+      const denied = await get('/record-2', 'clinician-1', clinicianKeys);
+
+      expect(unsigned).toMatchObject({ status: 401, body: { error: 'Request must be signed (X-Signer-Id, X-Signed-At, X-Signature)' } });
+      expect(forged).toMatchObject({ status: 401, body: { error: 'Request is not signed by a registered key for clinician-1' } });
+      expect(notClinician).toMatchObject({ status: 403, body: { error: 'patient-2 is not a clinician' } });
+      expect(missingRecord).toMatchObject({ status: 404, body: { error: 'Record not found' } });
+      expect(denied).toMatchObject({ status: 403, body: { error: 'Access denied', recordId: 'record-2' } });
+      expect(getAuditEntry(blockchain, denied.body.auditTransactionId).granted).toBe(false);
+    });
+  });
+});
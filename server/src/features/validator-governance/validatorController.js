@@ -0,0 +1,178 @@
+/**
+ * Validator Controller - API endpoints for on-chain validator set governance
+ */
+
+const express = require('express');
+const ValidatorService = require('./validatorService.js');
+const { waitOptions, sendWithReceipt } = require('../../utils/receiptWait.js');
+
+const router = express.Router();
+
+const PROPOSAL_STATUSES = ['open', 'approved', 'rejected'];
+
+let validatorService = null;
+
+router.use((req, res, next) => {
+  if (!validatorService) {
+    validatorService = new ValidatorService(
+      req.app.locals.blockchain,
+      req.app.locals.nodeManager,
+      req.app.locals.validatorRegistry
+    );
+  }
+  next();
+});
+
+/**
+ * GET /api/validators
+ * Validator set at a block height (query: height, default the next block)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const height = req.query.height === undefined ? null : Number(req.query.height);
+
+    if (height !== null && (!Number.isInteger(height) || height < 0)) {
+      return res.status(400).json({
+        error: 'height must be a non-negative integer'
+      });
+    }
+
+    const result = await validatorService.getValidators(height);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/validators/history
+ * Genesis validator set and every approved change, with the height it took effect
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const result = await validatorService.getHistory();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/validators/proposals
+ * Propose adding or removing a validator, signed by this node (which must be a validator)
+ */
+router.post('/proposals', waitOptions, async (req, res, next) => {
+  try {
+    const { action, nodeId, reason } = req.body;
+
+    if (!['add', 'remove'].includes(action) || !nodeId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['action (add or remove)', 'nodeId']
+      });
+    }
+
+    const check = validatorService.checkAction({
+      action: action === 'add' ? 'propose-add' : 'propose-remove',
+      nodeId
+    });
+    if (!check.valid) {
+      return res.status(409).json({
+        error: 'Governance proposal rejected',
+        reason: check.error
+      });
+    }
+
+    const result = await validatorService.propose(action, nodeId, reason);
+
+    await sendWithReceipt(req, res, 201, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/validators/proposals
+ * List governance proposals (query: status = open, approved or rejected)
+ */
+router.get('/proposals', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !PROPOSAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${PROPOSAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await validatorService.getProposals(status || null);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/validators/proposals/:proposalId
+ * Get a governance proposal with its votes
+ */
+router.get('/proposals/:proposalId', async (req, res, next) => {
+  try {
+    const result = await validatorService.getProposal(req.params.proposalId);
+
+    if (!result.proposal) {
+      return res.status(404).json({
+        error: 'Governance proposal not found',
+        proposalId: req.params.proposalId
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/validators/proposals/:proposalId/votes
+ * Vote on a governance proposal as this node
+ */
+router.post('/proposals/:proposalId/votes', waitOptions, async (req, res, next) => {
+  try {
+    const { approve } = req.body;
+    const { proposalId } = req.params;
+
+    if (typeof approve !== 'boolean') {
+      return res.status(400).json({
+        error: 'approve (true or false) is required'
+      });
+    }
+
+    const { proposal } = await validatorService.getProposal(proposalId);
+    if (!proposal) {
+      return res.status(404).json({
+        error: 'Governance proposal not found',
+        proposalId
+      });
+    }
+
+    const check = validatorService.checkAction({ action: 'vote', proposalId, approve });
+    if (!check.valid) {
+      return res.status(409).json({
+        error: 'Governance vote rejected',
+        reason: check.error
+      });
+    }
+
+    const result = await validatorService.vote(proposalId, approve);
+
+    await sendWithReceipt(req, res, 201, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
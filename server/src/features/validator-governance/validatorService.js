@@ -0,0 +1,167 @@
+/**
+ * Validator Service
+ * 
+ * This service reports the governed validator set and submits this node's
+ * governance transactions (proposals to add or remove a validator, and votes
+ * on them).
+ */
+
+class ValidatorService {
+  constructor(blockchain, nodeManager, validatorRegistry) {
+    this.blockchain = blockchain;
+    this.nodeManager = nodeManager;
+    this.registry = validatorRegistry;
+  }
+
+  /**
+   * Get the validator set at a block height (default: the next block)
+   */
+  async getValidators(height = null) {
+    try {
+      const at = height === null ? this.blockchain.getChainLength() : height;
+
+      return {
+        success: true,
+        active: this.registry.isActive(),
+        height: at,
+        validators: this.registry.getValidators(at)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get validators: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the genesis validator set and every change since
+   */
+  async getHistory() {
+    try {
+      return {
+        success: true,
+        genesis: [...this.registry.genesisValidators],
+        changes: this.registry.getHistory()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get validator history: ${error.message}`);
+    }
+  }
+
+  /**
+   * List governance proposals, optionally by status
+   */
+  async getProposals(status = null) {
+    try {
+      const proposals = this.registry.getProposals(status);
+
+      return {
+        success: true,
+        count: proposals.length,
+        proposals
+      };
+    } catch (error) {
+      throw new Error(`Failed to get governance proposals: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a governance proposal
+   */
+  async getProposal(proposalId) {
+    try {
+      const proposal = this.registry.getProposal(proposalId);
+
+      return proposal
+        ? { success: true, proposal }
+        : { success: false, proposal: null };
+    } catch (error) {
+      throw new Error(`Failed to get governance proposal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether this node may submit a governance action now
+   * 
+   * Also refuses an action this node already has waiting in the mempool,
+   * which would be ignored once both are committed.
+   * 
+   * @param {Object} data - Governance Transaction data (see core/ValidatorRegistry.js)
+   * @returns {Object} {valid, error}
+   */
+  checkAction(data) {
+    const nodeId = this.nodeManager.getNodeId();
+    const error = this.registry.validateAction(nodeId, data);
+    if (error) {
+      return { valid: false, error };
+    }
+
+    const pending = this.blockchain.getPendingTransactions().find(tx =>
+      tx.to === this.registry.contractAddress &&
+      tx.signedBy === nodeId &&
+      tx.data.action === data.action &&
+      (data.action === 'vote' ? tx.data.proposalId === data.proposalId : tx.data.nodeId === data.nodeId));
+    if (pending) {
+      return { valid: false, error: `This node's ${data.action} transaction ${pending.id} is not committed yet` };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Propose adding or removing a validator, as this node
+   */
+  async propose(action, nodeId, reason = null) {
+    try {
+      const data = {
+        action: action === 'add' ? 'propose-add' : 'propose-remove',
+        nodeId,
+        ...(reason ? { reason } : {})
+      };
+
+      const transaction = this._submit(data);
+
+      return {
+        success: true,
+        proposalId: transaction.id,
+        status: 'pending', // counted once the transaction is committed
+        transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to propose validator change: ${error.message}`);
+    }
+  }
+
+  /**
+   * Vote on a governance proposal, as this node
+   */
+  async vote(proposalId, approve) {
+    try {
+      const transaction = this._submit({ action: 'vote', proposalId, approve });
+
+      return {
+        success: true,
+        proposalId,
+        approve,
+        status: 'pending', // counted once the transaction is committed
+        transaction
+      };
+    } catch (error) {
+      throw new Error(`Failed to vote on governance proposal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal method to sign a governance transaction as this node and add it to the mempool
+   * 
+   * @private
+   */
+  _submit(data) {
+    const check = this.checkAction(data);
+    if (!check.valid) {
+      throw new Error(check.error);
+    }
+
+    return this.blockchain.addSystemTransaction(this.registry.buildTransaction(data));
+  }
+}
+
+module.exports = ValidatorService;
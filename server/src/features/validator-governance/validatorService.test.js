@@ -0,0 +1,65 @@
+const Blockchain = require('../../core/Blockchain.js');
+const KeyRegistry = require('../../core/KeyRegistry.js');
+const NodeManager = require('../../core/NodeManager.js');
+const ValidatorRegistry = require('../../core/ValidatorRegistry.js');
+const ValidatorService = require('./validatorService.js');
+
+const identity = NodeManager.generateIdentity();
+const other = NodeManager.generateIdentity();
+const candidate = NodeManager.generateIdentity();
+
+function createService() {
+  const nodeKeys = { [identity.nodeId]: identity.publicKey, [other.nodeId]: other.publicKey };
+  const keyRegistry = new KeyRegistry({ nodeKeys });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry, nodeKeys });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+
+  const registry = new ValidatorRegistry([identity.nodeId, other.nodeId]);
+  registry.attach(blockchain);
+
+  return { blockchain, registry, service: new ValidatorService(blockchain, nodeManager, registry) };
+}
+
+describe('ValidatorService', () => {
+  it('submits a proposal signed by this node, counted once committed', async () => {
+    const { blockchain, registry, service } = createService();
+
+    const result = await service.propose('add', candidate.nodeId, 'new hospital');
+    expect(result).toMatchObject({ success: true, status: 'pending', transaction: { signedBy: identity.nodeId } });
+    expect(registry.getProposal(result.proposalId)).toBeNull();
+
+    blockchain.minePendingTransactions();
+    expect(await service.getProposal(result.proposalId)).toMatchObject({ success: true, proposal: { status: 'open' } });
+  });
+
+  it('refuses an action that is waiting in the mempool', async () => {
+    const { service } = createService();
+    const { transaction } = await service.propose('remove', other.nodeId);
+
+    await expect(service.propose('remove', other.nodeId))
+      .rejects.toThrow(`Failed to propose validator change: This node's propose-remove transaction ${transaction.id} is not committed yet`);
+  });
+
+  it('refuses an action the registry would ignore', async () => {
+    const { service } = createService();
+
+    await expect(service.vote('unknown', true))
+      .rejects.toThrow('Failed to vote on governance proposal: Governance proposal not found: unknown');
+  });
+
+  it('reports the validator set at a height', async () => {
+    const { blockchain, service } = createService();
+    const { proposalId } = await service.propose('add', candidate.nodeId);
+    blockchain.minePendingTransactions();
+
+    expect(await service.getValidators()).toEqual({
+      success: true, active: true, height: 2, validators: [identity.nodeId, other.nodeId]
+    });
+    expect((await service.getHistory()).changes).toEqual([]);
+    expect((await service.getProposals('open')).proposals[0].proposalId).toBe(proposalId);
+  });
+});
@@ -20,9 +20,13 @@
  * - Prover commits to data without revealing it
  * - Verifier can verify commitment matches expected value
  * - Salt ensures same data produces different commitments
+ * - Commitments and verification keys hash canonical JSON, so proofs verify
+ *   regardless of the key order a client serialized them with
+ * - The verification key is bound to the full public metadata
  */
 
 const crypto = require('crypto');
+const { canonicalize } = require('../../utils/canonicalJson.js');
 
 class ZKProof {
   /**
@@ -57,31 +61,28 @@ class ZKProof {
       grantedAt: consentData.grantedAt
     };
 
-    const commitmentString = JSON.stringify(commitmentData) + salt;
+    const commitmentString = canonicalize(commitmentData) + salt;
     const commitment = crypto.createHash('sha256')
       .update(commitmentString)
       .digest('hex');
 
+    // Only include non-sensitive metadata
+    const metadata = {
+      status: consentData.status,
+      grantedAt: consentData.grantedAt,
+      expiresAt: consentData.expiresAt || null
+    };
+
     // Create verification key (hash of commitment + public info)
     // This allows verification without revealing sensitive data
-    const verificationKey = crypto.createHash('sha256')
-      .update(commitment + JSON.stringify({
-        status: consentData.status,
-        grantedAt: consentData.grantedAt
-      }))
-      .digest('hex');
+    const verificationKey = ZKProof._deriveVerificationKey(commitment, metadata);
 
     return {
       commitment,
       salt, // In production, salt would be kept secret by prover
       verificationKey,
       timestamp: Date.now(),
-      metadata: {
-        // Only include non-sensitive metadata
-        status: consentData.status,
-        grantedAt: consentData.grantedAt,
-        expiresAt: consentData.expiresAt || null
-      }
+      metadata
     };
   }
 
@@ -122,9 +123,10 @@ class ZKProof {
     }
 
     // Verify verification key is correctly derived
-    const expectedVerificationKey = crypto.createHash('sha256')
-      .update(proof.commitment + JSON.stringify(proof.metadata || {}))
-      .digest('hex');
+    const expectedVerificationKey = ZKProof._deriveVerificationKey(
+      proof.commitment,
+      proof.metadata || {}
+    );
 
     if (proof.verificationKey !== expectedVerificationKey) {
       return false;
@@ -160,29 +162,26 @@ class ZKProof {
       grantedAt: permissionData.grantedAt
     };
 
-    const commitmentString = JSON.stringify(commitmentData) + salt;
+    const commitmentString = canonicalize(commitmentData) + salt;
     const commitment = crypto.createHash('sha256')
       .update(commitmentString)
       .digest('hex');
 
+    const metadata = {
+      permissions: permissions, // Permissions can be public
+      role: permissionData.role,
+      grantedAt: permissionData.grantedAt
+    };
+
     // Create verification key
-    const verificationKey = crypto.createHash('sha256')
-      .update(commitment + JSON.stringify({
-        permissions: permissions.sort(),
-        role: permissionData.role
-      }))
-      .digest('hex');
+    const verificationKey = ZKProof._deriveVerificationKey(commitment, metadata);
 
     return {
       commitment,
       salt,
       verificationKey,
       timestamp: Date.now(),
-      metadata: {
-        permissions: permissions, // Permissions can be public
-        role: permissionData.role,
-        grantedAt: permissionData.grantedAt
-      }
+      metadata
     };
   }
 
@@ -222,6 +221,17 @@ class ZKProof {
 
     return true;
   }
+
+  /**
+   * Internal helper to derive a verification key from a commitment and its public metadata
+   * 
+   * @private
+   */
+  static _deriveVerificationKey(commitment, metadata) {
+    return crypto.createHash('sha256')
+      .update(commitment + canonicalize(metadata))
+      .digest('hex');
+  }
 }
 
 module.exports = ZKProof;
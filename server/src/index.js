@@ -10,37 +10,194 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 
+dotenv.config();
+
 // Import blockchain core
 const Blockchain = require('./core/Blockchain.js');
 const NodeManager = require('./core/NodeManager.js');
+const BlockProducer = require('./core/BlockProducer.js');
+const KeyRegistry = require('./core/KeyRegistry.js');
+const NetworkSimulator = require('./core/NetworkSimulator.js');
+const ValidatorRegistry = require('./core/ValidatorRegistry.js');
+const TransactionTracker = require('./core/TransactionTracker.js');
+const { createConsensus } = require('./core/consensus/index.js');
+const { createStorage } = require('./core/storage/index.js');
+const blockchainConfig = require('./config/blockchain.js');
+const IntegrityService = require('./features/data-integrity/integrityService.js');
+const ConsensusEngine = require('./features/consensus/ConsensusEngine.js');
+const ConsensusMetrics = require('./features/consensus/ConsensusMetrics.js');
+const ConsentExpirySweeper = require('./features/consent-management/ConsentExpirySweeper.js');
 
 // Import feature routes (to be implemented)
 const consentRoutes = require('./features/consent-management/consentController.js');
 const integrityRoutes = require('./features/data-integrity/integrityController.js');
 const zkRoutes = require('./features/zk-proofs/zkController.js');
 const auditRoutes = require('./features/audit-trail/auditController.js');
+const recordRoutes = require('./features/records/recordsController.js');
 const consensusRoutes = require('./features/consensus/consensusController.js');
+const blockchainRoutes = require('./features/blockchain/blockchainController.js');
+const keyRoutes = require('./features/key-registry/keyController.js');
+const validatorRoutes = require('./features/validator-governance/validatorController.js');
+const p2pRoutes = require('./features/p2p/p2pController.js');
 
 // Import data
 const { patients, clinicians, aiModels, medicalRecords, consentRecords } = require('./data/generated-data.js');
 
-dotenv.config();
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Snapshots are far larger than regular API payloads
+app.use('/api/blockchain/import', express.json({ limit: blockchainConfig.SNAPSHOT_MAX_SIZE }));
+app.use('/p2p', express.json({ limit: blockchainConfig.P2P_MAX_MESSAGE_SIZE }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize blockchain
-const blockchain = new Blockchain();
-const nodeManager = new NodeManager(blockchain);
+// Initialize blockchain from the configured storage backend
+const storage = createStorage(blockchainConfig.STORAGE, { dataDir: blockchainConfig.DATA_DIR });
+
+// Node identity (ID and signing key) persists with the chain data
+let identity = storage.loadNodeIdentity();
+if (!identity) {
+  identity = NodeManager.generateIdentity();
+  storage.saveNodeIdentity(identity);
+}
+
+// Node keys shared by the validators, trusted before their registrations are on-chain.
+// They are the only node keys ever trusted: without NODE_KEYS_FILE a node trusts its own key only
+let nodeKeys;
+try {
+  nodeKeys = blockchainConfig.NODE_KEYS_FILE
+    ? KeyRegistry.readNodeKeys(blockchainConfig.NODE_KEYS_FILE)
+    : { [identity.nodeId]: identity.publicKey };
+} catch (error) {
+  console.error('✗ Invalid NODE_KEYS_FILE:', error.message);
+  process.exit(1);
+}
+
+if (nodeKeys[identity.nodeId] !== identity.publicKey) {
+  console.error(`✗ NODE_KEYS_FILE does not list this node's key (node ID ${identity.nodeId})`);
+  process.exit(1);
+}
+if (blockchainConfig.NETWORK_SIMULATOR && process.env.NODE_ENV === 'production') {
+  console.error('✗ NETWORK_SIMULATOR is for development networks only and cannot be enabled with NODE_ENV=production');
+  process.exit(1);
+}
+if (!blockchainConfig.NODE_KEYS_FILE && blockchainConfig.PEERS.length > 0) {
+  console.warn('⚠️  PEERS is set without NODE_KEYS_FILE: blocks and system transactions from other nodes will be rejected');
+}
+
+const keyRegistry = new KeyRegistry({ nodeKeys });
+let blockchain;
+try {
+  blockchain = new Blockchain({
+    storage,
+    keyRegistry,
+    nodeKeys,
+    sealing: {
+      type: blockchainConfig.SEAL_TYPE,
+      difficulty: blockchainConfig.POW_DIFFICULTY,
+      validators: blockchainConfig.VALIDATORS,
+      legacyPowHeight: blockchainConfig.LEGACY_POW_HEIGHT
+    },
+    finalityDepth: blockchainConfig.FINALITY_DEPTH
+  });
+} catch (error) {
+  console.error('✗ Invalid chain configuration:', error.message);
+  process.exit(1);
+}
+
+const onDroppedAtLoad = (transactions, reason) => {
+  console.warn(`⚠️  Dropped ${transactions.length} pending transactions from storage: ${reason}`);
+};
+
+try {
+  blockchain.on('dropped', onDroppedAtLoad);
+  const loadedBlocks = blockchain.load();
+  blockchain.off('dropped', onDroppedAtLoad);
+  if (loadedBlocks > 0) {
+    console.log(`✓ Loaded ${loadedBlocks} blocks and ${blockchain.pendingTransactions.length} pending transactions from ${blockchainConfig.STORAGE} storage`);
+  }
+} catch (error) {
+  console.error('✗ Failed to load blockchain:', error.message);
+  console.error('   Refusing to start on a corrupted store. Restore a backup or point CHAIN_DATA_DIR elsewhere.');
+  process.exit(1);
+}
+
+keyRegistry.attach(blockchain);
+
+// Validator set changes are voted on-chain, starting from the configured validators
+// (PBFT and Raft keep the fixed membership in VALIDATORS, so governance is off there)
+const validatorRegistry = new ValidatorRegistry(
+  blockchainConfig.CONSENSUS_MODE === 'none' ? blockchainConfig.VALIDATORS : []
+);
+validatorRegistry.attach(blockchain);
+
+const nodeManager = new NodeManager(blockchain, {
+  identity,
+  url: blockchainConfig.NODE_URL || `http://localhost:${PORT}`,
+  requestTimeoutMs: blockchainConfig.PEER_TIMEOUT_MS,
+  heartbeatMs: blockchainConfig.PEER_HEARTBEAT_MS,
+  maxFailures: blockchainConfig.PEER_MAX_FAILURES,
+  simulator: blockchainConfig.NETWORK_SIMULATOR
+    ? new NetworkSimulator({ seed: blockchainConfig.SIMULATOR_SEED })
+    : null
+});
+blockchain.setSystemSigner(nodeManager);
+
+// Register the node key on-chain so peers can verify 'system' transactions
+nodeManager.ensureKeyRegistered();
+
+const transactionTracker = new TransactionTracker(blockchain, {
+  finalityDepth: blockchainConfig.FINALITY_DEPTH
+});
+
+const blockProducer = new BlockProducer(blockchain, {
+  intervalMs: blockchainConfig.BLOCK_INTERVAL_MS,
+  maxBlockSize: blockchainConfig.MAX_BLOCK_SIZE,
+  tracker: transactionTracker
+});
+
+// With a consensus protocol, validators agree on blocks instead of the producer sealing them
+let consensus;
+try {
+  consensus = createConsensus(blockchainConfig.CONSENSUS_MODE, blockchain, nodeManager, {
+    validators: blockchainConfig.VALIDATORS,
+    viewTimeoutMs: blockchainConfig.PBFT_VIEW_TIMEOUT_MS,
+    electionTimeoutMs: blockchainConfig.RAFT_ELECTION_TIMEOUT_MS,
+    heartbeatMs: blockchainConfig.RAFT_HEARTBEAT_MS,
+    blockIntervalMs: blockchainConfig.BLOCK_INTERVAL_MS,
+    maxBlockSize: blockchainConfig.MAX_BLOCK_SIZE
+  });
+} catch (error) {
+  console.error('✗ Invalid consensus configuration:', error.message);
+  process.exit(1);
+}
 
 // Store mock data in memory (in production, this would be a database)
 app.locals.blockchain = blockchain;
 app.locals.nodeManager = nodeManager;
+app.locals.blockProducer = blockProducer;
+app.locals.consensus = consensus;
+app.locals.consensusEngine = new ConsensusEngine(blockchain, nodeManager, consensus, validatorRegistry, {
+  proposalTtlMs: blockchainConfig.PROPOSAL_TTL_MS,
+  maxPendingProposals: blockchainConfig.MAX_PENDING_PROPOSALS
+});
+app.locals.keyRegistry = keyRegistry;
+app.locals.transactionTracker = transactionTracker;
+app.locals.validatorRegistry = validatorRegistry;
+app.locals.consentExpirySweeper = new ConsentExpirySweeper(blockchain, {
+  intervalMs: blockchainConfig.CONSENT_SWEEP_INTERVAL_MS,
+  noticeMs: blockchainConfig.CONSENT_EXPIRY_NOTICE_MS,
+  webhookUrl: blockchainConfig.CONSENT_EXPIRY_WEBHOOK_URL
+});
+// Collected from startup, so finality and fork history cover the node's whole run
+app.locals.consensusMetrics = new ConsensusMetrics(blockchain, nodeManager, {
+  consensus,
+  engine: app.locals.consensusEngine,
+  validatorRegistry
+});
 app.locals.data = {
   patients,
   clinicians,
@@ -48,6 +205,7 @@ app.locals.data = {
   medicalRecords,
   consentRecords
 };
+app.locals.integrityService = new IntegrityService(blockchain, app.locals.data);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -62,6 +220,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(app.locals.consensusMetrics.toPrometheus());
+});
+
 // Blockchain info endpoint
 app.get('/api/blockchain/info', (req, res) => {
   const info = {
@@ -75,12 +239,19 @@ app.get('/api/blockchain/info', (req, res) => {
 });
 
 // Feature routes (custom blockchain)
+app.use('/api/blockchain', blockchainRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/validators', validatorRoutes);
 app.use('/api/consent', consentRoutes);
 app.use('/api/integrity', integrityRoutes);
 app.use('/api/zk', zkRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/records', recordRoutes);
 app.use('/api/consensus', consensusRoutes);
 
+// Node-to-node endpoints (peers, gossip, chain sync)
+app.use('/p2p', p2pRoutes);
+
 // Real Solidity contract routes (if available)
 try {
   const EthersContractService = require('./services/ethersContractService.js');
@@ -132,9 +303,39 @@ app.listen(PORT, () => {
   
   // Initialize with genesis block if chain is empty
   if (blockchain.getChainLength() === 0) {
-    blockchain.createGenesisBlock();
+    blockchain.createGenesisBlock(blockchainConfig.GENESIS_TIMESTAMP);
     console.log('✓ Genesis block created');
   }
+
+  // Signed proposals and votes from peers, unless a consensus protocol handles them
+  app.locals.consensusEngine.start();
+
+  if (consensus) {
+    consensus.start();
+    const status = consensus.getStatus();
+    console.log(`✓ ${status.mode.toUpperCase()} consensus started (${status.validators.length} validators, ${status.isValidator ? 'validating' : 'following'})`);
+  } else if (blockchainConfig.PRODUCE_BLOCKS) {
+    blockProducer.start();
+    console.log(`✓ Block producer started (interval: ${blockProducer.intervalMs}ms, max block size: ${blockProducer.maxBlockSize}, sealing: ${blockchain.sealer.type})`);
+  } else {
+    console.log('✓ Block production disabled; following peers');
+  }
+
+  const consentExpirySweeper = app.locals.consentExpirySweeper;
+  if (consentExpirySweeper.intervalMs > 0) {
+    consentExpirySweeper.start();
+    console.log(`✓ Consent expiry sweeper started (interval: ${consentExpirySweeper.intervalMs}ms, notice: ${consentExpirySweeper.noticeMs}ms${consentExpirySweeper.webhookUrl ? ', webhook enabled' : ''})`);
+  }
+
+  nodeManager.start();
+  if (nodeManager.simulator) {
+    console.log('⚠️  Network simulator enabled: requests to peers follow the conditions set at /p2p/simulator');
+  }
+  for (const url of blockchainConfig.PEERS) {
+    nodeManager.addPeer(url)
+      .then(peer => console.log(`✓ Connected to peer ${peer.nodeId} at ${url}`))
+      .catch(error => console.warn(`⚠️  Could not connect to peer ${url}: ${error.message}`));
+  }
 });
 
 module.exports = app;
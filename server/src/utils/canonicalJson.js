@@ -0,0 +1,97 @@
+/**
+ * Canonical JSON Encoding
+ *
+ * Deterministic JSON serialization in the style of RFC 8785 (JSON
+ * Canonicalization Scheme), used for everything that gets hashed or signed:
+ * blocks, transactions, Merkle leaves and ZK commitments.
+ *
+ * - Object keys are sorted by UTF-16 code units, at every depth
+ * - No insignificant whitespace
+ * - Strings and finite numbers are serialized as by JSON.stringify (ES2015+
+ *   number formatting is what RFC 8785 specifies)
+ * - Properties with undefined/function values are omitted, and become null in
+ *   arrays, matching JSON.stringify
+ * - Non-finite numbers are rejected rather than silently becoming null
+ *
+ * Two semantically identical records therefore always hash the same,
+ * whatever key order they were built or transmitted with.
+ *
+ * The client ships the same encoder in client/src/utils/canonicalJson.js.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value to canonical JSON
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+function canonicalize(value) {
+  const encoded = encode(value);
+  return encoded === undefined ? 'null' : encoded;
+}
+
+/**
+ * SHA-256 of a value's canonical JSON (strings are hashed as-is)
+ *
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashCanonical(value) {
+  const data = typeof value === 'string' ? value : canonicalize(value);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Internal recursive encoder; returns undefined for values JSON omits
+ *
+ * @private
+ */
+function encode(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (value !== undefined && typeof value.toJSON === 'function') {
+    return encode(value.toJSON());
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+    case 'string':
+      return JSON.stringify(value);
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+      }
+      return JSON.stringify(value);
+    case 'bigint':
+      throw new Error('Cannot canonicalize BigInt values');
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+    default:
+      break;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => encode(item) ?? 'null').join(',')}]`;
+  }
+
+  const members = [];
+  for (const key of Object.keys(value).sort()) {
+    const encoded = encode(value[key]);
+    if (encoded !== undefined) {
+      members.push(`${JSON.stringify(key)}:${encoded}`);
+    }
+  }
+
+  return `{${members.join(',')}}`;
+}
+
+module.exports = {
+  canonicalize,
+  hashCanonical
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { canonicalize, hashCanonical } = require('./canonicalJson.js');
+
+describe('canonicalJson', () => {
+  it('sorts object keys at every depth, without whitespace', () => {
+    expect(canonicalize({ b: 1, a: { d: [{ f: 1, e: 2 }], c: 'x' } }))
+      .toBe('{"a":{"c":"x","d":[{"e":2,"f":1}]},"b":1}');
+  });
+
+  it('encodes the same record built in any key order identically', () => {
+    const first = { id: 'tx-1', data: { scope: ['a', 'b'], patientId: 'p' }, timestamp: 5 };
+    const second = { timestamp: 5, data: { patientId: 'p', scope: ['a', 'b'] }, id: 'tx-1' };
+
+    expect(canonicalize(first)).toBe(canonicalize(second));
+    expect(hashCanonical(first)).toBe(hashCanonical(second));
+  });
+
+  it('keeps array order', () => {
+    expect(canonicalize([2, 1])).not.toBe(canonicalize([1, 2]));
+  });
+
+  it('omits undefined and function properties, and nulls them in arrays', () => {
+    expect(canonicalize({ a: undefined, b: () => 1, c: null })).toBe('{"c":null}');
+    expect(canonicalize([undefined, () => 1])).toBe('[null,null]');
+    expect(canonicalize(undefined)).toBe('null');
+  });
+
+  it('serializes strings, numbers and dates like JSON.stringify', () => {
+    const value = { s: 'é"\n', n: 1e21, f: 0.1, neg: -0, date: new Date(0) };
+
+    expect(JSON.parse(canonicalize(value))).toEqual(JSON.parse(JSON.stringify(value)));
+  });
+
+  it('rejects non-finite numbers and BigInts', () => {
+    expect(() => canonicalize({ a: NaN })).toThrow('non-finite number');
+    expect(() => canonicalize([Infinity])).toThrow('non-finite number');
+    expect(() => canonicalize({ a: 1n })).toThrow('BigInt');
+  });
+
+  it('hashes strings as-is and other values as canonical JSON', () => {
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+    expect(hashCanonical('abc')).toBe(sha256('abc'));
+    expect(hashCanonical({ b: 1, a: 2 })).toBe(sha256('{"a":2,"b":1}'));
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Key Enrollment Codes
+ *
+ * A first key registration for a patient, clinician, AI model or delegate is
+ * only endorsed by a node when the caller presents the actor's enrollment
+ * code: HMAC-SHA256 of the actor ID under the node's ENROLLMENT_SECRET, hex
+ * encoded. An administrator hands the code to the actor out of band (see
+ * scripts/enroll.js), so knowing an actor ID is not enough to claim it.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create the enrollment code for an actor
+ *
+ * @param {string} secret - Enrollment secret
+ * @param {string} actorId - Actor ID
+ * @returns {string} Hex enrollment code
+ */
+function createEnrollmentCode(secret, actorId) {
+  return crypto.createHmac('sha256', secret).update(String(actorId)).digest('hex');
+}
+
+/**
+ * Check an enrollment code in constant time
+ *
+ * @param {string} secret - Enrollment secret
+ * @param {string} actorId - Actor ID
+ * @param {string} code - Presented code
+ * @returns {boolean} True if the code belongs to the actor
+ */
+function verifyEnrollmentCode(secret, actorId, code) {
+  if (!secret || typeof code !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(createEnrollmentCode(secret, actorId));
+  const presented = Buffer.from(code.toLowerCase());
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+module.exports = {
+  createEnrollmentCode,
+  verifyEnrollmentCode
+};
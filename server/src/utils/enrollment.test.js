@@ -0,0 +1,26 @@
+const { createEnrollmentCode, verifyEnrollmentCode } = require('./enrollment.js');
+
+describe('enrollment codes', () => {
+  it('derives one code per actor from the secret', () => {
+    const code = createEnrollmentCode('secret', 'patient-1');
+
+    expect(code).toMatch(/^[0-9a-f]{64}$/);
+    expect(createEnrollmentCode('secret', 'patient-1')).toBe(code);
+    expect(createEnrollmentCode('secret', 'patient-2')).not.toBe(code);
+    expect(createEnrollmentCode('other', 'patient-1')).not.toBe(code);
+  });
+
+  it('accepts only the actor\'s own code', () => {
+    const code = createEnrollmentCode('secret', 'patient-1');
+
+    expect(verifyEnrollmentCode('secret', 'patient-1', code)).toBe(true);
+    expect(verifyEnrollmentCode('secret', 'patient-1', code.toUpperCase())).toBe(true);
+    expect(verifyEnrollmentCode('secret', 'patient-2', code)).toBe(false);
+    expect(verifyEnrollmentCode('secret', 'patient-1', code.slice(1))).toBe(false);
+    expect(verifyEnrollmentCode('secret', 'patient-1', undefined)).toBe(false);
+  });
+
+  it('accepts no code without a secret', () => {
+    expect(verifyEnrollmentCode(null, 'patient-1', createEnrollmentCode('', 'patient-1'))).toBe(false);
+  });
+});
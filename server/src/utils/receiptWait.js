@@ -0,0 +1,98 @@
+/**
+ * Receipt Waiting for Write Endpoints
+ *
+ * Endpoints that submit a transaction accept ?wait=included or
+ * ?wait=finalized (optionally with &timeout=ms) and answer once the
+ * transaction reached that status (see core/TransactionTracker.js), with its
+ * receipt:
+ * - reached: the endpoint's usual status code
+ * - dropped: 409, the transaction will not be committed
+ * - timed out: 202 with the receipt as it stands; poll
+ *   GET /api/blockchain/tx/:id/receipt to follow it
+ *
+ * Routes add the waitOptions middleware, which answers 400 for invalid
+ * options, and respond through sendWithReceipt.
+ */
+
+const WAIT_STATUSES = ['included', 'finalized'];
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_TIMEOUT_MS = 120000;
+
+/**
+ * Parse the wait options of a request
+ *
+ * @param {Object} query - Request query {wait, timeout}
+ * @returns {Object} {status: string|null, timeoutMs, error: string|null}
+ */
+function parseWaitOptions(query = {}) {
+  const { wait, timeout } = query;
+  const options = { status: null, timeoutMs: DEFAULT_TIMEOUT_MS, error: null };
+
+  if (wait === undefined) {
+    return options;
+  }
+
+  if (!WAIT_STATUSES.includes(wait)) {
+    return { ...options, error: `wait must be one of: ${WAIT_STATUSES.join(', ')}` };
+  }
+
+  if (timeout !== undefined) {
+    const timeoutMs = Number(timeout);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 0 || timeoutMs > MAX_TIMEOUT_MS) {
+      return { ...options, error: `timeout must be an integer between 0 and ${MAX_TIMEOUT_MS} (ms)` };
+    }
+    options.timeoutMs = timeoutMs;
+  }
+
+  return { ...options, status: wait };
+}
+
+/**
+ * Route middleware: parse the wait options, or answer 400 if they are invalid
+ *
+ * Sets req.waitOptions (see parseWaitOptions).
+ */
+function waitOptions(req, res, next) {
+  const wait = parseWaitOptions(req.query);
+  if (wait.error) {
+    return res.status(400).json({
+      error: wait.error
+    });
+  }
+
+  req.waitOptions = wait;
+  next();
+}
+
+/**
+ * Send a write endpoint's result, after waiting for its transaction if asked to
+ *
+ * @param {Object} req - Express request (req.waitOptions, set by waitOptions, and
+ *   app.locals.transactionTracker are used)
+ * @param {Object} res - Express response
+ * @param {number} statusCode - Status code once the wait is over (or without one)
+ * @param {Object} result - Service result holding the submitted transaction
+ */
+async function sendWithReceipt(req, res, statusCode, result) {
+  const wait = req.waitOptions || {};
+  const transactionId = result.transaction?.id;
+  if (!wait.status || !transactionId) {
+    return res.status(statusCode).json(result);
+  }
+
+  const outcome = await req.app.locals.transactionTracker.waitFor(transactionId, wait.status, wait.timeoutMs);
+  const receipt = outcome?.receipt || null;
+
+  if (outcome?.reached) {
+    return res.status(statusCode).json({ ...result, receipt });
+  }
+
+  return res.status(receipt?.status === 'dropped' ? 409 : 202).json({ ...result, receipt });
+}
+
+module.exports = {
+  WAIT_STATUSES,
+  parseWaitOptions,
+  waitOptions,
+  sendWithReceipt
+};
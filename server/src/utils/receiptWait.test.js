@@ -0,0 +1,129 @@
+const express = require('express');
+const Blockchain = require('../core/Blockchain.js');
+const KeyRegistry = require('../core/KeyRegistry.js');
+const NodeManager = require('../core/NodeManager.js');
+const TransactionTracker = require('../core/TransactionTracker.js');
+const { parseWaitOptions, waitOptions, sendWithReceipt } = require('./receiptWait.js');
+const { signTransaction } = require('./signing.js');
+
+let server;
+
+/**
+ * Serve a write endpoint that submits an audit entry, the way the feature controllers do
+ *
+ * Block 1 rotates the node's configured key, so going back to genesis drops what it signs.
+ */
+async function startServer() {
+  const configured = NodeManager.generateIdentity();
+  const identity = { ...NodeManager.generateIdentity(), nodeId: configured.nodeId };
+  const keyRegistry = new KeyRegistry({ nodeKeys: { [configured.nodeId]: configured.publicKey } });
+  const blockchain = new Blockchain({ sealing: { type: 'none' }, keyRegistry });
+  blockchain.createGenesisBlock(0);
+  keyRegistry.attach(blockchain);
+  const nodeManager = new NodeManager(blockchain, { identity, heartbeatMs: 0 });
+  blockchain.setSystemSigner(nodeManager);
+  blockchain.addTransaction(signTransaction(
+    keyRegistry.buildRegistrationTransaction(identity.nodeId, 'node', identity.publicKey),
+    configured.privateKey
+  ));
+  blockchain.minePendingTransactions();
+
+  const app = express();
+  app.locals.transactionTracker = new TransactionTracker(blockchain);
+  app.post('/audit', waitOptions, async (req, res) => {
+    const transaction = blockchain.addSystemTransaction({ to: 'audit-log', data: { action: 'access' } });
+    await sendWithReceipt(req, res, 201, { success: true, transaction });
+  });
+
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const post = async (query = '') => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/audit${query}`, { method: 'POST' });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { blockchain, post };
+}
+
+/**
+ * Run an action on the chain once the endpoint has submitted its transaction
+ */
+async function whenSubmitted(blockchain, action) {
+  while (blockchain.getPendingTransactions().length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  action();
+}
+
+describe('receiptWait', () => {
+  describe('parseWaitOptions', () => {
+    it('defaults to no wait and a 30 s timeout', () => {
+      expect(parseWaitOptions({})).toEqual({ status: null, timeoutMs: 30000, error: null });
+      expect(parseWaitOptions({ wait: 'included', timeout: '250' })).toEqual({ status: 'included', timeoutMs: 250, error: null });
+    });
+
+    it('rejects timeouts that are not whole milliseconds up to two minutes', () => {
+      for (const timeout of ['1.5', 'soon', '120001']) {
+        expect(parseWaitOptions({ wait: 'finalized', timeout }).error).toBe('timeout must be an integer between 0 and 120000 (ms)');
+      }
+    });
+  });
+
+  describe('write endpoints', () => {
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('answers right away without a wait', async () => {
+      const { post } = await startServer();
+
+      const { status, body } = await post();
+
+      expect(status).toBe(201);
+      expect(body).not.toHaveProperty('receipt');
+    });
+
+    it('answers 400 for invalid wait options', async () => {
+      const { post } = await startServer();
+
+      expect(await post('?wait=pending')).toEqual({ status: 400, body: { error: 'wait must be one of: included, finalized' } });
+      expect((await post('?wait=included&timeout=-1')).status).toBe(400);
+    });
+
+    it('answers with the receipt once the transaction is included', async () => {
+      const { blockchain, post } = await startServer();
+
+      const [{ status, body }] = await Promise.all([
+        post('?wait=finalized&timeout=5000'),
+        whenSubmitted(blockchain, () => blockchain.minePendingTransactions())
+      ]);
+
+      expect(status).toBe(201);
+      expect(body.receipt).toMatchObject({ transactionId: body.transaction.id, status: 'finalized', blockIndex: 2 });
+    });
+
+    it('answers 202 with the pending receipt when the wait times out', async () => {
+      const { post } = await startServer();
+
+      const { status, body } = await post('?wait=included&timeout=0');
+
+      expect(status).toBe(202);
+      expect(body.receipt.status).toBe('pending');
+    });
+
+    it('answers 409 when the transaction is dropped', async () => {
+      const { blockchain, post } = await startServer();
+
+      const [{ status, body }] = await Promise.all([
+        post('?wait=included&timeout=5000'),
+        whenSubmitted(blockchain, () => blockchain.restore(blockchain.getAllBlocks().slice(0, 1), blockchain.getPendingTransactions()))
+      ]);
+
+      expect(status).toBe(409);
+      expect(body.receipt).toMatchObject({ status: 'dropped', reason: 'No longer verifies against the replaced chain' });
+    });
+  });
+});
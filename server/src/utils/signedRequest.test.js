@@ -0,0 +1,70 @@
+const KeyRegistry = require('../core/KeyRegistry.js');
+const { generateKeyPair } = require('./signing.js');
+const { MAX_AGE_MS, signRequest, verifyRequest, requireSignedRequest } = require('./signedRequest.js');
+
+const node = { id: 'node-1', ...generateKeyPair() };
+const keys = new KeyRegistry({ nodeKeys: { [node.id]: node.publicKey } });
+
+/**
+ * A request as Express hands it to a route, signed by the given key
+ */
+function signedRequest(signer, options = {}) {
+  const { method = 'POST', path = '/p2p/tx', signedAt } = options;
+  const body = 'body' in options ? options.body : { transaction: { id: 'tx-1' } };
+
+  return {
+    method,
+    originalUrl: path,
+    body,
+    headers: signRequest(signer.id, signer.privateKey, method, path, body, signedAt)
+  };
+}
+
+describe('signed requests', () => {
+  it('accepts a request signed by a registered key', () => {
+    expect(verifyRequest(signedRequest(node), keys)).toEqual({ valid: true, signerId: node.id, status: 200, error: null });
+    expect(verifyRequest(signedRequest(node, { method: 'GET', path: '/p2p/chain?from=3', body: {} }), keys).valid).toBe(true);
+  });
+
+  it('treats a missing body like an empty one', () => {
+    const request = signedRequest(node, { method: 'GET', path: '/p2p/peers', body: undefined });
+
+    expect(verifyRequest({ ...request, body: {} }, keys).valid).toBe(true);
+  });
+
+  it('rejects unsigned, stale and altered requests', () => {
+    const request = signedRequest(node);
+
+    expect(verifyRequest({ ...request, headers: {} }, keys))
+      .toMatchObject({ valid: false, status: 401, error: 'Request must be signed (X-Signer-Id, X-Signed-At, X-Signature)' });
+    expect(verifyRequest(signedRequest(node, { signedAt: Date.now() - MAX_AGE_MS - 1000 }), keys))
+      .toMatchObject({ valid: false, status: 401, error: `Request signature is older than ${MAX_AGE_MS}ms or from the future` });
+    expect(verifyRequest({ ...request, body: { transaction: { id: 'tx-2' } } }, keys))
+      .toMatchObject({ valid: false, status: 401, error: 'Request is not signed by a registered key for node-1' });
+    expect(verifyRequest({ ...request, originalUrl: '/p2p/block' }, keys).valid).toBe(false);
+  });
+
+  it('rejects unknown signers and signers of another actor type', () => {
+    const stranger = { id: 'node-2', ...generateKeyPair() };
+
+    expect(verifyRequest(signedRequest(stranger), keys))
+      .toMatchObject({ valid: false, status: 401, error: 'Request is not signed by a registered key for node-2' });
+    expect(verifyRequest(signedRequest(node), keys, { actorTypes: ['clinician'] }))
+      .toMatchObject({ valid: false, signerId: node.id, status: 403, error: 'node-1 is not a clinician' });
+  });
+
+  it('lets signed requests through the middleware with their signer', () => {
+    const middleware = requireSignedRequest({ actorTypes: ['node'] });
+    const app = { locals: { blockchain: { keyRegistry: keys } } };
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    const accepted = { ...signedRequest(node), app };
+    middleware(accepted, res, next);
+    middleware({ ...signedRequest(node), headers: {}, app }, res, next);
+
+    expect(accepted.signerId).toBe(node.id);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
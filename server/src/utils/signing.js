@@ -0,0 +1,162 @@
+/**
+ * Transaction Signing Utilities
+ *
+ * Ed25519 signatures over the canonical JSON encoding of the transaction,
+ * including its id and timestamp: the sender fixes both before signing, and
+ * nodes reject an id they have already seen, so a signed transaction cannot
+ * be submitted twice. Node-to-node protocol messages (consensus votes and
+ * proposals) and signed HTTP requests are signed over the same encoding.
+ *
+ * Keys are exchanged as PEM strings (SPKI for public keys, PKCS#8 for private keys)
+ * and signatures as base64.
+ */
+
+const crypto = require('crypto');
+const { canonicalize } = require('./canonicalJson.js');
+
+/**
+ * Generate an Ed25519 key pair
+ *
+ * @returns {Object} {publicKey, privateKey} as PEM strings
+ */
+function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+/**
+ * Sign an arbitrary string payload
+ *
+ * @param {string} payload - Payload to sign
+ * @param {string} privateKey - PEM private key
+ * @returns {string} Base64 signature
+ */
+function sign(payload, privateKey) {
+  return crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+}
+
+/**
+ * Verify a signature over an arbitrary string payload
+ *
+ * @param {string} payload - Signed payload
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - PEM public key
+ * @returns {boolean} True if the signature is valid
+ */
+function verify(payload, signature, publicKey) {
+  if (typeof signature !== 'string' || !publicKey) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Give a transaction the id and timestamp its signature will cover
+ *
+ * @param {Object} transaction - Unsigned transaction
+ * @param {string} id - Transaction ID (default: a new UUID)
+ * @param {number} timestamp - Transaction timestamp (default: now)
+ * @returns {Object} Transaction with id and timestamp
+ */
+function stampTransaction(transaction, id = crypto.randomUUID(), timestamp = Date.now()) {
+  return { ...transaction, id, timestamp };
+}
+
+/**
+ * Get the exact bytes a transaction signature covers
+ *
+ * @param {Object} transaction - Transaction {id, timestamp, from, to, data, signedBy}
+ * @returns {string} Signing payload
+ */
+function getSigningPayload(transaction) {
+  return canonicalize({
+    id: transaction.id,
+    timestamp: transaction.timestamp,
+    from: transaction.from,
+    to: transaction.to,
+    data: transaction.data,
+    signedBy: transaction.signedBy || transaction.from
+  });
+}
+
+/**
+ * Sign a transaction
+ *
+ * @param {Object} transaction - Transaction {from, to, data}, stamped with id and timestamp if it has none
+ * @param {string} privateKey - PEM private key of the signer
+ * @param {string} signedBy - Signer ID (defaults to transaction.from)
+ * @returns {Object} Transaction with id, timestamp, signedBy and signature fields
+ */
+function signTransaction(transaction, privateKey, signedBy = transaction.from) {
+  const unsigned = {
+    ...stampTransaction(transaction, transaction.id || undefined, transaction.timestamp || undefined),
+    signedBy
+  };
+
+  return {
+    ...unsigned,
+    signature: sign(getSigningPayload(unsigned), privateKey)
+  };
+}
+
+/**
+ * Verify a transaction signature against a public key
+ *
+ * @param {Object} transaction - Signed transaction
+ * @param {string} publicKey - PEM public key of transaction.signedBy
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyTransactionSignature(transaction, publicKey) {
+  return verify(getSigningPayload(transaction), transaction.signature, publicKey);
+}
+
+/**
+ * Get the exact bytes a protocol message signature covers
+ *
+ * Everything but the signature itself and an attached block, which the
+ * message commits to through its blockHash.
+ *
+ * @param {Object} message - Protocol message
+ * @returns {string} Signing payload
+ */
+function getMessagePayload(message) {
+  const { signature, block, ...fields } = message;
+  return canonicalize(fields);
+}
+
+/**
+ * Get the exact bytes a signed HTTP request covers (see utils/signedRequest.js)
+ *
+ * @param {Object} request - {method, path (with query string), signerId, signedAt, body}
+ * @returns {string} Signing payload
+ */
+function getRequestPayload({ method, path, signerId, signedAt, body }) {
+  return canonicalize({
+    method: String(method).toUpperCase(),
+    path,
+    signerId,
+    signedAt,
+    body: body ?? {}
+  });
+}
+
+module.exports = {
+  generateKeyPair,
+  sign,
+  verify,
+  getSigningPayload,
+  getMessagePayload,
+  getRequestPayload,
+  stampTransaction,
+  signTransaction,
+  verifyTransactionSignature
+};
@@ -0,0 +1,67 @@
+const {
+  generateKeyPair,
+  sign,
+  verify,
+  getSigningPayload,
+  getMessagePayload,
+  stampTransaction,
+  signTransaction,
+  verifyTransactionSignature
+} = require('./signing.js');
+
+describe('signing', () => {
+  const keys = generateKeyPair();
+  const other = generateKeyPair();
+
+  it('generates PEM key pairs', () => {
+    expect(keys.publicKey).toContain('BEGIN PUBLIC KEY');
+    expect(keys.privateKey).toContain('BEGIN PRIVATE KEY');
+  });
+
+  it('verifies signatures only against the signing key and payload', () => {
+    const signature = sign('payload', keys.privateKey);
+
+    expect(verify('payload', signature, keys.publicKey)).toBe(true);
+    expect(verify('payload!', signature, keys.publicKey)).toBe(false);
+    expect(verify('payload', signature, other.publicKey)).toBe(false);
+    expect(verify('payload', undefined, keys.publicKey)).toBe(false);
+    expect(verify('payload', signature, 'not a key')).toBe(false);
+  });
+
+  it('stamps a transaction with a new id and the current time', () => {
+    const before = Date.now();
+    const stamped = stampTransaction({ from: 'a', to: 'b', data: {} });
+
+    expect(stamped.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(stamped.timestamp).toBeGreaterThanOrEqual(before);
+    expect(stampTransaction({}, 'tx-1', 5)).toEqual({ id: 'tx-1', timestamp: 5 });
+  });
+
+  it('signs the id and timestamp a transaction already has', () => {
+    const signed = signTransaction({ id: 'tx-1', timestamp: 5, from: 'a', to: 'b', data: { x: 1 } }, keys.privateKey);
+
+    expect(signed).toMatchObject({ id: 'tx-1', timestamp: 5, signedBy: 'a' });
+    expect(verifyTransactionSignature(signed, keys.publicKey)).toBe(true);
+  });
+
+  it('covers id, timestamp, sender, recipient, data and signer', () => {
+    const signed = signTransaction({ from: 'a', to: 'b', data: { x: 1 } }, keys.privateKey);
+
+    for (const change of [{ id: 'other' }, { timestamp: 1 }, { from: 'c' }, { to: 'c' }, { data: { x: 2 } }, { signedBy: 'c' }]) {
+      expect(verifyTransactionSignature({ ...signed, ...change }, keys.publicKey)).toBe(false);
+    }
+  });
+
+  it('encodes the signing payload independently of key order', () => {
+    const transaction = { id: 'tx-1', timestamp: 5, from: 'a', to: 'b', data: { y: 2, x: 1 } };
+
+    expect(getSigningPayload(transaction)).toBe(getSigningPayload({ data: { x: 1, y: 2 }, to: 'b', from: 'a', timestamp: 5, id: 'tx-1' }));
+    expect(JSON.parse(getSigningPayload(transaction)).signedBy).toBe('a');
+  });
+
+  it('leaves the signature and an attached block out of message payloads', () => {
+    const payload = getMessagePayload({ type: 'vote', blockHash: 'h', signature: 's', block: { index: 1 } });
+
+    expect(JSON.parse(payload)).toEqual({ type: 'vote', blockHash: 'h' });
+  });
+});